@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Record OSRS Wiki /timeseries responses as test fixtures
+ * Execution-analysis tests replay these so they run offline. Re-record when
+ * the response shape changes; tests pin flips to the recorded timestamps.
+ *
+ * Usage: node scripts/record-timeseries-fixtures.mjs [itemId ...]
+ */
+
+import { writeFileSync } from 'node:fs';
+
+const BASE_URL = 'https://prices.runescape.wiki/api/v1/osrs';
+const headers = {
+  'User-Agent': 'OSRS Flip Dashboard Test Fixtures - discord: Mreedon',
+};
+
+const OUTPUT = new URL('../src/utils/__tests__/fixtures/wikiTimeseries.json', import.meta.url);
+const TIMESTEPS = ['5m', '1h'];
+// Enough history for the tests without bloating the repo
+const POINTS_PER_STEP = 24;
+const DEFAULT_ITEMS = ['4151']; // Abyssal whip
+
+async function fetchJson(path) {
+  const response = await fetch(`${BASE_URL}${path}`, { headers });
+  if (!response.ok) {
+    throw new Error(`${path}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+async function main() {
+  const itemIds = process.argv.slice(2).length > 0 ? process.argv.slice(2) : DEFAULT_ITEMS;
+  const mapping = await fetchJson('/mapping');
+  const items = {};
+
+  for (const id of itemIds) {
+    const name = mapping.find(item => String(item.id) === id)?.name;
+    if (!name) throw new Error(`Unknown item id ${id}`);
+    items[name] = { id: Number(id) };
+    for (const step of TIMESTEPS) {
+      const { data } = await fetchJson(`/timeseries?id=${id}&timestep=${step}`);
+      items[name][step] = data.slice(-POINTS_PER_STEP);
+      console.log(`✅ ${name} ${step}: ${items[name][step].length} points`);
+    }
+  }
+
+  writeFileSync(
+    OUTPUT,
+    `${JSON.stringify({ source: BASE_URL, recordedAt: new Date().toISOString(), items }, null, 2)}\n`
+  );
+  console.log(`📁 Wrote ${OUTPUT.pathname}`);
+}
+
+main().catch(error => {
+  console.error('❌ Recording failed:', error);
+  process.exit(1);
+});
@@ -17,10 +17,17 @@ import SEO from './components/SEO';
 const ItemsList = lazy(() => import('./pages/ItemsList'));
 const ItemDeepDive = lazy(() => import('./pages/ItemDeepDive'));
 const BlocklistGeneratorPage = lazy(() => import('./pages/BlocklistGeneratorPage'));
+const QueryPage = lazy(() => import('./pages/QueryPage'));
+const ScannerPage = lazy(() => import('./pages/ScannerPage'));
 
 // Protected route component - redirects to upload if no data
 function RequireData({ children }) {
-  const { guestData } = useData();
+  const { guestData, isHydrating } = useData();
+
+  // Wait for saved data to be restored before deciding to redirect
+  if (isHydrating) {
+    return <LoadingFallback text="Restoring saved data..." />;
+  }
 
   if (!guestData) {
     return <Navigate to="/" replace />;
@@ -114,6 +121,18 @@ function AppContent() {
           }
         />
 
+        {/* SQL console over the loaded flips */}
+        <Route
+          path="/query"
+          element={
+            <RequireData>
+              <Suspense fallback={<LoadingFallback text="Loading Query..." />}>
+                <QueryPage />
+              </Suspense>
+            </RequireData>
+          }
+        />
+
         {/* Blocklist Generator - accessible without data */}
         <Route
           path="/blocklist-generator"
@@ -124,6 +143,16 @@ function AppContent() {
           }
         />
 
+        {/* Live price scanner - accessible without data; history shows once flips are loaded */}
+        <Route
+          path="/scanner"
+          element={
+            <Suspense fallback={<LoadingFallback text="Loading Scanner..." />}>
+              <ScannerPage />
+            </Suspense>
+          }
+        />
+
         {/* Catch-all redirect to upload */}
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
@@ -1,4 +1,5 @@
 import { useAccountFilter } from '../contexts/AccountFilterContext';
+import { useData } from '../contexts/DataContext';
 import { formatGP } from '../utils/formatUtils';
 
 export default function AccountFilterBar() {
@@ -12,6 +13,7 @@ export default function AccountFilterBar() {
     isFiltered,
     getFilteredData,
   } = useAccountFilter();
+  const { guestData } = useData();
 
   if (availableAccounts.length <= 1) {
     return null;
@@ -20,6 +22,10 @@ export default function AccountFilterBar() {
   const filteredData = getFilteredData();
   const showingAll = selectedAccounts.length === availableAccounts.length;
 
+  // Which uploaded CSV(s) each account's flips came from
+  const sourcesByAccount = guestData?.metadata?.sourcesByAccount || {};
+  const sourceFileCount = guestData?.metadata?.sourceFiles?.length || 0;
+
   return (
     <div className="bg-gray-900/90 backdrop-blur-sm border-b border-gray-700 sticky top-10 z-40">
       <div className="max-w-7xl mx-auto px-4 py-3">
@@ -37,9 +43,19 @@ export default function AccountFilterBar() {
                         ? 'bg-blue-600 text-white hover:bg-blue-500'
                         : 'bg-gray-700 text-gray-400 hover:bg-gray-600 hover:text-gray-300'
                     }`}
-                    title={`${isAccountSelected(account) ? 'Hide' : 'Show'} ${account}`}
+                    title={`${isAccountSelected(account) ? 'Hide' : 'Show'} ${account}${
+                      sourcesByAccount[account]?.length
+                        ? `\nFrom: ${sourcesByAccount[account].join(', ')}`
+                        : ''
+                    }`}
                   >
                     {account}
+                    {sourceFileCount > 1 && sourcesByAccount[account]?.length > 0 && (
+                      <span className="ml-1 text-xs opacity-70">
+                        ({sourcesByAccount[account].length} file
+                        {sourcesByAccount[account].length !== 1 ? 's' : ''})
+                      </span>
+                    )}
                   </button>
                 ))}
               </div>
@@ -1,3 +1,9 @@
+import { useState } from 'react';
+import { describeDecision, describeExplanation } from '../../utils/filterRuleEvaluator';
+
+// Matches listed when looking up why an item was kept or blocked
+const MAX_LOOKUP_RESULTS = 10;
+
 export default function BlocklistPreview({
   preview,
   profileName,
@@ -5,19 +11,30 @@ export default function BlocklistPreview({
   onDownload,
   loading,
 }) {
+  const [lookup, setLookup] = useState('');
+
   if (!preview) return null;
 
-  const { interpretation, stats, tradeable } = preview;
+  const { interpretation, stats, tradeable, explanations = {} } = preview;
 
   // Format numbers with commas
   const formatNumber = num => num.toLocaleString();
+  const priceOf = id => explanations[id]?.values.price ?? 0;
 
   // Get top 10 items sorted by price
   const topItems = tradeable
     .slice()
-    .sort((a, b) => b.price - a.price)
+    .sort((a, b) => priceOf(b.id) - priceOf(a.id))
     .slice(0, 10);
 
+  // Explain any item by name, so a surprising block can be traced to its rule
+  const lookupTerm = lookup.trim().toLowerCase();
+  const lookupResults = lookupTerm
+    ? Object.entries(explanations)
+        .filter(([, explanation]) => explanation.name?.toLowerCase().includes(lookupTerm))
+        .slice(0, MAX_LOOKUP_RESULTS)
+    : [];
+
   return (
     <div className="bg-gray-800 border border-gray-700 rounded-lg p-6 space-y-6">
       <div>
@@ -68,12 +85,18 @@ export default function BlocklistPreview({
             <div className="bg-gray-900/50 rounded-lg p-3 max-h-64 overflow-y-auto">
               <ul className="space-y-1 text-sm">
                 {topItems.map((item, idx) => (
-                  <li key={item.id} className="text-gray-300 flex justify-between">
+                  <li
+                    key={item.id}
+                    title={describeExplanation(explanations[item.id])}
+                    className="text-gray-300 flex justify-between cursor-help"
+                  >
                     <span>
                       {idx + 1}. {item.name}
                       {!item.members && <span className="ml-2 text-xs text-blue-400">(F2P)</span>}
                     </span>
-                    <span className="text-gray-500">{(item.price / 1000).toFixed(0)}k gp</span>
+                    <span className="text-gray-500">
+                      {(priceOf(item.id) / 1000).toFixed(0)}k gp
+                    </span>
                   </li>
                 ))}
               </ul>
@@ -81,6 +104,39 @@ export default function BlocklistPreview({
           </div>
         )}
 
+        {/* Why was an item kept or blocked? */}
+        <div className="mb-4">
+          <label className="block text-sm text-gray-400 mb-2">
+            Why was an item kept or blocked?
+          </label>
+          <input
+            type="text"
+            value={lookup}
+            onChange={e => setLookup(e.target.value)}
+            placeholder="Search an item, e.g. Abyssal whip"
+            className="w-full px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-gray-200 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {lookupTerm && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {lookupResults.length === 0 && <li className="text-gray-500">No matching items</li>}
+              {lookupResults.map(([id, explanation]) => (
+                <li
+                  key={id}
+                  title={describeExplanation(explanation)}
+                  className="flex justify-between gap-4 cursor-help"
+                >
+                  <span className="text-gray-300">{explanation.name}</span>
+                  <span
+                    className={explanation.action === 'include' ? 'text-green-400' : 'text-red-400'}
+                  >
+                    {describeDecision(explanation)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         {/* Profile name input */}
         <div className="mb-4">
           <label className="block text-sm text-gray-400 mb-2">Profile name (optional):</label>
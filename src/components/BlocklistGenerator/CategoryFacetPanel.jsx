@@ -0,0 +1,96 @@
+/**
+ * Category facets for the item selector
+ * Each category shows how many of its items the selection blocks, filters the
+ * list when clicked, and can be blocked or traded as a whole.
+ */
+export default function CategoryFacetPanel({
+  facets,
+  level,
+  onLevelChange,
+  activeCategories,
+  onToggleCategory,
+  onClearCategories,
+  onBlockCategory,
+  onTradeCategory,
+}) {
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-200">Categories</h3>
+          <p className="text-xs text-gray-500">
+            Click a category to filter the list. Block or trade a whole category at once.
+          </p>
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          {activeCategories.length > 0 && (
+            <button onClick={onClearCategories} className="text-blue-400 hover:text-blue-300">
+              Clear category filter
+            </button>
+          )}
+          <div className="flex rounded overflow-hidden border border-gray-600">
+            {[
+              { value: 'fine', label: 'Detailed' },
+              { value: 'coarse', label: 'Grouped' },
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => onLevelChange(option.value)}
+                className={`px-3 py-1 ${
+                  level === option.value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-900 text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-72 overflow-y-auto">
+        {facets.map(({ category, total, blocked }) => {
+          const isActive = activeCategories.includes(category);
+          return (
+            <div
+              key={category}
+              className={`flex items-center justify-between gap-2 px-3 py-2 rounded border text-sm ${
+                isActive ? 'border-blue-500 bg-blue-900/20' : 'border-gray-700 bg-gray-900/50'
+              }`}
+            >
+              <button
+                onClick={() => onToggleCategory(category)}
+                className="flex-1 text-left text-gray-200 hover:text-white truncate"
+                title={`Show only ${category}`}
+              >
+                {category}
+                <span className="ml-2 text-xs text-gray-500">
+                  {blocked.toLocaleString()} / {total.toLocaleString()} blocked
+                </span>
+              </button>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => onBlockCategory(category)}
+                  disabled={blocked === total}
+                  title={`Block all ${total} ${category} items`}
+                  className="px-2 py-0.5 text-xs rounded bg-red-900/50 hover:bg-red-800/60 text-red-300 disabled:opacity-40 disabled:cursor-default"
+                >
+                  Block
+                </button>
+                <button
+                  onClick={() => onTradeCategory(category)}
+                  disabled={blocked === 0}
+                  title={`Trade all ${total} ${category} items`}
+                  className="px-2 py-0.5 text-xs rounded bg-green-900/50 hover:bg-green-800/60 text-green-300 disabled:opacity-40 disabled:cursor-default"
+                >
+                  Trade
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
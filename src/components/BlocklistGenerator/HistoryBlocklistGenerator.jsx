@@ -0,0 +1,178 @@
+import { useMemo, useState } from 'react';
+import { buildHistoryBlocklist, HISTORY_THRESHOLD_DEFAULTS } from '../../utils/historyBlocklist';
+import { parseShorthandNumber, formatToShorthand } from '../../utils/parseShorthandNumber';
+
+const LOOKBACK_OPTIONS = [
+  { label: 'Last 7 days', value: 7 },
+  { label: 'Last 30 days', value: 30 },
+  { label: 'Last 90 days', value: 90 },
+  { label: 'All history', value: null },
+];
+
+// Blocked items listed before "show all"
+const PREVIEW_ROWS = 20;
+
+/**
+ * Block items the user's own flips say to avoid
+ * Thresholds left blank are ignored. The result opens in the item selector or
+ * downloads as a profile directly.
+ */
+export default function HistoryBlocklistGenerator({ flipsByDate, items, onOpen, onDownload }) {
+  const [lookbackDays, setLookbackDays] = useState(HISTORY_THRESHOLD_DEFAULTS.lookbackDays);
+  const [minFlips, setMinFlips] = useState(String(HISTORY_THRESHOLD_DEFAULTS.minFlips));
+  const [minGpPerHour, setMinGpPerHour] = useState(
+    formatToShorthand(HISTORY_THRESHOLD_DEFAULTS.minGpPerHour)
+  );
+  const [minWinRate, setMinWinRate] = useState(String(HISTORY_THRESHOLD_DEFAULTS.minWinRate));
+  const [maxDrawdown, setMaxDrawdown] = useState(
+    formatToShorthand(HISTORY_THRESHOLD_DEFAULTS.maxDrawdown)
+  );
+  const [showAll, setShowAll] = useState(false);
+
+  const thresholds = useMemo(
+    () => ({
+      lookbackDays,
+      minFlips: Math.max(1, parseShorthandNumber(minFlips) ?? 1),
+      minGpPerHour: parseShorthandNumber(minGpPerHour),
+      minWinRate: parseShorthandNumber(minWinRate),
+      maxDrawdown: parseShorthandNumber(maxDrawdown),
+    }),
+    [lookbackDays, minFlips, minGpPerHour, minWinRate, maxDrawdown]
+  );
+
+  const result = useMemo(
+    () => buildHistoryBlocklist(flipsByDate, items, thresholds),
+    [flipsByDate, items, thresholds]
+  );
+
+  const blockedIds = result.blocked.map(item => item.id);
+  const visibleRows = showAll ? result.blocked : result.blocked.slice(0, PREVIEW_ROWS);
+
+  const inputClass =
+    'w-full px-3 py-2 bg-gray-900 border border-gray-600 rounded text-sm text-white focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 mb-6 space-y-4">
+      <div>
+        <p className="text-white font-medium">📉 Block from my history</p>
+        <p className="text-sm text-gray-400">
+          Block items you've flipped enough times to judge but that missed these targets. Leave a
+          target blank to ignore it.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+        <label className="space-y-1">
+          <span className="text-gray-400">Lookback</span>
+          <select
+            value={lookbackDays ?? ''}
+            onChange={e => setLookbackDays(e.target.value ? Number(e.target.value) : null)}
+            className={inputClass}
+          >
+            {LOOKBACK_OPTIONS.map(option => (
+              <option key={option.label} value={option.value ?? ''}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="space-y-1">
+          <span className="text-gray-400">Min flips to judge</span>
+          <input
+            value={minFlips}
+            onChange={e => setMinFlips(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-gray-400">Min gp/hour</span>
+          <input
+            value={minGpPerHour}
+            onChange={e => setMinGpPerHour(e.target.value)}
+            placeholder="e.g. 50k"
+            className={inputClass}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-gray-400">Min win rate %</span>
+          <input
+            value={minWinRate}
+            onChange={e => setMinWinRate(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="space-y-1">
+          <span className="text-gray-400">Max drawdown (gp)</span>
+          <input
+            value={maxDrawdown}
+            onChange={e => setMaxDrawdown(e.target.value)}
+            placeholder="e.g. 1m"
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <p className="text-sm text-gray-400">
+        {result.judgedCount.toLocaleString()} items judged ·{' '}
+        {result.tooFewFlipsCount.toLocaleString()} with too few flips ·{' '}
+        <strong className="text-red-400">{blockedIds.length.toLocaleString()} to block</strong>
+        {result.unmatchedNames.length > 0 &&
+          ` · ${result.unmatchedNames.length} not found in the item list`}
+      </p>
+
+      {result.blocked.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-1">Item</th>
+              <th className="py-1 text-right">Flips</th>
+              <th className="py-1 text-right">Profit</th>
+              <th className="py-1">Why</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {visibleRows.map(item => (
+              <tr key={item.id}>
+                <td className="py-1 text-gray-200">{item.name}</td>
+                <td className="py-1 text-right text-gray-400">{item.flipCount}</td>
+                <td
+                  className={`py-1 text-right font-mono ${
+                    item.totalProfit < 0 ? 'text-red-400' : 'text-gray-300'
+                  }`}
+                >
+                  {item.totalProfit.toLocaleString()} gp
+                </td>
+                <td className="py-1 pl-4 text-yellow-300">{item.reasons.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {result.blocked.length > PREVIEW_ROWS && (
+        <button
+          onClick={() => setShowAll(prev => !prev)}
+          className="text-sm text-blue-400 hover:text-blue-300"
+        >
+          {showAll ? 'Show less' : `Show all ${result.blocked.length.toLocaleString()}`}
+        </button>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onOpen(blockedIds, thresholds)}
+          disabled={blockedIds.length === 0}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:text-gray-600 text-sm text-white rounded transition-colors"
+        >
+          Open in item selector
+        </button>
+        <button
+          onClick={() => onDownload(blockedIds)}
+          disabled={blockedIds.length === 0}
+          className="px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-800 disabled:text-gray-600 text-sm text-white rounded transition-colors"
+        >
+          📥 Download profile
+        </button>
+      </div>
+    </div>
+  );
+}
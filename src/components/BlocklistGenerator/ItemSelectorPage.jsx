@@ -1,4 +1,14 @@
 import { useState, useMemo } from 'react';
+import CategoryFacetPanel from './CategoryFacetPanel';
+import NaturalLanguageInput from './NaturalLanguageInput';
+import {
+  buildCategoryFacets,
+  getCategoryLabel,
+  getItemCategories,
+  isInCategory,
+} from '../../utils/categoryFacets';
+import { resolveFilterQuery } from '../../utils/claudeFilterService';
+import { evaluateFilterRules, describeExplanation } from '../../utils/filterRuleEvaluator';
 
 // Time constants for timestamp formatting
 const SECONDS_PER_MINUTE = 60;
@@ -44,14 +54,20 @@ export default function ItemSelectorPage({
   userItemStats = {},
   onDownload,
   onBack,
+  onSave,
+  savesToProfile,
+  initialMode = 'trade',
+  initialCheckedIds = [],
+  initialSource = null,
+  defaultProfileName = 'Custom Blocklist',
 }) {
-  const [mode, setMode] = useState('trade'); // 'trade' or 'block'
-  const [checkedItems, setCheckedItems] = useState(new Set());
+  const [mode, setMode] = useState(initialMode); // 'trade' or 'block'
+  const [checkedItems, setCheckedItems] = useState(() => new Set(initialCheckedIds));
   const [searchQuery, setSearchQuery] = useState('');
   const [showMembersOnly, setShowMembersOnly] = useState(false);
   const [showF2POnly, setShowF2POnly] = useState(false);
   const [showTradedOnly, setShowTradedOnly] = useState(false);
-  const [sortBy, setSortBy] = useState('name'); // 'name', 'price', 'volume', 'userGpPerHour', 'userFlipCount'
+  const [sortBy, setSortBy] = useState('name'); // 'name', 'category', 'price', 'volume', 'userGpPerHour', 'userFlipCount'
   const [sortDirection, setSortDirection] = useState('asc'); // 'asc' or 'desc'
   const [minPrice, setMinPrice] = useState('');
   const [maxPrice, setMaxPrice] = useState('');
@@ -64,11 +80,25 @@ export default function ItemSelectorPage({
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 100;
 
+  // Category facets
+  const [categoryLevel, setCategoryLevel] = useState('fine'); // 'fine' or 'coarse'
+  const [activeCategories, setActiveCategories] = useState([]);
+  const itemCategories = useMemo(() => getItemCategories(items), [items]);
+
   // Text import state
   const [showTextImport, setShowTextImport] = useState(false);
   const [importText, setImportText] = useState('');
   const [importResults, setImportResults] = useState(null);
 
+  // Describe-what-to-trade state
+  const [showDescribe, setShowDescribe] = useState(false);
+  const [describeQuery, setDescribeQuery] = useState('');
+  const [describeLoading, setDescribeLoading] = useState(false);
+  const [describeResult, setDescribeResult] = useState(null);
+
+  // Set once checkboxes or mode are changed by hand, so a filter no longer describes them
+  const [handEdited, setHandEdited] = useState(false);
+
   // Check if user has any flip data
   const hasUserData = Object.keys(userItemStats).length > 0;
 
@@ -87,6 +117,16 @@ export default function ItemSelectorPage({
       // Traded only filter
       if (showTradedOnly && !userItemStats[item.name]) return false;
 
+      // Category filter - any of the chosen categories
+      if (
+        activeCategories.length > 0 &&
+        !activeCategories.some(category =>
+          isInCategory(itemCategories.get(item.id), category, categoryLevel)
+        )
+      ) {
+        return false;
+      }
+
       // Price range filter
       const price = priceData[item.id]?.high;
       if (price !== undefined) {
@@ -146,6 +186,13 @@ export default function ItemSelectorPage({
         const result = priceA - priceB;
         return sortDirection === 'asc' ? result : -result;
       });
+    } else if (sortBy === 'category') {
+      filtered.sort((a, b) => {
+        const categoryA = getCategoryLabel(itemCategories.get(a.id), categoryLevel);
+        const categoryB = getCategoryLabel(itemCategories.get(b.id), categoryLevel);
+        const result = categoryA.localeCompare(categoryB) || a.name.localeCompare(b.name);
+        return sortDirection === 'asc' ? result : -result;
+      });
     } else if (sortBy === 'volume') {
       filtered.sort((a, b) => {
         const volumeA = volumeData[a.id] || 0;
@@ -176,6 +223,9 @@ export default function ItemSelectorPage({
     showMembersOnly,
     showF2POnly,
     showTradedOnly,
+    activeCategories,
+    categoryLevel,
+    itemCategories,
     minPrice,
     maxPrice,
     minVolume,
@@ -202,6 +252,26 @@ export default function ItemSelectorPage({
 
   const totalPages = Math.ceil(filteredItems.length / itemsPerPage);
 
+  // Why the last description kept or blocked each item, shown on hover
+  const explanations = describeResult?.explanations;
+
+  // What produced the current selection, saved with it so the library can re-evaluate it
+  const selectionSource = handEdited
+    ? null
+    : describeResult?.filterConfig
+      ? { prompt: describeResult.prompt, filterConfig: describeResult.filterConfig }
+      : initialSource;
+
+  const editCheckedItems = newChecked => {
+    setCheckedItems(newChecked);
+    setHandEdited(true);
+  };
+
+  const handleModeChange = newMode => {
+    setMode(newMode);
+    setHandEdited(true);
+  };
+
   const handleToggleItem = itemId => {
     const newChecked = new Set(checkedItems);
     if (newChecked.has(itemId)) {
@@ -209,12 +279,12 @@ export default function ItemSelectorPage({
     } else {
       newChecked.add(itemId);
     }
-    setCheckedItems(newChecked);
+    editCheckedItems(newChecked);
   };
 
   const handleSelectAll = () => {
     const newChecked = new Set(items.map(item => item.id));
-    setCheckedItems(newChecked);
+    editCheckedItems(newChecked);
   };
 
   const handleSelectAllFiltered = () => {
@@ -223,11 +293,11 @@ export default function ItemSelectorPage({
     filteredItems.forEach(item => {
       newChecked.add(item.id);
     });
-    setCheckedItems(newChecked);
+    editCheckedItems(newChecked);
   };
 
   const handleDeselectAll = () => {
-    setCheckedItems(new Set());
+    editCheckedItems(new Set());
   };
 
   const handleInvertSelection = () => {
@@ -237,7 +307,44 @@ export default function ItemSelectorPage({
         newChecked.add(item.id);
       }
     });
-    setCheckedItems(newChecked);
+    editCheckedItems(newChecked);
+  };
+
+  // Counts follow the current selection, so "blocked" depends on the mode
+  const categoryFacets = useMemo(
+    () =>
+      buildCategoryFacets(items, itemCategories, categoryLevel, itemId =>
+        mode === 'block' ? checkedItems.has(itemId) : !checkedItems.has(itemId)
+      ),
+    [items, itemCategories, categoryLevel, mode, checkedItems]
+  );
+
+  // Block or trade every item in a category, whichever way checkboxes currently read
+  const handleSetCategoryBlocked = (category, block) => {
+    const shouldCheck = mode === 'block' ? block : !block;
+    const newChecked = new Set(checkedItems);
+    items.forEach(item => {
+      if (!isInCategory(itemCategories.get(item.id), category, categoryLevel)) return;
+      if (shouldCheck) {
+        newChecked.add(item.id);
+      } else {
+        newChecked.delete(item.id);
+      }
+    });
+    editCheckedItems(newChecked);
+  };
+
+  const handleToggleCategory = category => {
+    setActiveCategories(prev =>
+      prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]
+    );
+    setCurrentPage(1);
+  };
+
+  const handleCategoryLevelChange = level => {
+    setCategoryLevel(level);
+    setActiveCategories([]);
+    setCurrentPage(1);
   };
 
   const handleSort = column => {
@@ -252,6 +359,41 @@ export default function ItemSelectorPage({
     setCurrentPage(1);
   };
 
+  // Check the items a described filter keeps tradeable - parsed offline when simple enough
+  const handleDescribe = async () => {
+    if (!describeQuery.trim()) return;
+    setDescribeLoading(true);
+    try {
+      const { config, source: parsedBy } = await resolveFilterQuery(
+        describeQuery,
+        items.length,
+        Object.keys(priceData).length,
+        Object.keys(volumeData).length
+      );
+      const { tradeable, explanations, interpretation } = evaluateFilterRules(
+        config,
+        items,
+        priceData,
+        volumeData
+      );
+      setMode('trade');
+      setCheckedItems(new Set(tradeable.map(item => item.id)));
+      setHandEdited(false);
+      setDescribeResult({
+        prompt: describeQuery.trim(),
+        filterConfig: config,
+        interpretation,
+        parsedBy,
+        count: tradeable.length,
+        explanations,
+      });
+    } catch (error) {
+      setDescribeResult({ error: error.message });
+    } finally {
+      setDescribeLoading(false);
+    }
+  };
+
   const handleTextImport = () => {
     if (!importText.trim()) {
       setImportResults({ matched: [], unmatched: [] });
@@ -283,10 +425,10 @@ export default function ItemSelectorPage({
 
     if (addToExisting) {
       // Add to existing selection
-      setCheckedItems(new Set([...checkedItems, ...matchedIds]));
+      editCheckedItems(new Set([...checkedItems, ...matchedIds]));
     } else {
       // Replace selection
-      setCheckedItems(matchedIds);
+      editCheckedItems(matchedIds);
     }
 
     // Clear import
@@ -318,7 +460,7 @@ export default function ItemSelectorPage({
 
     // Prompt user for profile name
     // eslint-disable-next-line no-alert
-    const profileName = prompt('Enter a name for your blocklist profile:', 'Custom Blocklist');
+    const profileName = prompt('Enter a name for your blocklist profile:', defaultProfileName);
 
     // If user cancels or enters empty string, don't download
     if (!profileName || !profileName.trim()) {
@@ -398,7 +540,7 @@ export default function ItemSelectorPage({
               name="mode"
               value="trade"
               checked={mode === 'trade'}
-              onChange={e => setMode(e.target.value)}
+              onChange={e => handleModeChange(e.target.value)}
               className="mt-1 h-4 w-4 text-blue-600"
             />
             <div>
@@ -417,7 +559,7 @@ export default function ItemSelectorPage({
               name="mode"
               value="block"
               checked={mode === 'block'}
-              onChange={e => setMode(e.target.value)}
+              onChange={e => handleModeChange(e.target.value)}
               className="mt-1 h-4 w-4 text-blue-600"
             />
             <div>
@@ -477,6 +619,47 @@ export default function ItemSelectorPage({
         </div>
       </div>
 
+      {/* Describe Section (Collapsible) */}
+      <div className="bg-gray-800 border border-gray-700 rounded-lg overflow-hidden">
+        <button
+          onClick={() => setShowDescribe(!showDescribe)}
+          className="w-full px-4 py-3 flex items-center justify-between hover:bg-gray-750 transition-colors"
+        >
+          <div className="flex items-center gap-2">
+            <span className="text-lg">🤖</span>
+            <span className="text-white font-medium">Describe What to Trade</span>
+            <span className="text-xs text-gray-400">(Checks matching items, rest blocked)</span>
+          </div>
+          <span className="text-gray-400">{showDescribe ? '▼' : '▶'}</span>
+        </button>
+
+        {showDescribe && (
+          <div className="p-4 border-t border-gray-700 space-y-3">
+            <NaturalLanguageInput
+              query={describeQuery}
+              onQueryChange={setDescribeQuery}
+              onGenerate={handleDescribe}
+              loading={describeLoading}
+            />
+            {describeResult &&
+              (describeResult.error ? (
+                <p className="text-sm text-red-400">
+                  Couldn't understand that request: {describeResult.error}
+                </p>
+              ) : (
+                <p className="text-sm text-green-400">
+                  ✓ Checked {describeResult.count} items to trade - {describeResult.interpretation}.
+                  Hover an item name to see why.
+                  <span className="text-gray-500">
+                    {' '}
+                    ({describeResult.parsedBy === 'local' ? 'parsed offline' : 'interpreted by AI'})
+                  </span>
+                </p>
+              ))}
+          </div>
+        )}
+      </div>
+
       {/* Text Import Section (Collapsible) */}
       <div className="bg-gray-800 border border-gray-700 rounded-lg overflow-hidden">
         <button
@@ -545,6 +728,21 @@ export default function ItemSelectorPage({
         )}
       </div>
 
+      {/* Category Facets */}
+      <CategoryFacetPanel
+        facets={categoryFacets}
+        level={categoryLevel}
+        onLevelChange={handleCategoryLevelChange}
+        activeCategories={activeCategories}
+        onToggleCategory={handleToggleCategory}
+        onClearCategories={() => {
+          setActiveCategories([]);
+          setCurrentPage(1);
+        }}
+        onBlockCategory={category => handleSetCategoryBlocked(category, true)}
+        onTradeCategory={category => handleSetCategoryBlocked(category, false)}
+      />
+
       {/* Search and Filters */}
       <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 space-y-4">
         {/* Search */}
@@ -764,6 +962,15 @@ export default function ItemSelectorPage({
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider w-24">
                   Type
                 </th>
+                <th
+                  className="px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider w-40 cursor-pointer hover:text-gray-200 select-none"
+                  onClick={() => handleSort('category')}
+                >
+                  <div className="flex items-center gap-1">
+                    Category
+                    {sortBy === 'category' && <span>{sortDirection === 'asc' ? '↑' : '↓'}</span>}
+                  </div>
+                </th>
                 <th
                   className="px-4 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider w-40 cursor-pointer hover:text-gray-200 select-none"
                   onClick={() => handleSort('price')}
@@ -848,7 +1055,12 @@ export default function ItemSelectorPage({
                         onClick={e => e.stopPropagation()}
                       />
                     </td>
-                    <td className="px-4 py-3 text-sm text-gray-200">{item.name}</td>
+                    <td
+                      className={`px-4 py-3 text-sm text-gray-200 ${explanations ? 'cursor-help' : ''}`}
+                      title={explanations ? describeExplanation(explanations[item.id]) : undefined}
+                    >
+                      {item.name}
+                    </td>
                     <td className="px-4 py-3">
                       <span
                         className={`inline-flex items-center px-2 py-1 rounded text-xs font-medium ${
@@ -860,6 +1072,12 @@ export default function ItemSelectorPage({
                         {item.members ? 'P2P' : 'F2P'}
                       </span>
                     </td>
+                    <td
+                      className="px-4 py-3 text-sm text-gray-400"
+                      title={itemCategories.get(item.id)?.tags.join(', ')}
+                    >
+                      {getCategoryLabel(itemCategories.get(item.id), categoryLevel)}
+                    </td>
                     <td className="px-4 py-3 text-right">
                       <div className="text-sm text-gray-300 font-mono">
                         {price?.high ? `${price.high.toLocaleString()} gp` : 'N/A'}
@@ -927,10 +1145,22 @@ export default function ItemSelectorPage({
       )}
 
       {/* Download Button */}
-      <div className="sticky bottom-0 bg-gray-900/95 border-t border-gray-700 p-4 -mx-6 -mb-6">
+      <div className="sticky bottom-0 bg-gray-900/95 border-t border-gray-700 p-4 -mx-6 -mb-6 flex gap-3">
+        {onSave && (
+          <button
+            onClick={() =>
+              onSave({ mode, checkedIds: Array.from(checkedItems), source: selectionSource })
+            }
+            title={savesToProfile ? `Save as a new version of "${savesToProfile}"` : undefined}
+            className="px-6 py-4 bg-gray-700 hover:bg-gray-600 text-white font-semibold rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
+          >
+            <span>💾</span>
+            <span>{savesToProfile ? 'Save new version' : 'Save to library'}</span>
+          </button>
+        )}
         <button
           onClick={handleDownload}
-          className="w-full px-6 py-4 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
+          className="flex-1 px-6 py-4 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-lg transition-colors duration-200 flex items-center justify-center gap-2"
         >
           <span>📥</span>
           <span>Download Blocklist Profile</span>
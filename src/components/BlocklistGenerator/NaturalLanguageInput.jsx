@@ -15,7 +15,9 @@ export default function NaturalLanguageInput({ query, onQueryChange, onGenerate,
           className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-gray-200 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed"
         />
         <div className="flex justify-between items-center mt-2">
-          <span className="text-xs text-gray-500">Powered by Claude AI ✨</span>
+          <span className="text-xs text-gray-500">
+            Simple requests work offline; anything else asks Claude AI ✨
+          </span>
           <span className="text-xs text-gray-500">{query.length}/500</span>
         </div>
       </div>
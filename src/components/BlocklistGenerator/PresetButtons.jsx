@@ -1,26 +1,119 @@
-import { PRESET_PROFILES } from '../../utils/presetProfiles';
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { PRESET_PROFILES, fillTemplate, getDefaultParams } from '../../utils/presetProfiles';
+import { formatToShorthand } from '../../utils/parseShorthandNumber';
 
-export default function PresetButtons({ onSelectPreset, disabled }) {
-  const presets = Object.entries(PRESET_PROFILES);
+/**
+ * One template with an input per parameter
+ * Values accept shorthand like 500k or 1.5m; blank optional parameters drop
+ * their condition from the filter.
+ */
+function PresetCard({ name, template, disabled, onApply, onDelete }) {
+  const [inputs, setInputs] = useState(() =>
+    Object.fromEntries(
+      Object.entries(getDefaultParams(template)).map(([param, value]) => [
+        param,
+        formatToShorthand(value),
+      ])
+    )
+  );
+
+  const handleApply = () => {
+    try {
+      onApply(fillTemplate(template, inputs), name);
+    } catch (error) {
+      toast.error(`${name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="px-4 py-3 bg-gray-800 border border-gray-700 hover:border-blue-500 rounded-lg space-y-2 transition-all duration-200">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="font-medium text-gray-200 text-sm">{name}</div>
+          <div className="text-xs text-gray-500 mt-1">{template.description}</div>
+        </div>
+        {onDelete && (
+          <button
+            onClick={() => onDelete(name)}
+            title="Delete this template"
+            className="text-xs text-gray-500 hover:text-red-400"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-end gap-2">
+        {Object.entries(template.params || {}).map(([param, def]) => (
+          <label key={param} className="text-xs text-gray-400">
+            {def.label}
+            {def.optional && <span className="text-gray-600"> (optional)</span>}
+            <input
+              type="text"
+              value={inputs[param] ?? ''}
+              onChange={e => setInputs(prev => ({ ...prev, [param]: e.target.value }))}
+              onKeyDown={e => e.key === 'Enter' && handleApply()}
+              placeholder={def.optional ? 'any' : ''}
+              className="block w-20 mt-0.5 px-2 py-1 bg-gray-900 border border-gray-600 rounded text-sm text-white"
+            />
+          </label>
+        ))}
+        <button
+          onClick={handleApply}
+          disabled={disabled}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-sm text-white rounded transition-colors"
+        >
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Built-in and saved filter templates
+ * Applying one fills in its parameters and hands the filter config to
+ * onApplyPreset, which evaluates it locally without the AI service.
+ */
+export default function PresetButtons({
+  onApplyPreset,
+  userTemplates = {},
+  onDeleteTemplate,
+  disabled,
+}) {
+  const userEntries = Object.entries(userTemplates);
 
   return (
     <div className="space-y-3">
-      <p className="text-sm text-gray-400">Or try these presets:</p>
+      <p className="text-sm text-gray-400">Or start from a template:</p>
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
-        {presets.map(([name, config]) => (
-          <button
+        {Object.entries(PRESET_PROFILES).map(([name, template]) => (
+          <PresetCard
             key={name}
-            onClick={() => onSelectPreset(config.query)}
+            name={name}
+            template={template}
             disabled={disabled}
-            className="px-4 py-3 bg-gray-800 hover:bg-gray-700 disabled:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed border border-gray-700 hover:border-blue-500 rounded-lg text-left transition-all duration-200 group"
-          >
-            <div className="font-medium text-gray-200 text-sm group-hover:text-blue-400">
-              {name}
-            </div>
-            <div className="text-xs text-gray-500 mt-1">{config.description}</div>
-          </button>
+            onApply={onApplyPreset}
+          />
         ))}
       </div>
+      {userEntries.length > 0 && (
+        <>
+          <p className="text-sm text-gray-400">Your templates:</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {userEntries.map(([name, template]) => (
+              <PresetCard
+                key={name}
+                name={name}
+                template={template}
+                disabled={disabled}
+                onApply={onApplyPreset}
+                onDelete={onDeleteTemplate}
+              />
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 }
@@ -0,0 +1,313 @@
+import { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { parseProfile } from '../../utils/copilotProfile';
+import { diffBlockedIds, describeBlockChanges } from '../../utils/profileDiff';
+import { resolveFilterQuery } from '../../utils/claudeFilterService';
+import { evaluateFilterRules, describeExplanation } from '../../utils/filterRuleEvaluator';
+import { getBlockedIds } from '../../utils/profileLibrary';
+
+// Rows shown per change list before "show all"
+const PREVIEW_ROWS = 25;
+
+/**
+ * Read blocked IDs from a chosen .profile.json
+ * @returns {Promise<{label: string, blockedIds: number[]}|null>}
+ */
+async function readProfileFile(e) {
+  const file = e.target.files?.[0];
+  e.target.value = ''; // Allow re-selecting the same file
+  if (!file) return null;
+
+  try {
+    const { blockedItemIds } = parseProfile(await file.text());
+    return { label: file.name, blockedIds: blockedItemIds };
+  } catch (error) {
+    toast.error(`Couldn't load ${file.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pick any saved version of a library profile
+ * Resets after each pick, so the same version can be chosen again.
+ */
+function LibraryVersionPicker({ profiles, items, onPick }) {
+  if (profiles.length === 0) return null;
+
+  const handleChange = e => {
+    const [profileId, number] = e.target.value.split(':');
+    const profile = profiles.find(p => p.id === profileId);
+    const version = profile?.versions.find(v => String(v.version) === number);
+    if (!version) return;
+    onPick({
+      label: `${profile.name} v${version.version}`,
+      blockedIds: getBlockedIds(version, items),
+    });
+  };
+
+  return (
+    <select
+      value=""
+      onChange={handleChange}
+      aria-label="Saved profile version"
+      className="px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm text-gray-300"
+    >
+      <option value="">📚 Saved profile...</option>
+      {profiles.map(profile => (
+        <optgroup key={profile.id} label={profile.name}>
+          {[...profile.versions].reverse().map(version => (
+            <option key={version.version} value={`${profile.id}:${version.version}`}>
+              {profile.name} v{version.version}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
+
+function ChangeTable({ title, rows, tone, warnProfitable, explanations }) {
+  const [showAll, setShowAll] = useState(false);
+  const visibleRows = showAll ? rows : rows.slice(0, PREVIEW_ROWS);
+  const profitableCount = rows.filter(row => row.userProfit > 0).length;
+
+  return (
+    <div className="bg-gray-900/50 rounded-lg p-4">
+      <h4 className={`font-semibold mb-2 ${tone}`}>
+        {title} ({rows.length.toLocaleString()})
+      </h4>
+      {warnProfitable && profitableCount > 0 && (
+        <p className="text-sm text-yellow-300 mb-2">
+          ⚠️ {profitableCount} of these {profitableCount !== 1 ? 'are items' : 'is an item'} you
+          have made a profit on.
+        </p>
+      )}
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No items</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-1">Item</th>
+              <th className="py-1 text-right">Price</th>
+              <th className="py-1 text-right">24h Volume</th>
+              <th className="py-1 text-right">Your Profit</th>
+              <th className="py-1 text-right">Flips</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-800">
+            {visibleRows.map(row => (
+              <tr key={row.id}>
+                <td
+                  className={`py-1 text-gray-200 ${explanations ? 'cursor-help' : ''}`}
+                  title={explanations ? describeExplanation(explanations[row.id]) : undefined}
+                >
+                  {row.name}
+                </td>
+                <td className="py-1 text-right font-mono text-gray-300">
+                  {row.price !== null ? `${row.price.toLocaleString()} gp` : 'N/A'}
+                </td>
+                <td className="py-1 text-right font-mono text-gray-300">
+                  {row.volume !== null ? row.volume.toLocaleString() : 'N/A'}
+                </td>
+                <td
+                  className={`py-1 text-right font-mono ${
+                    row.userProfit > 0
+                      ? 'text-green-400'
+                      : row.userProfit < 0
+                        ? 'text-red-400'
+                        : 'text-gray-500'
+                  }`}
+                >
+                  {row.userProfit !== null ? `${row.userProfit.toLocaleString()} gp` : '-'}
+                </td>
+                <td className="py-1 text-right text-gray-400">{row.flipCount || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {rows.length > PREVIEW_ROWS && (
+        <button
+          onClick={() => setShowAll(prev => !prev)}
+          className="mt-2 text-sm text-blue-400 hover:text-blue-300"
+        >
+          {showAll ? 'Show less' : `Show all ${rows.length.toLocaleString()}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Compare a profile against another profile or a freshly evaluated filter
+ * Either side can be an uploaded file or a saved library version. Lists items
+ * newly blocked and newly unblocked, with current price, volume and the user's
+ * own profit on each.
+ */
+export default function ProfileComparison({
+  items,
+  priceData,
+  volumeData,
+  userItemStats,
+  importedProfile,
+  openedVersion,
+  libraryProfiles = [],
+}) {
+  const [chosenBaseline, setChosenBaseline] = useState(null);
+  const [candidate, setCandidate] = useState(null);
+  const [query, setQuery] = useState('');
+  const [evaluating, setEvaluating] = useState(false);
+
+  // The profile being edited - imported or opened from the library - is the default baseline
+  const baseline = useMemo(() => {
+    if (chosenBaseline) return chosenBaseline;
+    if (importedProfile) {
+      return { label: importedProfile.fileName, blockedIds: importedProfile.blockedItemIds };
+    }
+    if (openedVersion) {
+      return {
+        // Unsaved selections (e.g. from history) have no version number yet
+        label: openedVersion.profileId
+          ? `${openedVersion.name} v${openedVersion.version.version}`
+          : openedVersion.name,
+        blockedIds: getBlockedIds(openedVersion.version, items),
+      };
+    }
+    return null;
+  }, [chosenBaseline, importedProfile, openedVersion, items]);
+
+  const handleEvaluate = async () => {
+    if (!query.trim()) return;
+    setEvaluating(true);
+    try {
+      const { config } = await resolveFilterQuery(
+        query,
+        items.length,
+        Object.keys(priceData).length,
+        Object.keys(volumeData).length
+      );
+      const { blocked, explanations } = evaluateFilterRules(config, items, priceData, volumeData);
+      // Kept so each changed item can say which rule moved it
+      setCandidate({
+        label: `Filter: ${config.interpretation || query}`,
+        blockedIds: blocked,
+        explanations,
+      });
+    } catch (error) {
+      toast.error(`Couldn't evaluate filter: ${error.message}`);
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  const changes = useMemo(() => {
+    if (!baseline || !candidate) return null;
+    const diff = diffBlockedIds(baseline.blockedIds, candidate.blockedIds);
+    const data = { items, priceData, volumeData, userItemStats };
+    return {
+      ...diff,
+      blockedRows: describeBlockChanges(diff.newlyBlocked, data),
+      unblockedRows: describeBlockChanges(diff.newlyUnblocked, data),
+    };
+  }, [baseline, candidate, items, priceData, volumeData, userItemStats]);
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 mb-6 space-y-4">
+      <div>
+        <p className="text-white font-medium">🔍 Compare profiles</p>
+        <p className="text-sm text-gray-400">
+          See what a regenerated profile would block or unblock before you use it.
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <p className="text-sm text-gray-300">
+            Original:{' '}
+            <strong className="text-white">{baseline ? baseline.label : 'none selected'}</strong>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <label className="inline-block px-3 py-1 bg-gray-700 hover:bg-gray-600 text-sm text-gray-300 rounded cursor-pointer transition-colors">
+              📂 Choose profile
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={async e => {
+                  const loaded = await readProfileFile(e);
+                  if (loaded) setChosenBaseline(loaded);
+                }}
+              />
+            </label>
+            <LibraryVersionPicker
+              profiles={libraryProfiles}
+              items={items}
+              onPick={setChosenBaseline}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm text-gray-300">
+            New:{' '}
+            <strong className="text-white">{candidate ? candidate.label : 'none selected'}</strong>
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <label className="inline-block px-3 py-1 bg-gray-700 hover:bg-gray-600 text-sm text-gray-300 rounded cursor-pointer transition-colors">
+              📂 Choose profile
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={async e => {
+                  const loaded = await readProfileFile(e);
+                  if (loaded) setCandidate(loaded);
+                }}
+              />
+            </label>
+            <LibraryVersionPicker profiles={libraryProfiles} items={items} onPick={setCandidate} />
+            <input
+              type="text"
+              value={query}
+              onChange={e => setQuery(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleEvaluate()}
+              placeholder="or a filter, e.g. F2P items under 1m"
+              className="flex-1 min-w-[12rem] px-3 py-1 bg-gray-900 border border-gray-600 rounded text-sm text-white"
+            />
+            <button
+              onClick={handleEvaluate}
+              disabled={evaluating || !query.trim()}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-sm text-white rounded transition-colors"
+            >
+              {evaluating ? 'Evaluating...' : 'Evaluate'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {changes && (
+        <>
+          <p className="text-sm text-gray-400">
+            {changes.unchangedCount.toLocaleString()} items stay blocked.
+          </p>
+          <div className="grid lg:grid-cols-2 gap-4">
+            <ChangeTable
+              title="Newly blocked"
+              rows={changes.blockedRows}
+              tone="text-red-400"
+              warnProfitable
+              explanations={candidate.explanations}
+            />
+            <ChangeTable
+              title="Newly unblocked"
+              rows={changes.unblockedRows}
+              tone="text-green-400"
+              explanations={candidate.explanations}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
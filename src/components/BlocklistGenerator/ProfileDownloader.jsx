@@ -1,14 +1,12 @@
+import { buildProfile } from '../../utils/copilotProfile';
+
 /**
  * Download profile JSON file
  * Format matches the SuggestionPreferences model from OSRS Flipping Copilot plugin
  */
 export function downloadProfile(blockedIds, options = {}) {
-  const profile = {
-    blockedItemIds: blockedIds,
-    timeframe: options.timeframe || 5,
-    f2pOnlyMode: options.f2pOnly || false,
-    sellOnlyMode: false, // Explicitly set to false to match plugin expectations
-  };
+  // sellOnlyMode defaults to false to match plugin expectations
+  const profile = buildProfile(blockedIds, options);
 
   // Create JSON blob
   const json = JSON.stringify(profile, null, 2); // Pretty print for readability
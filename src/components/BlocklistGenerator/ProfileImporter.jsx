@@ -0,0 +1,145 @@
+import { useRef } from 'react';
+import { toast } from 'sonner';
+import { parseProfile, profileNameFromFile, resolveProfileItems } from '../../utils/copilotProfile';
+
+// Unknown IDs listed inline; the rest are summarized
+const VISIBLE_UNKNOWN_IDS = 20;
+
+/**
+ * Load an existing .profile.json to edit it
+ * The parent owns the imported profile; this reads the file, resolves its IDs
+ * against the item mapping and lets the user adjust the profile's settings.
+ */
+export default function ProfileImporter({ items, profile, onImport, onChange, onClear }) {
+  const inputRef = useRef(null);
+
+  const handleFile = async e => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow re-selecting the same file
+    if (!file) return;
+
+    try {
+      const parsed = parseProfile(await file.text());
+      const { knownIds, unknownIds } = resolveProfileItems(parsed.blockedItemIds, items);
+      onImport({
+        ...parsed,
+        name: profileNameFromFile(file.name),
+        fileName: file.name,
+        knownIds,
+        unknownIds,
+        keepUnknown: true,
+        loadedAt: Date.now(),
+      });
+      toast.success(`Loaded ${file.name}: ${knownIds.length.toLocaleString()} blocked items`);
+    } catch (error) {
+      toast.error(`Couldn't load ${file.name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 mb-6">
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFile}
+        className="hidden"
+      />
+
+      {!profile ? (
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <p className="text-white font-medium">Edit an existing profile</p>
+            <p className="text-sm text-gray-400">
+              Load a Flipping Copilot .profile.json to start from its blocklist and settings.
+            </p>
+          </div>
+          <button
+            onClick={() => inputRef.current?.click()}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+          >
+            📂 Load profile
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <p className="text-white font-medium">Editing {profile.fileName}</p>
+              <p className="text-sm text-gray-400">
+                {profile.knownIds.length.toLocaleString()} blocked items are checked below in "Block
+                these items" mode. Downloading keeps this profile's settings.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => inputRef.current?.click()}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-sm text-gray-300 rounded transition-colors"
+              >
+                Load another
+              </button>
+              <button
+                onClick={onClear}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-sm text-gray-300 rounded transition-colors"
+              >
+                Start fresh
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-300">
+            <span>
+              Timeframe: <strong className="text-white">{profile.timeframe}</strong>
+            </span>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={profile.f2pOnlyMode}
+                onChange={e => onChange({ f2pOnlyMode: e.target.checked })}
+              />
+              F2P only mode
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={profile.sellOnlyMode}
+                onChange={e => onChange({ sellOnlyMode: e.target.checked })}
+              />
+              Sell only mode
+            </label>
+          </div>
+
+          {profile.unknownIds.length > 0 && (
+            <div className="bg-yellow-900/20 border border-yellow-700/50 rounded p-3 text-sm">
+              <p className="text-yellow-300">
+                ⚠️ {profile.unknownIds.length.toLocaleString()} blocked ID
+                {profile.unknownIds.length !== 1 ? 's are' : ' is'} not in the current item list
+                (unknown, or no longer on the GE):{' '}
+                <span className="font-mono text-yellow-200">
+                  {profile.unknownIds.slice(0, VISIBLE_UNKNOWN_IDS).join(', ')}
+                  {profile.unknownIds.length > VISIBLE_UNKNOWN_IDS &&
+                    ` and ${profile.unknownIds.length - VISIBLE_UNKNOWN_IDS} more`}
+                </span>
+              </p>
+              <label className="flex items-center gap-2 mt-2 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={profile.keepUnknown}
+                  onChange={e => onChange({ keepUnknown: e.target.checked })}
+                />
+                Keep them blocked in the downloaded profile
+              </label>
+            </div>
+          )}
+
+          {profile.invalidEntries > 0 && (
+            <p className="text-sm text-yellow-300">
+              ⚠️ Skipped {profile.invalidEntries} blockedItemIds entr
+              {profile.invalidEntries !== 1 ? 'ies' : 'y'} that weren't item IDs.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,316 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import {
+  deleteProfile,
+  duplicateProfile,
+  getBlockedIds,
+  getLatestVersion,
+  reevaluateVersion,
+  renameProfile,
+  restoreProfileVersion,
+  saveProfileVersion,
+} from '../../utils/profileLibrary';
+import { diffBlockedIds } from '../../utils/profileDiff';
+import { resolveFilterQuery } from '../../utils/claudeFilterService';
+import { evaluateFilterRules, generateProfileNameFromRules } from '../../utils/filterRuleEvaluator';
+import {
+  deleteUserTemplate,
+  loadUserTemplates,
+  saveUserTemplate,
+  templateFromConfig,
+} from '../../utils/presetProfiles';
+import PresetButtons from './PresetButtons';
+
+const formatDate = timestamp => new Date(timestamp).toLocaleString();
+
+/**
+ * Saved profiles with their version history
+ * Profiles open into the item selector below; opening, restoring and
+ * re-evaluating hand the chosen version to the parent through onOpen.
+ */
+export default function ProfileLibrary({
+  profiles,
+  items,
+  priceData,
+  volumeData,
+  activeProfileId,
+  onOpen,
+  onChange,
+  onDownload,
+}) {
+  const [expandedId, setExpandedId] = useState(null);
+  const [query, setQuery] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [userTemplates, setUserTemplates] = useState(loadUserTemplates);
+
+  /** Evaluate a filter config locally and save the result as a new profile */
+  const createProfile = (config, name, source) => {
+    const { tradeable } = evaluateFilterRules(config, items, priceData, volumeData);
+    const profile = saveProfileVersion(null, {
+      name,
+      mode: 'trade',
+      checkedIds: tradeable.map(item => item.id),
+      source: { ...source, filterConfig: config },
+    });
+    onChange();
+    onOpen(profile, getLatestVersion(profile));
+    toast.success(`Saved "${profile.name}" with ${tradeable.length.toLocaleString()} items`);
+  };
+
+  const handleCreateFromFilter = async () => {
+    if (!query.trim()) return;
+    setCreating(true);
+    try {
+      const { config } = await resolveFilterQuery(
+        query,
+        items.length,
+        Object.keys(priceData).length,
+        Object.keys(volumeData).length
+      );
+      createProfile(config, generateProfileNameFromRules(config), { prompt: query.trim() });
+      setQuery('');
+    } catch (error) {
+      toast.error(`Couldn't evaluate filter: ${error.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleApplyPreset = (config, presetName) => {
+    createProfile(config, config.interpretation, {
+      prompt: config.interpretation,
+      preset: presetName,
+    });
+  };
+
+  const handleSaveTemplate = (profile, latest) => {
+    // eslint-disable-next-line no-alert
+    const name = prompt('Save this filter as a template named:', profile.name);
+    if (!name || !name.trim()) return;
+    if (
+      userTemplates[name.trim()] &&
+      // eslint-disable-next-line no-alert
+      !confirm(`Replace your template "${name.trim()}"?`)
+    ) {
+      return;
+    }
+    saveUserTemplate(name, templateFromConfig(name.trim(), latest.source.filterConfig));
+    setUserTemplates(loadUserTemplates());
+    toast.success(`Saved template "${name.trim()}"`);
+  };
+
+  const handleDeleteTemplate = name => {
+    // eslint-disable-next-line no-alert
+    if (!confirm(`Delete your template "${name}"?`)) return;
+    deleteUserTemplate(name);
+    setUserTemplates(loadUserTemplates());
+  };
+
+  const handleRename = profile => {
+    // eslint-disable-next-line no-alert
+    const name = prompt('Rename profile:', profile.name);
+    if (!name || !name.trim()) return;
+    renameProfile(profile.id, name);
+    onChange();
+  };
+
+  const handleDuplicate = profile => {
+    const copy = duplicateProfile(profile.id);
+    if (copy) toast.success(`Created "${copy.name}"`);
+    onChange();
+  };
+
+  const handleDelete = profile => {
+    // eslint-disable-next-line no-alert
+    if (!confirm(`Delete "${profile.name}" and all of its versions?`)) return;
+    deleteProfile(profile.id);
+    onChange();
+  };
+
+  const handleReevaluate = profile => {
+    const latest = getLatestVersion(profile);
+    let selection;
+    try {
+      selection = reevaluateVersion(latest, items, priceData, volumeData);
+    } catch (error) {
+      toast.error(`Couldn't re-evaluate "${profile.name}": ${error.message}`);
+      return;
+    }
+    if (!selection) return;
+
+    const { newlyBlocked, newlyUnblocked } = diffBlockedIds(
+      getBlockedIds(latest, items),
+      getBlockedIds(selection, items)
+    );
+    const updated = saveProfileVersion(profile.id, selection);
+    onChange();
+    if (profile.id === activeProfileId) onOpen(updated, getLatestVersion(updated));
+
+    if (newlyBlocked.length === 0 && newlyUnblocked.length === 0) {
+      toast.success(`"${profile.name}" is unchanged at current prices`);
+    } else {
+      toast.success(
+        `"${profile.name}" v${getLatestVersion(updated).version}: ` +
+          `${newlyBlocked.length} newly blocked, ${newlyUnblocked.length} newly unblocked`
+      );
+    }
+  };
+
+  const handleRestore = (profile, version) => {
+    const updated = restoreProfileVersion(profile.id, version);
+    if (!updated) return;
+    onChange();
+    onOpen(updated, getLatestVersion(updated));
+    toast.success(`Restored "${profile.name}" to v${version}`);
+  };
+
+  return (
+    <div className="bg-gray-800 border border-gray-700 rounded-lg p-4 mb-6 space-y-4">
+      <div>
+        <p className="text-white font-medium">📚 Profile library</p>
+        <p className="text-sm text-gray-400">
+          Saved profiles keep every version, so you can re-evaluate them against today's prices or
+          go back to an earlier version.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && handleCreateFromFilter()}
+          placeholder="New profile from a filter, e.g. members items between 1m and 10m"
+          className="flex-1 min-w-[16rem] px-3 py-2 bg-gray-900 border border-gray-600 rounded text-sm text-white"
+        />
+        <button
+          onClick={handleCreateFromFilter}
+          disabled={creating || !query.trim()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-sm text-white rounded transition-colors"
+        >
+          {creating ? 'Evaluating...' : 'Create'}
+        </button>
+      </div>
+
+      <PresetButtons
+        onApplyPreset={handleApplyPreset}
+        userTemplates={userTemplates}
+        onDeleteTemplate={handleDeleteTemplate}
+        disabled={creating}
+      />
+
+      {profiles.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No saved profiles yet. Use "Save to library" below, or create one from a filter or
+          template.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-700">
+          {profiles.map(profile => {
+            const latest = getLatestVersion(profile);
+            const isActive = profile.id === activeProfileId;
+            const isExpanded = profile.id === expandedId;
+
+            return (
+              <li key={profile.id} className="py-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div>
+                    <p className={`font-medium ${isActive ? 'text-green-400' : 'text-gray-200'}`}>
+                      {profile.name}
+                      {isActive && <span className="ml-2 text-xs text-green-500">(open)</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      v{latest.version} · {latest.checkedIds.length.toLocaleString()} items to{' '}
+                      {latest.mode} · created {formatDate(profile.createdAt)}
+                      {latest.source?.prompt && <> · "{latest.source.prompt}"</>}
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap gap-2 text-sm">
+                    <button
+                      onClick={() => onOpen(profile, latest)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                    >
+                      Open
+                    </button>
+                    <button
+                      onClick={() => onDownload(profile, latest)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                    >
+                      📥 Download
+                    </button>
+                    {latest.source?.filterConfig && (
+                      <button
+                        onClick={() => handleReevaluate(profile)}
+                        title="Run this profile's filter against current prices"
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                      >
+                        🔄 Re-evaluate
+                      </button>
+                    )}
+                    {latest.source?.filterConfig && (
+                      <button
+                        onClick={() => handleSaveTemplate(profile, latest)}
+                        title="Save this profile's filter as a reusable template with editable numbers"
+                        className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                      >
+                        Save as template
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleRename(profile)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      onClick={() => handleDuplicate(profile)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      onClick={() => setExpandedId(isExpanded ? null : profile.id)}
+                      className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition-colors"
+                    >
+                      History ({profile.versions.length})
+                    </button>
+                    <button
+                      onClick={() => handleDelete(profile)}
+                      className="px-3 py-1 bg-red-900/50 hover:bg-red-800/60 text-red-300 rounded transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <ul className="mt-2 ml-4 space-y-1 text-sm">
+                    {[...profile.versions].reverse().map(version => (
+                      <li key={version.version} className="flex items-center gap-3 text-gray-400">
+                        <span className="font-mono text-gray-300">v{version.version}</span>
+                        <span>{formatDate(version.savedAt)}</span>
+                        <span>
+                          {version.checkedIds.length.toLocaleString()} items to {version.mode}
+                        </span>
+                        {version.version === latest.version ? (
+                          <span className="text-xs text-gray-500">current</span>
+                        ) : (
+                          <button
+                            onClick={() => handleRestore(profile, version.version)}
+                            className="text-blue-400 hover:text-blue-300"
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -2,4 +2,8 @@ export { default as NaturalLanguageInput } from './NaturalLanguageInput';
 export { default as PresetButtons } from './PresetButtons';
 export { default as BlocklistPreview } from './BlocklistPreview';
 export { default as SimpleModeForm } from './SimpleModeForm';
+export { default as ProfileImporter } from './ProfileImporter';
+export { default as ProfileComparison } from './ProfileComparison';
+export { default as ProfileLibrary } from './ProfileLibrary';
+export { default as HistoryBlocklistGenerator } from './HistoryBlocklistGenerator';
 export { downloadProfile } from './ProfileDownloader';
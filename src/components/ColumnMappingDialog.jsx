@@ -0,0 +1,284 @@
+import { useState, useMemo } from 'react';
+import genericCsvImporter, {
+  CANONICAL_FIELDS,
+  guessMapping,
+  getMissingFields,
+  guessFormats,
+} from '../utils/importers/genericCsv';
+import { DATE_FORMATS, NUMBER_FORMATS } from '../utils/importers/normalize';
+import { diagnoseFlip, REJECTION_REASONS } from '../utils/importDiagnostics';
+import { formatGP } from '../utils/formatUtils';
+
+const formatTime = ms => (ms ? new Date(ms).toLocaleString() : '—');
+
+const selectClass = 'w-64 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white';
+
+/**
+ * Two-step wizard for CSVs that aren't a recognized export: map the file's
+ * columns to the canonical flip fields, then pick the date and number formats
+ * while checking how the first rows will be read.
+ */
+export default function ColumnMappingDialog({
+  fileName,
+  headers,
+  previewRows = [],
+  onConfirm,
+  onCancel,
+}) {
+  const [step, setStep] = useState('columns');
+  const [mapping, setMapping] = useState(() => guessMapping(headers));
+  const [formats, setFormats] = useState(null); // Guessed when entering the formats step
+  const [account, setAccount] = useState('');
+  const [remember, setRemember] = useState(true);
+
+  const missing = getMissingFields(mapping, headers);
+
+  const options = useMemo(
+    () => ({ mapping, account: account.trim() || undefined, ...formats }),
+    [mapping, account, formats]
+  );
+
+  const interpreted = useMemo(
+    () =>
+      step === 'formats'
+        ? previewRows.map(row => {
+            const flip = genericCsvImporter.normalizeRow(row, mapping, {
+              sourceFile: fileName,
+              options,
+            });
+            return { flip, rejection: diagnoseFlip(flip) };
+          })
+        : [],
+    [step, previewRows, mapping, fileName, options]
+  );
+
+  const updateField = (fieldKey, header) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (header) {
+        next[fieldKey] = header;
+      } else {
+        delete next[fieldKey];
+      }
+      return next;
+    });
+  };
+
+  const goToFormats = () => {
+    setFormats(prev => prev || guessFormats(previewRows, mapping));
+    setStep('formats');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4">
+      <div
+        className="bg-gray-800 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-auto"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="column-mapping-title"
+      >
+        <div className="border-b border-gray-700 p-4">
+          <h3 id="column-mapping-title" className="text-xl font-bold text-white">
+            Import {fileName}
+          </h3>
+          <p className="text-sm text-gray-400 mt-1">
+            {step === 'columns'
+              ? "Step 1 of 2: This file isn't a recognized export. Tell us which column holds each value."
+              : 'Step 2 of 2: Check that dates and numbers are read correctly.'}
+          </p>
+        </div>
+
+        {step === 'columns' ? (
+          <div className="p-4 space-y-4">
+            {previewRows.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="text-xs text-gray-300 whitespace-nowrap">
+                  <thead>
+                    <tr>
+                      {headers.map(header => (
+                        <th key={header} className="px-2 py-1 text-left text-gray-400">
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row, i) => (
+                      <tr key={i} className="border-t border-gray-700">
+                        {headers.map(header => (
+                          <td key={header} className="px-2 py-1">
+                            {row[header]}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="space-y-3">
+              {CANONICAL_FIELDS.map(field => (
+                <label key={field.key} className="flex items-center justify-between gap-4">
+                  <span className="text-sm text-gray-200">
+                    {field.label}
+                    {field.required && <span className="text-red-400"> *</span>}
+                  </span>
+                  <span className="flex items-center gap-3">
+                    <span className="text-xs text-gray-500 truncate max-w-[10rem]">
+                      {mapping[field.key] && previewRows[0]?.[mapping[field.key]]}
+                    </span>
+                    <select
+                      value={mapping[field.key] || ''}
+                      onChange={e => updateField(field.key, e.target.value)}
+                      className={selectClass}
+                    >
+                      <option value="">— not in file —</option>
+                      {headers.map(header => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            <label className="flex items-center justify-between gap-4">
+              <span className="text-sm text-gray-200">Date format</span>
+              <select
+                value={formats.dateFormat}
+                onChange={e => setFormats(prev => ({ ...prev, dateFormat: e.target.value }))}
+                className={selectClass}
+              >
+                {Object.entries(DATE_FORMATS).map(([id, format]) => (
+                  <option key={id} value={id}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex items-center justify-between gap-4">
+              <span className="text-sm text-gray-200">Number format</span>
+              <select
+                value={formats.numberFormat}
+                onChange={e => setFormats(prev => ({ ...prev, numberFormat: e.target.value }))}
+                className={selectClass}
+              >
+                {Object.entries(NUMBER_FORMATS).map(([id, format]) => (
+                  <option key={id} value={id}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {!mapping.account && (
+              <label className="flex items-center justify-between gap-4">
+                <span className="text-sm text-gray-200">Account name for all rows</span>
+                <input
+                  type="text"
+                  value={account}
+                  onChange={e => setAccount(e.target.value)}
+                  placeholder="Unknown"
+                  className={selectClass}
+                />
+              </label>
+            )}
+
+            {interpreted.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs text-gray-300 whitespace-nowrap">
+                  <thead>
+                    <tr className="text-gray-400 text-left">
+                      <th className="px-2 py-1">Item</th>
+                      <th className="px-2 py-1">Bought at</th>
+                      <th className="px-2 py-1">Sold at</th>
+                      <th className="px-2 py-1 text-right">Qty</th>
+                      <th className="px-2 py-1 text-right">Buy</th>
+                      <th className="px-2 py-1 text-right">Sell</th>
+                      <th className="px-2 py-1 text-right">Profit</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {interpreted.map(({ flip, rejection }, i) =>
+                      !rejection ? (
+                        <tr key={i} className="border-t border-gray-700">
+                          <td className="px-2 py-1 text-white">{flip.item}</td>
+                          <td className="px-2 py-1">{formatTime(flip.first_buy_time)}</td>
+                          <td className="px-2 py-1">{formatTime(flip.last_sell_time)}</td>
+                          <td className="px-2 py-1 text-right">{flip.bought.toLocaleString()}</td>
+                          <td className="px-2 py-1 text-right">{formatGP(flip.avg_buy_price)}</td>
+                          <td className="px-2 py-1 text-right">{formatGP(flip.avg_sell_price)}</td>
+                          <td className="px-2 py-1 text-right">{formatGP(flip.profit)}</td>
+                        </tr>
+                      ) : (
+                        <tr key={i} className="border-t border-gray-700">
+                          <td colSpan={7} className="px-2 py-1 text-orange-300">
+                            Row {i + 1} will be skipped: {REJECTION_REASONS[rejection.reason]} (
+                            {rejection.detail})
+                          </td>
+                        </tr>
+                      )
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={remember}
+                onChange={e => setRemember(e.target.checked)}
+              />
+              Remember these settings for files with the same columns
+            </label>
+          </div>
+        )}
+
+        <div className="border-t border-gray-700 p-4 flex items-center justify-between gap-4">
+          <p className="text-xs text-red-300">
+            {step === 'columns' && missing.length > 0 ? `Still needed: ${missing.join(', ')}` : ''}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            {step === 'columns' ? (
+              <button
+                onClick={goToFormats}
+                disabled={missing.length > 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-500 disabled:opacity-50"
+              >
+                Next
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => setStep('columns')}
+                  className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={() => onConfirm({ options, remember })}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-500"
+                >
+                  Import
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,33 +1,37 @@
 import { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
+import { SUPPORTED_EXTENSIONS } from '../utils/importers';
 
-export default function CsvDropzone({ onFileSelect, onDemoLoad }) {
+export default function CsvDropzone({ onFilesSelect, onDemoLoad }) {
   const onDrop = useCallback(
     acceptedFiles => {
-      const file = acceptedFiles[0];
-      if (file && file.name.endsWith('.csv')) {
-        onFileSelect(file);
+      const supportedFiles = acceptedFiles.filter(file =>
+        SUPPORTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+      );
+      if (supportedFiles.length > 0) {
+        onFilesSelect(supportedFiles);
       } else {
         // eslint-disable-next-line no-alert
-        window.alert('Please upload a flips.csv file from Flipping Copilot');
+        window.alert('Please upload a flips.csv from Flipping Copilot or a supported export');
       }
     },
-    [onFileSelect]
+    [onFilesSelect]
   );
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { 'text/csv': ['.csv'] },
-    maxFiles: 1,
+    accept: { 'text/csv': ['.csv'], 'application/json': ['.json'] },
+    multiple: true,
   });
 
   return (
     <div>
-      {/* Important notice about Show Buying */}
-      <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-4 mb-4">
-        <p className="text-red-200 text-sm">
-          <strong>⚠️ Important:</strong> "Show Buying" must be <strong>disabled</strong> in Flipping
-          Copilot settings before exporting. Only completed flips should be included in your export.
+      {/* Show Buying exports are supported - in-progress flips become open positions */}
+      <div className="bg-blue-900/20 border border-blue-500/50 rounded-lg p-4 mb-4">
+        <p className="text-blue-200 text-sm">
+          <strong>ℹ️ Tip:</strong> Exports with "Show Buying" enabled work too. Flips that are still
+          buying or selling appear under <strong>Open Positions</strong> and are not counted as
+          realized profit.
         </p>
       </div>
 
@@ -46,10 +50,16 @@ export default function CsvDropzone({ onFileSelect, onDemoLoad }) {
         <input {...getInputProps()} />
         <div className="text-6xl mb-4">📁</div>
         <p className="text-xl mb-2">
-          {isDragActive ? 'Drop your flips.csv here...' : 'Drag & drop your flips.csv here'}
+          {isDragActive ? 'Drop your export files here...' : 'Drag & drop your export files here'}
+        </p>
+        <p className="text-gray-400">or click to select files</p>
+        <p className="text-xs text-gray-500 mt-2">
+          Multiple exports (one per machine or account) are combined and de-duplicated
+        </p>
+        <p className="text-sm text-gray-500 mt-4">
+          Export from Flipping Copilot, or use a Flipping Utilities trade history (.json) or any
+          spreadsheet CSV
         </p>
-        <p className="text-gray-400">or click to select file</p>
-        <p className="text-sm text-gray-500 mt-4">Export from Flipping Copilot RuneLite plugin</p>
 
         {/* Browser compatibility note */}
         <p className="text-xs text-gray-600 mt-6">
@@ -1,6 +1,7 @@
 import React, { useState, useRef, useMemo } from 'react';
 import html2canvas from 'html2canvas-pro';
 import { formatGP } from '../utils';
+import { describeTradingDay } from '../utils/tradingDay';
 
 // Helper function to group summaries into time periods
 function groupSummariesByPeriod(summaries, mode) {
@@ -282,6 +283,11 @@ export default function DailySummary({ guestData, onDateSelect }) {
         <p className="text-sm sm:text-base text-gray-300">
           Detailed breakdown of your flipping performance over {summaries.length} trading days
         </p>
+        {guestData?.tradingDay && (
+          <p className="text-xs text-gray-500 mt-1">
+            Days run in {describeTradingDay(guestData.tradingDay)}
+          </p>
+        )}
       </div>
 
       {/* Statistics Overview */}
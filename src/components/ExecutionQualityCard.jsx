@@ -0,0 +1,72 @@
+import { useMemo } from 'react';
+import { useExecutionQuality } from '../hooks/useExecutionQuality';
+import { formatExecutionPct } from '../utils/executionAnalysis';
+
+// Keeps the dashboard to a handful of Wiki requests
+const DASHBOARD_MAX_ITEMS = 10;
+
+/**
+ * How well recent fills compare to the market, across the most-flipped items.
+ * Only flips from the last ~two weeks can be judged - that is as far back as
+ * the Wiki's hourly price history reaches.
+ */
+export default function ExecutionQualityCard({ flipsByDate }) {
+  const flips = useMemo(
+    () =>
+      Object.values(flipsByDate || {}).flatMap(day =>
+        Array.isArray(day) ? day : day?.flips || []
+      ),
+    [flipsByDate]
+  );
+  const { overall, analyzedItems, isLoading, error } = useExecutionQuality(flips, {
+    maxItems: DASHBOARD_MAX_ITEMS,
+  });
+
+  if (!isLoading && !error && overall.flipCount === 0) return null;
+
+  const metrics = [
+    {
+      label: 'Buy Slippage',
+      value: overall.buySlippagePct,
+      hint: 'paid above the market average low',
+      good: overall.buySlippagePct !== null && overall.buySlippagePct <= 0,
+    },
+    {
+      label: 'Sell Slippage',
+      value: overall.sellSlippagePct,
+      hint: 'sold below the market average high',
+      good: overall.sellSlippagePct !== null && overall.sellSlippagePct <= 0,
+    },
+    {
+      label: 'Spread Captured',
+      value: overall.capturedSpreadPct,
+      hint: 'of the market low-to-high spread',
+      good: overall.capturedSpreadPct !== null && overall.capturedSpreadPct >= 50,
+    },
+  ];
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg mb-8 flex flex-wrap gap-6 items-center">
+      <div>
+        <div className="text-white font-semibold">Execution Quality</div>
+        <div className="text-xs text-gray-500">
+          {isLoading
+            ? 'Loading market prices...'
+            : error ||
+              `${overall.flipCount.toLocaleString()} recent flips across ${analyzedItems} items`}
+        </div>
+      </div>
+      {!isLoading &&
+        !error &&
+        metrics.map(metric => (
+          <div key={metric.label} title={metric.hint}>
+            <div className="text-gray-400 text-sm">{metric.label}</div>
+            <div className={`text-xl font-bold ${metric.good ? 'text-green-400' : 'text-white'}`}>
+              {formatExecutionPct(metric.value)}
+            </div>
+          </div>
+        ))}
+      <div className="text-xs text-gray-500 ml-auto">vs OSRS Wiki 5m/1h average prices</div>
+    </div>
+  );
+}
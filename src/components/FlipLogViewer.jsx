@@ -2,6 +2,9 @@ import React, { useMemo, useState } from 'react';
 import { formatGP } from '../utils/formatUtils';
 import SortableTable from './SortableTable';
 import { ItemWithIcon } from './ItemIcon';
+import { getTradingClock, resolveTimezone } from '../utils/tradingDay';
+import { useExecutionQuality } from '../hooks/useExecutionQuality';
+import { formatExecutionPct } from '../utils/executionAnalysis';
 
 // Helper function to format duration
 const formatDuration = milliseconds => {
@@ -16,14 +19,15 @@ const formatDuration = milliseconds => {
   return `${minutes}m`;
 };
 
-// Helper function to format time
-const formatTime = dateString => {
+// Helper function to format time (in the trading day timezone, like the date buckets)
+const formatTime = (dateString, timeZone) => {
   if (!dateString) return '—';
   const date = new Date(dateString);
   return date.toLocaleTimeString('en-US', {
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
+    timeZone,
   });
 };
 
@@ -33,6 +37,7 @@ export default function FlipLogViewer({
   selectedDayHour = null, // Format: { day: 0-6, hour: 0-23 } for heatmap filtering
   onClose = null,
 }) {
+  const timeZone = resolveTimezone(guestData?.tradingDay?.timezone);
   const [sortField] = useState('lastSellTime');
   const [sortDirection] = useState('desc');
 
@@ -61,9 +66,7 @@ export default function FlipLogViewer({
         flips.forEach(flip => {
           const lastSellTime = flip.lastSellTime || flip.last_sell_time;
           if (lastSellTime) {
-            const sellDate = new Date(lastSellTime);
-            const dayOfWeek = sellDate.getDay();
-            const hour = sellDate.getHours();
+            const { dayOfWeek, hour } = getTradingClock(lastSellTime, guestData.tradingDay);
 
             if (dayOfWeek === selectedDayHour.day && hour === selectedDayHour.hour) {
               allFlips.push({
@@ -96,6 +99,14 @@ export default function FlipLogViewer({
     return allFlips;
   }, [guestData, selectedDate, selectedDayHour]);
 
+  // Market execution for recent flips of the most-flipped items
+  const execution = useExecutionQuality(flipsToDisplay);
+  const rows = useMemo(
+    () =>
+      flipsToDisplay.map((flip, i) => ({ ...flip, execution: execution.executions[i] || null })),
+    [flipsToDisplay, execution.executions]
+  );
+
   // Calculate summary stats
   const summary = useMemo(() => {
     if (flipsToDisplay.length === 0) return null;
@@ -178,6 +189,30 @@ export default function FlipLogViewer({
       sortValue: row => row.sellerTax || row.tax || 0,
       render: (value, row) => formatGP(value || row.tax || 0),
     },
+    {
+      key: 'buySlippage',
+      label: 'Buy Slip',
+      headerClass: 'text-right hidden xl:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden xl:table-cell',
+      sortValue: row => row.execution?.buySlippagePct ?? Infinity,
+      render: (_, row) => formatExecutionPct(row.execution?.buySlippagePct),
+    },
+    {
+      key: 'sellSlippage',
+      label: 'Sell Slip',
+      headerClass: 'text-right hidden xl:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden xl:table-cell',
+      sortValue: row => row.execution?.sellSlippagePct ?? Infinity,
+      render: (_, row) => formatExecutionPct(row.execution?.sellSlippagePct),
+    },
+    {
+      key: 'capturedSpread',
+      label: 'Spread',
+      headerClass: 'text-right hidden xl:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden xl:table-cell',
+      sortValue: row => row.execution?.capturedSpreadPct ?? -Infinity,
+      render: (_, row) => formatExecutionPct(row.execution?.capturedSpreadPct),
+    },
     {
       key: 'duration',
       label: 'Duration',
@@ -207,7 +242,7 @@ export default function FlipLogViewer({
         const lastSellTime = row.lastSellTime || row.last_sell_time;
         return lastSellTime ? new Date(lastSellTime).getTime() : 0;
       },
-      render: (value, row) => formatTime(value || row.last_sell_time),
+      render: (value, row) => formatTime(value || row.last_sell_time, timeZone),
     },
     {
       key: 'date',
@@ -366,7 +401,7 @@ export default function FlipLogViewer({
         </div>
 
         <SortableTable
-          data={flipsToDisplay}
+          data={rows}
           columns={flipColumns}
           initialSortField={sortField}
           initialSortDirection={sortDirection}
@@ -376,7 +411,9 @@ export default function FlipLogViewer({
 
       <p className="text-xs text-gray-500 mt-4">
         💡 Click column headers to sort. Some columns are hidden on smaller screens to improve
-        readability.
+        readability. Buy/Sell Slip compare fills to the Wiki market average low/high; Spread is the
+        share of that spread we captured
+        {execution.isLoading ? ' (loading market prices...)' : ''}.
       </p>
     </div>
   );
@@ -1,5 +1,6 @@
 import React, { useMemo, useState } from 'react';
 import { formatGP } from '../utils/formatUtils';
+import { getTradingClock, describeTradingDay } from '../utils/tradingDay';
 
 // Color intensity function for green/red gradient
 const getIntensityColor = (value, maxValue) => {
@@ -71,9 +72,8 @@ export default function HeatMap({ guestData, onCellClick = null }) {
         // Parse the sell time to get day of week and hour
         const lastSellTime = flip.lastSellTime || flip.last_sell_time;
         if (lastSellTime) {
-          const sellDate = new Date(lastSellTime);
-          const dayOfWeek = sellDate.getDay(); // 0 = Sunday, 6 = Saturday
-          const hour = sellDate.getHours(); // 0-23
+          // 0 = Sunday, 6 = Saturday; hour 0-23 in the trading day timezone
+          const { dayOfWeek, hour } = getTradingClock(lastSellTime, guestData.tradingDay);
 
           // Add to the grid
           if (grid[dayOfWeek] && grid[dayOfWeek][hour]) {
@@ -183,15 +183,15 @@ export default function HeatMap({ guestData, onCellClick = null }) {
     );
   }
 
-  // Get user's timezone for display
-  const userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  // Trading day setting the grid was built with, for display
+  const userTimezone = describeTradingDay(guestData.tradingDay);
 
   return (
     <div className="bg-gray-800 p-6 rounded-lg">
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
         <div>
           <h3 className="text-xl font-bold text-white">📊 Trading Heat Map</h3>
-          <p className="text-xs text-gray-400 mt-1">Hours shown in your timezone: {userTimezone}</p>
+          <p className="text-xs text-gray-400 mt-1">Hours shown in {userTimezone}</p>
         </div>
 
         {/* Metric toggle buttons and min flips input */}
@@ -0,0 +1,88 @@
+import { DIAGNOSTIC_COLUMNS, reasonLabel } from '../utils/importDiagnostics';
+import { exportToCsv, generateCsvFilename } from '../lib/csvExport';
+
+// Rejected rows listed on screen; the download has all of them
+const VISIBLE_ROWS = 10;
+
+/**
+ * Rows the importer dropped (or kept but flagged), grouped by reason
+ * Pass the counts from progress messages while processing, or the full report
+ * (with rows) once done to list rows and offer a CSV download.
+ */
+export default function ImportDiagnostics({ diagnostics, kind = 'skipped' }) {
+  if (!diagnostics || diagnostics.total === 0) return null;
+
+  const { total, byReason = {}, rows = [], truncated = false } = diagnostics;
+
+  const handleDownload = () => {
+    exportToCsv(
+      rows,
+      DIAGNOSTIC_COLUMNS,
+      generateCsvFilename(kind === 'flagged' ? 'import-flagged-rows' : 'import-diagnostics')
+    );
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 text-left">
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <div>
+          <h3 className="text-white font-semibold">
+            {total.toLocaleString()} row{total !== 1 ? 's' : ''} {kind}
+          </h3>
+          {kind === 'flagged' && (
+            <p className="text-xs text-gray-400">Imported as recorded - worth checking</p>
+          )}
+        </div>
+        {rows.length > 0 && (
+          <button
+            onClick={handleDownload}
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded"
+          >
+            Download report (CSV)
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {Object.entries(byReason).map(([reason, count]) => (
+          <span key={reason} className="px-2 py-1 bg-gray-700 rounded text-xs text-gray-200">
+            {reasonLabel(reason)}: {count.toLocaleString()}
+          </span>
+        ))}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs text-gray-300">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="px-2 py-1">File</th>
+                <th className="px-2 py-1 text-right">Line</th>
+                <th className="px-2 py-1">Reason</th>
+                <th className="px-2 py-1">Detail</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, VISIBLE_ROWS).map((row, i) => (
+                <tr key={i} className="border-t border-gray-700">
+                  <td className="px-2 py-1">{row.file}</td>
+                  <td className="px-2 py-1 text-right font-mono">{row.line}</td>
+                  <td className="px-2 py-1">{reasonLabel(row.reason)}</td>
+                  <td className="px-2 py-1 text-gray-400">{row.detail}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {(rows.length > VISIBLE_ROWS || truncated) && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing {Math.min(VISIBLE_ROWS, rows.length)} of {total.toLocaleString()}.{' '}
+              {truncated
+                ? `The report lists the first ${rows.length.toLocaleString()}.`
+                : 'Download the report for the full list.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
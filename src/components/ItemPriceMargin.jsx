@@ -10,8 +10,18 @@ import {
   Tooltip,
   ReferenceLine,
   ReferenceArea,
+  Line,
+  Area,
+  Legend,
 } from 'recharts';
 import ChartFullscreenModal from './ChartFullscreenModal';
+import { useMarketTimeseries } from '../hooks/useMarketTimeseries';
+import { TIMESERIES_STEPS, chooseTimestep } from '../utils/osrsWikiApi';
+import { marginAfterTax, marginPercentAfterTax } from '../utils/geTax';
+
+// Market chart padding around our fills: 5% of their span, at least an hour
+const MARKET_PAD_RATIO = 0.05;
+const MARKET_MIN_PAD_MS = 60 * 60 * 1000;
 
 // Format numbers as GP
 function formatGP(n) {
@@ -36,8 +46,35 @@ function ScatterDot(props) {
   return <circle cx={cx} cy={cy} r={r} fill={color} opacity={0.7} />;
 }
 
-export default function ItemPriceMargin({ flips = [] }) {
+function MarketTooltip({ active, payload, label }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const fill = payload.find(p => p?.payload?.side)?.payload;
+  const market = payload.find(p => p?.payload && 'avgHigh' in p.payload)?.payload;
+  const ts = fill?.tsMs ?? label;
+  return (
+    <div className="bg-gray-900 border border-gray-700 rounded-md px-3 py-2 text-xs text-gray-100">
+      <div className="font-medium">{ts ? new Date(ts).toLocaleString() : ''}</div>
+      {fill && (
+        <div className={fill.side === 'buy' ? 'text-blue-300' : 'text-amber-300'}>
+          Our {fill.side}: {formatGP(fill.price)}
+        </div>
+      )}
+      {market && (
+        <>
+          <div>Market high: {market.avgHigh ? formatGP(market.avgHigh) : '—'}</div>
+          <div>Market low: {market.avgLow ? formatGP(market.avgLow) : '—'}</div>
+          <div className="text-gray-400">Volume: {market.volume.toLocaleString()}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function ItemPriceMargin({ flips = [], itemName }) {
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [view, setView] = useState('margin'); // 'margin' | 'market'
+  const [timestepChoice, setTimestepChoice] = useState('auto');
+  const [openedAt] = useState(() => Date.now());
   const containerRef = useRef(null);
   const containerRefFs = useRef(null);
   // no scale capture; rely on activeLabel (x) and activePayload (y)
@@ -63,9 +100,11 @@ export default function ItemPriceMargin({ flips = [] }) {
       const sell = Number(f.avgSellPrice ?? f.sellPrice);
       const profit = Number(f.profit);
       const quantity = Number(f.quantity ?? f.bought ?? f.sold ?? 1) || 1;
+      // Margins are after the GE tax in force when the flip sold
+      const taxOptions = { itemName: f.item || itemName, date: tsMs };
       const marginPct =
         Number.isFinite(buy) && buy > 0 && Number.isFinite(sell)
-          ? ((sell - buy) / buy) * 100
+          ? marginPercentAfterTax(buy, sell, taxOptions)
           : Number(f.marginPct);
       if (!Number.isFinite(marginPct)) continue;
       pts.push({
@@ -74,7 +113,7 @@ export default function ItemPriceMargin({ flips = [] }) {
         profit: Number.isFinite(profit)
           ? profit
           : Number.isFinite(buy) && Number.isFinite(sell)
-            ? (sell - buy) * quantity
+            ? marginAfterTax(buy, sell, taxOptions) * quantity
             : 0,
         quantity,
       });
@@ -102,7 +141,7 @@ export default function ItemPriceMargin({ flips = [] }) {
       success: successCount,
       total: pts.length,
     };
-  }, [flips]);
+  }, [flips, itemName]);
 
   // Zoom state and selection
   const [xDomain, setXDomain] = useState([base.xMin, base.xMax]);
@@ -166,6 +205,48 @@ export default function ItemPriceMargin({ flips = [] }) {
     return { label: 'Volatile', sigma };
   }, [viewPoints]);
 
+  // Our buy and sell fills, plotted against the market's average high/low
+  const fills = useMemo(() => {
+    const points = [];
+    for (const f of flips || []) {
+      const buyTs = Date.parse(f.startTime || f.first_buy_time || '');
+      const sellTs = Date.parse(f.endTime || f.last_sell_time || '');
+      const buy = Number(f.avgBuyPrice ?? f.buyPrice);
+      const sell = Number(f.avgSellPrice ?? f.sellPrice);
+      if (Number.isFinite(buyTs) && buy > 0) points.push({ tsMs: buyTs, price: buy, side: 'buy' });
+      if (Number.isFinite(sellTs) && sell > 0) {
+        points.push({ tsMs: sellTs, price: sell, side: 'sell' });
+      }
+    }
+    const times = points.map(p => p.tsMs);
+    const first = times.length ? Math.min(...times) : null;
+    const last = times.length ? Math.max(...times) : null;
+    // Pad so a single fill still shows the market around it
+    const pad = first === null ? 0 : Math.max(MARKET_MIN_PAD_MS, (last - first) * MARKET_PAD_RATIO);
+    return {
+      buys: points.filter(p => p.side === 'buy'),
+      sells: points.filter(p => p.side === 'sell'),
+      xMin: first === null ? null : first - pad,
+      xMax: last === null ? null : last + pad,
+    };
+  }, [flips]);
+
+  // Auto picks the finest timestep whose history reaches back to the first fill
+  const timestep =
+    timestepChoice === 'auto'
+      ? fills.xMin !== null
+        ? chooseTimestep(openedAt - fills.xMin)
+        : null
+      : timestepChoice;
+  const market = useMarketTimeseries(view === 'market' ? itemName : null, timestep);
+  const marketPoints = useMemo(
+    () =>
+      fills.xMin === null
+        ? []
+        : market.points.filter(p => p.tsMs >= fills.xMin && p.tsMs <= fills.xMax),
+    [market.points, fills.xMin, fills.xMax]
+  );
+
   if (!base.points || base.points.length === 0) {
     return (
       <div className="bg-gray-800 p-6 rounded-lg">
@@ -370,6 +451,101 @@ export default function ItemPriceMargin({ flips = [] }) {
     );
   };
 
+  const chartTitle = view === 'market' ? 'Fills vs Market Prices' : 'Margin Performance Timeline';
+
+  const renderMarketChart = (tall = false) => (
+    <div className={tall ? 'h-[70vh]' : 'h-64'}>
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={marketPoints} margin={{ top: 8, right: 20, left: 12, bottom: 8 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis
+            dataKey="tsMs"
+            type="number"
+            domain={[fills.xMin, fills.xMax]}
+            tickFormatter={v => new Date(v).toLocaleDateString()}
+            stroke="#9CA3AF"
+            fontSize={12}
+          />
+          <YAxis
+            yAxisId="price"
+            domain={['auto', 'auto']}
+            stroke="#9CA3AF"
+            fontSize={12}
+            tickFormatter={v => v.toLocaleString()}
+          />
+          <YAxis yAxisId="volume" orientation="right" hide />
+          <Tooltip content={<MarketTooltip />} />
+          <Legend />
+          <Area
+            yAxisId="volume"
+            dataKey="volume"
+            name="Market volume"
+            stroke="none"
+            fill="#6b7280"
+            fillOpacity={0.25}
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="price"
+            dataKey="avgHigh"
+            name="Market avg high"
+            stroke="#f97316"
+            strokeWidth={1}
+            dot={false}
+            connectNulls
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="price"
+            dataKey="avgLow"
+            name="Market avg low"
+            stroke="#60a5fa"
+            strokeWidth={1}
+            dot={false}
+            connectNulls
+            isAnimationActive={false}
+          />
+          <Scatter
+            yAxisId="price"
+            data={fills.buys}
+            dataKey="price"
+            name="Our buys"
+            fill="#3b82f6"
+            isAnimationActive={false}
+          />
+          <Scatter
+            yAxisId="price"
+            data={fills.sells}
+            dataKey="price"
+            name="Our sells"
+            fill="#f59e0b"
+            isAnimationActive={false}
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  const renderMarketStatus = () => {
+    if (market.isLoading) {
+      return <p className="text-xs text-gray-400 mb-2">Loading market prices...</p>;
+    }
+    if (market.error) return <p className="text-xs text-red-400 mb-2">{market.error}</p>;
+    if (marketPoints.length === 0) {
+      return (
+        <p className="text-xs text-gray-400 mb-2">
+          No {timestep} market history overlaps these flips. Try a longer timestep.
+        </p>
+      );
+    }
+    return (
+      <p className="text-xs text-gray-400 mb-2">
+        Buys near the blue market low and sells near the orange market high captured the spread;
+        fills beyond the lines chased the market.
+      </p>
+    );
+  };
+
   const renderFocusChart = () => {
     if (!focus) return null;
     return (
@@ -441,61 +617,111 @@ export default function ItemPriceMargin({ flips = [] }) {
   return (
     <div className="bg-gray-800 rounded-lg p-4">
       <div className="flex items-center justify-between mb-3">
-        <h3 className="text-lg font-semibold text-white">Margin Performance Timeline</h3>
-        <button
-          onClick={() => setIsFullscreen(true)}
-          className="p-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-colors"
-          title="Maximize chart"
-        >
-          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M4 8V4m0 0h4M4 4l5 5m11-5h-4m4 0v4m0-4l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"
-            />
-          </svg>
-        </button>
-      </div>
-      {isDragging && refLeft !== null && refRight !== null && (
-        <div className="mb-2 text-[11px] text-gray-300">
-          <span className="px-2 py-1 bg-gray-700/60 rounded border border-gray-600">
-            {new Date(Math.min(refLeft, refRight)).toLocaleDateString()} →{' '}
-            {new Date(Math.max(refLeft, refRight)).toLocaleDateString()} | Y:{' '}
-            {refTop !== null && refBottom !== null
-              ? `${Math.min(refTop, refBottom).toFixed(2)}%–${Math.max(refTop, refBottom).toFixed(2)}%`
-              : 'auto'}
-          </span>
-        </div>
-      )}
-      <p className="text-xs text-gray-400 mb-2">
-        Tip: Drag to draw a rectangle for a detailed selection view below.
-      </p>
-      {renderChart(false, containerRef)}
-      {renderFocusChart()}
-      <div className="flex flex-wrap items-center justify-between mt-3 text-xs text-gray-300 gap-2">
-        <div>
-          <span className="text-gray-400">Consistency:</span>{' '}
-          <span className="font-semibold text-white">{volatility.label}</span>{' '}
-          <span className="text-gray-500">
-            (σ {stddev(viewPoints.map(p => p.marginPct)).toFixed(2)}%)
-          </span>
-        </div>
-        <div>
-          <span className="text-gray-400">Success:</span>{' '}
-          <span className="font-semibold text-white">
-            {viewPoints.filter(p => p.marginPct >= 0).length}/{viewPoints.length} profitable
-          </span>
+        <h3 className="text-lg font-semibold text-white">{chartTitle}</h3>
+        <div className="flex items-center gap-2">
+          {view === 'market' && (
+            <select
+              value={timestepChoice}
+              onChange={e => setTimestepChoice(e.target.value)}
+              className="px-2 py-1 bg-gray-700 text-white text-sm rounded"
+              title="Market price interval"
+            >
+              <option value="auto">Auto{timestep ? ` (${timestep})` : ''}</option>
+              {TIMESERIES_STEPS.map(step => (
+                <option key={step} value={step}>
+                  {step}
+                </option>
+              ))}
+            </select>
+          )}
+          <div className="flex rounded overflow-hidden border border-gray-600 text-sm">
+            {[
+              { value: 'margin', label: 'Margin %' },
+              { value: 'market', label: 'vs Market' },
+            ].map(option => (
+              <button
+                key={option.value}
+                onClick={() => setView(option.value)}
+                className={`px-3 py-1 ${
+                  view === option.value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-900 text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setIsFullscreen(true)}
+            className="p-2 bg-gray-700 hover:bg-gray-600 text-white rounded-md transition-colors"
+            title="Maximize chart"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 8V4m0 0h4M4 4l5 5m11-5h-4m4 0v4m0-4l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"
+              />
+            </svg>
+          </button>
         </div>
       </div>
+      {view === 'market' ? (
+        <>
+          {renderMarketStatus()}
+          {renderMarketChart(false)}
+        </>
+      ) : (
+        <>
+          {isDragging && refLeft !== null && refRight !== null && (
+            <div className="mb-2 text-[11px] text-gray-300">
+              <span className="px-2 py-1 bg-gray-700/60 rounded border border-gray-600">
+                {new Date(Math.min(refLeft, refRight)).toLocaleDateString()} →{' '}
+                {new Date(Math.max(refLeft, refRight)).toLocaleDateString()} | Y:{' '}
+                {refTop !== null && refBottom !== null
+                  ? `${Math.min(refTop, refBottom).toFixed(2)}%–${Math.max(refTop, refBottom).toFixed(2)}%`
+                  : 'auto'}
+              </span>
+            </div>
+          )}
+          <p className="text-xs text-gray-400 mb-2">
+            Tip: Drag to draw a rectangle for a detailed selection view below.
+          </p>
+          {renderChart(false, containerRef)}
+          {renderFocusChart()}
+          <div className="flex flex-wrap items-center justify-between mt-3 text-xs text-gray-300 gap-2">
+            <div>
+              <span className="text-gray-400">Consistency:</span>{' '}
+              <span className="font-semibold text-white">{volatility.label}</span>{' '}
+              <span className="text-gray-500">
+                (σ {stddev(viewPoints.map(p => p.marginPct)).toFixed(2)}%)
+              </span>
+            </div>
+            <div>
+              <span className="text-gray-400">Success:</span>{' '}
+              <span className="font-semibold text-white">
+                {viewPoints.filter(p => p.marginPct >= 0).length}/{viewPoints.length} profitable
+              </span>
+            </div>
+          </div>
+        </>
+      )}
 
       <ChartFullscreenModal
         isOpen={isFullscreen}
         onClose={() => setIsFullscreen(false)}
-        title="Margin Performance Timeline"
+        title={chartTitle}
       >
-        {renderChart(true, containerRefFs)}
-        {renderFocusChart()}
+        {view === 'market' ? (
+          renderMarketChart(true)
+        ) : (
+          <>
+            {renderChart(true, containerRefFs)}
+            {renderFocusChart()}
+          </>
+        )}
       </ChartFullscreenModal>
     </div>
   );
@@ -505,4 +731,5 @@ export default function ItemPriceMargin({ flips = [] }) {
 
 ItemPriceMargin.propTypes = {
   flips: PropTypes.array,
+  itemName: PropTypes.string,
 };
@@ -2,6 +2,9 @@ import React, { useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { FixedSizeList as VirtualList } from 'react-window';
 import { formatGP, formatDuration, formatROI } from '../utils/formatUtils';
+import { formatExecutionPct } from '../utils/executionAnalysis';
+
+const pctCell = value => (typeof value === 'number' ? value.toFixed(2) : '');
 
 function toCSV(rows) {
   const headers = [
@@ -13,6 +16,9 @@ function toCSV(rows) {
     'Duration(min)',
     'ROI(%)',
     'Tax',
+    'Buy Slippage(%)',
+    'Sell Slippage(%)',
+    'Captured Spread(%)',
   ];
   const lines = rows.map(r =>
     [
@@ -24,6 +30,9 @@ function toCSV(rows) {
       r.durationMin ?? '',
       typeof r.roi === 'number' ? (r.roi * 100).toFixed(2) : '',
       r.tax ?? '',
+      pctCell(r.execution?.buySlippagePct),
+      pctCell(r.execution?.sellSlippagePct),
+      pctCell(r.execution?.capturedSpreadPct),
     ].join(',')
   );
   return [headers.join(','), ...lines].join('\n');
@@ -60,12 +69,27 @@ function HeaderCell({ label, keyId, align = 'left', sortKey, sortDir, toggleSort
   );
 }
 
+// Lower slippage and higher captured spread are better
+function ExecutionCell({ value, goodWhenLow = true, title }) {
+  const isGood = typeof value === 'number' && (goodWhenLow ? value <= 0 : value >= 50);
+  return (
+    <div
+      className={`col-span-1 px-3 py-2 text-right ${
+        typeof value !== 'number' ? 'text-gray-500' : isGood ? 'text-green-400' : 'text-gray-200'
+      }`}
+      title={title}
+    >
+      {formatExecutionPct(value)}
+    </div>
+  );
+}
+
 // Row component moved outside to prevent recreation on each render
 function Row({ row, style }) {
   return (
     <div
       style={style}
-      className="grid grid-cols-12 border-t border-gray-700 items-center text-sm hover:bg-gray-800"
+      className="grid grid-cols-15 border-t border-gray-700 items-center text-sm hover:bg-gray-800"
     >
       <div className="col-span-3 px-3 py-2 text-gray-200">
         {row.ts ? new Date(row.ts).toLocaleString() : '-'}
@@ -90,11 +114,29 @@ function Row({ row, style }) {
       <div className="col-span-1 px-3 py-2 text-right text-gray-200">
         {typeof row.roi === 'number' ? formatROI(row.roi) : '-'}
       </div>
+      <ExecutionCell
+        value={row.execution?.buySlippagePct}
+        title={
+          row.execution?.marketLow ? `Market avg low: ${formatGP(row.execution.marketLow)}` : ''
+        }
+      />
+      <ExecutionCell
+        value={row.execution?.sellSlippagePct}
+        title={
+          row.execution?.marketHigh ? `Market avg high: ${formatGP(row.execution.marketHigh)}` : ''
+        }
+      />
+      <ExecutionCell value={row.execution?.capturedSpreadPct} goodWhenLow={false} />
     </div>
   );
 }
 
-export default function ItemTransactions({ flips = [], pageSize = 20, itemName = 'Item' }) {
+export default function ItemTransactions({
+  flips = [],
+  executions = null,
+  pageSize = 20,
+  itemName = 'Item',
+}) {
   const [sortKey, setSortKey] = useState('date');
   const [sortDir, setSortDir] = useState('desc');
   const [page, setPage] = useState(0);
@@ -103,7 +145,7 @@ export default function ItemTransactions({ flips = [], pageSize = 20, itemName =
   const [scrollbarWidth] = useState(() => measureScrollbarWidth());
 
   const sorted = useMemo(() => {
-    const arr = [...flips];
+    const arr = flips.map((flip, i) => ({ ...flip, execution: executions?.[i] || null }));
     const dir = sortDir === 'asc' ? 1 : -1;
     arr.sort((a, b) => {
       switch (sortKey) {
@@ -121,12 +163,20 @@ export default function ItemTransactions({ flips = [], pageSize = 20, itemName =
           return dir * ((a.durationMin ?? 0) - (b.durationMin ?? 0));
         case 'roi':
           return dir * ((a.roi ?? 0) - (b.roi ?? 0));
+        case 'buySlip':
+          return dir * ((a.execution?.buySlippagePct ?? 0) - (b.execution?.buySlippagePct ?? 0));
+        case 'sellSlip':
+          return dir * ((a.execution?.sellSlippagePct ?? 0) - (b.execution?.sellSlippagePct ?? 0));
+        case 'captured':
+          return (
+            dir * ((a.execution?.capturedSpreadPct ?? 0) - (b.execution?.capturedSpreadPct ?? 0))
+          );
         default:
           return 0;
       }
     });
     return arr;
-  }, [flips, sortKey, sortDir]);
+  }, [flips, executions, sortKey, sortDir]);
 
   const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
   const current = showAll ? sorted : sorted.slice(page * pageSize, page * pageSize + pageSize);
@@ -174,7 +224,7 @@ export default function ItemTransactions({ flips = [], pageSize = 20, itemName =
 
       {/* Header */}
       <div
-        className="grid grid-cols-12 bg-gray-700 rounded-t"
+        className="grid grid-cols-15 bg-gray-700 rounded-t"
         style={showAll && scrollbarWidth ? { paddingRight: scrollbarWidth } : undefined}
       >
         <div className="col-span-3">
@@ -246,6 +296,39 @@ export default function ItemTransactions({ flips = [], pageSize = 20, itemName =
             toggleSort={toggleSort}
           />
         </div>
+        <div className="col-span-1 text-right" title="Paid above the market average low">
+          <HeaderCell
+            label="Buy Slip"
+            keyId="buySlip"
+            align="right"
+            sortKey={sortKey}
+            sortDir={sortDir}
+            toggleSort={toggleSort}
+          />
+        </div>
+        <div className="col-span-1 text-right" title="Sold below the market average high">
+          <HeaderCell
+            label="Sell Slip"
+            keyId="sellSlip"
+            align="right"
+            sortKey={sortKey}
+            sortDir={sortDir}
+            toggleSort={toggleSort}
+          />
+        </div>
+        <div
+          className="col-span-1 text-right"
+          title="Our margin as a share of the market low-to-high spread"
+        >
+          <HeaderCell
+            label="Spread"
+            keyId="captured"
+            align="right"
+            sortKey={sortKey}
+            sortDir={sortDir}
+            toggleSort={toggleSort}
+          />
+        </div>
       </div>
 
       {/* Body */}
@@ -311,6 +394,7 @@ export default function ItemTransactions({ flips = [], pageSize = 20, itemName =
 
 ItemTransactions.propTypes = {
   flips: PropTypes.array,
+  executions: PropTypes.array,
   pageSize: PropTypes.number,
   itemName: PropTypes.string,
 };
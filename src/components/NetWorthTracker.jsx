@@ -0,0 +1,305 @@
+import { useMemo, useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from 'recharts';
+import { toast } from 'sonner';
+import { formatGP } from '../utils/formatUtils';
+import { useETACalculator, formatETA } from './ETACalculator';
+import {
+  LEDGER_ENTRY_TYPES,
+  addLedgerEntry,
+  buildNetWorthSeries,
+  deleteLedgerEntry,
+  filterLedger,
+  loadCapitalLedger,
+  signedAmount,
+  summarizeNetWorth,
+} from '../utils/capitalLedger';
+
+const SERIES_LABELS = { net_worth: 'Net Worth', capital: 'Capital In' };
+
+const emptyForm = account => ({ account, type: 'starting', amount: '', date: '', note: '' });
+
+/**
+ * Net worth from a hand-entered capital ledger plus realized profit
+ * Also feeds the time-to-max-cash projection, which needs a real net worth.
+ */
+export default function NetWorthTracker({
+  guestData,
+  accounts = [],
+  visibleAccounts = [],
+  openPositions,
+}) {
+  const [ledger, setLedger] = useState(loadCapitalLedger);
+  const [form, setForm] = useState(() => emptyForm(accounts[0] || ''));
+  const [includeOpen, setIncludeOpen] = useState(false);
+
+  const visibleLedger = useMemo(
+    () => filterLedger(ledger, visibleAccounts),
+    [ledger, visibleAccounts]
+  );
+  const series = useMemo(
+    () => buildNetWorthSeries(guestData.dailySummaries, visibleLedger),
+    [guestData.dailySummaries, visibleLedger]
+  );
+
+  const openTotals = openPositions?.totals;
+  const hasOpen = openTotals?.count > 0;
+  const summary = summarizeNetWorth(
+    visibleLedger,
+    guestData.totalProfit || 0,
+    includeOpen && hasOpen ? openTotals.unrealizedProfit : null
+  );
+  const eta = useETACalculator(series, summary.netWorth);
+  const hasLedger = visibleLedger.length > 0;
+
+  const handleAdd = event => {
+    event.preventDefault();
+    try {
+      setLedger(addLedgerEntry(form));
+      setForm(current => ({ ...emptyForm(current.account), type: 'deposit' }));
+      toast.success('Ledger entry added');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = entry => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Delete this ${LEDGER_ENTRY_TYPES[entry.type].label.toLowerCase()}?`)) {
+      return;
+    }
+    setLedger(deleteLedgerEntry(entry.id));
+  };
+
+  const stats = [
+    { label: 'Net Worth', value: formatGP(summary.netWorth), className: 'text-white' },
+    { label: 'Capital In', value: formatGP(summary.capital), className: 'text-gray-200' },
+    {
+      label: 'Realized Profit',
+      value: formatGP(summary.realizedProfit),
+      className: summary.realizedProfit >= 0 ? 'text-green-400' : 'text-red-400',
+    },
+    {
+      label: 'Time to Max Cash',
+      value: hasLedger ? formatETA(eta.eta, eta.confidence) : 'Add a starting bankroll',
+      className: 'text-yellow-300',
+      title: eta.estimates
+        ? `Linear ${eta.estimates.linear}d, exponential ${eta.estimates.exponential}d, ` +
+          `weighted ${eta.estimates.weighted}d, compound ${eta.estimates.compound}d`
+        : undefined,
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {stats.map(stat => (
+          <div key={stat.label} className="bg-gray-800 p-6 rounded-lg" title={stat.title}>
+            <div className="text-gray-400 text-sm">{stat.label}</div>
+            <div className={`text-2xl font-bold ${stat.className}`}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-gray-800 p-6 rounded-lg">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-bold text-white">Net Worth Over Time</h3>
+          <label
+            className={`flex items-center gap-2 text-sm ${hasOpen ? 'text-gray-300' : 'text-gray-500'}`}
+            title="Counts held items at the current GE price, after tax"
+          >
+            <input
+              type="checkbox"
+              checked={includeOpen && hasOpen}
+              disabled={!hasOpen}
+              onChange={e => setIncludeOpen(e.target.checked)}
+            />
+            Include open positions in today&apos;s net worth
+            {includeOpen && hasOpen && (
+              <span className="text-gray-400">
+                ({summary.openPositionsProfit >= 0 ? '+' : ''}
+                {formatGP(summary.openPositionsProfit)}
+                {openTotals.unpricedCount > 0 && `, ${openTotals.unpricedCount} unpriced at cost`})
+              </span>
+            )}
+          </label>
+        </div>
+        {!hasLedger && (
+          <p className="text-sm text-gray-400 mb-4">
+            Add each account&apos;s starting bankroll below - until then net worth is just
+            cumulative profit.
+          </p>
+        )}
+        <div className="h-64 sm:h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="date" stroke="#9CA3AF" fontSize={12} tickLine={false} />
+              <YAxis
+                stroke="#9CA3AF"
+                fontSize={12}
+                tickLine={false}
+                tickFormatter={value => formatGP(value)}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#1F2937',
+                  border: '1px solid #374151',
+                  borderRadius: '8px',
+                  color: 'white',
+                }}
+                formatter={(value, name) => [`${value.toLocaleString()} GP`, SERIES_LABELS[name]]}
+                labelFormatter={label => `Date: ${label}`}
+              />
+              <Legend formatter={name => SERIES_LABELS[name]} />
+              <Line
+                type="monotone"
+                dataKey="net_worth"
+                stroke="#22c55e"
+                strokeWidth={3}
+                dot={false}
+                isAnimationActive={false}
+              />
+              <Line
+                type="stepAfter"
+                dataKey="capital"
+                stroke="#60a5fa"
+                strokeWidth={2}
+                strokeDasharray="5 5"
+                dot={false}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-gray-800 p-6 rounded-lg">
+        <h3 className="text-xl font-bold text-white mb-1">Capital Ledger</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          Gp added to or taken out of flipping. Saved in this browser and kept across uploads.
+        </p>
+
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2 mb-4 text-sm">
+          <label className="text-gray-400">
+            Account
+            <select
+              value={form.account}
+              onChange={e => setForm({ ...form, account: e.target.value })}
+              className="block mt-1 px-2 py-2 bg-gray-900 border border-gray-600 rounded text-white"
+            >
+              {accounts.map(account => (
+                <option key={account} value={account}>
+                  {account}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-gray-400">
+            Type
+            <select
+              value={form.type}
+              onChange={e => setForm({ ...form, type: e.target.value })}
+              className="block mt-1 px-2 py-2 bg-gray-900 border border-gray-600 rounded text-white"
+            >
+              {Object.entries(LEDGER_ENTRY_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-gray-400">
+            Amount
+            <input
+              type="text"
+              value={form.amount}
+              onChange={e => setForm({ ...form, amount: e.target.value })}
+              placeholder="e.g. 50m"
+              className="block mt-1 w-28 px-2 py-2 bg-gray-900 border border-gray-600 rounded text-white"
+            />
+          </label>
+          <label className="text-gray-400">
+            Date{form.type === 'starting' && ' (optional)'}
+            <input
+              type="date"
+              value={form.date}
+              onChange={e => setForm({ ...form, date: e.target.value })}
+              className="block mt-1 px-2 py-2 bg-gray-900 border border-gray-600 rounded text-white"
+            />
+          </label>
+          <label className="text-gray-400 flex-1 min-w-[10rem]">
+            Note
+            <input
+              type="text"
+              value={form.note}
+              onChange={e => setForm({ ...form, note: e.target.value })}
+              className="block mt-1 w-full px-2 py-2 bg-gray-900 border border-gray-600 rounded text-white"
+            />
+          </label>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded"
+          >
+            Add
+          </button>
+        </form>
+
+        {ledger.length === 0 ? (
+          <p className="text-gray-500 text-sm">No entries yet.</p>
+        ) : (
+          <table className="w-full text-sm text-gray-300">
+            <thead>
+              <tr className="text-gray-400 text-left">
+                <th className="px-2 py-1">Date</th>
+                <th className="px-2 py-1">Account</th>
+                <th className="px-2 py-1">Type</th>
+                <th className="px-2 py-1 text-right">Amount</th>
+                <th className="px-2 py-1">Note</th>
+                <th className="px-2 py-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.map(entry => {
+                const amount = signedAmount(entry);
+                return (
+                  <tr
+                    key={entry.id}
+                    className={`border-t border-gray-700 ${visibleLedger.includes(entry) ? '' : 'opacity-50'}`}
+                  >
+                    <td className="px-2 py-1">{entry.date || 'From the start'}</td>
+                    <td className="px-2 py-1 text-blue-400">{entry.account}</td>
+                    <td className="px-2 py-1">{LEDGER_ENTRY_TYPES[entry.type].label}</td>
+                    <td
+                      className={`px-2 py-1 text-right font-mono ${amount >= 0 ? 'text-green-400' : 'text-red-400'}`}
+                    >
+                      {amount >= 0 ? '+' : ''}
+                      {formatGP(amount)}
+                    </td>
+                    <td className="px-2 py-1 text-gray-400">{entry.note}</td>
+                    <td className="px-2 py-1 text-right">
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        className="text-red-400 hover:text-red-300 text-xs"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
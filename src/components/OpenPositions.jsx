@@ -0,0 +1,135 @@
+import SortableTable from './SortableTable';
+import { ItemWithIcon } from './ItemIcon';
+import { formatGP } from '../utils/formatUtils';
+
+const formatAge = hours => {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${Math.floor(hours / 24)}d ${Math.round(hours % 24)}h`;
+};
+
+const profitClass = value => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+/**
+ * Open positions from "Show Buying" exports - flips that haven't finished yet.
+ * Shows capital tied up, age and unrealized P/L (marked to the current GE price);
+ * none of this is included in realized profit.
+ */
+export default function OpenPositions({ rows = [], totals, isLoading = false, priceError = null }) {
+  const columns = [
+    {
+      key: 'item',
+      label: 'Item',
+      render: value => (
+        <ItemWithIcon itemName={value || 'Unknown Item'} textClassName="text-white font-medium" />
+      ),
+    },
+    {
+      key: 'account',
+      label: 'Account',
+      render: value => <span className="text-blue-400 font-medium text-sm">{value}</span>,
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      render: value => <span className="text-yellow-300 text-xs font-semibold">{value}</span>,
+    },
+    {
+      key: 'heldQuantity',
+      label: 'Held',
+      headerClass: 'text-right',
+      cellClass: 'text-right text-gray-300',
+      render: (value, row) => `${value.toLocaleString()} / ${(row.bought || 0).toLocaleString()}`,
+    },
+    {
+      key: 'avg_buy_price',
+      label: 'Avg Buy',
+      headerClass: 'text-right hidden md:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden md:table-cell',
+      render: value => formatGP(value || 0),
+    },
+    {
+      key: 'capitalTiedUp',
+      label: 'Capital',
+      headerClass: 'text-right',
+      cellClass: 'text-right text-gray-300 font-mono',
+      render: value => formatGP(value),
+    },
+    {
+      key: 'markPrice',
+      label: 'Current Price',
+      headerClass: 'text-right hidden md:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden md:table-cell',
+      render: value => (value ? formatGP(value) : '—'),
+    },
+    {
+      key: 'unrealizedProfit',
+      label: 'Unrealized P/L',
+      headerClass: 'text-right',
+      cellClass: 'text-right font-mono',
+      sortValue: row => row.unrealizedProfit ?? 0,
+      render: value =>
+        value === null ? (
+          <span className="text-gray-500">—</span>
+        ) : (
+          <span className={`font-semibold ${profitClass(value)}`}>
+            {value >= 0 ? '+' : ''}
+            {formatGP(value)}
+          </span>
+        ),
+    },
+    {
+      key: 'ageHours',
+      label: 'Age',
+      headerClass: 'text-right',
+      cellClass: 'text-right text-gray-300',
+      sortValue: row => row.ageHours ?? 0,
+      render: value => formatAge(value),
+    },
+  ];
+
+  if (rows.length === 0) {
+    return (
+      <div className="bg-gray-800 p-6 rounded-lg text-gray-400">
+        No open positions. Export with "Show Buying" enabled in Flipping Copilot to see flips that
+        are still in progress.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-800 p-6 rounded-lg">
+          <div className="text-gray-400 text-sm">Open Positions</div>
+          <div className="text-2xl font-bold text-white">{totals.count.toLocaleString()}</div>
+        </div>
+        <div className="bg-gray-800 p-6 rounded-lg">
+          <div className="text-gray-400 text-sm">Capital Tied Up</div>
+          <div className="text-2xl font-bold text-yellow-400">{formatGP(totals.capitalTiedUp)}</div>
+        </div>
+        <div className="bg-gray-800 p-6 rounded-lg">
+          <div className="text-gray-400 text-sm">Unrealized P/L</div>
+          <div className={`text-2xl font-bold ${profitClass(totals.unrealizedProfit)}`}>
+            {isLoading ? 'Loading...' : formatGP(totals.unrealizedProfit)}
+          </div>
+          {totals.unpricedCount > 0 && !isLoading && (
+            <div className="text-xs text-gray-500 mt-1">
+              {totals.unpricedCount} position{totals.unpricedCount !== 1 ? 's' : ''} without a
+              current price
+            </div>
+          )}
+        </div>
+      </div>
+
+      {priceError && <p className="text-sm text-orange-300">{priceError}</p>}
+      <p className="text-xs text-gray-500">
+        Unrealized P/L values held items at the current instant-sell price after GE tax. It is not
+        included in realized profit.
+      </p>
+
+      <SortableTable data={rows} columns={columns} initialSortField="capitalTiedUp" />
+    </div>
+  );
+}
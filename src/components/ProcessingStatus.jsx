@@ -1,5 +1,7 @@
+import ImportDiagnostics from './ImportDiagnostics';
+
 export default function ProcessingStatus({ stats }) {
-  const { rowsProcessed = 0 } = stats || {};
+  const { rowsProcessed = 0, current, message, rejections } = stats || {};
 
   return (
     <div className="text-center">
@@ -8,8 +10,9 @@ export default function ProcessingStatus({ stats }) {
 
       <div className="bg-gray-800 rounded-lg p-6">
         <div className="text-lg mb-2 text-white">
-          Processed {rowsProcessed.toLocaleString()} flips
+          Processed {(current ?? rowsProcessed).toLocaleString()} flips
         </div>
+        {message && <div className="text-sm text-gray-400 mb-2">{message}</div>}
 
         {/* Progress bar - indeterminate since we don't know total until complete */}
         <div className="w-full bg-gray-700 rounded-full h-2 mb-4">
@@ -27,6 +30,11 @@ export default function ProcessingStatus({ stats }) {
           💡 Tip: This happens entirely in your browser - no data is sent anywhere
         </div>
       </div>
+
+      {/* Rows dropped so far - the full report is shown when processing finishes */}
+      <div className="mt-4">
+        <ImportDiagnostics diagnostics={rejections} />
+      </div>
     </div>
   );
 }
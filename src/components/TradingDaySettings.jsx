@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { useData } from '../contexts/DataContext';
+import { LOCAL_TIMEZONE, describeTradingDay, resolveTimezone } from '../utils/tradingDay';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Every IANA zone where the browser can list them; a short list otherwise
+const TIMEZONES =
+  typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['Europe/London', 'America/New_York', 'America/Chicago', 'America/Los_Angeles'];
+
+/**
+ * Which timezone and start hour make up a "trading day"
+ * Changing it re-buckets the loaded flips into days without a re-upload.
+ */
+export default function TradingDaySettings() {
+  const { tradingDay, setTradingDay } = useData();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const update = changes => setTradingDay({ ...tradingDay, ...changes });
+
+  return (
+    <div className="text-gray-500 text-xs mt-1">
+      Days run in {describeTradingDay(tradingDay)}
+      <button onClick={() => setIsOpen(open => !open)} className="ml-2 underline hover:text-white">
+        {isOpen ? 'Done' : 'Change'}
+      </button>
+      {isOpen && (
+        <div className="mt-2 flex flex-wrap items-center gap-3 text-gray-300">
+          <label className="flex items-center gap-2">
+            Timezone
+            <select
+              value={tradingDay.timezone}
+              onChange={e => update({ timezone: e.target.value })}
+              className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+            >
+              <option value={LOCAL_TIMEZONE}>
+                This browser ({resolveTimezone(LOCAL_TIMEZONE)})
+              </option>
+              <option value="UTC">UTC (GE reset)</option>
+              {TIMEZONES.filter(tz => tz !== 'UTC').map(tz => (
+                <option key={tz} value={tz}>
+                  {tz}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            Day starts at
+            <select
+              value={tradingDay.dayStartHour}
+              onChange={e => update({ dayStartHour: Number(e.target.value) })}
+              className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+            >
+              {HOURS.map(hour => (
+                <option key={hour} value={hour}>
+                  {String(hour).padStart(2, '0')}:00
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => setTradingDay({ timezone: LOCAL_TIMEZONE, dayStartHour: 0 })}
+            className="underline hover:text-white"
+          >
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ItemSelectorPage from '../BlocklistGenerator/ItemSelectorPage';
+import {
+  getLatestVersion,
+  reevaluateVersion,
+  saveProfileVersion,
+} from '../../utils/profileLibrary';
+
+const items = [
+  { id: 1, name: 'Iron ore', members: false },
+  { id: 2, name: 'Abyssal whip', members: true },
+  { id: 3, name: 'Rune platebody', members: false },
+];
+
+const priceData = {
+  1: { high: 150, low: 140 },
+  2: { high: 1500000, low: 1450000 },
+  3: { high: 38000, low: 37500 },
+};
+
+const renderSelector = props =>
+  render(
+    <ItemSelectorPage
+      items={items}
+      priceData={priceData}
+      volumeData={{}}
+      onDownload={jest.fn()}
+      onBack={jest.fn()}
+      {...props}
+    />
+  );
+
+const describeItems = async text => {
+  fireEvent.click(screen.getByText('Describe What to Trade'));
+  fireEvent.change(screen.getByPlaceholderText(/F2P items between/), {
+    target: { value: text },
+  });
+  fireEvent.click(screen.getByText('Generate Blocklist'));
+  await screen.findByText(/Checked \d+ items to trade/);
+};
+
+describe('ItemSelectorPage', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    localStorage.clear();
+  });
+
+  test('checks the items a simple description keeps, without calling the AI', async () => {
+    renderSelector();
+    await describeItems('F2P items under 100k');
+
+    expect(screen.getByText(/Checked 2 items to trade/)).toBeInTheDocument();
+    expect(screen.getByText(/parsed offline/)).toBeInTheDocument();
+    expect(screen.getByText('(1 will be blocked)')).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    // Hovering an item says which rule decided it
+    expect(screen.getByText('Abyssal whip')).toHaveAttribute(
+      'title',
+      expect.stringMatching(/^Blocked by default/)
+    );
+    expect(screen.getByText('Iron ore')).toHaveAttribute(
+      'title',
+      expect.stringMatching(/^Kept by rule 1 \(include\) · Price: 150/)
+    );
+  });
+
+  test('saves a described selection with its filter so it can be re-evaluated', async () => {
+    const onSave = jest.fn();
+    renderSelector({ onSave });
+    await describeItems('F2P items under 100k');
+    fireEvent.click(screen.getByText('Save to library'));
+
+    const selection = onSave.mock.calls[0][0];
+    expect(selection).toMatchObject({
+      mode: 'trade',
+      source: { prompt: 'F2P items under 100k', filterConfig: expect.any(Object) },
+    });
+    expect(selection.checkedIds.sort()).toEqual([1, 3]);
+
+    // Rune platebody climbs past the limit, so re-evaluating drops it
+    const profile = saveProfileVersion(null, { ...selection, name: 'Cheap F2P' });
+    const reevaluated = reevaluateVersion(getLatestVersion(profile), items, {
+      ...priceData,
+      3: { high: 120000, low: 118000 },
+    });
+    expect(reevaluated.checkedIds).toEqual([1]);
+  });
+
+  test('replaces an opened filter with a newly described one', async () => {
+    const onSave = jest.fn();
+    const oldSource = { prompt: 'members items', filterConfig: { rules: [] } };
+    renderSelector({ onSave, initialCheckedIds: [2], initialSource: oldSource });
+
+    fireEvent.click(screen.getByText('Save to library'));
+    expect(onSave.mock.calls[0][0].source).toBe(oldSource);
+
+    await describeItems('F2P items under 100k');
+    fireEvent.click(screen.getByText('Save to library'));
+    expect(onSave.mock.calls[1][0].source.prompt).toBe('F2P items under 100k');
+  });
+
+  test('drops the filter once checkboxes are edited by hand', async () => {
+    const onSave = jest.fn();
+    renderSelector({ onSave });
+    await describeItems('F2P items under 100k');
+    fireEvent.click(screen.getByText('Abyssal whip'));
+    fireEvent.click(screen.getByText('Save to library'));
+
+    expect(onSave.mock.calls[0][0].source).toBeNull();
+    expect(onSave.mock.calls[0][0].checkedIds.sort()).toEqual([1, 2, 3]);
+  });
+});
@@ -68,4 +68,24 @@ describe('ItemTransactions', () => {
     fireEvent.click(screen.getByRole('button', { name: /export csv/i }));
     expect(global.URL.createObjectURL).toHaveBeenCalled();
   });
+
+  test('shows execution metrics alongside each flip', () => {
+    const executions = [
+      {
+        buySlippagePct: 1.25,
+        sellSlippagePct: -0.5,
+        capturedSpreadPct: 80,
+        marketLow: 990,
+        marketHigh: 1105,
+      },
+      null,
+    ];
+    render(<ItemTransactions flips={flips} executions={executions} itemName="Dragon bones" />);
+
+    expect(screen.getByText('1.3%')).toBeInTheDocument();
+    expect(screen.getByText('-0.5%')).toBeInTheDocument();
+    expect(screen.getByText('80.0%')).toBeInTheDocument();
+    // The second flip has no market data
+    expect(screen.getAllByText('—')).toHaveLength(3);
+  });
 });
@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import ProfileComparison from '../BlocklistGenerator/ProfileComparison';
+
+const items = [
+  { id: 1, name: 'Iron ore', members: false },
+  { id: 2, name: 'Abyssal whip', members: true },
+  { id: 3, name: 'Rune platebody', members: false },
+];
+
+const priceData = {
+  1: { high: 150, low: 140 },
+  2: { high: 1500000, low: 1450000 },
+  3: { high: 38000, low: 37500 },
+};
+
+const version = (number, mode, checkedIds) => ({ version: number, mode, checkedIds });
+
+const library = [
+  {
+    id: 'p1',
+    name: 'Cheap F2P',
+    // v1 trades ore and platebodies; v2 only ore
+    versions: [version(1, 'trade', [1, 3]), version(2, 'trade', [1])],
+  },
+  { id: 'p2', name: 'No whips', versions: [version(1, 'block', [2])] },
+];
+
+const renderComparison = props =>
+  render(
+    <ProfileComparison
+      items={items}
+      priceData={priceData}
+      volumeData={{}}
+      userItemStats={{}}
+      libraryProfiles={library}
+      {...props}
+    />
+  );
+
+const pickers = () => screen.getAllByLabelText('Saved profile version');
+
+describe('ProfileComparison', () => {
+  test('defaults the original to the opened library version', () => {
+    renderComparison({
+      openedVersion: { profileId: 'p1', name: 'Cheap F2P', version: library[0].versions[0] },
+    });
+
+    expect(screen.getByText('Cheap F2P v1', { selector: 'strong' })).toBeInTheDocument();
+    fireEvent.change(pickers()[1], { target: { value: 'p1:2' } });
+
+    const blocked = screen.getByText(/Newly blocked/).closest('div');
+    expect(within(blocked).getByText('Newly blocked (1)')).toBeInTheDocument();
+    expect(within(blocked).getByText('Rune platebody')).toBeInTheDocument();
+  });
+
+  test('compares saved versions picked on both sides', () => {
+    renderComparison();
+    const [original, candidate] = pickers();
+
+    fireEvent.change(original, { target: { value: 'p2:1' } });
+    fireEvent.change(candidate, { target: { value: 'p1:1' } });
+
+    expect(screen.getByText('No whips v1', { selector: 'strong' })).toBeInTheDocument();
+    expect(screen.getByText('Cheap F2P v1', { selector: 'strong' })).toBeInTheDocument();
+    expect(screen.getByText('Newly blocked (0)')).toBeInTheDocument();
+    expect(screen.getByText('1 items stay blocked.')).toBeInTheDocument();
+  });
+});
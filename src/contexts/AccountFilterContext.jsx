@@ -8,6 +8,7 @@ import {
   useRef,
 } from 'react';
 import { useData } from './DataContext';
+import { buildDailySummaries } from '../utils/tradingDay';
 
 const AccountFilterContext = createContext();
 
@@ -102,7 +103,8 @@ export function AccountFilterProvider({ children }) {
     [selectedAccounts, availableAccounts]
   );
 
-  const getFilteredData = useCallback(() => {
+  // Built once per selection so consumers get the same arrays on every render
+  const filteredData = useMemo(() => {
     if (!guestData) return null;
 
     // If there's only one account, always show all data (no filtering needed)
@@ -114,6 +116,7 @@ export function AccountFilterProvider({ children }) {
       return {
         ...guestData,
         allFlips: [],
+        openPositions: [],
         flipsByDate: {},
         dailySummaries: [],
         itemStats: [],
@@ -146,23 +149,7 @@ export function AccountFilterProvider({ children }) {
       });
     }
 
-    const dailySummaries = Object.entries(filteredFlipsByDate)
-      .map(([date, data]) => ({
-        date,
-        totalProfit: data.totalProfit,
-        flipCount: data.totalFlips,
-        uniqueItems: new Set(data.flips.map(f => f.item)).size,
-      }))
-      .sort((a, b) => {
-        // Sort dates chronologically (MM-DD-YYYY format)
-        const [aMonth, aDay, aYear] = a.date.split('-');
-        const [bMonth, bDay, bYear] = b.date.split('-');
-
-        const dateA = new Date(aYear, aMonth - 1, aDay);
-        const dateB = new Date(bYear, bMonth - 1, bDay);
-
-        return dateA - dateB;
-      });
+    const dailySummaries = buildDailySummaries(filteredFlipsByDate);
 
     const itemStatsMap = {};
     filteredFlips.forEach(flip => {
@@ -187,6 +174,7 @@ export function AccountFilterProvider({ children }) {
     return {
       ...guestData,
       allFlips: filteredFlips,
+      openPositions: filterFlips(guestData.openPositions || []),
       flipsByDate: filteredFlipsByDate,
       dailySummaries,
       itemStats: Object.values(itemStatsMap),
@@ -197,6 +185,14 @@ export function AccountFilterProvider({ children }) {
     };
   }, [guestData, selectedAccounts, availableAccounts, filterFlips]);
 
+  const getFilteredData = useCallback(() => filteredData, [filteredData]);
+
+  // Accounts whose flips getFilteredData keeps
+  const visibleAccounts = useMemo(() => {
+    if (availableAccounts.length <= 1) return availableAccounts;
+    return selectedAccounts || [];
+  }, [availableAccounts, selectedAccounts]);
+
   const value = useMemo(
     () => ({
       selectedAccounts: selectedAccounts || [],
@@ -207,6 +203,7 @@ export function AccountFilterProvider({ children }) {
       isAccountSelected,
       filterFlips,
       getFilteredData,
+      visibleAccounts,
       isFiltered: selectedAccounts && selectedAccounts.length < availableAccounts.length,
     }),
     [
@@ -218,6 +215,7 @@ export function AccountFilterProvider({ children }) {
       isAccountSelected,
       filterFlips,
       getFilteredData,
+      visibleAccounts,
     ]
   );
 
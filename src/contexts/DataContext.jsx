@@ -1,5 +1,15 @@
 /* eslint-disable react-refresh/only-export-components */
-import { createContext, useContext, useState, useMemo } from 'react';
+import {
+  createContext,
+  useContext,
+  useState,
+  useMemo,
+  useEffect,
+  useRef,
+  useCallback,
+} from 'react';
+import { loadGuestData, saveGuestData, clearGuestData } from '../utils/flipDataStore';
+import { applyTradingDay, loadTradingDay, saveTradingDay } from '../utils/tradingDay';
 
 const DataContext = createContext();
 
@@ -10,12 +20,80 @@ export const useData = () => {
 };
 
 export function DataProvider({ children }) {
-  const [guestData, setGuestData] = useState(null);
+  // Data as uploaded/stored; consumers get it re-bucketed for the trading day setting
+  const [storedData, setGuestData] = useState(null);
   const [processingStats, setProcessingStats] = useState(null);
+  const [isHydrating, setIsHydrating] = useState(true);
+  const [tradingDay, setTradingDayState] = useState(loadTradingDay);
+
+  const guestData = useMemo(
+    () => applyTradingDay(storedData, tradingDay),
+    [storedData, tradingDay]
+  );
+
+  const setTradingDay = useCallback(settings => {
+    saveTradingDay(settings);
+    setTradingDayState(loadTradingDay());
+  }, []);
+
+  // Data restored from storage doesn't need to be written straight back
+  const restoredDataRef = useRef(null);
+
+  // Restore the last processed dataset from IndexedDB on startup
+  useEffect(() => {
+    let cancelled = false;
+
+    loadGuestData()
+      .then(stored => {
+        if (cancelled || !stored) return;
+        restoredDataRef.current = stored;
+        // Don't clobber data the user uploaded while we were still loading
+        setGuestData(current => current || stored);
+      })
+      .catch(error => {
+        console.error('Failed to restore saved flip data:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsHydrating(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Persist every new dataset so a reload doesn't require re-uploading
+  useEffect(() => {
+    if (!storedData || storedData === restoredDataRef.current) return;
+
+    saveGuestData(storedData).catch(error => {
+      console.error('Failed to save flip data locally:', error);
+    });
+  }, [storedData]);
+
+  // "Forget my data" - drop both the in-memory and the stored copy
+  const forgetGuestData = useCallback(async () => {
+    setGuestData(null);
+    setProcessingStats(null);
+    try {
+      await clearGuestData();
+    } catch (error) {
+      console.error('Failed to clear saved flip data:', error);
+    }
+  }, []);
 
   const value = useMemo(
-    () => ({ guestData, setGuestData, processingStats, setProcessingStats }),
-    [guestData, processingStats]
+    () => ({
+      guestData,
+      setGuestData,
+      processingStats,
+      setProcessingStats,
+      isHydrating,
+      forgetGuestData,
+      tradingDay,
+      setTradingDay,
+    }),
+    [guestData, processingStats, isHydrating, forgetGuestData, tradingDay, setTradingDay]
   );
 
   return <DataContext.Provider value={value}>{children}</DataContext.Provider>;
@@ -0,0 +1,73 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { useExecutionQuality } from '../useExecutionQuality';
+import { analyzeExecutions } from '../../utils/executionAnalysis';
+import fixture from '../../utils/__tests__/fixtures/wikiTimeseries.json';
+
+// Wiki responses replayed offline (see scripts/record-timeseries-fixtures.mjs)
+const WHIP = fixture.items['Abyssal whip'];
+const MINUTE = 60 * 1000;
+const NOW = WHIP['5m'][WHIP['5m'].length - 1].timestamp * 1000 + 10 * MINUTE;
+
+const iso = point => new Date(point.timestamp * 1000 + 2 * MINUTE).toISOString();
+const priced = point => point.avgHighPrice !== null && point.avgLowPrice !== null;
+
+// Serves /mapping and /timeseries from the recorded fixture
+const replayWiki = url => {
+  const { pathname, searchParams } = new URL(url);
+  let body;
+  if (pathname.endsWith('/mapping')) {
+    body = Object.entries(fixture.items).map(([name, { id }]) => ({ id, name }));
+  } else {
+    const [, item] = Object.entries(fixture.items).find(
+      ([, { id }]) => String(id) === searchParams.get('id')
+    );
+    body = { data: item[searchParams.get('timestep')] };
+  }
+  return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+};
+
+describe('useExecutionQuality', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    global.fetch = jest.fn(replayWiki);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('scores recent flips against the recorded market series', async () => {
+    const recent = WHIP['5m'].filter(priced);
+    const buyPoint = recent[0];
+    const sellPoint = recent[recent.length - 1];
+    const flips = [
+      {
+        item: 'Abyssal whip',
+        quantity: 1,
+        avg_buy_price: buyPoint.avgLowPrice + 10000,
+        avg_sell_price: sellPoint.avgHighPrice - 5000,
+        first_buy_time: iso(buyPoint),
+        last_sell_time: iso(sellPoint),
+      },
+      // Not in the mapping, so never requested
+      { item: 'Not an item', quantity: 1, last_sell_time: iso(sellPoint) },
+    ];
+
+    const { result } = renderHook(() => useExecutionQuality(flips));
+    expect(result.current.isLoading).toBe(true);
+    await waitFor(() => expect(result.current.isLoading).toBe(false));
+
+    const expected = analyzeExecutions(flips, {
+      'Abyssal whip': { '5m': WHIP['5m'], '1h': WHIP['1h'] },
+    });
+    expect(result.current.executions).toEqual(expected);
+    expect(result.current.executions[0]).toMatchObject({
+      marketLow: buyPoint.avgLowPrice,
+      marketHigh: sellPoint.avgHighPrice,
+    });
+    expect(result.current.executions[1]).toBeNull();
+    expect(result.current.analyzedItems).toBe(1);
+    expect(result.current.overall.flipCount).toBe(1);
+    expect(result.current.error).toBeNull();
+  });
+});
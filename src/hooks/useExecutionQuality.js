@@ -0,0 +1,85 @@
+// src/hooks/useExecutionQuality.js - Judges flips' fills against Wiki market prices
+import { useState, useEffect, useMemo } from 'react';
+import { fetchItemIdsByName, fetchPriceTimeseries } from '../utils/osrsWikiApi';
+import {
+  analyzeExecutions,
+  planExecutionRequests,
+  summarizeExecutions,
+  summarizeExecutionsByItem,
+} from '../utils/executionAnalysis';
+
+// Each analyzed item costs one /timeseries request per timestep
+const DEFAULT_MAX_ITEMS = 25;
+
+/**
+ * Fetch the market series for the planned items
+ * Items the mapping doesn't know, or whose requests fail, are left out.
+ * @returns {Promise<Object<string, Object<string, Array>>>} Raw points by item, then timestep
+ */
+async function loadSeries(plan) {
+  if (plan.length === 0) return {};
+  const ids = await fetchItemIdsByName();
+  const seriesByItem = {};
+  // One item at a time to stay gentle on the Wiki API
+  for (const { item, timesteps } of plan) {
+    const id = ids.get(item.toLowerCase());
+    if (id === undefined) continue;
+    try {
+      const series = {};
+      for (const step of timesteps) {
+        // eslint-disable-next-line no-await-in-loop
+        series[step] = await fetchPriceTimeseries(id, step);
+      }
+      seriesByItem[item] = series;
+    } catch (error) {
+      console.warn(`Market prices unavailable for ${item}:`, error);
+    }
+  }
+  return seriesByItem;
+}
+
+/**
+ * Execution quality for a list of flips
+ * Only recent flips of the most-flipped items are analyzed; the rest get null.
+ * @param {Array<Object>} flips - Raw CSV flips or getItemFlips rows (keep the array memoized)
+ * @param {{maxItems?: number}} [options]
+ * @returns {{executions: Array<Object|null>, overall: Object, byItem: Object, analyzedItems: number, isLoading: boolean, error: string|null}}
+ */
+export function useExecutionQuality(flips, { maxItems = DEFAULT_MAX_ITEMS } = {}) {
+  const [result, setResult] = useState({ flips: null, seriesByItem: {}, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    const plan = planExecutionRequests(flips, Date.now(), maxItems);
+
+    loadSeries(plan)
+      .then(seriesByItem => {
+        if (!cancelled) setResult({ flips, seriesByItem, error: null });
+      })
+      .catch(error => {
+        console.error('Failed to load market prices for execution analysis:', error);
+        if (!cancelled) {
+          setResult({ flips, seriesByItem: {}, error: 'Market prices unavailable' });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [flips, maxItems]);
+
+  const isCurrent = result.flips === flips;
+  const seriesByItem = isCurrent ? result.seriesByItem : null;
+
+  return useMemo(() => {
+    const executions = analyzeExecutions(flips, seriesByItem || {});
+    return {
+      executions,
+      overall: summarizeExecutions(flips, executions),
+      byItem: summarizeExecutionsByItem(flips, executions),
+      analyzedItems: Object.keys(seriesByItem || {}).length,
+      isLoading: !seriesByItem,
+      error: isCurrent ? result.error : null,
+    };
+  }, [flips, seriesByItem, isCurrent, result.error]);
+}
@@ -0,0 +1,53 @@
+// src/hooks/useMarketTimeseries.js - Wiki market price history for one item
+import { useState, useEffect } from 'react';
+import { fetchItemIdsByName, fetchPriceTimeseries } from '../utils/osrsWikiApi';
+
+/**
+ * Market avgHigh/avgLow and volume for an item
+ * @param {string} itemName - Item name as it appears in our flips
+ * @param {'5m'|'1h'|'6h'|'24h'|null} timestep - Skips fetching when null
+ * @returns {{points: Array<{tsMs: number, avgHigh: number|null, avgLow: number|null, volume: number}>, isLoading: boolean, error: string|null}}
+ */
+export function useMarketTimeseries(itemName, timestep) {
+  const [result, setResult] = useState({ key: null, points: [], error: null });
+  const key = itemName && timestep ? `${itemName}:${timestep}` : null;
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let cancelled = false;
+
+    fetchItemIdsByName()
+      .then(ids => {
+        const id = ids.get(itemName.toLowerCase());
+        if (id === undefined) throw new Error(`No GE item named "${itemName}"`);
+        return fetchPriceTimeseries(id, timestep);
+      })
+      .then(data => {
+        if (cancelled) return;
+        const points = data.map(point => ({
+          tsMs: point.timestamp * 1000,
+          avgHigh: point.avgHighPrice,
+          avgLow: point.avgLowPrice,
+          volume: (point.highPriceVolume || 0) + (point.lowPriceVolume || 0),
+        }));
+        setResult({ key, points, error: null });
+      })
+      .catch(error => {
+        console.error('Failed to load market price history:', error);
+        if (!cancelled) {
+          setResult({ key, points: [], error: 'Market prices unavailable for this item' });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, itemName, timestep]);
+
+  const isCurrent = result.key === key;
+  return {
+    points: isCurrent ? result.points : [],
+    isLoading: !!key && !isCurrent,
+    error: isCurrent ? result.error : null,
+  };
+}
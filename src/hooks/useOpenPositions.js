@@ -0,0 +1,63 @@
+// src/hooks/useOpenPositions.js - Values open positions against live GE prices
+import { useState, useEffect, useMemo } from 'react';
+import { fetchItemMapping, fetchLatestPrices } from '../utils/osrsWikiApi';
+import { summarizeOpenPositions } from '../utils/openPositions';
+
+// Shared across mounts so switching tabs doesn't refetch the full price list
+let markPricesPromise = null;
+
+function loadMarkPrices() {
+  if (!markPricesPromise) {
+    markPricesPromise = Promise.all([fetchItemMapping(), fetchLatestPrices()])
+      .then(([mapping, latest]) => {
+        const prices = {};
+        mapping.forEach(item => {
+          const price = latest[item.id];
+          // Held items would be sold into the instant-sell (low) price
+          const mark = price?.low || price?.high;
+          if (mark) prices[item.name] = mark;
+        });
+        return prices;
+      })
+      .catch(error => {
+        markPricesPromise = null;
+        throw error;
+      });
+  }
+  return markPricesPromise;
+}
+
+export function useOpenPositions(positions = []) {
+  const hasPositions = positions.length > 0;
+  const [markPrices, setMarkPrices] = useState({});
+  const [isLoading, setIsLoading] = useState(hasPositions);
+  const [priceError, setPriceError] = useState(null);
+
+  useEffect(() => {
+    if (!hasPositions) return undefined;
+    let cancelled = false;
+
+    loadMarkPrices()
+      .then(prices => {
+        if (!cancelled) setMarkPrices(prices);
+      })
+      .catch(error => {
+        console.error('Failed to load prices for open positions:', error);
+        if (!cancelled) setPriceError('Live prices unavailable - unrealized P/L is incomplete');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hasPositions]);
+
+  const summary = useMemo(
+    () => summarizeOpenPositions(positions, markPrices),
+    [positions, markPrices]
+  );
+
+  return { ...summary, isLoading: hasPositions && isLoading, priceError };
+}
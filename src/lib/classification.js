@@ -1,8 +1,8 @@
 // src/lib/classification.js
 // Centralized item classification with fine and coarse categories
 
-// Priority for picking a single primary fine category
-const CATEGORY_PRIORITY = [
+// Every fine category, in the priority used to pick a single primary one
+export const CATEGORY_PRIORITY = [
   // Very specific gear buckets first
   'Barrows Equipment',
   'Dragon Equipment',
@@ -104,7 +104,8 @@ const COARSE_MAP = {
   Other: 'Other',
 };
 
-const COARSE_PRIORITY = [
+// Coarse categories in display order
+export const COARSE_PRIORITY = [
   'Ammunition',
   'Weapons',
   'Armour',
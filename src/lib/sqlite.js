@@ -0,0 +1,28 @@
+/**
+ * In-browser SQLite (sql.js)
+ *
+ * The WebAssembly binary is bundled as a local asset rather than fetched from
+ * a CDN, so queries keep working offline. sql.js is only loaded the first time
+ * something asks for it.
+ */
+
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url';
+
+let sqlJsPromise = null;
+
+/**
+ * The initialized sql.js module, shared by every caller
+ * @returns {Promise<Object>} sql.js module with the Database class
+ */
+export function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = import('sql.js')
+      .then(({ default: initSqlJs }) => initSqlJs({ locateFile: () => sqlWasmUrl }))
+      .catch(error => {
+        // Let the next call retry instead of caching the failure
+        sqlJsPromise = null;
+        throw error;
+      });
+  }
+  return sqlJsPromise;
+}
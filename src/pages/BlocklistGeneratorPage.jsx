@@ -1,10 +1,26 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
 import { fetchItemMapping, fetchLatestPrices } from '../utils/osrsWikiApi';
-import { downloadProfile } from '../components/BlocklistGenerator';
+import {
+  downloadProfile,
+  HistoryBlocklistGenerator,
+  ProfileComparison,
+  ProfileImporter,
+  ProfileLibrary,
+} from '../components/BlocklistGenerator';
 import ItemSelectorPage from '../components/BlocklistGenerator/ItemSelectorPage';
 import { useData } from '../contexts/DataContext';
 import { getItemVolumes } from '../utils/supabaseClient';
+import { DEFAULT_TIMEFRAME } from '../utils/copilotProfile';
+import {
+  getBlockedIds,
+  getLatestVersion,
+  loadProfileLibrary,
+  saveProfileVersion,
+} from '../utils/profileLibrary';
+
+const HISTORY_PROFILE_NAME = 'My History Blocklist';
 
 export default function BlocklistGeneratorPage() {
   const navigate = useNavigate();
@@ -17,6 +33,19 @@ export default function BlocklistGeneratorPage() {
   const [volumeLastUpdated, setVolumeLastUpdated] = useState(null);
   const [dataLoading, setDataLoading] = useState(true);
 
+  // Existing .profile.json being edited, if any
+  const [importedProfile, setImportedProfile] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showHistoryBlocklist, setShowHistoryBlocklist] = useState(false);
+
+  // Saved profiles, and the library version open in the item selector
+  const [libraryProfiles, setLibraryProfiles] = useState(() => loadProfileLibrary());
+  // { profileId, name, version }; profileId is null for unsaved selections
+  const [openedVersion, setOpenedVersion] = useState(null);
+
+  // Changes whenever a different selection is loaded, remounting the item selector
+  const [selectionKey, setSelectionKey] = useState('new');
+
   // Calculate user's performance stats per item
   const userItemStats = useMemo(() => {
     if (!guestData?.flipsByDate) return {};
@@ -108,15 +137,127 @@ export default function BlocklistGeneratorPage() {
     loadData();
   }, []);
 
-  // Handle download
+  // Plugin settings of whatever is loaded in the item selector
+  const activeSettings = useMemo(() => {
+    if (importedProfile) {
+      return {
+        timeframe: importedProfile.timeframe,
+        f2pOnly: importedProfile.f2pOnlyMode,
+        sellOnly: importedProfile.sellOnlyMode,
+        extra: importedProfile.extra,
+      };
+    }
+    if (openedVersion) {
+      const { timeframe, f2pOnly, sellOnly, extra } = openedVersion.version;
+      return { timeframe, f2pOnly, sellOnly, extra };
+    }
+    return { timeframe: DEFAULT_TIMEFRAME, f2pOnly: false, sellOnly: false, extra: {} };
+  }, [importedProfile, openedVersion]);
+
+  // Handle download - an imported profile keeps its settings and, if chosen, its unknown IDs
   const handleDownload = (blockedItemIds, profileName) => {
-    downloadProfile(blockedItemIds, {
+    const keptUnknownIds = importedProfile?.keepUnknown ? importedProfile.unknownIds : [];
+    downloadProfile([...blockedItemIds, ...keptUnknownIds], {
+      ...activeSettings,
       profileName: profileName || 'Custom Blocklist',
-      timeframe: 5,
-      f2pOnly: false,
     });
   };
 
+  const handleImport = profile => {
+    setImportedProfile(profile);
+    setOpenedVersion(null);
+    setSelectionKey(`import-${profile.loadedAt}`);
+  };
+
+  const handleClearImport = () => {
+    setImportedProfile(null);
+    setSelectionKey(`new-${Date.now()}`);
+  };
+
+  const handleOpenLibraryProfile = (profile, version) => {
+    setImportedProfile(null);
+    setOpenedVersion({ profileId: profile.id, name: profile.name, version });
+    setSelectionKey(`library-${profile.id}-${version.version}-${Date.now()}`);
+  };
+
+  // Save the current selection as the next version of the open profile, or as a new profile
+  const handleSaveToLibrary = selection => {
+    let name;
+    if (!openedVersion?.profileId) {
+      // eslint-disable-next-line no-alert
+      name = prompt(
+        'Name this profile:',
+        importedProfile?.name || openedVersion?.name || 'Custom Blocklist'
+      );
+      if (!name || !name.trim()) return;
+    }
+
+    // Unknown IDs an imported profile keeps blocked aren't in the selector
+    const keptUnknownIds =
+      importedProfile?.keepUnknown && selection.mode === 'block' ? importedProfile.unknownIds : [];
+    // selection.source is what produced the checked items, or null once edited by hand
+    const profile = saveProfileVersion(openedVersion?.profileId ?? null, {
+      ...activeSettings,
+      ...selection,
+      checkedIds: [...selection.checkedIds, ...keptUnknownIds],
+      name,
+    });
+    const latest = getLatestVersion(profile);
+
+    // The selector already shows this selection, so it isn't remounted
+    setImportedProfile(null);
+    setOpenedVersion({ profileId: profile.id, name: profile.name, version: latest });
+    setLibraryProfiles(loadProfileLibrary());
+    toast.success(`Saved "${profile.name}" v${latest.version}`);
+  };
+
+  const handleDownloadLibraryProfile = (profile, version) => {
+    const { timeframe, f2pOnly, sellOnly, extra } = version;
+    downloadProfile(getBlockedIds(version, itemsData), {
+      profileName: profile.name,
+      timeframe,
+      f2pOnly,
+      sellOnly,
+      extra,
+    });
+  };
+
+  // Open a history-based blocklist in the selector, unsaved until the user saves it
+  const handleOpenHistoryBlocklist = (blockedIds, thresholds) => {
+    setImportedProfile(null);
+    setOpenedVersion({
+      profileId: null,
+      name: HISTORY_PROFILE_NAME,
+      version: {
+        mode: 'block',
+        checkedIds: blockedIds,
+        timeframe: DEFAULT_TIMEFRAME,
+        f2pOnly: false,
+        sellOnly: false,
+        extra: {},
+        source: { history: thresholds },
+      },
+    });
+    setSelectionKey(`history-${Date.now()}`);
+  };
+
+  const handleDownloadHistoryBlocklist = blockedIds => {
+    // eslint-disable-next-line no-alert
+    const profileName = prompt('Enter a name for your blocklist profile:', HISTORY_PROFILE_NAME);
+    if (!profileName || !profileName.trim()) return;
+    downloadProfile(blockedIds, { profileName: profileName.trim() });
+  };
+
+  const handleLibraryChange = () => {
+    const profiles = loadProfileLibrary();
+    setLibraryProfiles(profiles);
+    // Close the open profile if it was deleted, and pick up renames
+    if (openedVersion?.profileId) {
+      const opened = profiles.find(p => p.id === openedVersion.profileId);
+      setOpenedVersion(opened ? { ...openedVersion, name: opened.name } : null);
+    }
+  };
+
   // Handle back to dashboard
   const handleBack = () => {
     navigate('/dashboard');
@@ -222,13 +363,76 @@ export default function BlocklistGeneratorPage() {
           </div>
         )}
 
+        <ProfileImporter
+          items={itemsData}
+          profile={importedProfile}
+          onImport={handleImport}
+          onChange={changes => setImportedProfile(prev => ({ ...prev, ...changes }))}
+          onClear={handleClearImport}
+        />
+
+        <ProfileLibrary
+          profiles={libraryProfiles}
+          items={itemsData}
+          priceData={priceData}
+          volumeData={volumeData}
+          activeProfileId={openedVersion?.profileId}
+          onOpen={handleOpenLibraryProfile}
+          onChange={handleLibraryChange}
+          onDownload={handleDownloadLibraryProfile}
+        />
+
+        <div className="flex justify-end gap-4 mb-2">
+          {guestData && (
+            <button
+              onClick={() => setShowHistoryBlocklist(prev => !prev)}
+              className="text-sm text-blue-400 hover:text-blue-300"
+            >
+              {showHistoryBlocklist ? 'Hide history blocklist' : '📉 Block from my history'}
+            </button>
+          )}
+          <button
+            onClick={() => setShowComparison(prev => !prev)}
+            className="text-sm text-blue-400 hover:text-blue-300"
+          >
+            {showComparison ? 'Hide profile comparison' : '🔍 Compare profiles'}
+          </button>
+        </div>
+        {showHistoryBlocklist && guestData && (
+          <HistoryBlocklistGenerator
+            flipsByDate={guestData.flipsByDate}
+            items={itemsData}
+            onOpen={handleOpenHistoryBlocklist}
+            onDownload={handleDownloadHistoryBlocklist}
+          />
+        )}
+        {showComparison && (
+          <ProfileComparison
+            items={itemsData}
+            priceData={priceData}
+            volumeData={volumeData}
+            userItemStats={userItemStats}
+            importedProfile={importedProfile}
+            openedVersion={openedVersion}
+            libraryProfiles={libraryProfiles}
+          />
+        )}
+
+        {/* Remounted per loaded profile so its items start out checked */}
         <ItemSelectorPage
+          key={selectionKey}
           items={itemsData}
           priceData={priceData}
           volumeData={volumeData}
           userItemStats={userItemStats}
           onDownload={handleDownload}
           onBack={handleBack}
+          onSave={handleSaveToLibrary}
+          initialMode={importedProfile ? 'block' : (openedVersion?.version.mode ?? 'trade')}
+          initialCheckedIds={importedProfile?.knownIds ?? openedVersion?.version.checkedIds}
+          initialSource={importedProfile ? null : (openedVersion?.version.source ?? null)}
+          defaultProfileName={importedProfile?.name ?? openedVersion?.name}
+          savesToProfile={openedVersion?.profileId ? openedVersion.name : undefined}
         />
       </div>
     </div>
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { useState, useRef, useEffect, useMemo, lazy, Suspense } from 'react';
 import { guestAnalytics } from '../utils/guestAnalytics';
 import { formatGP } from '../utils/formatUtils';
+import { describeTradingDay } from '../utils/tradingDay';
 import {
   LineChart,
   Line,
@@ -20,6 +21,11 @@ import HeatMap from '../components/HeatMap';
 import FlipLogViewer from '../components/FlipLogViewer';
 import DatePicker from '../components/DatePicker';
 import DailySummary from '../components/DailySummary';
+import OpenPositions from '../components/OpenPositions';
+import ExecutionQualityCard from '../components/ExecutionQualityCard';
+import NetWorthTracker from '../components/NetWorthTracker';
+import TradingDaySettings from '../components/TradingDaySettings';
+import { useOpenPositions } from '../hooks/useOpenPositions';
 
 // Import new performance components
 const PerformanceAnalysis = lazy(() => import('../components/PerformanceAnalysis'));
@@ -69,9 +75,13 @@ async function exportGuestData(guestData) {
       exportDate: new Date().toISOString(),
       source: 'guest-mode',
       accounts: guestData.metadata.accounts,
+      sourceFiles: guestData.metadata.sourceFiles || [],
       dateRange: guestData.metadata.dateRange,
       timezone: guestData.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      tradingDay: guestData.tradingDay,
       stats: {
+        realizedProfit: guestData.totalProfit,
+        openPositions: guestData.openPositions?.length || 0,
         totalProfit: guestData.totalProfit,
         totalFlips: guestData.totalFlips,
         uniqueItems: guestData.uniqueItems,
@@ -110,6 +120,7 @@ async function exportGuestData(guestData) {
             firstBuyTime: flip.firstBuyTime || flip.first_buy_time,
             lastSellTime: flip.lastSellTime || flip.last_sell_time,
             accountId: flip.accountId || flip.account,
+            sourceFile: flip.sourceFile || flip.source_file || '',
           });
         });
       });
@@ -118,6 +129,27 @@ async function exportGuestData(guestData) {
       zip.file('json/flips-by-date.json', JSON.stringify(guestData.flipsByDate, null, 2));
     }
 
+    // In-progress flips are exported separately - they aren't part of realized profit
+    if (guestData.openPositions?.length > 0) {
+      zip.file(
+        'csv/open-positions.csv',
+        arrayToCSV(
+          guestData.openPositions.map(flip => ({
+            status: flip.status,
+            item: flip.item,
+            bought: flip.bought,
+            sold: flip.sold,
+            avgBuyPrice: flip.avg_buy_price,
+            avgSellPrice: flip.avg_sell_price,
+            firstBuyTime: flip.first_buy_time,
+            lastSellTime: flip.last_sell_time || '',
+            accountId: flip.account,
+            sourceFile: flip.source_file || '',
+          }))
+        )
+      );
+    }
+
     // Add a README explaining the files
     const readme = `# OSRS Flip Analysis Export
 
@@ -127,6 +159,7 @@ async function exportGuestData(guestData) {
 - csv/daily-summaries.csv - Your daily profit breakdown
 - csv/item-stats.csv - Profit analysis by item
 - csv/all-flips.csv - Complete flip history with details
+- csv/open-positions.csv - Flips still in progress (only if your export had "Show Buying" on)
 
 ### JSON Files (For developers/advanced users)
 - json/daily-summaries.json - Daily data in JSON format
@@ -137,7 +170,7 @@ async function exportGuestData(guestData) {
 - meta.json - Export information and summary statistics
 
 ## Generated on ${new Date().toISOString().split('T')[0]}
-Total Profit: ${guestData.totalProfit.toLocaleString()} GP
+Realized Profit: ${guestData.totalProfit.toLocaleString()} GP
 Total Flips: ${guestData.totalFlips.toLocaleString()}
 Unique Items: ${guestData.uniqueItems}
 Accounts: ${guestData.metadata.accounts.join(', ')}
@@ -162,17 +195,18 @@ Accounts: ${guestData.metadata.accounts.join(', ')}
 }
 
 export default function Dashboard() {
-  const { guestData: originalData } = useData();
-  const { getFilteredData, isFiltered, selectedAccounts } = useAccountFilter();
+  const { guestData: originalData, forgetGuestData } = useData();
+  const { getFilteredData, isFiltered, selectedAccounts, visibleAccounts } = useAccountFilter();
   const guestData = getFilteredData() || originalData;
   const navigate = useNavigate();
+  const openPositions = useOpenPositions(guestData.openPositions || []);
 
   const [isCapturingChart, setIsCapturingChart] = useState(false);
   const [isCapturingHeatmap, setIsCapturingHeatmap] = useState(false);
   const [chartViewMode, setChartViewMode] = useState('combined'); // 'combined' or 'individual'
 
   // Tab navigation state
-  const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'performance', 'fliplogs', 'summary'
+  const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'performance', 'fliplogs', 'summary', 'positions', 'networth'
   const [selectedDate, setSelectedDate] = useState(null); // For flip log viewer
   const [selectedDayHour, setSelectedDayHour] = useState(null); // For heatmap cell clicks
 
@@ -249,7 +283,6 @@ export default function Dashboard() {
   }, [guestData]);
 
   // Note: We don't need to check for data here because RequireGuestData handles it
-  const userTimezone = guestData.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
 
   // Handle heatmap cell clicks
   const handleHeatmapCellClick = cellData => {
@@ -457,8 +490,7 @@ export default function Dashboard() {
       title.style.color = 'white';
 
       const subtitle = document.createElement('p');
-      const userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-      subtitle.textContent = `${guestData.uniqueItems} Items • ${guestData.dailySummaries.length} Days • Total: ${guestData.totalProfit.toLocaleString()} GP • Hours in ${userTimezone}`;
+      subtitle.textContent = `${guestData.uniqueItems} Items • ${guestData.dailySummaries.length} Days • Total: ${guestData.totalProfit.toLocaleString()} GP • Hours in ${describeTradingDay(guestData.tradingDay)}`;
       subtitle.style.fontSize = '14px';
       subtitle.style.color = '#9CA3AF';
       subtitle.style.margin = '2px 0 0 0';
@@ -577,12 +609,24 @@ export default function Dashboard() {
         </div>
       )}
 
-      {/* Warning about refreshing */}
-      <div className="bg-orange-900/50 border border-orange-500 rounded-lg p-3 mb-6">
+      {/* Local storage notice */}
+      <div className="bg-orange-900/50 border border-orange-500 rounded-lg p-3 mb-6 flex items-center justify-between gap-4">
         <p className="text-orange-200 text-sm">
-          ⚠️ <strong>Note:</strong> Your data exists only in this session. Refreshing the page will
-          require re-uploading your CSV. Use the Export button to save your processed data.
+          💾 <strong>Note:</strong> Your processed data is saved in this browser only, so it will
+          still be here after a refresh. Use the Export button to keep a copy elsewhere.
         </p>
+        <button
+          onClick={async () => {
+            // eslint-disable-next-line no-alert
+            if (window.confirm('Delete your flip data from this browser?')) {
+              await forgetGuestData();
+              navigate('/');
+            }
+          }}
+          className="px-3 py-1 bg-orange-700 text-white text-sm rounded hover:bg-orange-600 whitespace-nowrap"
+        >
+          Forget my data
+        </button>
       </div>
 
       {/* Account filter info */}
@@ -612,7 +656,7 @@ export default function Dashboard() {
               ? `${guestData.metadata.dateRange.from} to ${guestData.metadata.dateRange.to}`
               : new Date().toLocaleDateString()}
           </p>
-          <p className="text-gray-500 text-xs mt-1">Dates shown in your timezone: {userTimezone}</p>
+          <TradingDaySettings />
         </div>
 
         <div className="flex gap-4">
@@ -624,13 +668,23 @@ export default function Dashboard() {
             <span>Blocklist Generator</span>
           </button>
           <button
-            onClick={() => {
-              // eslint-disable-next-line no-alert
-              if (window.confirm('This will clear your current data. Continue?')) {
-                navigate('/');
-              }
-            }}
+            onClick={() => navigate('/scanner')}
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            title="Rank items to flip next from live GE prices"
+          >
+            Scanner
+          </button>
+          <button
+            onClick={() => navigate('/query')}
+            className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            title="Run SQL over your flips"
+          >
+            Query
+          </button>
+          <button
+            onClick={() => navigate('/')}
             className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            title="Merge a newer export into your data or replace it"
           >
             Upload New CSV
           </button>
@@ -700,6 +754,27 @@ export default function Dashboard() {
             >
               Transaction Logs
             </button>
+            <button
+              onClick={() => setActiveTab('positions')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'positions'
+                  ? 'border-blue-500 text-blue-400'
+                  : 'border-transparent text-gray-400 hover:text-gray-300'
+              }`}
+            >
+              Open Positions
+              {openPositions.totals.count > 0 && ` (${openPositions.totals.count})`}
+            </button>
+            <button
+              onClick={() => setActiveTab('networth')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'networth'
+                  ? 'border-blue-500 text-blue-400'
+                  : 'border-transparent text-gray-400 hover:text-gray-300'
+              }`}
+            >
+              Net Worth
+            </button>
           </nav>
         </div>
       </div>
@@ -709,7 +784,7 @@ export default function Dashboard() {
           {/* Summary Cards - No challenge metrics */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
             <div className="bg-gray-800 p-6 rounded-lg">
-              <div className="text-gray-400 text-sm">Total Profit</div>
+              <div className="text-gray-400 text-sm">Realized Profit</div>
               <div className="text-2xl font-bold text-green-400">
                 {guestData.totalProfit.toLocaleString()} GP
               </div>
@@ -735,6 +810,44 @@ export default function Dashboard() {
             </div>
           </div>
 
+          {/* Unrealized side - only shown when the export included in-progress flips */}
+          {openPositions.totals.count > 0 && (
+            <button
+              onClick={() => setActiveTab('positions')}
+              className="w-full bg-gray-800 border border-yellow-600/40 p-4 rounded-lg mb-8 flex flex-wrap gap-6 items-center text-left hover:border-yellow-500"
+            >
+              <div>
+                <div className="text-gray-400 text-sm">Open Positions</div>
+                <div className="text-xl font-bold text-white">
+                  {openPositions.totals.count.toLocaleString()}
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 text-sm">Capital Tied Up</div>
+                <div className="text-xl font-bold text-yellow-400">
+                  {openPositions.totals.capitalTiedUp.toLocaleString()} GP
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-400 text-sm">Unrealized P/L</div>
+                <div
+                  className={`text-xl font-bold ${
+                    openPositions.totals.unrealizedProfit >= 0 ? 'text-green-400' : 'text-red-400'
+                  }`}
+                >
+                  {openPositions.isLoading
+                    ? 'Loading...'
+                    : `${openPositions.totals.unrealizedProfit.toLocaleString()} GP`}
+                </div>
+              </div>
+              <div className="text-xs text-gray-500 ml-auto">
+                Not included in realized profit • View details →
+              </div>
+            </button>
+          )}
+
+          <ExecutionQualityCard flipsByDate={guestData.flipsByDate} />
+
           {/* Cumulative Profit Chart */}
           <div className="bg-gray-800 p-6 rounded-lg mb-8" ref={chartRef}>
             <div className="flex justify-between items-center mb-4">
@@ -1068,6 +1181,17 @@ export default function Dashboard() {
       {activeTab === 'summary' && (
         <DailySummary guestData={guestData} onDateSelect={handleDateSelect} />
       )}
+
+      {activeTab === 'positions' && <OpenPositions {...openPositions} />}
+
+      {activeTab === 'networth' && (
+        <NetWorthTracker
+          guestData={guestData}
+          accounts={originalData.metadata?.accounts || []}
+          visibleAccounts={visibleAccounts}
+          openPositions={openPositions}
+        />
+      )}
     </div>
   );
 }
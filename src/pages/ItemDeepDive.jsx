@@ -20,6 +20,8 @@ import { calculateItemDeepMetrics } from '../utils/dataProcessing';
 // Trading time visuals disabled for now per product decision
 import ItemTransactions from '../components/ItemTransactions';
 import ItemPriceMargin from '../components/ItemPriceMargin';
+import { useExecutionQuality } from '../hooks/useExecutionQuality';
+import { formatExecutionPct } from '../utils/executionAnalysis';
 
 export default function ItemDeepDive() {
   const { itemName } = useParams();
@@ -38,6 +40,7 @@ export default function ItemDeepDive() {
     [decoded, guestData]
   );
   const [timelineMode, setTimelineMode] = useState('cumulative'); // 'cumulative' | 'individual'
+  const execution = useExecutionQuality(deep.flips);
 
   const backTo = `/items${searchParams.toString() ? `?${searchParams.toString()}` : ''}`;
 
@@ -234,12 +237,29 @@ export default function ItemDeepDive() {
 
       {/* Price & Margin Analysis */}
       <div className="mt-6">
-        <ItemPriceMargin flips={deep.flips} />
+        <ItemPriceMargin flips={deep.flips} itemName={decoded} />
       </div>
 
       {/* Historical Transactions */}
       <div className="mt-6">
-        <ItemTransactions flips={deep.flips} itemName={decoded} />
+        {execution.overall.flipCount > 0 && (
+          <p className="text-sm text-gray-400 mb-2">
+            Execution vs market ({execution.overall.flipCount} recent flips): bought{' '}
+            <span className="text-white">
+              {formatExecutionPct(execution.overall.buySlippagePct)}
+            </span>{' '}
+            above the average low, sold{' '}
+            <span className="text-white">
+              {formatExecutionPct(execution.overall.sellSlippagePct)}
+            </span>{' '}
+            below the average high, captured{' '}
+            <span className="text-white">
+              {formatExecutionPct(execution.overall.capturedSpreadPct)}
+            </span>{' '}
+            of the spread.
+          </p>
+        )}
+        <ItemTransactions flips={deep.flips} executions={execution.executions} itemName={decoded} />
       </div>
     </div>
   );
@@ -0,0 +1,294 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { useData } from '../contexts/DataContext';
+import { useAccountFilter } from '../contexts/AccountFilterContext';
+import SortableTable from '../components/SortableTable';
+import { loadSqlJs } from '../lib/sqlite';
+import { exportToCsv, generateCsvFilename } from '../lib/csvExport';
+import {
+  EXAMPLE_QUERIES,
+  FLIPS_TABLE_SCHEMA,
+  createFlipDatabase,
+  runFlipQuery,
+  loadSavedQueries,
+  saveQuery,
+  deleteSavedQuery,
+} from '../utils/flipSql';
+
+// Rendering more rows than this gets slow; the CSV export always has every row
+const MAX_DISPLAYED_ROWS = 1000;
+
+const formatCell = value => {
+  if (value === null || value === undefined) return <span className="text-gray-500">NULL</span>;
+  if (typeof value === 'number') return value.toLocaleString();
+  return value;
+};
+
+/**
+ * SQL console over the loaded flips
+ * Runs entirely in the browser against a sql.js copy of the flips table.
+ */
+export default function QueryPage() {
+  const navigate = useNavigate();
+  const { guestData: originalData } = useData();
+  const { getFilteredData, isFiltered, selectedAccounts } = useAccountFilter();
+  const guestData = getFilteredData() || originalData;
+
+  const [sql, setSql] = useState(EXAMPLE_QUERIES[0].sql);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [builtFor, setBuiltFor] = useState(null); // Inputs the current database was built from
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [savedQueries, setSavedQueries] = useState(loadSavedQueries);
+  const [queryName, setQueryName] = useState('');
+  const [showSchema, setShowSchema] = useState(false);
+  const dbRef = useRef(null);
+
+  const flips = guestData?.allFlips;
+  const tradingDay = guestData?.tradingDay;
+
+  const isCurrent = builtFor?.flips === flips && builtFor?.tradingDay === tradingDay;
+  const dbStatus = loadFailed ? 'error' : isCurrent ? 'ready' : 'loading';
+
+  // Rebuild the database whenever the flips (or how they're bucketed into days) change
+  useEffect(() => {
+    let cancelled = false;
+    let db = null;
+
+    loadSqlJs()
+      .then(SQL => {
+        if (cancelled) return;
+        db = createFlipDatabase(SQL, flips, tradingDay);
+        dbRef.current = db;
+        setBuiltFor({ flips, tradingDay });
+      })
+      .catch(loadError => {
+        console.error('Failed to load SQLite:', loadError);
+        if (!cancelled) setLoadFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (dbRef.current === db) dbRef.current = null;
+      db?.close();
+    };
+  }, [flips, tradingDay]);
+
+  const runQuery = useCallback(() => {
+    if (!dbRef.current || !isCurrent || !sql.trim()) return;
+    try {
+      setResult(runFlipQuery(dbRef.current, sql));
+      setError(null);
+    } catch (queryError) {
+      setResult(null);
+      setError(queryError.message);
+    }
+  }, [sql, isCurrent]);
+
+  const handleKeyDown = e => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runQuery();
+    }
+  };
+
+  const handleSave = () => {
+    if (!queryName.trim() || !sql.trim()) return;
+    setSavedQueries(saveQuery(queryName, sql));
+    toast.success(`Saved "${queryName.trim()}"`);
+    setQueryName('');
+  };
+
+  const handleDelete = name => {
+    // eslint-disable-next-line no-alert
+    if (!window.confirm(`Delete saved query "${name}"?`)) return;
+    setSavedQueries(deleteSavedQuery(name));
+  };
+
+  const columns = useMemo(
+    () =>
+      (result?.columns || []).map(key => ({
+        key,
+        label: key,
+        render: formatCell,
+      })),
+    [result]
+  );
+
+  const handleExport = () => {
+    exportToCsv(result.rows, columns, generateCsvFilename('flip-query'));
+  };
+
+  const displayedRows = useMemo(() => result?.rows.slice(0, MAX_DISPLAYED_ROWS) || [], [result]);
+  const rowCount = result?.rows.length || 0;
+
+  return (
+    <div className="max-w-7xl mx-auto p-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <div className="text-sm text-gray-400">Dashboard</div>
+          <h1 className="text-3xl font-bold text-white">Query</h1>
+          <p className="text-gray-500 text-xs mt-1">
+            SQL over your {(flips?.length || 0).toLocaleString()} flips, run in this browser
+          </p>
+        </div>
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+        >
+          ← Overview
+        </button>
+      </div>
+
+      {/* Filter info */}
+      {originalData?.metadata?.accountCount > 1 && isFiltered && (
+        <div className="bg-blue-900/30 border border-blue-500/50 rounded-lg p-3 mb-6">
+          <p className="text-blue-200 text-sm">
+            🔍{' '}
+            <strong>
+              Querying flips for {selectedAccounts.length} account
+              {selectedAccounts.length > 1 ? 's' : ''}:
+            </strong>{' '}
+            {selectedAccounts.join(', ')}
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 mb-4">
+        {/* Editor */}
+        <div className="lg:col-span-3 bg-gray-800 rounded-lg p-4">
+          <textarea
+            value={sql}
+            onChange={e => setSql(e.target.value)}
+            onKeyDown={handleKeyDown}
+            spellCheck={false}
+            rows={10}
+            aria-label="SQL query"
+            className="w-full bg-gray-900 border border-gray-700 rounded p-3 font-mono text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3 mt-3">
+            <div className="flex items-center gap-3">
+              <button
+                onClick={runQuery}
+                disabled={dbStatus !== 'ready'}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-500 disabled:opacity-50"
+              >
+                Run
+              </button>
+              <span className="text-xs text-gray-500">
+                {dbStatus === 'loading' && 'Loading flips into SQLite...'}
+                {dbStatus === 'ready' && 'Ctrl+Enter to run'}
+                {dbStatus === 'error' && (
+                  <span className="text-red-300">SQLite failed to load. Try reloading.</span>
+                )}
+              </span>
+              <button
+                onClick={() => setShowSchema(open => !open)}
+                className="text-xs text-gray-400 underline hover:text-white"
+              >
+                {showSchema ? 'Hide schema' : 'Show schema'}
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={queryName}
+                onChange={e => setQueryName(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleSave()}
+                placeholder="Query name"
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+              />
+              <button
+                onClick={handleSave}
+                disabled={!queryName.trim() || !sql.trim()}
+                className="px-3 py-1 bg-gray-700 text-white text-sm rounded hover:bg-gray-600 disabled:opacity-50"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+          {showSchema && (
+            <pre className="mt-3 bg-gray-900 rounded p-3 text-xs text-gray-300 overflow-x-auto">
+              {FLIPS_TABLE_SCHEMA}
+            </pre>
+          )}
+        </div>
+
+        {/* Saved and example queries */}
+        <div className="bg-gray-800 rounded-lg p-4 text-sm">
+          <h2 className="text-white font-semibold mb-2">Saved queries</h2>
+          {savedQueries.length === 0 ? (
+            <p className="text-gray-500 text-xs mb-4">Name a query and save it to keep it here.</p>
+          ) : (
+            <ul className="space-y-1 mb-4">
+              {savedQueries.map(query => (
+                <li key={query.name} className="flex items-center justify-between gap-2">
+                  <button
+                    onClick={() => setSql(query.sql)}
+                    className="text-left text-blue-300 hover:text-blue-200 truncate"
+                    title={query.sql}
+                  >
+                    {query.name}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(query.name)}
+                    className="text-gray-500 hover:text-red-300"
+                    aria-label={`Delete ${query.name}`}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <h2 className="text-white font-semibold mb-2">Examples</h2>
+          <ul className="space-y-1">
+            {EXAMPLE_QUERIES.map(query => (
+              <li key={query.name}>
+                <button
+                  onClick={() => setSql(query.sql)}
+                  className="text-left text-gray-300 hover:text-white"
+                  title={query.sql}
+                >
+                  {query.name}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-900/30 border border-red-500/50 rounded-lg p-3 mb-4 font-mono text-sm text-red-200">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="bg-gray-800 rounded-lg p-4">
+          <div className="flex items-center justify-between gap-4 mb-3">
+            <p className="text-sm text-gray-300">
+              {rowCount.toLocaleString()} row{rowCount !== 1 ? 's' : ''}
+              {rowCount > MAX_DISPLAYED_ROWS &&
+                ` (showing the first ${MAX_DISPLAYED_ROWS.toLocaleString()}; the CSV has all of them)`}
+            </p>
+            <button
+              onClick={handleExport}
+              disabled={rowCount === 0}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white text-sm rounded disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+          </div>
+          {columns.length > 0 ? (
+            <SortableTable data={displayedRows} columns={columns} />
+          ) : (
+            <p className="text-gray-400 text-sm">The statement ran but returned no columns.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
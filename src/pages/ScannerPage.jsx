@@ -0,0 +1,354 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { useData } from '../contexts/DataContext';
+import { useAccountFilter } from '../contexts/AccountFilterContext';
+import SortableTable from '../components/SortableTable';
+import { ItemWithIcon } from '../components/ItemIcon';
+import { formatGP } from '../utils/formatUtils';
+import { fetch1HourVolume, fetchItemMapping, fetchLatestPrices } from '../utils/osrsWikiApi';
+import { resolveFilterQuery } from '../utils/claudeFilterService';
+import { evaluateFilterRules } from '../utils/filterRuleEvaluator';
+import {
+  SCANNER_SORTS,
+  buildScannerRows,
+  loadWatchlist,
+  rankScannerRows,
+  toggleWatchlist,
+} from '../utils/opportunityScanner';
+
+// Rendering every tradeable item is slow; ranking decides which rows make the cut
+const MAX_DISPLAYED_ROWS = 200;
+
+const formatAge = minutes => {
+  if (minutes === null || minutes === undefined) return '—';
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `${Math.round(minutes)}m`;
+  return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
+};
+
+const profitClass = value => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+/**
+ * Ranks what to flip next from live Wiki prices
+ * Filters use the blocklist rule engine, so the same prompts work here.
+ */
+export default function ScannerPage() {
+  const navigate = useNavigate();
+  const { guestData: originalData } = useData();
+  const { getFilteredData } = useAccountFilter();
+  const guestData = getFilteredData() || originalData;
+
+  const [market, setMarket] = useState(null); // { items, latest, hourly, loadedAt }
+  const [loadError, setLoadError] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [sortKey, setSortKey] = useState('potentialProfit');
+  const [search, setSearch] = useState('');
+  const [watchlist, setWatchlist] = useState(loadWatchlist);
+  const [watchlistOnly, setWatchlistOnly] = useState(false);
+  const [query, setQuery] = useState('');
+  const [filter, setFilter] = useState(null); // { config, source }
+  const [isFiltering, setIsFiltering] = useState(false);
+
+  const loadMarket = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      const [items, latest, hourly] = await Promise.all([
+        fetchItemMapping(),
+        fetchLatestPrices(),
+        fetch1HourVolume(),
+      ]);
+      setMarket({ items, latest, hourly, loadedAt: Date.now() });
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load scanner prices:', error);
+      setLoadError('Could not load live prices from the OSRS Wiki. Try refreshing.');
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMarket();
+  }, [loadMarket]);
+
+  const rows = useMemo(
+    () =>
+      market
+        ? buildScannerRows(market.items, market.latest, market.hourly, {
+            now: market.loadedAt,
+            itemStats: guestData?.itemStats,
+          })
+        : [],
+    [market, guestData?.itemStats]
+  );
+
+  // Item IDs the active filter keeps
+  const allowedIds = useMemo(() => {
+    if (!filter || !market) return null;
+    const { tradeable } = evaluateFilterRules(
+      filter.config,
+      market.items,
+      market.latest,
+      market.hourly,
+      { now: market.loadedAt }
+    );
+    return new Set(tradeable.map(item => item.id));
+  }, [filter, market]);
+
+  const visibleRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const watched = new Set(watchlist);
+    const matching = rows.filter(
+      row =>
+        (!allowedIds || allowedIds.has(row.id)) &&
+        (!watchlistOnly || watched.has(row.id)) &&
+        (!term || row.name.toLowerCase().includes(term))
+    );
+    return rankScannerRows(matching, sortKey);
+  }, [rows, allowedIds, watchlist, watchlistOnly, search, sortKey]);
+
+  const handleApplyFilter = async () => {
+    if (!query.trim() || !market) return;
+    setIsFiltering(true);
+    try {
+      const result = await resolveFilterQuery(
+        query,
+        market.items.length,
+        Object.keys(market.latest).length,
+        Object.keys(market.hourly).length
+      );
+      setFilter(result);
+    } catch (error) {
+      toast.error(`Couldn't apply filter: ${error.message}`);
+    } finally {
+      setIsFiltering(false);
+    }
+  };
+
+  const handleClearFilter = () => {
+    setFilter(null);
+    setQuery('');
+  };
+
+  const columns = [
+    {
+      key: 'watched',
+      label: '★',
+      sortValue: row => (watchlist.includes(row.id) ? 1 : 0),
+      render: (_, row) => {
+        const watched = watchlist.includes(row.id);
+        return (
+          <button
+            onClick={() => setWatchlist(toggleWatchlist(row.id))}
+            title={watched ? 'Remove from watchlist' : 'Add to watchlist'}
+            className={watched ? 'text-yellow-400' : 'text-gray-600 hover:text-yellow-300'}
+          >
+            {watched ? '★' : '☆'}
+          </button>
+        );
+      },
+    },
+    {
+      key: 'name',
+      label: 'Item',
+      headerClass: 'text-left',
+      cellClass: 'text-left',
+      render: value => <ItemWithIcon itemName={value} textClassName="text-white font-medium" />,
+    },
+    {
+      key: 'buyPrice',
+      label: 'Buy',
+      headerClass: 'text-right hidden md:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden md:table-cell',
+      render: value => formatGP(value),
+    },
+    {
+      key: 'sellPrice',
+      label: 'Sell',
+      headerClass: 'text-right hidden md:table-cell',
+      cellClass: 'text-right text-gray-300 font-mono hidden md:table-cell',
+      render: value => formatGP(value),
+    },
+    {
+      key: 'margin',
+      label: 'Margin',
+      headerClass: 'text-right',
+      cellClass: 'text-right font-mono',
+      render: (value, row) => (
+        <span className={profitClass(value)} title={`${row.marginPercent.toFixed(2)}% after tax`}>
+          {formatGP(value)}
+        </span>
+      ),
+    },
+    {
+      key: 'potentialProfit',
+      label: 'Margin × Limit',
+      headerClass: 'text-right',
+      cellClass: 'text-right font-mono',
+      sortValue: row => row.potentialProfit ?? -Infinity,
+      render: (value, row) =>
+        value === null ? (
+          <span className="text-gray-500">—</span>
+        ) : (
+          <span className={profitClass(value)} title={`Buy limit ${row.limit.toLocaleString()}`}>
+            {formatGP(value)}
+          </span>
+        ),
+    },
+    {
+      key: 'volume',
+      label: '1h Vol',
+      headerClass: 'text-right',
+      cellClass: 'text-right text-gray-300',
+      render: value => value.toLocaleString(),
+    },
+    {
+      key: 'priceAge',
+      label: 'Age',
+      headerClass: 'text-right hidden sm:table-cell',
+      cellClass: 'text-right text-gray-300 hidden sm:table-cell',
+      render: value => formatAge(value),
+    },
+    {
+      key: 'history',
+      label: 'Our History',
+      headerClass: 'text-right hidden lg:table-cell',
+      cellClass: 'text-right hidden lg:table-cell',
+      sortValue: row => row.history?.totalProfit ?? -Infinity,
+      render: (_, row) =>
+        row.history ? (
+          <Link
+            to={`/items/${encodeURIComponent(row.name)}`}
+            className="hover:underline"
+            title={`Avg ${formatGP(row.history.avgProfit)} per flip`}
+          >
+            <span className={profitClass(row.history.totalProfit)}>
+              {formatGP(row.history.totalProfit)}
+            </span>{' '}
+            <span className="text-gray-500 text-xs">({row.history.flipCount} flips)</span>
+          </Link>
+        ) : (
+          <span className="text-gray-500">—</span>
+        ),
+    },
+  ];
+
+  return (
+    <div className="max-w-7xl mx-auto p-8">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Scanner</h1>
+          <p className="text-gray-500 text-xs mt-1">
+            Live OSRS Wiki prices ranked for flipping. Margins are after GE tax.
+            {market && ` Prices loaded ${new Date(market.loadedAt).toLocaleTimeString()}.`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={loadMarket}
+            disabled={isRefreshing}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-500 disabled:bg-gray-600"
+          >
+            {isRefreshing ? 'Refreshing...' : 'Refresh prices'}
+          </button>
+          {guestData && (
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-600"
+            >
+              ← Overview
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loadError && (
+        <div className="bg-red-900/30 border border-red-500/50 rounded-lg p-3 mb-4 text-red-200 text-sm">
+          {loadError}
+        </div>
+      )}
+
+      {/* Controls */}
+      <div className="bg-gray-800 rounded-lg p-4 mb-4 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleApplyFilter()}
+            placeholder="Filter, e.g. members items between 1m and 10m with margin over 50k"
+            className="flex-1 min-w-[16rem] px-3 py-2 bg-gray-900 border border-gray-600 rounded text-sm text-white"
+          />
+          <button
+            onClick={handleApplyFilter}
+            disabled={!market || isFiltering || !query.trim()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-sm text-white rounded"
+          >
+            {isFiltering ? 'Filtering...' : 'Apply filter'}
+          </button>
+          {filter && (
+            <button
+              onClick={handleClearFilter}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-sm text-white rounded"
+            >
+              Clear filter
+            </button>
+          )}
+        </div>
+        {filter?.config.interpretation && (
+          <p className="text-xs text-gray-400">Filter: {filter.config.interpretation}</p>
+        )}
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="text-gray-400">
+            Rank by{' '}
+            <select
+              value={sortKey}
+              onChange={e => setSortKey(e.target.value)}
+              className="ml-1 px-2 py-1 bg-gray-900 border border-gray-600 rounded text-white"
+            >
+              {Object.entries(SCANNER_SORTS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <input
+            type="text"
+            value={search}
+            onChange={e => setSearch(e.target.value)}
+            placeholder="Search items"
+            className="px-3 py-1 bg-gray-900 border border-gray-600 rounded text-white"
+          />
+          <label className="flex items-center gap-2 text-gray-300">
+            <input
+              type="checkbox"
+              checked={watchlistOnly}
+              onChange={e => setWatchlistOnly(e.target.checked)}
+            />
+            Watchlist only ({watchlist.length})
+          </label>
+        </div>
+      </div>
+
+      {!market && !loadError ? (
+        <div className="text-gray-400 text-center py-12">Loading live prices...</div>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-2">
+            {visibleRows.length > MAX_DISPLAYED_ROWS
+              ? `Showing the top ${MAX_DISPLAYED_ROWS} of ${visibleRows.length.toLocaleString()} items`
+              : `${visibleRows.length.toLocaleString()} items`}
+          </p>
+          <SortableTable
+            data={visibleRows.slice(0, MAX_DISPLAYED_ROWS)}
+            columns={columns}
+            className="text-sm"
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,12 +3,39 @@ import { useNavigate } from 'react-router-dom';
 import { useData } from '../contexts/DataContext';
 import CsvDropzone from '../components/CsvDropzone';
 import ProcessingStatus from '../components/ProcessingStatus';
+import ImportDiagnostics from '../components/ImportDiagnostics';
+import ColumnMappingDialog from '../components/ColumnMappingDialog';
 import { guestAnalytics } from '../utils/guestAnalytics';
+import { decodeFlipTable, encodeFlips } from '../utils/flipColumns';
+import {
+  detectImporter,
+  readCsvPreview,
+  DEFAULT_IMPORTER_ID,
+  SUPPORTED_EXTENSIONS,
+} from '../utils/importers';
+import {
+  loadColumnMapping,
+  saveColumnMapping,
+  forgetColumnMapping,
+} from '../utils/columnMappingStore';
+import { resolveTimezone, buildDailySummaries } from '../utils/tradingDay';
 import { toast } from 'sonner';
 
 export default function UploadPage() {
   const [step, setStep] = useState('upload'); // 'upload' | 'processing' | 'complete'
-  const { guestData, setGuestData, processingStats, setProcessingStats } = useData();
+  const [uploadMode, setUploadMode] = useState('merge'); // 'merge' | 'replace' when data exists
+  const [mergeResult, setMergeResult] = useState(null);
+  const [importDiagnostics, setImportDiagnostics] = useState(null); // Rows the last upload skipped
+  const [flaggedRows, setFlaggedRows] = useState(null); // Rows it kept but flagged (e.g. tax mismatch)
+  const [mappingRequest, setMappingRequest] = useState(null); // { fileName, headers, previewRows, resolve }
+  const {
+    guestData,
+    setGuestData,
+    processingStats,
+    setProcessingStats,
+    forgetGuestData,
+    tradingDay,
+  } = useData();
   const navigate = useNavigate();
 
   // Track if user returned with existing data
@@ -40,8 +67,8 @@ export default function UploadPage() {
       // Create a virtual file object from the CSV text
       const demoFile = new File([csvText], 'demo-flips.csv', { type: 'text/csv' });
 
-      // Process it like a regular file upload
-      await processFile(demoFile, true);
+      // Process it like a regular file upload (demo data never merges into real data)
+      await processFiles([demoFile], true, 'replace');
     } catch (error) {
       console.error('Demo data loading failed:', error);
       guestAnalytics.uploadFailed('demo_load_error');
@@ -50,53 +77,88 @@ export default function UploadPage() {
     }
   };
 
-  const processFile = async (file, isDemoData = false) => {
+  // Ask the user to map an unrecognized CSV's columns; resolves null if they cancel
+  const requestColumnMapping = (fileName, headers, previewRows) =>
+    new Promise(resolve => setMappingRequest({ fileName, headers, previewRows, resolve }));
+
+  const closeMappingDialog = result => {
+    mappingRequest?.resolve(result);
+    setMappingRequest(null);
+  };
+
+  const processFiles = async (files, isDemoData = false, mode = 'replace') => {
     try {
-      // Skip validations for demo data
-      if (!isDemoData) {
-        // VALIDATION 1: File size check (prevent worker crashes)
-        const maxFileSize = 20 * 1024 * 1024; // 20MB limit
-        if (file.size > maxFileSize) {
-          const fileSizeMB = (file.size / (1024 * 1024)).toFixed(1);
-          const maxSizeMB = (maxFileSize / (1024 * 1024)).toFixed(1);
+      // Prefix messages with the file name when several files were dropped together
+      const fileLabel = file => (files.length > 1 ? `${file.name}: ` : '');
 
-          guestAnalytics.uploadFailed('file_too_large');
-          toast.error(
-            `File too large: ${fileSizeMB}MB\n` +
-              `Maximum allowed: ${maxSizeMB}MB\n\n` +
-              `Your file has ${Math.round(file.size / 112).toLocaleString()} estimated rows.\n` +
-              `Try exporting a shorter date range (3-6 months) from Flipping Copilot.`
-          );
-          return;
+      // Which importer reads each file (demo data is always a Copilot CSV)
+      const sources = [];
+
+      for (const file of files) {
+        // No size cap: the worker streams the file and stores flips in compact columns
+        if (isDemoData) {
+          sources.push({ file, importer: DEFAULT_IMPORTER_ID, options: {} });
+          continue;
         }
 
-        // VALIDATION 2: File type check
-        if (!file.name.toLowerCase().endsWith('.csv')) {
+        // VALIDATION 1: File type check
+        const fileName = file.name.toLowerCase();
+        if (!SUPPORTED_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
           guestAnalytics.uploadFailed('invalid_file_type');
-          toast.error('Please upload a .csv file from Flipping Copilot');
+          toast.error(
+            `${fileLabel(file)}Please upload a Flipping Copilot .csv, a Flipping Utilities .json or another flip log .csv`
+          );
           return;
         }
 
-        // VALIDATION 3: Basic CSV format check (quick peek)
-        const sampleSize = Math.min(file.size, 1024); // Read first 1KB
+        // VALIDATION 2: Detect the format from a quick peek
+        const sampleSize = Math.min(file.size, 4096); // Read first 4KB
+        // eslint-disable-next-line no-await-in-loop
         const sampleText = await file.slice(0, sampleSize).text();
-        const sampleLower = sampleText.toLowerCase();
+        const detected = detectImporter(file.name, sampleText);
 
-        if (!sampleLower.includes('first buy time') || !sampleLower.includes('last sell time')) {
-          guestAnalytics.uploadFailed('not_copilot_csv');
+        if (!detected) {
+          guestAnalytics.uploadFailed('unrecognized_format');
           toast.error(
-            "This doesn't appear to be a Flipping Copilot export.\n\n" +
-              "Make sure you're uploading the flips.csv file from the plugin."
+            `${fileLabel(file)}This doesn't look like a supported flip export.\n\n` +
+              'Supported: Flipping Copilot flips.csv, Flipping Utilities trade history (.json), ' +
+              'or any CSV with a header row.'
           );
           return;
         }
+
+        let options = {};
+        if (detected.importer.needsMapping) {
+          const { headers } = detected;
+          const saved = loadColumnMapping(headers);
+
+          if (saved) {
+            // Same columns as a file mapped before - reuse the user's answers
+            options = saved;
+            toast.info(`${fileLabel(file)}Using your saved column mapping`, {
+              action: { label: 'Forget it', onClick: () => forgetColumnMapping(headers) },
+            });
+          } else {
+            const previewRows = readCsvPreview(sampleText, { complete: sampleSize === file.size });
+            // eslint-disable-next-line no-await-in-loop
+            const mapped = await requestColumnMapping(file.name, headers, previewRows);
+            if (!mapped) return; // User cancelled the mapping
+            options = mapped.options;
+            if (mapped.remember) saveColumnMapping(headers, options);
+          }
+        }
+
+        sources.push({ file, importer: detected.importer.id, options });
       }
 
-      // console.debug('File selected', { name: file.name, size: file.size, type: file.type });
+      // console.debug('Files selected', files.map(f => ({ name: f.name, size: f.size })));
+
+      // Merging only makes sense on top of existing data
+      const isMerge = mode === 'merge' && hasExistingData;
 
       // Continue with existing upload logic...
       // If they have existing data, confirm replacement
-      if (hasExistingData) {
+      if (hasExistingData && !isMerge) {
         // eslint-disable-next-line no-alert
         const confirmed = window.confirm('This will replace your current data. Continue?');
         if (!confirmed) {
@@ -114,8 +176,8 @@ export default function UploadPage() {
 
       setStep('processing');
 
-      // Get browser timezone
-      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+      // Flips are bucketed into days by the trading day setting (browser timezone by default)
+      const timezone = resolveTimezone(tradingDay.timezone);
 
       // Create Web Worker
       const worker = new Worker(new URL('../workers/guestProcessor.worker.js', import.meta.url), {
@@ -152,7 +214,15 @@ export default function UploadPage() {
         if (e.data.type === 'SUCCESS' || e.data.type === 'COMPLETE') {
           // Handle both new and old data structures
           const rawData = e.data.data || e.data.result;
-          const flipsByDate = rawData.flipsByDate || {};
+
+          // Expand the transferred flip columns; allFlips and flipsByDate share objects
+          const {
+            allFlips,
+            flipsByDate,
+            openPositions = [],
+          } = rawData.flipColumns
+            ? decodeFlipTable(rawData.flipColumns)
+            : { allFlips: rawData.allFlips || [], flipsByDate: rawData.flipsByDate || {} };
           let itemStats = rawData.itemStats || [];
 
           // SAFEGUARD: If itemStats is empty but flipsByDate has data, rebuild itemStats
@@ -195,56 +265,16 @@ export default function UploadPage() {
           }, 0);
 
           // Create daily summaries from flipsByDate
-          const dailySummaries = Object.entries(flipsByDate)
-            .map(([date, dayData]) => ({
-              date,
-              totalProfit:
-                dayData.totalProfit ||
-                dayData.flips?.reduce((sum, f) => sum + (f.profit || 0), 0) ||
-                0,
-              flipCount: dayData.totalFlips || dayData.flips?.length || 0,
-              uniqueItems: new Set(dayData.flips?.map(f => f.item) || []).size,
-            }))
-            .sort((a, b) => {
-              // Sort dates properly considering year (MM-DD-YYYY format)
-              const [aMonth, aDay, aYear] = a.date.split('-');
-              const [bMonth, bDay, bYear] = b.date.split('-');
-              const dateA = new Date(aYear, aMonth - 1, aDay);
-              const dateB = new Date(bYear, bMonth - 1, bDay);
-              return dateA - dateB;
-            });
+          const dailySummaries = buildDailySummaries(flipsByDate);
 
-          // Map allFlips to have consistent field names for query builder
-          const allFlips = (rawData.allFlips || []).map(flip => ({
-            ...flip,
-            // Map field names to what the query builder expects
-            quantity: flip.quantity || flip.bought || flip.sold || 0,
-            avgBuyPrice: flip.avgBuyPrice || flip.avg_buy_price || 0,
-            avgSellPrice: flip.avgSellPrice || flip.avg_sell_price || 0,
-            firstBuyTime: flip.firstBuyTime || flip.first_buy_time,
-            lastSellTime: flip.lastSellTime || flip.last_sell_time,
-            sellerTax: flip.sellerTax || flip.tax || 0,
-            // Calculate derived fields
-            spent:
-              (flip.avgBuyPrice || flip.avg_buy_price || 0) * (flip.quantity || flip.bought || 0),
-            revenue:
-              (flip.avgSellPrice || flip.avg_sell_price || 0) * (flip.quantity || flip.sold || 0),
-            hoursHeld: (() => {
-              const buyTime = flip.firstBuyTime || flip.first_buy_time;
-              const sellTime = flip.lastSellTime || flip.last_sell_time;
-              if (buyTime && sellTime) {
-                const hours = (new Date(sellTime) - new Date(buyTime)) / (1000 * 60 * 60);
-                return Math.round(hours * 10) / 10;
-              }
-              return 0;
-            })(),
-            roi: (() => {
-              const spent =
-                (flip.avgBuyPrice || flip.avg_buy_price || 0) * (flip.quantity || flip.bought || 0);
-              return spent > 0 ? ((flip.profit || 0) / spent) * 100 : 0;
-            })(),
-            date: flip.date || flip.last_sell_time?.split('T')[0],
-          }));
+          const mergeSummary = rawData.mergeSummary || null;
+          const fileNames = files.map(f => f.name).join(', ');
+
+          // Keep the list of files that contributed to the dataset across merges
+          const sourceFiles = [
+            ...(isMerge ? guestData.metadata?.sourceFiles || [] : []),
+            ...(rawData.metadata?.sourceFiles || []),
+          ];
 
           const processedData = {
             flipsByDate,
@@ -255,10 +285,13 @@ export default function UploadPage() {
             uniqueItems,
             totalTax,
             timezone,
+            tradingDay: { ...tradingDay, timezone }, // Resolved, so 'local' can't drift later
             accounts: rawData.accounts || [],
             allFlips,
+            openPositions, // In-progress flips, kept out of every realized total
             metadata: {
               ...(rawData.metadata || {}),
+              sourceFiles,
               processedAt: new Date().toISOString(),
               userTimezone: timezone,
               accounts: rawData.accounts || [],
@@ -267,10 +300,16 @@ export default function UploadPage() {
                 from: dailySummaries[0]?.date,
                 to: dailySummaries[dailySummaries.length - 1]?.date,
               },
+              lastImport: mergeSummary
+                ? { ...mergeSummary, fileName: fileNames, importedAt: new Date().toISOString() }
+                : null,
             },
           };
 
           setGuestData(processedData);
+          setMergeResult(isMerge ? mergeSummary : null);
+          setImportDiagnostics(rawData.diagnostics || null);
+          setFlaggedRows(rawData.flaggedRows || null);
           guestAnalytics.uploadCompleted(
             e.data.data?.totalRows || e.data.result?.totalFlips || 0,
             Date.now() - uploadStartTime,
@@ -280,6 +319,19 @@ export default function UploadPage() {
           setStep('complete');
           worker.terminate();
 
+          if (isMerge && mergeSummary) {
+            // Merge results stay on screen until the user moves on
+            toast.success(
+              `Merged ${fileNames}: ${mergeSummary.newRows.toLocaleString()} new, ` +
+                `${mergeSummary.duplicateRows.toLocaleString()} duplicate, ` +
+                `${mergeSummary.conflictingRows.toLocaleString()} conflicting`
+            );
+            return;
+          }
+
+          // Skipped and flagged rows stay on screen so they can be audited before moving on
+          if (rawData.diagnostics?.total > 0 || rawData.flaggedRows?.total > 0) return;
+
           // Navigate to dashboard
           // eslint-disable-next-line no-magic-numbers
           setTimeout(() => navigate('/dashboard'), 500);
@@ -324,8 +376,22 @@ export default function UploadPage() {
         worker.terminate();
       };
 
-      // Start processing with timezone
-      worker.postMessage({ type: 'START', file, timezone });
+      // Start processing with the trading day setting (and the current flips when merging)
+      // Existing flips go over as transferable columns rather than a cloned object graph
+      const existing = isMerge
+        ? encodeFlips([...(guestData.allFlips || []), ...(guestData.openPositions || [])])
+        : null;
+      worker.postMessage(
+        {
+          type: 'START',
+          sources,
+          timezone,
+          tradingDay,
+          mode: isMerge ? 'merge' : 'replace',
+          existingFlips: existing?.payload || null,
+        },
+        existing?.transfer || []
+      );
     } catch (error) {
       // Log any other errors
       console.error('Upload handler error', error);
@@ -338,15 +404,16 @@ export default function UploadPage() {
     }
   };
 
-  const handleFileSelect = async file => {
-    await processFile(file, false);
+  const handleFilesSelect = async files => {
+    await processFiles(files, false, uploadMode);
   };
 
   return (
     <div className="max-w-4xl mx-auto p-8">
       <h1 className="text-4xl font-bold mb-2 text-white">Upload Your Flips</h1>
       <p className="text-gray-400 mb-8">
-        Upload your flips.csv export from the Flipping Copilot RuneLite plugin
+        Upload your flips.csv exports from the Flipping Copilot RuneLite plugin - drop several at
+        once to combine accounts from different machines
       </p>
 
       {/* Show option to return to dashboard if data exists */}
@@ -360,22 +427,107 @@ export default function UploadPage() {
             >
               Return to dashboard
             </button>{' '}
-            or upload a new file below.
+            or upload new files below.
           </p>
+          <p className="text-blue-300 text-xs mt-2">
+            Your data is saved in this browser so it survives a refresh.
+            <button
+              onClick={() => {
+                // eslint-disable-next-line no-alert
+                if (window.confirm('Delete your flip data from this browser?')) {
+                  forgetGuestData();
+                }
+              }}
+              className="ml-2 underline hover:text-white"
+            >
+              Forget my data
+            </button>
+          </p>
+
+          {/* Merge vs replace for the next upload */}
+          <div className="mt-3 flex flex-wrap gap-4 text-sm text-blue-100">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="upload-mode"
+                value="merge"
+                checked={uploadMode === 'merge'}
+                onChange={e => setUploadMode(e.target.value)}
+                className="h-4 w-4"
+              />
+              Merge into current data (skip flips already loaded)
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="upload-mode"
+                value="replace"
+                checked={uploadMode === 'replace'}
+                onChange={e => setUploadMode(e.target.value)}
+                className="h-4 w-4"
+              />
+              Replace current data
+            </label>
+          </div>
         </div>
       )}
 
       {step === 'upload' && (
-        <CsvDropzone onFileSelect={handleFileSelect} onDemoLoad={handleDemoLoad} />
+        <CsvDropzone onFilesSelect={handleFilesSelect} onDemoLoad={handleDemoLoad} />
       )}
 
       {step === 'processing' && <ProcessingStatus stats={processingStats} />}
 
+      {mappingRequest && (
+        <ColumnMappingDialog
+          fileName={mappingRequest.fileName}
+          headers={mappingRequest.headers}
+          previewRows={mappingRequest.previewRows}
+          onConfirm={closeMappingDialog}
+          onCancel={() => closeMappingDialog(null)}
+        />
+      )}
+
       {step === 'complete' && (
         <div className="text-center">
           <div className="text-green-500 text-6xl mb-4">✓</div>
           <h2 className="text-2xl font-bold mb-2">Processing Complete!</h2>
-          <p className="text-gray-400">Redirecting to your dashboard...</p>
+          {mergeResult || importDiagnostics?.total > 0 || flaggedRows?.total > 0 ? (
+            <div className="mt-6 space-y-6">
+              {mergeResult && (
+                <div className="grid grid-cols-3 gap-4 max-w-lg mx-auto">
+                  <div className="bg-gray-800 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-green-400">
+                      {mergeResult.newRows.toLocaleString()}
+                    </div>
+                    <div className="text-sm text-gray-400">new flips</div>
+                  </div>
+                  <div className="bg-gray-800 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-gray-300">
+                      {mergeResult.duplicateRows.toLocaleString()}
+                    </div>
+                    <div className="text-sm text-gray-400">duplicates skipped</div>
+                  </div>
+                  <div className="bg-gray-800 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-yellow-400">
+                      {mergeResult.conflictingRows.toLocaleString()}
+                    </div>
+                    <div className="text-sm text-gray-400">conflicts (new file kept)</div>
+                  </div>
+                </div>
+              )}
+              <ImportDiagnostics diagnostics={importDiagnostics} />
+              <ImportDiagnostics diagnostics={flaggedRows} kind="flagged" />
+              <button
+                onClick={() => navigate('/dashboard')}
+                className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium"
+              >
+                Go to dashboard
+              </button>
+            </div>
+          ) : (
+            <p className="text-gray-400">Redirecting to your dashboard...</p>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,63 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import initSqlJs from 'sql.js';
+import QueryPage from '../QueryPage';
+import { AccountFilterProvider } from '../../contexts/AccountFilterContext';
+import { useData } from '../../contexts/DataContext';
+import { loadSqlJs } from '../../lib/sqlite';
+
+jest.mock('../../contexts/DataContext', () => ({ useData: jest.fn() }));
+jest.mock('../../lib/sqlite', () => ({ loadSqlJs: jest.fn() }));
+
+const flip = (item, account) => ({
+  item,
+  account,
+  avg_buy_price: 1000,
+  avg_sell_price: 1100,
+  profit: 100,
+  quantity: 1,
+  first_buy_time: '2025-03-01T10:00:00.000Z',
+  last_sell_time: '2025-03-01T11:00:00.000Z',
+});
+
+const FLIPS = [flip('Abyssal whip', 'Main'), flip('Dragon bones', 'Alt')];
+
+const guestData = {
+  allFlips: FLIPS,
+  flipsByDate: { '03-01-2025': { flips: FLIPS } },
+  dailySummaries: [],
+  metadata: { accounts: ['Main', 'Alt'] },
+  tradingDay: { timezone: 'UTC', dayStartHour: 0 },
+};
+
+describe('QueryPage', () => {
+  let SQL;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    useData.mockReturnValue({ guestData });
+  });
+
+  test('builds the database once for a partial account selection', async () => {
+    localStorage.setItem('osrs-flip-selected-accounts', JSON.stringify(['Main']));
+    const Database = jest.fn(() => new SQL.Database());
+    loadSqlJs.mockResolvedValue({ Database });
+
+    render(
+      <MemoryRouter>
+        <AccountFilterProvider>
+          <QueryPage />
+        </AccountFilterProvider>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Ctrl+Enter to run')).toBeInTheDocument();
+    expect(screen.getByText(/SQL over your 1 flips/)).toBeInTheDocument();
+    expect(Database).toHaveBeenCalledTimes(1);
+  });
+});
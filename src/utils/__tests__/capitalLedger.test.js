@@ -0,0 +1,103 @@
+import {
+  addLedgerEntry,
+  buildNetWorthSeries,
+  deleteLedgerEntry,
+  filterLedger,
+  loadCapitalLedger,
+  summarizeNetWorth,
+} from '../capitalLedger';
+
+const entry = (overrides = {}) => ({
+  id: 'x',
+  account: 'Main',
+  type: 'deposit',
+  amount: 1_000_000,
+  date: '2025-01-02',
+  note: '',
+  ...overrides,
+});
+
+describe('capitalLedger', () => {
+  beforeEach(() => localStorage.clear());
+
+  describe('addLedgerEntry', () => {
+    it('saves entries in date order with shorthand amounts', () => {
+      addLedgerEntry({ account: 'Main', type: 'deposit', amount: '5m', date: '2025-02-01' });
+      const ledger = addLedgerEntry({ account: 'Main', type: 'starting', amount: '10m' });
+
+      expect(ledger.map(e => [e.type, e.amount, e.date])).toEqual([
+        ['starting', 10_000_000, null],
+        ['deposit', 5_000_000, '2025-02-01'],
+      ]);
+      expect(loadCapitalLedger()).toEqual(ledger);
+    });
+
+    it.each([
+      [{ type: 'deposit', amount: '5m', date: '2025-01-01' }, 'Choose an account'],
+      [{ account: 'Main', type: 'deposit', amount: '-5m', date: '2025-01-01' }, /positive number/],
+      [{ account: 'Main', type: 'deposit', amount: 'lots', date: '2025-01-01' }, /positive number/],
+      [{ account: 'Main', type: 'withdrawal', amount: '5m' }, 'Choose a date'],
+      [{ account: 'Main', type: 'gift', amount: '5m' }, 'Choose an entry type'],
+    ])('rejects invalid input %#', (input, message) => {
+      expect(() => addLedgerEntry(input)).toThrow(message);
+    });
+
+    it('allows one starting bankroll per account', () => {
+      addLedgerEntry({ account: 'Main', type: 'starting', amount: '10m' });
+      expect(() => addLedgerEntry({ account: 'Main', type: 'starting', amount: '1m' })).toThrow(
+        /already has a starting bankroll/
+      );
+      expect(addLedgerEntry({ account: 'Alt', type: 'starting', amount: '1m' })).toHaveLength(2);
+    });
+
+    it('deletes entries by id', () => {
+      const [saved] = addLedgerEntry({ account: 'Main', type: 'starting', amount: '10m' });
+      expect(deleteLedgerEntry(saved.id)).toEqual([]);
+    });
+
+    it('survives corrupt storage', () => {
+      localStorage.setItem('osrs-flip-capital-ledger', '{"bad":');
+      expect(loadCapitalLedger()).toEqual([]);
+    });
+  });
+
+  describe('net worth', () => {
+    const summaries = [
+      { date: '01-01-2025', totalProfit: 100_000 },
+      { date: '01-03-2025', totalProfit: 200_000 },
+      { date: '01-05-2025', totalProfit: -50_000 },
+    ];
+    const ledger = [
+      entry({ type: 'starting', amount: 10_000_000, date: null }),
+      entry({ type: 'deposit', amount: 2_000_000, date: '2025-01-02' }),
+      entry({ type: 'bond', amount: 8_000_000, date: '2025-01-05' }),
+      entry({ account: 'Alt', type: 'starting', amount: 1_000_000, date: null }),
+    ];
+
+    it('adds ledger entries from the next trading day on', () => {
+      const series = buildNetWorthSeries(summaries, filterLedger(ledger, ['Main']));
+
+      expect(series.map(row => [row.day, row.capital, row.net_worth])).toEqual([
+        [1, 10_000_000, 10_100_000],
+        [2, 12_000_000, 12_300_000],
+        [3, 4_000_000, 4_250_000],
+      ]);
+      expect(series[2]).toMatchObject({ profit: -50_000, cumulativeProfit: 250_000 });
+    });
+
+    it('keeps no entries when no account is selected', () => {
+      expect(filterLedger(ledger, ['Main', 'Alt'])).toHaveLength(4);
+      expect(filterLedger(ledger, [])).toEqual([]);
+    });
+
+    it('totals capital, realized profit and optionally open positions', () => {
+      expect(summarizeNetWorth(ledger, 250_000)).toEqual({
+        capital: 5_000_000,
+        realizedProfit: 250_000,
+        openPositionsProfit: 0,
+        netWorth: 5_250_000,
+      });
+      expect(summarizeNetWorth(ledger, 250_000, -40_000).netWorth).toBe(5_210_000);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import {
+  buildCategoryFacets,
+  getCategoryLabel,
+  getItemCategories,
+  isInCategory,
+} from '../categoryFacets';
+
+const ITEMS = [
+  { id: 1, name: 'Rune arrow' },
+  { id: 2, name: 'Adamant arrow' },
+  { id: 3, name: 'Nature rune' },
+  { id: 4, name: 'Clue scroll (hard)' },
+  { id: 5, name: 'Zzz unknown thing' },
+];
+
+describe('categoryFacets', () => {
+  const categories = getItemCategories(ITEMS);
+
+  it('classifies each item with its tags, primary and coarse category', () => {
+    expect(categories.get(1).tags).toContain('Ammunition');
+    expect(getCategoryLabel(categories.get(1), 'fine')).toBe('Ammunition');
+    expect(getCategoryLabel(categories.get(4), 'fine')).toBe('Treasure Trails');
+    expect(getCategoryLabel(categories.get(3), 'coarse')).toBe('Magic');
+    expect(getCategoryLabel(undefined, 'fine')).toBe('Other');
+  });
+
+  it('matches fine categories by tag and coarse categories by bucket', () => {
+    expect(isInCategory(categories.get(4), 'Treasure Trails', 'fine')).toBe(true);
+    expect(isInCategory(categories.get(4), 'Utility', 'coarse')).toBe(true);
+    expect(isInCategory(categories.get(3), 'Ammunition', 'fine')).toBe(false);
+    expect(isInCategory(undefined, 'Runes', 'fine')).toBe(false);
+  });
+
+  it('counts items and blocked items per category in priority order', () => {
+    const blocked = new Set([1]);
+    const facets = buildCategoryFacets(ITEMS, categories, 'fine', id => blocked.has(id));
+
+    expect(facets[0]).toEqual({ category: 'Ammunition', total: 2, blocked: 1 });
+    expect(facets.find(facet => facet.category === 'Runes')).toEqual({
+      category: 'Runes',
+      total: 1,
+      blocked: 0,
+    });
+    expect(facets[facets.length - 1].category).toBe('Other');
+  });
+
+  it('counts each item once at the coarse level', () => {
+    const facets = buildCategoryFacets(ITEMS, categories, 'coarse', () => false);
+    expect(facets.reduce((sum, facet) => sum + facet.total, 0)).toBe(ITEMS.length);
+  });
+});
@@ -0,0 +1,59 @@
+import { resolveFilterQuery } from '../claudeFilterService';
+import { FilterConfigError } from '../filterConfigValidator';
+import * as localFilterParser from '../localFilterParser';
+
+const aiResponse = config =>
+  Promise.resolve({ ok: true, json: () => Promise.resolve({ response: JSON.stringify(config) }) });
+
+describe('resolveFilterQuery', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('answers simple requests without the network', async () => {
+    const { config, source } = await resolveFilterQuery('F2P items under 1m', 100, 90, 80);
+
+    expect(source).toBe('local');
+    expect(config.rules[0].conditions).toHaveLength(2);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('asks the AI when the local parse is ambiguous', async () => {
+    const aiConfig = {
+      interpretation: 'High volume items',
+      rules: [{ type: 'include', conditions: [{ field: 'volume', operator: 'gt', value: 10000 }] }],
+      defaultAction: 'exclude',
+    };
+    global.fetch.mockReturnValue(aiResponse(aiConfig));
+
+    const { config, source } = await resolveFilterQuery('high volume items', 100, 90, 80);
+
+    expect(source).toBe('ai');
+    expect(config).toEqual(aiConfig);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects malformed AI configs', async () => {
+    global.fetch.mockReturnValue(aiResponse({ rules: [{ type: 'maybe' }], defaultAction: 'x' }));
+
+    await expect(resolveFilterQuery('high volume items', 100, 90, 80)).rejects.toThrow(
+      FilterConfigError
+    );
+  });
+
+  it('rejects malformed local configs too', async () => {
+    const parse = jest
+      .spyOn(localFilterParser, 'parseFilterQuery')
+      .mockReturnValue({ config: { rules: 'nope', defaultAction: 'exclude' } });
+
+    await expect(resolveFilterQuery('F2P items under 1m', 100, 90, 80)).rejects.toThrow(
+      FilterConfigError
+    );
+    expect(global.fetch).not.toHaveBeenCalled();
+    parse.mockRestore();
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  getHeaderSignature,
+  loadColumnMapping,
+  saveColumnMapping,
+  forgetColumnMapping,
+} from '../columnMappingStore';
+
+const HEADERS = ['Item', 'Buy Date', 'Qty', 'Buy Price'];
+const OPTIONS = {
+  mapping: { item: 'Item', first_buy_time: 'Buy Date', bought: 'Qty', avg_buy_price: 'Buy Price' },
+  account: 'Alt',
+  dateFormat: 'DMY',
+  numberFormat: 'dot',
+};
+
+describe('columnMappingStore', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('ignores header order and case in the signature', () => {
+    expect(getHeaderSignature(['Qty', 'item'])).toBe(getHeaderSignature(['Item ', 'QTY']));
+  });
+
+  it('round-trips saved options for the same headers', () => {
+    saveColumnMapping(HEADERS, OPTIONS);
+
+    expect(loadColumnMapping([...HEADERS].reverse())).toEqual(OPTIONS);
+    expect(loadColumnMapping(['Item', 'Qty'])).toBeNull();
+  });
+
+  it('ignores a saved mapping that no longer covers the required fields', () => {
+    saveColumnMapping(HEADERS, { ...OPTIONS, mapping: { item: 'Item' } });
+
+    expect(loadColumnMapping(HEADERS)).toBeNull();
+  });
+
+  it('forgets a saved mapping', () => {
+    saveColumnMapping(HEADERS, OPTIONS);
+    forgetColumnMapping(HEADERS);
+
+    expect(loadColumnMapping(HEADERS)).toBeNull();
+  });
+
+  it('survives corrupt storage', () => {
+    localStorage.setItem('osrs-flip-column-mappings', '{not json');
+
+    expect(loadColumnMapping(HEADERS)).toBeNull();
+    saveColumnMapping(HEADERS, OPTIONS);
+    expect(loadColumnMapping(HEADERS)).toEqual(OPTIONS);
+  });
+});
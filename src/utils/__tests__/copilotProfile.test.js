@@ -0,0 +1,105 @@
+import {
+  DEFAULT_TIMEFRAME,
+  buildProfile,
+  parseProfile,
+  profileNameFromFile,
+  resolveProfileItems,
+} from '../copilotProfile';
+
+describe('copilotProfile', () => {
+  describe('profileNameFromFile', () => {
+    it('strips the download suffix', () => {
+      expect(profileNameFromFile('Budget Mreedon.profile.json')).toBe('Budget');
+      expect(profileNameFromFile('Mine.profile.json')).toBe('Mine');
+      expect(profileNameFromFile('export.json')).toBe('export');
+    });
+
+    it('falls back to the default name', () => {
+      expect(profileNameFromFile('.profile.json')).toBe('Custom Blocklist');
+    });
+  });
+
+  describe('parseProfile', () => {
+    it('reads a plugin profile', () => {
+      const parsed = parseProfile(
+        JSON.stringify({
+          blockedItemIds: [2, 561, 2],
+          timeframe: 30,
+          f2pOnlyMode: true,
+          sellOnlyMode: false,
+        })
+      );
+      expect(parsed).toEqual({
+        blockedItemIds: [2, 561],
+        timeframe: 30,
+        f2pOnlyMode: true,
+        sellOnlyMode: false,
+        extra: {},
+        invalidEntries: 0,
+      });
+    });
+
+    it('counts entries that are not item IDs', () => {
+      const parsed = parseProfile(JSON.stringify({ blockedItemIds: [1, '4151', 'abc', -3, 2.5] }));
+      expect(parsed.blockedItemIds).toEqual([1, 4151]);
+      expect(parsed.invalidEntries).toBe(3);
+    });
+
+    it('defaults missing settings', () => {
+      const parsed = parseProfile(JSON.stringify({ blockedItemIds: [] }));
+      expect(parsed.timeframe).toBe(DEFAULT_TIMEFRAME);
+      expect(parsed.f2pOnlyMode).toBe(false);
+      expect(parsed.sellOnlyMode).toBe(false);
+    });
+
+    it('keeps unrecognized fields', () => {
+      const parsed = parseProfile(JSON.stringify({ blockedItemIds: [1], riskLevel: 'high' }));
+      expect(parsed.extra).toEqual({ riskLevel: 'high' });
+    });
+
+    it('rejects files that are not profiles', () => {
+      expect(() => parseProfile('not json')).toThrow('not valid JSON');
+      expect(() => parseProfile('[1, 2]')).toThrow('not a Flipping Copilot profile');
+      expect(() => parseProfile('{"timeframe": 5}')).toThrow('no blockedItemIds');
+    });
+  });
+
+  describe('resolveProfileItems', () => {
+    it('splits IDs by whether the mapping knows them', () => {
+      const items = [{ id: 2 }, { id: 561 }];
+      expect(resolveProfileItems([2, 99999, 561], items)).toEqual({
+        knownIds: [2, 561],
+        unknownIds: [99999],
+      });
+    });
+  });
+
+  describe('buildProfile', () => {
+    it('uses plugin defaults', () => {
+      expect(buildProfile([1, 2])).toEqual({
+        blockedItemIds: [1, 2],
+        timeframe: DEFAULT_TIMEFRAME,
+        f2pOnlyMode: false,
+        sellOnlyMode: false,
+      });
+    });
+
+    it('round-trips an imported profile', () => {
+      const text = JSON.stringify({
+        blockedItemIds: [2, 561],
+        timeframe: 60,
+        f2pOnlyMode: false,
+        sellOnlyMode: true,
+        riskLevel: 'high',
+      });
+      const parsed = parseProfile(text);
+      const rebuilt = buildProfile(parsed.blockedItemIds, {
+        timeframe: parsed.timeframe,
+        f2pOnly: parsed.f2pOnlyMode,
+        sellOnly: parsed.sellOnlyMode,
+        extra: parsed.extra,
+      });
+      expect(rebuilt).toEqual(JSON.parse(text));
+    });
+  });
+});
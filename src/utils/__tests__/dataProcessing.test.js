@@ -153,7 +153,7 @@ describe('getItemFlips', () => {
 
     const flips = getItemFlips('Dragon bones', flipsByDate);
     expect(flips[0].roi).toBeCloseTo(0.2, 5); // (1200-1000)/1000 = 0.2
-    expect(flips[0].marginPct).toBeCloseTo(20, 5); // 20%
+    expect(flips[0].marginPct).toBeCloseTo(18.8, 5); // after 1% GE tax (12 gp) in January 2025
   });
 
   it('should calculate duration in minutes correctly', () => {
@@ -0,0 +1,193 @@
+import {
+  analyzeExecutions,
+  analyzeFlipExecution,
+  findMarketPoint,
+  formatExecutionPct,
+  planExecutionRequests,
+  summarizeExecutions,
+  summarizeExecutionsByItem,
+} from '../executionAnalysis';
+import fixture from './fixtures/wikiTimeseries.json';
+
+// Wiki /timeseries responses replayed offline (see scripts/record-timeseries-fixtures.mjs)
+const WHIP = fixture.items['Abyssal whip'];
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A time two minutes into a series point's interval
+const during = point => point.timestamp * 1000 + 2 * MINUTE;
+const iso = ms => new Date(ms).toISOString();
+
+const firstPriced = (series, key) => series.find(point => point[key] !== null);
+const lastPriced = (series, key) => [...series].reverse().find(point => point[key] !== null);
+
+// Hours with both averages that end before the 5m series starts, so only 1h covers them
+const OLD_HOURS = WHIP['1h'].filter(
+  point =>
+    point.avgHighPrice !== null &&
+    point.avgLowPrice !== null &&
+    point.timestamp + HOUR / 1000 <= WHIP['5m'][0].timestamp
+);
+
+describe('executionAnalysis', () => {
+  describe('findMarketPoint', () => {
+    it('finds the interval a time falls in', () => {
+      const point = WHIP['5m'][10];
+      expect(findMarketPoint(WHIP['5m'], during(point), '5m')).toBe(point);
+      expect(findMarketPoint(WHIP['5m'], point.timestamp * 1000, '5m')).toBe(point);
+    });
+
+    it('returns null outside the series', () => {
+      const first = WHIP['1h'][0];
+      const last = WHIP['1h'][WHIP['1h'].length - 1];
+      expect(findMarketPoint(WHIP['1h'], first.timestamp * 1000 - 1, '1h')).toBeNull();
+      expect(findMarketPoint(WHIP['1h'], last.timestamp * 1000 + HOUR, '1h')).toBeNull();
+      expect(findMarketPoint([], Date.now(), '1h')).toBeNull();
+    });
+  });
+
+  describe('analyzeFlipExecution', () => {
+    it('measures slippage against the 5m averages when they cover the fills', () => {
+      const buyPoint = firstPriced(WHIP['5m'], 'avgLowPrice');
+      const sellPoint = lastPriced(WHIP['5m'], 'avgHighPrice');
+      const flip = {
+        item: 'Abyssal whip',
+        avg_buy_price: buyPoint.avgLowPrice + 10000,
+        avg_sell_price: sellPoint.avgHighPrice - 5000,
+        first_buy_time: iso(during(buyPoint)),
+        last_sell_time: iso(during(sellPoint)),
+      };
+
+      const result = analyzeFlipExecution(flip, WHIP);
+      const spread = sellPoint.avgHighPrice - buyPoint.avgLowPrice;
+      expect(result.marketLow).toBe(buyPoint.avgLowPrice);
+      expect(result.marketHigh).toBe(sellPoint.avgHighPrice);
+      expect(result.buySlippagePct).toBeCloseTo((10000 / buyPoint.avgLowPrice) * 100);
+      expect(result.sellSlippagePct).toBeCloseTo((5000 / sellPoint.avgHighPrice) * 100);
+      expect(result.capturedSpreadPct).toBeCloseTo(((spread - 15000) / spread) * 100);
+    });
+
+    it('falls back to the 1h series for older fills', () => {
+      const point = OLD_HOURS[0];
+      const flip = {
+        item: 'Abyssal whip',
+        avgBuyPrice: point.avgLowPrice - 1000,
+        avgSellPrice: point.avgHighPrice,
+        startTime: iso(during(point)),
+        endTime: iso(during(point) + 10 * MINUTE),
+      };
+
+      const result = analyzeFlipExecution(flip, WHIP);
+      expect(result.marketLow).toBe(point.avgLowPrice);
+      // Bought below the average low
+      expect(result.buySlippagePct).toBeLessThan(0);
+      expect(result.sellSlippagePct).toBe(0);
+      expect(result.capturedSpreadPct).toBeGreaterThan(100);
+    });
+
+    it('falls back to the 1h series when a 5m interval had no trades', () => {
+      const gap = WHIP['5m'].find(point => point.avgHighPrice === null);
+      const hourPoint = findMarketPoint(WHIP['1h'], during(gap), '1h');
+      const flip = {
+        item: 'Abyssal whip',
+        avg_sell_price: 1_600_000,
+        last_sell_time: iso(during(gap)),
+      };
+
+      const result = analyzeFlipExecution(flip, WHIP);
+      expect(result.marketHigh).toBe(hourPoint.avgHighPrice);
+      expect(result.buySlippagePct).toBeNull();
+      expect(result.capturedSpreadPct).toBeNull();
+    });
+
+    it('returns null when neither fill has market data', () => {
+      const flip = {
+        item: 'Abyssal whip',
+        avg_buy_price: 1_600_000,
+        avg_sell_price: 1_650_000,
+        first_buy_time: '2020-01-01T00:00:00Z',
+        last_sell_time: '2020-01-01T01:00:00Z',
+      };
+      expect(analyzeFlipExecution(flip, WHIP)).toBeNull();
+    });
+  });
+
+  describe('summaries', () => {
+    const [a, b] = OLD_HOURS.slice(-2);
+    const flips = [
+      {
+        item: 'Abyssal whip',
+        quantity: 1,
+        avgBuyPrice: a.avgLowPrice,
+        avgSellPrice: a.avgHighPrice,
+        startTime: iso(during(a)),
+        endTime: iso(during(a)),
+      },
+      {
+        item: 'Abyssal whip',
+        quantity: 3,
+        avgBuyPrice: b.avgLowPrice * 1.01,
+        avgSellPrice: b.avgHighPrice,
+        startTime: iso(during(b)),
+        endTime: iso(during(b)),
+      },
+      { item: 'Dragon bones', quantity: 100, avgBuyPrice: 2000, avgSellPrice: 2100 },
+    ];
+    const executions = analyzeExecutions(flips, { 'Abyssal whip': WHIP });
+
+    it('only analyzes items with market data', () => {
+      expect(executions[0]).not.toBeNull();
+      expect(executions[2]).toBeNull();
+    });
+
+    it('weights averages by quantity', () => {
+      const summary = summarizeExecutions(flips, executions);
+      expect(summary.flipCount).toBe(2);
+      expect(summary.buySlippagePct).toBeCloseTo((0 * 1 + 1 * 3) / 4);
+      expect(summary.sellSlippagePct).toBeCloseTo(0);
+    });
+
+    it('summarizes per item', () => {
+      const byItem = summarizeExecutionsByItem(flips, executions);
+      expect(Object.keys(byItem)).toEqual(['Abyssal whip']);
+      expect(byItem['Abyssal whip'].flipCount).toBe(2);
+    });
+
+    it('reports missing metrics as null', () => {
+      expect(summarizeExecutions([], [])).toEqual({
+        flipCount: 0,
+        buySlippagePct: null,
+        sellSlippagePct: null,
+        capturedSpreadPct: null,
+      });
+    });
+  });
+
+  describe('planExecutionRequests', () => {
+    const NOW = Date.parse('2025-03-31T12:00:00Z');
+    const flipAt = (item, hoursAgo) => ({ item, last_sell_time: iso(NOW - hoursAgo * HOUR) });
+
+    it('ranks recent items by flip count and only fetches the steps that reach their fills', () => {
+      const flips = [
+        flipAt('Abyssal whip', 2),
+        flipAt('Abyssal whip', 100),
+        flipAt('Dragon bones', 100),
+        flipAt('Dragon bones', 120),
+        flipAt('Dragon bones', 140),
+        // Older than the 1h series reaches
+        flipAt('Cannonball', 24 * 30),
+      ];
+
+      expect(planExecutionRequests(flips, NOW, 10)).toEqual([
+        { item: 'Dragon bones', timesteps: ['1h'] },
+        { item: 'Abyssal whip', timesteps: ['5m', '1h'] },
+      ]);
+      expect(planExecutionRequests(flips, NOW, 1)).toHaveLength(1);
+    });
+  });
+
+  it('formats percentages', () => {
+    expect(formatExecutionPct(1.234)).toBe('1.2%');
+    expect(formatExecutionPct(null)).toBe('—');
+  });
+});
@@ -0,0 +1,144 @@
+import {
+  validateFilterConfig,
+  assertValidFilterConfig,
+  FilterConfigError,
+} from '../filterConfigValidator';
+
+const validConfig = () => ({
+  interpretation: 'Cheap F2P items, or runes, except low volume',
+  precedence: 'order',
+  rules: [
+    {
+      type: 'include',
+      combineWith: 'OR',
+      conditions: [
+        {
+          conditions: [
+            { field: 'price', operator: 'between', value: [100, 10000] },
+            { field: 'f2p', operator: 'eq', value: true },
+          ],
+        },
+        { field: 'category', operator: 'in', value: ['Runes'] },
+      ],
+      except: [{ not: { field: 'volume', operator: 'gte', value: 50 } }],
+    },
+    { type: 'exclude', conditions: [] },
+  ],
+  defaultAction: 'exclude',
+});
+
+describe('filterConfigValidator', () => {
+  it('accepts a well-formed nested config', () => {
+    expect(validateFilterConfig(validConfig())).toEqual([]);
+  });
+
+  it('rejects configs that are not objects', () => {
+    expect(validateFilterConfig(null)).toEqual([
+      { path: '', message: 'filter config must be an object' },
+    ]);
+  });
+
+  it('reports top-level problems', () => {
+    const errors = validateFilterConfig({ rules: 'all', defaultAction: 'block', precedence: 'x' });
+
+    expect(errors.map(e => e.path)).toEqual(['defaultAction', 'precedence', 'rules']);
+  });
+
+  it('points at the exact condition that is wrong', () => {
+    const config = validConfig();
+    config.rules[0].conditions[0].conditions[1] = { field: 'f2p', operator: 'gt', value: 1 };
+    config.rules[0].except[0].not.field = 'volumes';
+
+    expect(validateFilterConfig(config)).toEqual([
+      {
+        path: 'rules[0].conditions[0].conditions[1].operator',
+        message: 'f2p only supports "eq"',
+      },
+      {
+        path: 'rules[0].except[0].not.field',
+        message: expect.stringContaining('unknown field "volumes"'),
+      },
+    ]);
+  });
+
+  it('checks values against the operator and field', () => {
+    const errors = validateFilterConfig({
+      defaultAction: 'exclude',
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'price', operator: 'between', value: [10, 1] },
+            { field: 'price', operator: 'gt', value: '1m' },
+            { field: 'members', operator: 'eq', value: 'yes' },
+            { field: 'category', operator: 'in', value: [] },
+            { field: 'category', operator: 'gt', value: 'Runes' },
+          ],
+        },
+      ],
+    });
+
+    expect(errors).toEqual([
+      { path: 'rules[0].conditions[0].value', message: 'min must not be greater than max' },
+      { path: 'rules[0].conditions[1].value', message: 'must be a number' },
+      { path: 'rules[0].conditions[2].value', message: 'must be true or false' },
+      { path: 'rules[0].conditions[3].value', message: 'must be a non-empty array' },
+      { path: 'rules[0].conditions[4].operator', message: 'category only supports "eq" and "in"' },
+    ]);
+  });
+
+  it('rejects bad rule types, combinators and empty groups', () => {
+    const errors = validateFilterConfig({
+      defaultAction: 'include',
+      rules: [
+        {
+          type: 'allow',
+          combineWith: 'XOR',
+          conditions: [{ combineWith: 'OR', conditions: [] }, { not: null }],
+          except: [],
+        },
+      ],
+    });
+
+    expect(errors.map(e => e.path)).toEqual([
+      'rules[0].type',
+      'rules[0].combineWith',
+      'rules[0].conditions[0].conditions',
+      'rules[0].conditions[1].not',
+      'rules[0].except',
+    ]);
+  });
+
+  it('limits nesting depth', () => {
+    let condition = { field: 'price', operator: 'gt', value: 1 };
+    for (let i = 0; i < 10; i++) condition = { not: condition };
+
+    const errors = validateFilterConfig({
+      defaultAction: 'exclude',
+      rules: [{ type: 'include', conditions: [condition] }],
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch(/nested deeper/);
+  });
+
+  it('throws a FilterConfigError carrying every error', () => {
+    expect(() => assertValidFilterConfig({ rules: [], defaultAction: 'x' })).toThrow(
+      FilterConfigError
+    );
+
+    let thrown;
+    try {
+      assertValidFilterConfig({ rules: [{}], defaultAction: 'x' });
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown.errors.map(e => e.path)).toEqual([
+      'defaultAction',
+      'rules[0].type',
+      'rules[0].conditions',
+    ]);
+    expect(thrown.message).toContain('rules[0].type');
+    expect(assertValidFilterConfig(validConfig())).toEqual(validConfig());
+  });
+});
@@ -1,4 +1,10 @@
-import { evaluateFilterRules, generateProfileNameFromRules } from '../filterRuleEvaluator';
+import {
+  describeExplanation,
+  evaluateFilterRules,
+  generateProfileNameFromRules,
+  getConfigFields,
+  getFieldValue,
+} from '../filterRuleEvaluator';
 
 describe('filterRuleEvaluator', () => {
   // Mock item data
@@ -165,6 +171,26 @@ describe('filterRuleEvaluator', () => {
         // Should treat all items as 0 volume
         expect(result.tradeable).toHaveLength(0);
       });
+
+      it('should accept plain per-item volume totals', () => {
+        const filterConfig = {
+          rules: [
+            {
+              type: 'include',
+              conditions: [{ field: 'volume', operator: 'gt', value: 5000 }],
+            },
+          ],
+          defaultAction: 'exclude',
+          interpretation: 'High volume items',
+        };
+
+        const result = evaluateFilterRules(filterConfig, mockItems, mockPriceData, {
+          1: 2200,
+          2: 9800,
+        });
+
+        expect(result.tradeable.map(i => i.id)).toEqual([2]);
+      });
     });
 
     describe('f2p/members filtering', () => {
@@ -486,6 +512,252 @@ describe('filterRuleEvaluator', () => {
     });
   });
 
+  describe('explanations', () => {
+    const config = {
+      rules: [
+        {
+          type: 'include',
+          conditions: [{ field: 'price', operator: 'lt', value: 20000 }],
+        },
+        {
+          type: 'exclude',
+          conditions: [{ not: { field: 'volume', operator: 'gt', value: 1000 } }],
+        },
+      ],
+      defaultAction: 'include',
+      precedence: 'exclude-first',
+    };
+
+    it('lists the fields a config tests', () => {
+      expect(getConfigFields(config)).toEqual(['price', 'volume']);
+    });
+
+    it('records the deciding rule by its position in the config', () => {
+      const { explanations } = evaluateFilterRules(
+        config,
+        mockItems,
+        mockPriceData,
+        mockVolumeData
+      );
+
+      // Exclude-first: low-volume items hit rule 2 even when cheap enough for rule 1
+      expect(explanations[4]).toEqual({
+        name: 'Dragon claws',
+        action: 'exclude',
+        reason: 'rule',
+        ruleIndex: 1,
+        values: { price: 50000000, volume: 95 },
+      });
+      expect(explanations[1]).toMatchObject({ action: 'include', reason: 'rule', ruleIndex: 0 });
+      expect(explanations[3]).toMatchObject({ action: 'include', reason: 'default' });
+    });
+
+    it('explains items without price data', () => {
+      const items = [...mockItems, { id: 6, name: 'Untradeable', members: true }];
+      const result = evaluateFilterRules(config, items, mockPriceData, mockVolumeData);
+
+      expect(result.blocked).toContain(6);
+      expect(describeExplanation(result.explanations[6])).toBe('Blocked: no price data');
+    });
+
+    it('describes decisions with the tested values', () => {
+      const { explanations } = evaluateFilterRules(
+        config,
+        mockItems,
+        mockPriceData,
+        mockVolumeData
+      );
+
+      expect(describeExplanation(explanations[4])).toBe(
+        'Blocked by rule 2 (exclude) · Price: 50,000,000 · Volume: 95'
+      );
+      expect(describeExplanation(explanations[3])).toBe(
+        'Kept by default (no rule matched) · Price: 1,500,000 · Volume: 1,550'
+      );
+    });
+
+    it('keeps blocked IDs in item order for large item lists', () => {
+      const items = Array.from({ length: 20000 }, (_, i) => ({ id: i, name: `Item ${i}` }));
+      const prices = Object.fromEntries(items.map(item => [item.id, { high: item.id + 1 }]));
+      const result = evaluateFilterRules(
+        {
+          rules: [
+            { type: 'include', conditions: [{ field: 'price', operator: 'gt', value: 10000 }] },
+          ],
+          defaultAction: 'exclude',
+        },
+        items,
+        prices
+      );
+
+      expect(result.blocked).toHaveLength(10000);
+      expect(result.blocked[9999]).toBe(9999);
+      expect(result.tradeable[0].id).toBe(10000);
+    });
+  });
+
+  describe('expression trees', () => {
+    const tradeableIds = config =>
+      evaluateFilterRules(config, mockItems, mockPriceData, mockVolumeData)
+        .tradeable.map(item => item.id)
+        .sort();
+
+    it('combines a rule with OR', () => {
+      expect(
+        tradeableIds({
+          rules: [
+            {
+              type: 'include',
+              combineWith: 'OR',
+              conditions: [
+                { field: 'price', operator: 'lt', value: 1000 },
+                { field: 'price', operator: 'gt', value: 100000000 },
+              ],
+            },
+          ],
+          defaultAction: 'exclude',
+        })
+      ).toEqual([1, 5]);
+    });
+
+    it('evaluates nested groups and negations', () => {
+      // Members items, or F2P items that are NOT (cheap OR low volume)
+      expect(
+        tradeableIds({
+          rules: [
+            {
+              type: 'include',
+              combineWith: 'OR',
+              conditions: [
+                { field: 'members', operator: 'eq', value: true },
+                {
+                  combineWith: 'AND',
+                  conditions: [
+                    { field: 'f2p', operator: 'eq', value: true },
+                    {
+                      not: {
+                        combineWith: 'OR',
+                        conditions: [
+                          { field: 'price', operator: 'lt', value: 1000 },
+                          { field: 'volume', operator: 'lt', value: 100 },
+                        ],
+                      },
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+          defaultAction: 'exclude',
+        })
+      ).toEqual([2, 3, 4]);
+    });
+
+    it('carves exceptions out of an include rule', () => {
+      expect(
+        tradeableIds({
+          rules: [
+            {
+              type: 'include',
+              conditions: [{ field: 'price', operator: 'lt', value: 100000000 }],
+              except: [{ field: 'members', operator: 'eq', value: true }],
+            },
+          ],
+          defaultAction: 'exclude',
+        })
+      ).toEqual([1, 2]);
+    });
+
+    it('lets the first matching rule win by default', () => {
+      const rules = [
+        { type: 'include', conditions: [{ field: 'price', operator: 'lt', value: 20000 }] },
+        { type: 'exclude', conditions: [{ field: 'f2p', operator: 'eq', value: true }] },
+      ];
+
+      expect(tradeableIds({ rules, defaultAction: 'include' })).toEqual([1, 2, 3, 4]);
+    });
+
+    it('lets exclude rules win with exclude-first precedence', () => {
+      const rules = [
+        { type: 'include', conditions: [{ field: 'price', operator: 'lt', value: 20000 }] },
+        { type: 'exclude', conditions: [{ field: 'f2p', operator: 'eq', value: true }] },
+      ];
+
+      expect(
+        tradeableIds({ rules, defaultAction: 'include', precedence: 'exclude-first' })
+      ).toEqual([3, 4]);
+    });
+  });
+
+  describe('item and market fields', () => {
+    const NOW = 1_700_000_000_000;
+    const items = [
+      { id: 10, name: 'Nature rune', members: false, limit: 18000, highalch: 108 },
+      { id: 11, name: 'Abyssal whip', members: true, limit: 70, highalch: 72000 },
+      { id: 12, name: 'Mystery box', members: true },
+    ];
+    const prices = {
+      // 10 gp margin before tax, 5 after (tax on 250 is 5)
+      '10': { high: 250, low: 240, highTime: NOW / 1000 - 60, lowTime: NOW / 1000 - 600 },
+      // 49,500 spread; tax 30,000 leaves 19,500 (1.3%)
+      '11': { high: 1_500_000, low: 1_450_500, highTime: NOW / 1000, lowTime: NOW / 1000 },
+      '12': { high: 1000 },
+    };
+
+    const tradeableIds = conditions =>
+      evaluateFilterRules(
+        { rules: [{ type: 'include', conditions }], defaultAction: 'exclude' },
+        items,
+        prices,
+        null,
+        { now: NOW }
+      ).tradeable.map(item => item.id);
+
+    it('filters on buy limit and high alch value', () => {
+      expect(tradeableIds([{ field: 'limit', operator: 'gte', value: 100 }])).toEqual([10]);
+      expect(tradeableIds([{ field: 'highAlch', operator: 'gt', value: 1000 }])).toEqual([11]);
+    });
+
+    it('computes spread and margin after GE tax', () => {
+      expect(getFieldValue('spread', { item: items[0], prices: prices['10'] })).toBe(10);
+      expect(getFieldValue('margin', { item: items[0], prices: prices['10'] })).toBe(5);
+      expect(getFieldValue('margin', { item: items[1], prices: prices['11'] })).toBe(19_500);
+      expect(getFieldValue('potentialProfit', { item: items[0], prices: prices['10'] })).toBe(
+        90_000
+      );
+    });
+
+    it('supports "margin after tax > 2% and limit >= 100"', () => {
+      expect(
+        tradeableIds([
+          { field: 'marginPercent', operator: 'gt', value: 2 },
+          { field: 'limit', operator: 'gte', value: 100 },
+        ])
+      ).toEqual([10]);
+    });
+
+    it('measures price age in minutes from the older trade', () => {
+      expect(tradeableIds([{ field: 'priceAge', operator: 'gte', value: 10 }])).toEqual([10]);
+      expect(tradeableIds([{ field: 'priceAge', operator: 'lt', value: 5 }])).toEqual([11]);
+    });
+
+    it('matches any of an item category tags', () => {
+      expect(tradeableIds([{ field: 'category', operator: 'eq', value: 'Runes' }])).toEqual([10]);
+      expect(
+        tradeableIds([{ field: 'category', operator: 'in', value: ['Weapons', 'Runes'] }])
+      ).toEqual([10, 11]);
+    });
+
+    it('never matches items missing the data a field needs', () => {
+      expect(tradeableIds([{ field: 'spread', operator: 'gte', value: 0 }])).toEqual([10, 11]);
+      expect(tradeableIds([{ field: 'limit', operator: 'gte', value: 0 }])).toEqual([10, 11]);
+    });
+
+    it('never matches unknown fields', () => {
+      expect(tradeableIds([{ field: 'nonsense', operator: 'gte', value: 0 }])).toEqual([]);
+    });
+  });
+
   describe('generateProfileNameFromRules', () => {
     it('should extract price range from interpretation', () => {
       const filterConfig = {
@@ -0,0 +1,153 @@
+import { createFlipTable, encodeFlips, decodeFlipTable, toFlipObject } from '../flipColumns';
+
+const flip = (overrides = {}) => ({
+  account: 'Main',
+  item: 'Dragon bones',
+  status: 'FINISHED',
+  source_file: 'flips.csv',
+  first_buy_time: Date.parse('2025-01-01T10:00:00Z'),
+  last_sell_time: Date.parse('2025-01-01T12:30:00Z'),
+  bought: 100,
+  sold: 100,
+  avg_buy_price: 2000,
+  avg_sell_price: 2100,
+  tax: 2000,
+  profit: 8000,
+  date_key: '01-01-2025',
+  ...overrides,
+});
+
+describe('flipColumns', () => {
+  describe('createFlipTable', () => {
+    it('round-trips rows through the columns', () => {
+      const table = createFlipTable();
+      const row = table.append(flip());
+
+      expect(row).toBe(0);
+      expect(table.length).toBe(1);
+      expect(table.read(0)).toEqual(flip());
+    });
+
+    it('interns repeated strings once', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      table.append(flip({ item: 'Coal' }));
+      table.append(flip());
+
+      const { payload } = table.toTransferable();
+      expect(payload.strings.filter(s => s === 'Main')).toHaveLength(1);
+      expect(payload.strings.filter(s => s === 'Dragon bones')).toHaveLength(1);
+    });
+
+    it('stores missing strings as null and missing numbers as 0', () => {
+      const table = createFlipTable();
+      table.append({ item: 'Coal' });
+
+      const record = table.read(0);
+      expect(record.account).toBeNull();
+      expect(record.source_file).toBeNull();
+      expect(record.profit).toBe(0);
+    });
+
+    it('grows past its initial capacity', () => {
+      const table = createFlipTable();
+      for (let i = 0; i < 5000; i++) table.append(flip({ profit: i }));
+
+      expect(table.length).toBe(5000);
+      expect(table.read(4999).profit).toBe(4999);
+    });
+
+    it('overwrites rows in place', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      table.write(0, flip({ profit: -500 }));
+
+      expect(table.length).toBe(1);
+      expect(table.read(0).profit).toBe(-500);
+    });
+
+    it('transfers trimmed buffers and can be reopened from the payload', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      table.append(flip({ item: 'Coal' }));
+
+      const { payload, transfer } = table.toTransferable();
+      expect(payload.length).toBe(2);
+      expect(payload.columns.profit).toBeInstanceOf(Float64Array);
+      expect(payload.columns.profit.length).toBe(2);
+      expect(transfer).toContain(payload.columns.item.buffer);
+
+      const reopened = createFlipTable(payload);
+      reopened.append(flip({ item: 'Iron ore' }));
+      expect(reopened.length).toBe(3);
+      expect(reopened.read(1).item).toBe('Coal');
+      expect(reopened.read(2).item).toBe('Iron ore');
+    });
+  });
+
+  describe('toFlipObject', () => {
+    it('restores ISO times and adds the derived fields', () => {
+      const result = toFlipObject(flip());
+
+      expect(result.first_buy_time).toBe('2025-01-01T10:00:00.000Z');
+      expect(result.lastSellTime).toBe('2025-01-01T12:30:00.000Z');
+      expect(result.quantity).toBe(100);
+      expect(result.spent).toBe(200000);
+      expect(result.revenue).toBe(210000);
+      expect(result.hoursHeld).toBe(2.5);
+      expect(result.roi).toBeCloseTo(4);
+      expect(result.date).toBe('2025-01-01');
+      expect(result.sourceFile).toBe('flips.csv');
+      expect(result).not.toHaveProperty('date_key');
+    });
+  });
+
+  describe('decodeFlipTable', () => {
+    it('groups flips by date key, sharing objects with allFlips', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      table.append(flip({ profit: 2000 }));
+      table.append(flip({ date_key: '01-02-2025', profit: -100 }));
+
+      const { allFlips, flipsByDate } = decodeFlipTable(table.toTransferable().payload);
+
+      expect(allFlips).toHaveLength(3);
+      expect(Object.keys(flipsByDate)).toEqual(['01-01-2025', '01-02-2025']);
+      expect(flipsByDate['01-01-2025'].totalProfit).toBe(10000);
+      expect(flipsByDate['01-01-2025'].totalFlips).toBe(2);
+      expect(flipsByDate['01-02-2025'].flips[0]).toBe(allFlips[2]);
+    });
+  });
+
+  describe('open positions', () => {
+    it('keeps open rows out of allFlips and flipsByDate', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      table.append(flip({ status: 'BUYING', last_sell_time: 0, sold: 0, date_key: null }));
+
+      const { allFlips, flipsByDate, openPositions } = decodeFlipTable(
+        table.toTransferable().payload
+      );
+
+      expect(allFlips).toHaveLength(1);
+      expect(flipsByDate['01-01-2025'].flips).toHaveLength(1);
+      expect(openPositions).toHaveLength(1);
+      expect(openPositions[0].last_sell_time).toBeNull();
+      expect(openPositions[0].hoursHeld).toBe(0);
+      expect(openPositions[0].date).toBeNull();
+    });
+  });
+
+  describe('encodeFlips', () => {
+    it('re-encodes decoded flips without changing them', () => {
+      const table = createFlipTable();
+      table.append(flip());
+      const { allFlips } = decodeFlipTable(table.toTransferable().payload);
+
+      const { payload } = encodeFlips(allFlips);
+      const record = createFlipTable(payload).read(0);
+
+      expect(record).toEqual(flip({ date_key: null }));
+    });
+  });
+});
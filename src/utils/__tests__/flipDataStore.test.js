@@ -0,0 +1,51 @@
+import {
+  SNAPSHOT_SCHEMA_VERSION,
+  migrateSnapshot,
+  isPersistenceAvailable,
+  saveGuestData,
+  loadGuestData,
+  clearGuestData,
+} from '../flipDataStore';
+
+describe('flipDataStore', () => {
+  const guestData = {
+    flipsByDate: { '01-01-2025': { date: '01-01-2025', flips: [], totalProfit: 0 } },
+    allFlips: [],
+    itemStats: [],
+    metadata: { accounts: ['Main'] },
+  };
+
+  describe('migrateSnapshot', () => {
+    it('returns data for a snapshot at the current version', () => {
+      const snapshot = { version: SNAPSHOT_SCHEMA_VERSION, data: guestData };
+      expect(migrateSnapshot(snapshot)).toBe(guestData);
+    });
+
+    it('discards snapshots from a newer schema', () => {
+      const snapshot = { version: SNAPSHOT_SCHEMA_VERSION + 1, data: guestData };
+      expect(migrateSnapshot(snapshot)).toBeNull();
+    });
+
+    it('discards snapshots without a migration path', () => {
+      expect(migrateSnapshot({ version: 0, data: guestData })).toBeNull();
+    });
+
+    it('discards malformed snapshots', () => {
+      expect(migrateSnapshot(null)).toBeNull();
+      expect(migrateSnapshot({ version: SNAPSHOT_SCHEMA_VERSION })).toBeNull();
+      expect(migrateSnapshot({ version: '1', data: guestData })).toBeNull();
+    });
+  });
+
+  describe('without IndexedDB', () => {
+    it('reports persistence as unavailable', () => {
+      expect(isPersistenceAvailable()).toBe(false);
+    });
+
+    it('no-ops instead of throwing', async () => {
+      await expect(saveGuestData(guestData)).resolves.toBe(false);
+      await expect(loadGuestData()).resolves.toBeNull();
+      await expect(clearGuestData()).resolves.toBeUndefined();
+    });
+  });
+});
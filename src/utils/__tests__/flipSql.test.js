@@ -0,0 +1,133 @@
+import initSqlJs from 'sql.js';
+import {
+  toFlipRow,
+  createFlipDatabase,
+  runFlipQuery,
+  loadSavedQueries,
+  saveQuery,
+  deleteSavedQuery,
+  EXAMPLE_QUERIES,
+} from '../flipSql';
+
+const UTC = { timezone: 'UTC', dayStartHour: 0 };
+
+const FLIPS = [
+  {
+    item: 'Abyssal whip',
+    account: 'Main',
+    avg_buy_price: 1500000.4,
+    avg_sell_price: 1550000,
+    profit: 20000,
+    roi: 1.33,
+    quantity: 1,
+    first_buy_time: '2025-03-01T22:00:00.000Z',
+    last_sell_time: '2025-03-01T23:30:00.000Z',
+  },
+  {
+    item: 'Dragon bones',
+    account: 'Alt',
+    avg_buy_price: 2000,
+    avg_sell_price: 2100,
+    profit: 5000,
+    roi: 2.5,
+    quantity: 100,
+    first_buy_time: '2025-03-02T01:00:00.000Z',
+    last_sell_time: '2025-03-02T05:00:00.000Z',
+  },
+];
+
+describe('flipSql', () => {
+  let SQL;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('maps a flip onto the flips table columns', () => {
+    expect(toFlipRow(FLIPS[0], 1, UTC)).toEqual([
+      1,
+      'Abyssal whip',
+      1500000,
+      1550000,
+      20000,
+      1.33,
+      1,
+      '2025-03-01T22:00:00.000Z',
+      '2025-03-01T23:30:00.000Z',
+      'Main',
+      90,
+      '2025-03-01',
+    ]);
+  });
+
+  it('dates flips by trading day', () => {
+    const row = toFlipRow(FLIPS[1], 2, { timezone: 'UTC', dayStartHour: 6 });
+    expect(row[11]).toBe('2025-03-01');
+  });
+
+  it('leaves duration and date empty without times', () => {
+    const row = toFlipRow({ item: 'Coal', profit: 0 }, 3, UTC);
+    expect(row[10]).toBeNull();
+    expect(row[11]).toBeNull();
+  });
+
+  it('queries loaded flips', () => {
+    const db = createFlipDatabase(SQL, FLIPS, UTC);
+    const result = runFlipQuery(
+      db,
+      'SELECT account, SUM(profit) AS total FROM flips GROUP BY account ORDER BY total DESC'
+    );
+    db.close();
+
+    expect(result.columns).toEqual(['account', 'total']);
+    expect(result.rows).toEqual([
+      { account: 'Main', total: 20000 },
+      { account: 'Alt', total: 5000 },
+    ]);
+  });
+
+  it('keeps repeated column names apart', () => {
+    const db = createFlipDatabase(SQL, FLIPS, UTC);
+    const result = runFlipQuery(db, 'SELECT COUNT(*), COUNT(*) FROM flips');
+    db.close();
+
+    expect(result.columns).toEqual(['COUNT(*)', 'COUNT(*)_2']);
+    expect(result.rows[0]).toEqual({ 'COUNT(*)': 2, 'COUNT(*)_2': 2 });
+  });
+
+  it('runs every example query', () => {
+    const db = createFlipDatabase(SQL, FLIPS, UTC);
+    EXAMPLE_QUERIES.forEach(query => {
+      expect(() => runFlipQuery(db, query.sql)).not.toThrow();
+    });
+    db.close();
+  });
+
+  it('throws SQLite errors for invalid SQL', () => {
+    const db = createFlipDatabase(SQL, FLIPS, UTC);
+    expect(() => runFlipQuery(db, 'SELECT nope FROM flips')).toThrow(/no such column/);
+    db.close();
+  });
+
+  it('saves, replaces and deletes queries by name', () => {
+    saveQuery('Whips', 'SELECT 1');
+    saveQuery('Bones', 'SELECT 2');
+    saveQuery(' Whips ', 'SELECT 3');
+
+    expect(loadSavedQueries().map(q => [q.name, q.sql])).toEqual([
+      ['Whips', 'SELECT 3'],
+      ['Bones', 'SELECT 2'],
+    ]);
+
+    expect(deleteSavedQuery('Whips').map(q => q.name)).toEqual(['Bones']);
+  });
+
+  it('ignores corrupt saved queries', () => {
+    localStorage.setItem('osrs-flip-saved-queries', '{oops');
+    expect(loadSavedQueries()).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  GE_TAX_CAP,
+  checkRecordedTax,
+  geTaxForSale,
+  geTaxPerItem,
+  getGeTaxRules,
+  isGeTaxExempt,
+  marginAfterTax,
+  marginPercentAfterTax,
+} from '../geTax';
+
+const BEFORE_TAX = Date.parse('2021-06-01T00:00:00Z');
+const ONE_PERCENT = Date.parse('2025-01-01T12:00:00Z');
+const TWO_PERCENT = Date.parse('2025-07-01T12:00:00Z');
+
+describe('geTax', () => {
+  describe('getGeTaxRules', () => {
+    it('picks the rate in force at a date', () => {
+      expect(getGeTaxRules(BEFORE_TAX).rate).toBe(0);
+      expect(getGeTaxRules(ONE_PERCENT)).toEqual({
+        rate: 0.01,
+        minTaxedPrice: 100,
+        cap: GE_TAX_CAP,
+      });
+      expect(getGeTaxRules(TWO_PERCENT)).toEqual({
+        rate: 0.02,
+        minTaxedPrice: 50,
+        cap: GE_TAX_CAP,
+      });
+      expect(getGeTaxRules('2025-07-01').rate).toBe(0.02);
+    });
+
+    it("defaults to today's rules", () => {
+      expect(getGeTaxRules().rate).toBe(0.02);
+    });
+  });
+
+  describe('geTaxPerItem', () => {
+    it('rounds down', () => {
+      expect(geTaxPerItem(1049, { date: TWO_PERCENT })).toBe(20);
+      expect(geTaxPerItem(1049, { date: ONE_PERCENT })).toBe(10);
+    });
+
+    it('caps the tax per item', () => {
+      expect(geTaxPerItem(500_000_000, { date: TWO_PERCENT })).toBe(5_000_000);
+    });
+
+    it('skips items below the low-price threshold', () => {
+      expect(geTaxPerItem(49, { date: TWO_PERCENT })).toBe(0);
+      expect(geTaxPerItem(50, { date: TWO_PERCENT })).toBe(1);
+      expect(geTaxPerItem(99, { date: ONE_PERCENT })).toBe(0);
+    });
+
+    it('skips exempt items and sales before the tax existed', () => {
+      expect(isGeTaxExempt(' Old school bond ')).toBe(true);
+      expect(geTaxPerItem(8_000_000, { itemName: 'Old school bond' })).toBe(0);
+      expect(geTaxPerItem(1000, { itemName: 'Hammer' })).toBe(0);
+      expect(geTaxPerItem(1000, { date: BEFORE_TAX })).toBe(0);
+    });
+
+    it('charges nothing without a price', () => {
+      expect(geTaxPerItem(0)).toBe(0);
+      expect(geTaxPerItem(NaN)).toBe(0);
+    });
+  });
+
+  describe('margins', () => {
+    it('takes the sell-side tax off the spread', () => {
+      expect(geTaxForSale(2100, 100, { date: TWO_PERCENT })).toBe(4200);
+      expect(marginAfterTax(2000, 2100, { date: TWO_PERCENT })).toBe(58);
+      expect(marginPercentAfterTax(2000, 2100, { date: TWO_PERCENT })).toBeCloseTo(2.9);
+      expect(marginPercentAfterTax(0, 2100)).toBeNull();
+    });
+  });
+
+  describe('checkRecordedTax', () => {
+    const flip = (overrides = {}) => ({
+      item: 'Coal',
+      sold: 100,
+      avg_sell_price: 160,
+      tax: 300,
+      last_sell_time: TWO_PERCENT,
+      ...overrides,
+    });
+
+    it('accepts the tax the rules charge, within per-fill rounding', () => {
+      expect(checkRecordedTax(flip())).toBeNull();
+      // Half at 149 (2 gp tax each) and half at 171 (3 gp each) also average 160
+      expect(checkRecordedTax(flip({ tax: 250 }))).toBeNull();
+    });
+
+    it('reports a tax from the wrong rate', () => {
+      expect(checkRecordedTax(flip({ last_sell_time: ONE_PERCENT }))).toEqual({
+        recorded: 300,
+        expected: 100,
+        detail: 'tax 300, expected 100 (1% of 160 × 100)',
+      });
+    });
+
+    it('reports tax charged on exempt items', () => {
+      expect(
+        checkRecordedTax(
+          flip({ item: 'Old school bond', avg_sell_price: 8_000_000, sold: 1, tax: 160_000 })
+        )
+      ).toMatchObject({ expected: 0, detail: 'tax 160000, expected 0 (exempt item)' });
+    });
+
+    it('skips flips it cannot check', () => {
+      expect(checkRecordedTax(flip({ sold: 0 }))).toBeNull();
+      expect(checkRecordedTax(flip({ tax: NaN }))).toBeNull();
+    });
+  });
+});
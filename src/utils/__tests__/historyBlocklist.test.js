@@ -0,0 +1,95 @@
+import { buildHistoryBlocklist, summarizeItemHistory } from '../historyBlocklist';
+
+const NOW = new Date('2025-03-31T12:00:00Z').getTime();
+
+// One flip closing `daysAgo` days before NOW, taking `minutes` minutes
+function flip(item, profit, daysAgo = 1, minutes = 60) {
+  const end = NOW - daysAgo * 24 * 60 * 60 * 1000;
+  return {
+    item,
+    profit,
+    first_buy_time: new Date(end - minutes * 60000).toISOString(),
+    last_sell_time: new Date(end).toISOString(),
+  };
+}
+
+const ITEMS = [
+  { id: 1, name: 'Dragon bones' },
+  { id: 2, name: 'Abyssal whip' },
+  { id: 3, name: 'Cannonball' },
+];
+
+describe('historyBlocklist', () => {
+  describe('summarizeItemHistory', () => {
+    it('computes gp/hour, win rate and drawdown per item', () => {
+      const flipsByDate = {
+        '03-29-2025': [flip('Dragon bones', 1000, 2), flip('Dragon bones', -3000, 2)],
+        '03-30-2025': { flips: [flip('Dragon bones', 500, 1)] },
+      };
+
+      const [summary] = summarizeItemHistory(flipsByDate, { now: NOW });
+      expect(summary).toEqual({
+        name: 'Dragon bones',
+        flipCount: 3,
+        totalProfit: -1500,
+        gpPerHour: -500,
+        winRate: (2 / 3) * 100,
+        maxDrawdown: 3000,
+      });
+    });
+
+    it('only counts flips inside the lookback', () => {
+      const flipsByDate = {
+        old: [flip('Dragon bones', 1000, 40)],
+        recent: [flip('Dragon bones', 200, 3)],
+      };
+
+      const [summary] = summarizeItemHistory(flipsByDate, { lookbackDays: 30, now: NOW });
+      expect(summary.flipCount).toBe(1);
+      expect(summary.totalProfit).toBe(200);
+    });
+  });
+
+  describe('buildHistoryBlocklist', () => {
+    const flipsByDate = {
+      day: [
+        // Consistent winner
+        ...Array.from({ length: 5 }, () => flip('Abyssal whip', 50000)),
+        // Mostly losing
+        flip('Dragon bones', 100),
+        ...Array.from({ length: 4 }, () => flip('Dragon bones', -200)),
+        // Too few flips to judge
+        flip('Cannonball', -5000),
+        // Not in the item mapping
+        ...Array.from({ length: 5 }, () => flip('Discontinued item', -100)),
+      ],
+    };
+
+    it('blocks items that miss a threshold, with reasons', () => {
+      const result = buildHistoryBlocklist(flipsByDate, ITEMS, { minFlips: 5 }, NOW);
+
+      expect(result.blocked.map(item => item.id)).toEqual([1]);
+      expect(result.blocked[0].reasons).toEqual(['-140 gp/hr', '20% win rate']);
+      expect(result.judgedCount).toBe(3);
+      expect(result.tooFewFlipsCount).toBe(1);
+      expect(result.unmatchedNames).toEqual(['Discontinued item']);
+    });
+
+    it('ignores thresholds set to null', () => {
+      const result = buildHistoryBlocklist(
+        flipsByDate,
+        ITEMS,
+        { minFlips: 5, minGpPerHour: null, minWinRate: null, maxDrawdown: 500 },
+        NOW
+      );
+
+      expect(result.blocked).toHaveLength(1);
+      expect(result.blocked[0].reasons).toEqual(['800 gp drawdown']);
+    });
+
+    it('lowers the sample size to judge more items', () => {
+      const result = buildHistoryBlocklist(flipsByDate, ITEMS, { minFlips: 1 }, NOW);
+      expect(result.blocked.map(item => item.id)).toEqual([3, 1]);
+    });
+  });
+});
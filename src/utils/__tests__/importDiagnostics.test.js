@@ -0,0 +1,135 @@
+import Papa from 'papaparse';
+import {
+  csvRowLineCount,
+  isBlankCsvRow,
+  diagnoseFlip,
+  flagFlip,
+  createDiagnostics,
+  REJECTION_REASONS,
+  FLAG_REASONS,
+} from '../importDiagnostics';
+
+const flip = (overrides = {}) => ({
+  account: 'Main',
+  item: 'Coal',
+  status: 'FINISHED',
+  first_buy_time: Date.parse('2025-01-01T10:00:00Z'),
+  last_sell_time: Date.parse('2025-01-01T12:00:00Z'),
+  bought: 100,
+  sold: 100,
+  avg_buy_price: 150,
+  avg_sell_price: 160,
+  tax: 300,
+  profit: 700,
+  ...overrides,
+});
+
+describe('importDiagnostics', () => {
+  describe('diagnoseFlip', () => {
+    it('accepts a complete flip and open positions', () => {
+      expect(diagnoseFlip(flip())).toBeNull();
+      expect(diagnoseFlip(flip({ status: 'BUYING', last_sell_time: 0, sold: 0 }))).toBeNull();
+    });
+
+    it.each([
+      ['missing buy time', flip({ first_buy_time: NaN }), 'missing_time', 'first_buy_time'],
+      ['missing sell time', flip({ last_sell_time: 0 }), 'missing_time', 'last_sell_time'],
+      ['missing item', flip({ item: '' }), 'missing_item', 'item'],
+      ['zero quantity', flip({ bought: 0, sold: 0 }), 'zero_quantity', 'bought and sold are 0'],
+      ['unparsable number', flip({ tax: NaN }), 'unparsable_number', 'tax'],
+      ['negative price', flip({ avg_buy_price: -5 }), 'negative_price', 'avg_buy_price = -5'],
+      ['no row', null, 'row_error', 'Row could not be read'],
+    ])('reports %s', (_label, input, reason, detail) => {
+      expect(diagnoseFlip(input)).toEqual({ reason, detail });
+      expect(REJECTION_REASONS[reason]).toBeDefined();
+    });
+  });
+
+  describe('flagFlip', () => {
+    it('accepts a tax that matches the rules when the flip sold', () => {
+      // 1% of 160 = 1 gp each in January 2025
+      expect(flagFlip(flip({ tax: 100 }))).toBeNull();
+    });
+
+    it('flags a tax the GE rules would not charge', () => {
+      expect(flagFlip(flip())).toEqual({
+        reason: 'tax_mismatch',
+        detail: 'tax 300, expected 100 (1% of 160 × 100)',
+      });
+      expect(FLAG_REASONS.tax_mismatch).toBeDefined();
+    });
+  });
+
+  describe('CSV line numbers', () => {
+    // Same bookkeeping as the upload worker: the line each row starts on
+    const rowLines = (csv, chunkSize) => {
+      const lines = [];
+      let lastLine = null;
+      Papa.parse(csv, {
+        header: true,
+        skipEmptyLines: false,
+        chunkSize,
+        chunk: results => {
+          if (lastLine === null) lastLine = csvRowLineCount(results.meta.fields);
+          results.data.forEach(row => {
+            const line = lastLine + 1;
+            lastLine += csvRowLineCount(row);
+            if (!isBlankCsvRow(row)) lines.push([row.item, line]);
+          });
+        },
+      });
+      return lines;
+    };
+
+    const CSV = [
+      'item,note',
+      'Coal,ok',
+      '',
+      'Iron ore,"two',
+      'lines"',
+      '',
+      '',
+      'Nature rune,"a\r\nb\nc"',
+      'Feather,last',
+      '',
+    ].join('\r\n');
+
+    it('counts blank lines and line breaks inside quoted values', () => {
+      expect(rowLines(CSV)).toEqual([
+        ['Coal', 2],
+        ['Iron ore', 4],
+        ['Nature rune', 8],
+        ['Feather', 11],
+      ]);
+    });
+
+    it('numbers rows the same across chunk boundaries', () => {
+      expect(rowLines(CSV, 16)).toEqual(rowLines(CSV));
+    });
+
+    it('only treats a single empty field as a blank line', () => {
+      expect(isBlankCsvRow({ item: '' })).toBe(true);
+      expect(isBlankCsvRow({ item: '', note: '' })).toBe(false);
+      expect(csvRowLineCount(['a', 'b\nc', 'd\r\ne\rf'])).toBe(4);
+    });
+  });
+
+  describe('createDiagnostics', () => {
+    it('counts every rejection but keeps details only up to the limit', () => {
+      const diagnostics = createDiagnostics(2);
+      diagnostics.reject({ file: 'a.csv', line: 2, reason: 'duplicate' });
+      diagnostics.reject({ file: 'a.csv', line: 3, reason: 'duplicate' });
+      diagnostics.reject({ file: 'a.csv', line: 4, reason: 'missing_time' });
+
+      expect(diagnostics.counts()).toEqual({
+        total: 3,
+        byReason: { duplicate: 2, missing_time: 1 },
+      });
+
+      const summary = diagnostics.summary();
+      expect(summary.rows).toHaveLength(2);
+      expect(summary.rows[0]).toEqual({ file: 'a.csv', line: 2, reason: 'duplicate' });
+      expect(summary.truncated).toBe(true);
+    });
+  });
+});
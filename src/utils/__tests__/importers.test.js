@@ -0,0 +1,335 @@
+import {
+  IMPORTERS,
+  getImporter,
+  detectImporter,
+  readCsvHeaders,
+  readCsvPreview,
+  SUPPORTED_EXTENSIONS,
+} from '../importers';
+import { guessMapping, getMissingFields, guessFormats } from '../importers/genericCsv';
+import {
+  cleanNumeric,
+  parseTime,
+  parseNumber,
+  parseDate,
+  detectNumberFormat,
+  detectDateFormat,
+} from '../importers/normalize';
+
+const COPILOT_HEADER =
+  'First buy time,Last sell time,Account,Item,Status,Bought,Sold,Avg. buy price,Avg. sell price,Tax,Profit';
+
+const FLIP_FIELDS = [
+  'account',
+  'item',
+  'status',
+  'first_buy_time',
+  'last_sell_time',
+  'bought',
+  'sold',
+  'avg_buy_price',
+  'avg_sell_price',
+  'tax',
+  'profit',
+  'source_file',
+];
+
+describe('importers', () => {
+  describe('registry', () => {
+    it('exposes every importer by id', () => {
+      IMPORTERS.forEach(importer => {
+        expect(getImporter(importer.id)).toBe(importer);
+      });
+      expect(getImporter('nope')).toBeNull();
+    });
+
+    it('lists the supported extensions', () => {
+      expect(SUPPORTED_EXTENSIONS).toEqual(expect.arrayContaining(['.csv', '.json']));
+    });
+
+    it('reads CSV headers from a sample', () => {
+      expect(readCsvHeaders('"Item","Buy Price"\nCoal,150')).toEqual(['Item', 'Buy Price']);
+    });
+
+    it('previews rows, dropping the line a sample cut through', () => {
+      const sample = 'Item,Qty\nCoal,100\nIron ore,5';
+
+      expect(readCsvPreview(sample)).toEqual([{ Item: 'Coal', Qty: '100' }]);
+      expect(readCsvPreview(sample, { complete: true })).toHaveLength(2);
+      expect(readCsvPreview(sample, { complete: true, limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('detectImporter', () => {
+    it('detects Flipping Copilot exports', () => {
+      const result = detectImporter('flips.csv', `${COPILOT_HEADER}\n`);
+      expect(result.importer.id).toBe('flipping-copilot');
+    });
+
+    it('detects Flipping Utilities trade history', () => {
+      const result = detectImporter('Zezima.json', '{"trades":[{"name":"Coal","h":{"sO":[]}}]}');
+      expect(result.importer.id).toBe('flipping-utilities');
+    });
+
+    it('falls back to the generic CSV importer for unknown headers', () => {
+      const result = detectImporter('sheet.csv', 'Item,Buy Date,Qty,Buy Price\n');
+      expect(result.importer.id).toBe('generic-csv');
+      expect(result.headers).toEqual(['Item', 'Buy Date', 'Qty', 'Buy Price']);
+    });
+
+    it('sends a Copilot file with a renamed column to mapping', () => {
+      const header = COPILOT_HEADER.replace('Profit', 'Net');
+      expect(detectImporter('flips.csv', header).importer.id).toBe('generic-csv');
+    });
+
+    it('returns null for unsupported files', () => {
+      expect(detectImporter('notes.txt', 'hello')).toBeNull();
+      expect(detectImporter('other.json', '{"foo": 1}')).toBeNull();
+    });
+  });
+
+  describe('flipping-copilot', () => {
+    const importer = getImporter('flipping-copilot');
+    const headers = COPILOT_HEADER.split(',');
+    const row = {
+      'First buy time': '2025-01-01T10:00:00Z',
+      'Last sell time': '2025-01-01T12:00:00Z',
+      Account: 'Main',
+      Item: 'Coal',
+      Status: 'FINISHED',
+      Bought: '1,000',
+      Sold: '1,000',
+      'Avg. buy price': '150',
+      'Avg. sell price': '160',
+      Tax: '3,000',
+      Profit: '7,000',
+    };
+
+    it('normalizes a row to the worker flip shape', () => {
+      const { columns, missing } = importer.resolveColumns(headers);
+      const flip = importer.normalizeRow(row, columns, { sourceFile: 'flips.csv' });
+
+      expect(missing).toEqual([]);
+      expect(Object.keys(flip).sort()).toEqual([...FLIP_FIELDS].sort());
+      expect(flip.first_buy_time).toBe(Date.parse('2025-01-01T10:00:00Z'));
+      expect(flip.bought).toBe(1000);
+      expect(flip.profit).toBe(7000);
+      expect(flip.source_file).toBe('flips.csv');
+    });
+
+    it('reports missing columns', () => {
+      const { missing } = importer.resolveColumns(headers.filter(h => h !== 'Tax'));
+      expect(missing).toEqual(['tax']);
+    });
+
+    it('leaves unreadable values as NaN for diagnostics', () => {
+      const { columns } = importer.resolveColumns(headers);
+      const flip = importer.normalizeRow(
+        { ...row, 'First buy time': '', Bought: 'lots' },
+        columns,
+        {}
+      );
+
+      expect(flip.first_buy_time).toBeNaN();
+      expect(flip.bought).toBeNaN();
+    });
+  });
+
+  describe('generic-csv', () => {
+    const importer = getImporter('generic-csv');
+    const headers = ['Item', 'Buy Date', 'Sell Date', 'Qty', 'Buy Price', 'Sell Price'];
+
+    it('guesses a mapping from common header names', () => {
+      expect(guessMapping(headers)).toEqual({
+        item: 'Item',
+        first_buy_time: 'Buy Date',
+        last_sell_time: 'Sell Date',
+        bought: 'Qty',
+        avg_buy_price: 'Buy Price',
+        avg_sell_price: 'Sell Price',
+      });
+    });
+
+    it('lists required fields the mapping leaves out', () => {
+      expect(getMissingFields({ item: 'Item' }, headers)).toEqual([
+        'Buy time',
+        'Quantity bought',
+        'Buy price (each)',
+      ]);
+      expect(getMissingFields(guessMapping(headers), headers)).toEqual([]);
+    });
+
+    it('normalizes a mapped row, assuming whole flips without a sold column', () => {
+      const mapping = guessMapping(headers);
+      const { columns, missing } = importer.resolveColumns(headers, { mapping });
+      const flip = importer.normalizeRow(
+        {
+          Item: 'Coal',
+          'Buy Date': '2025-01-01T10:00:00Z',
+          'Sell Date': '2025-01-01T11:00:00Z',
+          Qty: '100',
+          'Buy Price': '150',
+          'Sell Price': '160',
+        },
+        columns,
+        { sourceFile: 'sheet.csv', options: { account: 'Alt' } }
+      );
+
+      expect(missing).toEqual([]);
+      expect(Object.keys(flip).sort()).toEqual([...FLIP_FIELDS].sort());
+      expect(flip.account).toBe('Alt');
+      expect(flip.status).toBe('FINISHED');
+      expect(flip.sold).toBe(100);
+      // No tax column: 1% GE tax (1 gp each) applied for a January 2025 sale
+      expect(flip.tax).toBe(100);
+      expect(flip.profit).toBe(900);
+    });
+
+    it('reads dates and numbers in the chosen formats', () => {
+      const mapping = guessMapping(headers);
+      const flip = importer.normalizeRow(
+        {
+          Item: 'Dragon bones',
+          'Buy Date': '13/01/2025 10:00',
+          'Sell Date': '13/01/2025 12:00',
+          Qty: '1.000',
+          'Buy Price': '2.000,5',
+          'Sell Price': '2.100,5',
+        },
+        mapping,
+        { sourceFile: 'sheet.csv', options: { dateFormat: 'DMY', numberFormat: 'dot' } }
+      );
+
+      expect(flip.first_buy_time).toBe(new Date(2025, 0, 13, 10).getTime());
+      expect(flip.bought).toBe(1000);
+      expect(flip.avg_buy_price).toBe(2000.5);
+      expect(flip.profit).toBe(100000 - 21 * 1000);
+    });
+
+    it('guesses formats from the mapped preview columns', () => {
+      const mapping = guessMapping(headers);
+      const rows = [
+        { 'Buy Date': '01/02/2025', Qty: '10', 'Buy Price': '1 500,25' },
+        { 'Buy Date': '25/02/2025', Qty: '10', 'Buy Price': '150' },
+      ];
+
+      expect(guessFormats(rows, mapping)).toEqual({ dateFormat: 'DMY', numberFormat: 'space' });
+      expect(guessFormats([], mapping)).toEqual({ dateFormat: 'auto', numberFormat: 'comma' });
+    });
+
+    it('treats rows without a sell time as open', () => {
+      const mapping = guessMapping(headers);
+      const flip = importer.normalizeRow(
+        { Item: 'Coal', 'Buy Date': '2025-01-01T10:00:00Z', Qty: '100', 'Buy Price': '150' },
+        mapping,
+        { sourceFile: 'sheet.csv' }
+      );
+
+      expect(flip.status).toBe('BUYING');
+      expect(flip.last_sell_time).toBe(0);
+      expect(flip.sold).toBe(0);
+    });
+  });
+
+  describe('flipping-utilities', () => {
+    const importer = getImporter('flipping-utilities');
+    const t0 = Date.parse('2025-01-01T10:00:00Z');
+    const offer = (uuid, isBuy, quantity, price, minutes) => ({
+      uuid,
+      b: isBuy,
+      cQIT: quantity,
+      p: price,
+      t: t0 + minutes * 60000,
+      st: isBuy ? 'BOUGHT' : 'SOLD',
+    });
+
+    it('replays offers into finished flips and open positions', () => {
+      const document = {
+        trades: [
+          {
+            name: 'Coal',
+            h: {
+              sO: [
+                offer('a', true, 40, 150, 0),
+                offer('a', true, 100, 150, 5), // same offer, filled further
+                offer('b', false, 100, 160, 30),
+                offer('c', true, 50, 148, 60),
+              ],
+            },
+          },
+        ],
+      };
+
+      const flips = importer.normalizeDocument(document, { sourceFile: 'Zezima.json' });
+
+      expect(flips).toHaveLength(2);
+      const [finished, open] = flips;
+      expect(Object.keys(finished).sort()).toEqual([...FLIP_FIELDS].sort());
+      expect(finished).toMatchObject({
+        account: 'Zezima',
+        item: 'Coal',
+        status: 'FINISHED',
+        first_buy_time: t0,
+        last_sell_time: t0 + 30 * 60000,
+        bought: 100,
+        sold: 100,
+        avg_buy_price: 150,
+        avg_sell_price: 160,
+        // Sold before the 2025 rate change: 1% of 160, rounded down, per item
+        tax: 100,
+        profit: 900,
+      });
+      expect(open).toMatchObject({ status: 'BUYING', bought: 50, sold: 0, last_sell_time: 0 });
+    });
+
+    it('rejects files without a trades list', () => {
+      expect(() => importer.normalizeDocument({}, { sourceFile: 'x.json' })).toThrow(
+        /not a Flipping Utilities trade history/
+      );
+    });
+  });
+
+  describe('normalize helpers', () => {
+    it('cleans numbers with thousands separators', () => {
+      expect(cleanNumeric('1,234.5')).toBe(1234.5);
+      expect(cleanNumeric('')).toBe(0);
+    });
+
+    it('parses date strings and epoch seconds or milliseconds', () => {
+      const ms = Date.parse('2025-01-01T00:00:00Z');
+      expect(parseTime('2025-01-01T00:00:00Z')).toBe(ms);
+      expect(parseTime(ms / 1000)).toBe(ms);
+      expect(parseTime(String(ms))).toBe(ms);
+      expect(parseTime('')).toBeNaN();
+    });
+
+    it('parses numbers with locale separators', () => {
+      expect(parseNumber('1,234.5')).toBe(1234.5);
+      expect(parseNumber('1.234,5', 'dot')).toBe(1234.5);
+      expect(parseNumber('1 234,5', 'space')).toBe(1234.5);
+      expect(parseNumber('1\u00a0234', 'space')).toBe(1234);
+      expect(parseNumber('2,500gp')).toBe(2500);
+      expect(parseNumber('')).toBe(0);
+      expect(parseNumber('n/a')).toBeNaN();
+    });
+
+    it('parses numeric dates in the chosen order', () => {
+      const expected = new Date(2025, 2, 4, 15, 30).getTime();
+      expect(parseDate('04/03/2025 15:30', 'DMY')).toBe(expected);
+      expect(parseDate('03/04/2025 3:30 PM', 'MDY')).toBe(expected);
+      expect(parseDate('2025-03-04 15:30', 'YMD')).toBe(expected);
+      expect(parseDate('04.03.25 15:30', 'DMY')).toBe(expected);
+      expect(parseDate('31/02/2025', 'DMY')).toBeNaN();
+      expect(parseDate('2025-03-04T15:30:00Z', 'DMY')).toBe(Date.parse('2025-03-04T15:30:00Z'));
+    });
+
+    it('detects the number and date formats from samples', () => {
+      expect(detectNumberFormat(['1,234', '150'])).toBe('comma');
+      expect(detectNumberFormat(['1.234,50'])).toBe('dot');
+      expect(detectDateFormat(['01/02/2025', '13/02/2025'])).toBe('DMY');
+      expect(detectDateFormat(['02/13/2025'])).toBe('MDY');
+      expect(detectDateFormat(['2025/02/13'])).toBe('YMD');
+      expect(detectDateFormat(['01/02/2025'])).toBe('auto');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { parseFilterQuery } from '../localFilterParser';
+import { validateFilterConfig } from '../filterConfigValidator';
+import { PRESET_PROFILES } from '../presetProfiles';
+
+const conditionsOf = query => parseFilterQuery(query).config?.rules[0].conditions;
+
+describe('localFilterParser', () => {
+  it('parses every preset without the AI', () => {
+    Object.values(PRESET_PROFILES).forEach(({ query }) => {
+      const result = parseFilterQuery(query);
+      expect(result.ambiguous).toBe(false);
+      expect(validateFilterConfig(result.config)).toEqual([]);
+    });
+  });
+
+  it('produces the same shape the AI returns', () => {
+    expect(parseFilterQuery('F2P items under 1 million gp').config).toEqual({
+      interpretation: 'Include F2P items priced under 1m gp',
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'price', operator: 'lt', value: 1000000 },
+            { field: 'f2p', operator: 'eq', value: true },
+          ],
+          combineWith: 'AND',
+        },
+      ],
+      defaultAction: 'exclude',
+    });
+  });
+
+  it('reads k/m/b shorthand, commas and ranges', () => {
+    expect(conditionsOf('Members-only items between 1m and 10m')).toEqual([
+      { field: 'price', operator: 'between', value: [1000000, 10000000] },
+      { field: 'members', operator: 'eq', value: true },
+    ]);
+    expect(conditionsOf('items 1.5k-2b')).toEqual([
+      { field: 'price', operator: 'between', value: [1500, 2000000000] },
+    ]);
+    expect(conditionsOf('items over 1,500,000gp')).toEqual([
+      { field: 'price', operator: 'gt', value: 1500000 },
+    ]);
+    expect(conditionsOf('at least 100k and at most 5m')).toEqual([
+      { field: 'price', operator: 'gte', value: 100000 },
+      { field: 'price', operator: 'lte', value: 5000000 },
+    ]);
+  });
+
+  it('tells volume thresholds from prices', () => {
+    expect(conditionsOf('items under 5m with volume over 10k')).toEqual([
+      { field: 'price', operator: 'lt', value: 5000000 },
+      { field: 'volume', operator: 'gt', value: 10000 },
+    ]);
+    expect(conditionsOf('non-members items with 500+ trading volume')).toEqual([
+      { field: 'volume', operator: 'gte', value: 500 },
+      { field: 'f2p', operator: 'eq', value: true },
+    ]);
+  });
+
+  it('recognizes category names', () => {
+    expect(conditionsOf('runes under 1k')).toEqual([
+      { field: 'price', operator: 'lt', value: 1000 },
+      { field: 'category', operator: 'eq', value: 'Runes' },
+    ]);
+    expect(conditionsOf('potions and ores and bars')).toEqual([
+      { field: 'category', operator: 'in', value: ['Ores & Bars', 'Potions'] },
+    ]);
+  });
+
+  it('leaves requests it cannot fully understand to the AI', () => {
+    expect(parseFilterQuery('high volume items').ambiguous).toBe(true);
+    expect(parseFilterQuery('everything under 10m except runes').unrecognized).toEqual(['except']);
+    expect(parseFilterQuery('cheap or expensive items').ambiguous).toBe(true);
+    expect(parseFilterQuery('F2P and members items').ambiguous).toBe(true);
+    expect(parseFilterQuery('items under 1m and under 2m').ambiguous).toBe(true);
+    expect(parseFilterQuery('items between 5m and 1m').ambiguous).toBe(true);
+    expect(parseFilterQuery('items').ambiguous).toBe(true);
+    expect(parseFilterQuery('').ambiguous).toBe(true);
+  });
+});
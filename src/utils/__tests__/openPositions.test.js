@@ -0,0 +1,96 @@
+import { isOpenFlip, valueOpenPosition, summarizeOpenPositions } from '../openPositions';
+
+const NOW = Date.parse('2025-01-02T12:00:00Z');
+
+const position = (overrides = {}) => ({
+  account: 'Main',
+  item: 'Dragon bones',
+  status: 'SELLING',
+  first_buy_time: '2025-01-02T00:00:00.000Z',
+  last_sell_time: null,
+  bought: 100,
+  sold: 0,
+  avg_buy_price: 2000,
+  avg_sell_price: 0,
+  tax: 0,
+  profit: 0,
+  ...overrides,
+});
+
+describe('openPositions', () => {
+  describe('isOpenFlip', () => {
+    it('treats BUYING and SELLING rows as open', () => {
+      expect(isOpenFlip(position({ status: 'BUYING' }))).toBe(true);
+      expect(isOpenFlip(position({ status: 'selling' }))).toBe(true);
+    });
+
+    it('treats finished flips as closed', () => {
+      expect(isOpenFlip(position({ status: 'FINISHED', last_sell_time: NOW }))).toBe(false);
+    });
+
+    it('treats a status-less flip without a sell as open', () => {
+      expect(isOpenFlip(position({ status: undefined }))).toBe(true);
+      expect(isOpenFlip(position({ status: undefined, last_sell_time: NOW }))).toBe(false);
+    });
+
+    it('handles missing input', () => {
+      expect(isOpenFlip(null)).toBe(false);
+    });
+  });
+
+  describe('valueOpenPosition', () => {
+    it('computes capital tied up and age', () => {
+      const result = valueOpenPosition(position(), null, NOW);
+
+      expect(result.heldQuantity).toBe(100);
+      expect(result.capitalTiedUp).toBe(200000);
+      expect(result.ageHours).toBe(12);
+      expect(result.unrealizedProfit).toBeNull();
+    });
+
+    it('marks held items to the current price after GE tax', () => {
+      const result = valueOpenPosition(position(), 2100, NOW);
+
+      // 2% of 2100 = 42 tax per item
+      expect(result.unrealizedProfit).toBe(100 * (2100 - 42 - 2000));
+      expect(result.markPrice).toBe(2100);
+    });
+
+    it('includes partial sells in the position P/L', () => {
+      const result = valueOpenPosition(
+        position({ sold: 40, avg_sell_price: 2100, tax: 1680 }),
+        2100,
+        NOW
+      );
+
+      expect(result.heldQuantity).toBe(60);
+      expect(result.unrealizedProfit).toBe(40 * 100 - 1680 + 60 * 58);
+    });
+
+    it('caps the tax per item', () => {
+      const result = valueOpenPosition(
+        position({ bought: 1, avg_buy_price: 400_000_000 }),
+        500_000_000,
+        NOW
+      );
+
+      expect(result.unrealizedProfit).toBe(500_000_000 - 5_000_000 - 400_000_000);
+    });
+  });
+
+  describe('summarizeOpenPositions', () => {
+    it('totals priced positions and counts unpriced ones', () => {
+      const { rows, totals } = summarizeOpenPositions(
+        [position(), position({ item: 'Coal', bought: 10, avg_buy_price: 150 })],
+        { 'Dragon bones': 2100 },
+        NOW
+      );
+
+      expect(rows).toHaveLength(2);
+      expect(totals.count).toBe(2);
+      expect(totals.capitalTiedUp).toBe(201500);
+      expect(totals.unrealizedProfit).toBe(5800);
+      expect(totals.unpricedCount).toBe(1);
+    });
+  });
+});
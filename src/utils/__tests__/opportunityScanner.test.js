@@ -0,0 +1,89 @@
+import {
+  buildScannerRows,
+  loadWatchlist,
+  rankScannerRows,
+  toggleWatchlist,
+} from '../opportunityScanner';
+
+const NOW = Date.parse('2025-03-31T12:00:00Z');
+const secondsAgo = minutes => (NOW - minutes * 60 * 1000) / 1000;
+
+const ITEMS = [
+  { id: 1, name: 'Abyssal whip', members: true, limit: 70 },
+  { id: 2, name: 'Cannonball', members: true, limit: 11000 },
+  { id: 3, name: 'Bronze dagger', members: false },
+  { id: 4, name: 'No prices', members: false, limit: 100 },
+];
+
+const LATEST = {
+  1: { high: 1_650_000, low: 1_600_000, highTime: secondsAgo(2), lowTime: secondsAgo(10) },
+  2: { high: 200, low: 190, highTime: secondsAgo(1), lowTime: secondsAgo(1) },
+  3: { high: 50, low: 40, highTime: secondsAgo(90), lowTime: secondsAgo(30) },
+  4: { high: 1000 },
+};
+
+const HOURLY = {
+  1: { highPriceVolume: 40, lowPriceVolume: 60 },
+  2: { highPriceVolume: 90_000, lowPriceVolume: 110_000 },
+};
+
+describe('opportunityScanner', () => {
+  describe('buildScannerRows', () => {
+    const rows = buildScannerRows(ITEMS, LATEST, HOURLY, {
+      now: NOW,
+      itemStats: [{ item: 'abyssal whip', totalProfit: 300_000, flipCount: 3 }],
+    });
+    const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+    it('skips items without both prices', () => {
+      expect(rows.map(row => row.id)).toEqual([1, 2, 3]);
+    });
+
+    it('computes after-tax margin, potential profit, volume and price age', () => {
+      const whip = byName['Abyssal whip'];
+      expect(whip.buyPrice).toBe(1_600_000);
+      expect(whip.sellPrice).toBe(1_650_000);
+      expect(whip.margin).toBe(50_000 - 33_000);
+      expect(whip.potentialProfit).toBe(17_000 * 70);
+      expect(whip.volume).toBe(100);
+      expect(whip.priceAge).toBeCloseTo(10);
+    });
+
+    it('leaves potential profit empty without a buy limit', () => {
+      expect(byName['Bronze dagger'].potentialProfit).toBeNull();
+      expect(byName['Bronze dagger'].volume).toBe(0);
+    });
+
+    it('attaches our history by item name', () => {
+      expect(byName['Abyssal whip'].history).toEqual({
+        flipCount: 3,
+        totalProfit: 300_000,
+        avgProfit: 100_000,
+      });
+      expect(byName.Cannonball.history).toBeNull();
+    });
+
+    it('ranks by a metric, missing values last and freshness ascending', () => {
+      expect(rankScannerRows(rows, 'potentialProfit').map(row => row.id)).toEqual([1, 2, 3]);
+      expect(rankScannerRows(rows, 'volume').map(row => row.id)).toEqual([2, 1, 3]);
+      expect(rankScannerRows(rows, 'priceAge').map(row => row.id)).toEqual([2, 1, 3]);
+    });
+  });
+
+  describe('watchlist', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('toggles items in and out', () => {
+      expect(loadWatchlist()).toEqual([]);
+      expect(toggleWatchlist(4151)).toEqual([4151]);
+      expect(toggleWatchlist(2)).toEqual([4151, 2]);
+      expect(toggleWatchlist(4151)).toEqual([2]);
+      expect(loadWatchlist()).toEqual([2]);
+    });
+
+    it('ignores corrupt storage', () => {
+      localStorage.setItem('osrs-flip-scanner-watchlist', '{"bad":');
+      expect(loadWatchlist()).toEqual([]);
+    });
+  });
+});
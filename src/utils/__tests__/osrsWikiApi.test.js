@@ -0,0 +1,83 @@
+import { chooseTimestep, clearTimeseriesCache, fetchPriceTimeseries } from '../osrsWikiApi';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const POINTS = [
+  {
+    timestamp: 1700000000,
+    avgHighPrice: 110,
+    avgLowPrice: 100,
+    highPriceVolume: 5,
+    lowPriceVolume: 7,
+  },
+];
+
+describe('osrsWikiApi', () => {
+  describe('chooseTimestep', () => {
+    it('picks the finest timestep whose 365 points cover the span', () => {
+      expect(chooseTimestep(6 * HOUR)).toBe('5m');
+      expect(chooseTimestep(3 * DAY)).toBe('1h');
+      expect(chooseTimestep(30 * DAY)).toBe('6h');
+      expect(chooseTimestep(200 * DAY)).toBe('24h');
+    });
+
+    it('falls back to daily points for spans longer than a year', () => {
+      expect(chooseTimestep(800 * DAY)).toBe('24h');
+    });
+  });
+
+  describe('fetchPriceTimeseries', () => {
+    beforeEach(() => {
+      clearTimeseriesCache();
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({ data: POINTS }) })
+      );
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('requests the item and timestep and returns the points', async () => {
+      await expect(fetchPriceTimeseries(4151, '1h')).resolves.toEqual(POINTS);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://prices.runescape.wiki/api/v1/osrs/timeseries?id=4151&timestep=1h',
+        expect.objectContaining({ headers: expect.any(Object) })
+      );
+    });
+
+    it('caches per item and timestep', async () => {
+      await fetchPriceTimeseries(4151, '1h');
+      await fetchPriceTimeseries(4151, '1h');
+      await fetchPriceTimeseries(4151, '5m');
+      await fetchPriceTimeseries(11802, '1h');
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('refetches once the timestep has passed', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      await fetchPriceTimeseries(4151, '5m');
+      now.mockReturnValue(5 * 60 * 1000);
+      await fetchPriceTimeseries(4151, '5m');
+      now.mockRestore();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not cache failed requests', async () => {
+      global.fetch.mockImplementationOnce(() =>
+        Promise.resolve({ ok: false, status: 429, statusText: 'Too Many Requests' })
+      );
+
+      await expect(fetchPriceTimeseries(4151, '6h')).rejects.toThrow('429 Too Many Requests');
+      await expect(fetchPriceTimeseries(4151, '6h')).resolves.toEqual(POINTS);
+    });
+
+    it('rejects unknown timesteps', async () => {
+      await expect(fetchPriceTimeseries(4151, '2h')).rejects.toThrow('Unknown timestep "2h"');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
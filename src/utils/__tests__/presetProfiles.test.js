@@ -1,4 +1,15 @@
-import { PRESET_PROFILES, getPreset, getAllPresets } from '../presetProfiles';
+import {
+  PRESET_PROFILES,
+  getPreset,
+  getAllPresets,
+  fillTemplate,
+  formatTemplateLabel,
+  templateFromConfig,
+  loadUserTemplates,
+  saveUserTemplate,
+  deleteUserTemplate,
+} from '../presetProfiles';
+import { evaluateFilterRules } from '../filterRuleEvaluator';
 
 describe('presetProfiles', () => {
   describe('PRESET_PROFILES', () => {
@@ -188,4 +199,134 @@ describe('presetProfiles', () => {
       expect(uniqueDescriptions.size).toBe(descriptions.length);
     });
   });
+
+  describe('fillTemplate', () => {
+    const items = [
+      { id: 1, name: 'Cheap f2p', members: false },
+      { id: 2, name: 'Pricey f2p', members: false },
+      { id: 3, name: 'Members mid', members: true },
+      { id: 4, name: 'Members mid, thin', members: true },
+    ];
+    const prices = {
+      1: { high: 200_000, low: 190_000 },
+      2: { high: 3_000_000, low: 2_900_000 },
+      3: { high: 2_000_000, low: 1_900_000 },
+      4: { high: 4_000_000, low: 3_900_000 },
+    };
+    const volumes = { 1: 5000, 2: 5000, 3: 800, 4: 20 };
+    const tradeableIds = config =>
+      evaluateFilterRules(config, items, prices, volumes).tradeable.map(item => item.id);
+
+    it('builds every built-in preset with its defaults', () => {
+      Object.values(PRESET_PROFILES).forEach(preset => {
+        expect(() => fillTemplate(preset)).not.toThrow();
+      });
+    });
+
+    it('substitutes parameters and labels the config', () => {
+      const config = fillTemplate(getPreset('F2P under 1m'), { max: '2.5m' });
+
+      expect(config.rules[0].conditions[1]).toEqual({
+        field: 'price',
+        operator: 'lt',
+        value: 2_500_000,
+      });
+      expect(config.interpretation).toBe('F2P under 2.5m');
+      expect(tradeableIds(config)).toEqual([1]);
+    });
+
+    it('drops conditions whose optional parameter is blank', () => {
+      const preset = getPreset('Members 1m-10m');
+
+      const withoutVolume = fillTemplate(preset);
+      expect(withoutVolume.interpretation).toBe('Members 1m-10m');
+      expect(tradeableIds(withoutVolume)).toEqual([3, 4]);
+
+      const withVolume = fillTemplate(preset, { min: '1m', max: '10m', vol: '100' });
+      expect(withVolume.interpretation).toBe('Members 1m-10m with volume ≥ 100');
+      expect(tradeableIds(withVolume)).toEqual([3]);
+    });
+
+    it('rejects missing, malformed and inverted parameters', () => {
+      const preset = getPreset('Budget flips');
+
+      expect(() => fillTemplate(preset, { min: '', max: '5m' })).toThrow('Min price is required');
+      expect(() => fillTemplate(preset, { min: 'lots', max: '5m' })).toThrow(
+        'Min price must be a number'
+      );
+      expect(() => fillTemplate(preset, { min: '5m', max: '1m' })).toThrow(
+        'min must not be greater than max'
+      );
+    });
+  });
+
+  describe('formatTemplateLabel', () => {
+    it('leaves unknown placeholders visible', () => {
+      expect(formatTemplateLabel({ label: 'Under {max}' }, {})).toBe('Under {max}');
+    });
+  });
+
+  describe('templateFromConfig', () => {
+    const config = {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'members', operator: 'eq', value: true },
+            { field: 'price', operator: 'between', value: [1_000_000, 10_000_000] },
+            { field: 'volume', operator: 'gte', value: 100 },
+            { not: { field: 'price', operator: 'gt', value: 8_000_000 } },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+      interpretation: 'Members items 1m-10m with volume',
+    };
+
+    it('turns numeric comparisons into parameters defaulting to their values', () => {
+      const template = templateFromConfig('My members', config);
+
+      expect(template.label).toBe('My members');
+      expect(template.description).toBe('Members items 1m-10m with volume');
+      expect(template.params).toEqual({
+        minPrice: { label: 'Min price', default: 1_000_000 },
+        maxPrice: { label: 'Max price', default: 10_000_000 },
+        minVolume: { label: 'Min volume', default: 100 },
+        minPrice2: { label: 'Min price', default: 8_000_000 },
+      });
+      expect(template.filter.rules[0].conditions[0]).toEqual(config.rules[0].conditions[0]);
+    });
+
+    it('round-trips to the original config with default parameters', () => {
+      const { interpretation, ...filled } = fillTemplate(templateFromConfig('My members', config));
+
+      expect(interpretation).toBe('My members');
+      expect(filled).toEqual({ rules: config.rules, defaultAction: 'exclude' });
+    });
+  });
+
+  describe('user templates', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('saves, replaces and deletes templates by name', () => {
+      const template = templateFromConfig('Mine', {
+        rules: [{ type: 'include', conditions: [{ field: 'price', operator: 'lt', value: 100 }] }],
+        defaultAction: 'exclude',
+      });
+
+      expect(loadUserTemplates()).toEqual({});
+      saveUserTemplate(' Mine ', template);
+      saveUserTemplate('Mine', { ...template, description: 'Updated' });
+      expect(Object.keys(loadUserTemplates())).toEqual(['Mine']);
+      expect(loadUserTemplates().Mine.description).toBe('Updated');
+
+      deleteUserTemplate('Mine');
+      expect(loadUserTemplates()).toEqual({});
+    });
+
+    it('ignores corrupt storage', () => {
+      localStorage.setItem('osrs-flip-preset-templates', 'not json');
+      expect(loadUserTemplates()).toEqual({});
+    });
+  });
 });
@@ -0,0 +1,77 @@
+import { diffBlockedIds, describeBlockChanges } from '../profileDiff';
+
+describe('profileDiff', () => {
+  describe('diffBlockedIds', () => {
+    it('finds newly blocked and unblocked items', () => {
+      expect(diffBlockedIds([1, 2, 3], [2, 3, 4, 5])).toEqual({
+        newlyBlocked: [4, 5],
+        newlyUnblocked: [1],
+        unchangedCount: 2,
+      });
+    });
+
+    it('reports no changes for the same list in another order', () => {
+      expect(diffBlockedIds([3, 1, 2], [1, 2, 3])).toEqual({
+        newlyBlocked: [],
+        newlyUnblocked: [],
+        unchangedCount: 3,
+      });
+    });
+  });
+
+  describe('describeBlockChanges', () => {
+    const data = {
+      items: [
+        { id: 1, name: 'Bronze sword' },
+        { id: 2, name: 'Abyssal whip' },
+        { id: 3, name: 'Dragon claws' },
+        { id: 4, name: 'Rune scimitar' },
+      ],
+      priceData: { 1: { high: 500 }, 2: { high: 1500000 }, 3: { high: 50000000 } },
+      volumeData: { 1: 2200, 2: 1550 },
+      userItemStats: {
+        'Abyssal whip': { totalProfit: 250000, flipCount: 12 },
+        'Bronze sword': { totalProfit: -300, flipCount: 2 },
+      },
+    };
+
+    it('attaches price, volume and the user history', () => {
+      const [whip] = describeBlockChanges([2], data);
+      expect(whip).toEqual({
+        id: 2,
+        name: 'Abyssal whip',
+        price: 1500000,
+        volume: 1550,
+        userProfit: 250000,
+        flipCount: 12,
+      });
+    });
+
+    it('puts profitable items first, then untraded items by price', () => {
+      const rows = describeBlockChanges([1, 2, 3, 4], data);
+      expect(rows.map(row => row.id)).toEqual([2, 1, 3, 4]);
+    });
+
+    it('marks missing data as null', () => {
+      const rows = describeBlockChanges([4, 99], data);
+      expect(rows).toEqual([
+        {
+          id: 4,
+          name: 'Rune scimitar',
+          price: null,
+          volume: null,
+          userProfit: null,
+          flipCount: 0,
+        },
+        {
+          id: 99,
+          name: 'Unknown item 99',
+          price: null,
+          volume: null,
+          userProfit: null,
+          flipCount: 0,
+        },
+      ]);
+    });
+  });
+});
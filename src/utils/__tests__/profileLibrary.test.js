@@ -0,0 +1,113 @@
+import {
+  deleteProfile,
+  duplicateProfile,
+  getBlockedIds,
+  getLatestVersion,
+  loadProfileLibrary,
+  reevaluateVersion,
+  renameProfile,
+  restoreProfileVersion,
+  saveProfileVersion,
+} from '../profileLibrary';
+import { FilterConfigError } from '../filterConfigValidator';
+
+const ITEMS = [
+  { id: 1, name: 'Bronze sword', members: false },
+  { id: 2, name: 'Rune scimitar', members: false },
+  { id: 3, name: 'Abyssal whip', members: true },
+];
+
+const PRICES = {
+  1: { high: 500, low: 400 },
+  2: { high: 15000, low: 14500 },
+  3: { high: 1500000, low: 1450000 },
+};
+
+const UNDER_20K = {
+  interpretation: 'Items under 20k',
+  rules: [{ type: 'include', conditions: [{ field: 'price', operator: 'lt', value: 20000 }] }],
+  defaultAction: 'exclude',
+};
+
+describe('profileLibrary', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('creates a profile with its first version', () => {
+    const profile = saveProfileVersion(null, {
+      name: ' Budget ',
+      mode: 'block',
+      checkedIds: [3, 1, 3],
+    });
+
+    expect(profile.name).toBe('Budget');
+    expect(profile.versions).toHaveLength(1);
+    expect(getLatestVersion(profile)).toMatchObject({
+      version: 1,
+      mode: 'block',
+      checkedIds: [1, 3],
+      timeframe: 5,
+      f2pOnly: false,
+      sellOnly: false,
+    });
+    expect(loadProfileLibrary()).toEqual([profile]);
+  });
+
+  it('adds versions only when the selection changes', () => {
+    const { id } = saveProfileVersion(null, { name: 'A', mode: 'trade', checkedIds: [1] });
+    saveProfileVersion(id, { mode: 'trade', checkedIds: [1] });
+    const profile = saveProfileVersion(id, { mode: 'trade', checkedIds: [1, 2] });
+
+    expect(profile.versions.map(v => v.version)).toEqual([1, 2]);
+    expect(getLatestVersion(profile).checkedIds).toEqual([1, 2]);
+  });
+
+  it('renames, duplicates and deletes profiles', () => {
+    const { id } = saveProfileVersion(null, { name: 'A', mode: 'trade', checkedIds: [1] });
+    renameProfile(id, 'Team standard');
+    const copy = duplicateProfile(id);
+
+    expect(copy.name).toBe('Team standard (copy)');
+    expect(copy.versions).toHaveLength(1);
+    expect(getLatestVersion(copy).checkedIds).toEqual([1]);
+
+    deleteProfile(id);
+    expect(loadProfileLibrary().map(p => p.name)).toEqual(['Team standard (copy)']);
+  });
+
+  it('restores an old version as the newest one', () => {
+    const { id } = saveProfileVersion(null, { name: 'A', mode: 'trade', checkedIds: [1] });
+    saveProfileVersion(id, { mode: 'block', checkedIds: [3] });
+    const profile = restoreProfileVersion(id, 1);
+
+    expect(profile.versions.map(v => v.version)).toEqual([1, 2, 3]);
+    expect(getLatestVersion(profile)).toMatchObject({ mode: 'trade', checkedIds: [1] });
+    expect(restoreProfileVersion(id, 99)).toBeNull();
+  });
+
+  it('lists blocked IDs for either mode', () => {
+    expect(getBlockedIds({ mode: 'trade', checkedIds: [1] }, ITEMS)).toEqual([2, 3]);
+    expect(getBlockedIds({ mode: 'block', checkedIds: [1] }, ITEMS)).toEqual([1]);
+  });
+
+  it('re-evaluates a filter against current prices', () => {
+    const profile = saveProfileVersion(null, {
+      name: 'Cheap',
+      mode: 'trade',
+      checkedIds: [1],
+      source: { prompt: 'items under 20k', filterConfig: UNDER_20K },
+    });
+    const selection = reevaluateVersion(getLatestVersion(profile), ITEMS, PRICES, {});
+
+    expect(selection).toMatchObject({ mode: 'trade', checkedIds: [1, 2] });
+    expect(selection.source.prompt).toBe('items under 20k');
+    expect(reevaluateVersion({ mode: 'trade', checkedIds: [] }, ITEMS, PRICES, {})).toBeNull();
+  });
+
+  test('refuses to re-evaluate a malformed stored filter', () => {
+    const stored = { mode: 'trade', checkedIds: [1], source: { filterConfig: { rules: 'nope' } } };
+
+    expect(() => reevaluateVersion(stored, ITEMS, PRICES, {})).toThrow(FilterConfigError);
+  });
+});
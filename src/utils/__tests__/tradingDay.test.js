@@ -0,0 +1,123 @@
+import {
+  toTradingDayKey,
+  getTradingClock,
+  compareDayKeys,
+  groupFlipsByTradingDay,
+  buildDailySummaries,
+  applyTradingDay,
+  normalizeTradingDay,
+  isSameTradingDay,
+  describeTradingDay,
+} from '../tradingDay';
+
+const UTC = { timezone: 'UTC', dayStartHour: 0 };
+const UTC_6AM = { timezone: 'UTC', dayStartHour: 6 };
+
+const flip = (lastSellTime, profit = 100, item = 'Coal') => ({
+  item,
+  profit,
+  last_sell_time: lastSellTime,
+});
+
+describe('tradingDay', () => {
+  describe('toTradingDayKey', () => {
+    it('buckets by midnight in the chosen timezone', () => {
+      expect(toTradingDayKey('2025-01-02T03:00:00Z', UTC)).toBe('01-02-2025');
+      expect(
+        toTradingDayKey('2025-01-02T03:00:00Z', { timezone: 'America/Chicago', dayStartHour: 0 })
+      ).toBe('01-01-2025');
+    });
+
+    it('counts hours before the day start as the previous day', () => {
+      expect(toTradingDayKey('2025-01-02T05:59:00Z', UTC_6AM)).toBe('01-01-2025');
+      expect(toTradingDayKey('2025-01-02T06:00:00Z', UTC_6AM)).toBe('01-02-2025');
+    });
+  });
+
+  describe('getTradingClock', () => {
+    it('reports the trading weekday and wall-clock hour', () => {
+      // Thursday 2025-01-02 05:00 UTC is still Wednesday's trading day with a 06:00 start
+      expect(getTradingClock('2025-01-02T05:00:00Z', UTC)).toEqual({ dayOfWeek: 4, hour: 5 });
+      expect(getTradingClock('2025-01-02T05:00:00Z', UTC_6AM)).toEqual({ dayOfWeek: 3, hour: 5 });
+    });
+  });
+
+  describe('normalizeTradingDay', () => {
+    it('falls back for unknown timezones and out-of-range hours', () => {
+      expect(normalizeTradingDay({ timezone: 'Mars/Olympus', dayStartHour: 30 })).toEqual({
+        timezone: 'local',
+        dayStartHour: 0,
+      });
+      expect(normalizeTradingDay(null)).toEqual({ timezone: 'local', dayStartHour: 0 });
+    });
+
+    it('compares settings by the timezone they resolve to', () => {
+      expect(isSameTradingDay(UTC, { timezone: 'UTC' })).toBe(true);
+      expect(isSameTradingDay(UTC, UTC_6AM)).toBe(false);
+    });
+  });
+
+  it('sorts day keys across years', () => {
+    expect(['01-05-2025', '12-31-2024', '01-01-2025'].sort(compareDayKeys)).toEqual([
+      '12-31-2024',
+      '01-01-2025',
+      '01-05-2025',
+    ]);
+  });
+
+  it('groups flips into days and summarizes them in order', () => {
+    const flipsByDate = groupFlipsByTradingDay(
+      [
+        flip('2025-01-02T10:00:00Z', 100),
+        flip('2025-01-01T10:00:00Z', 50, 'Iron ore'),
+        flip('2025-01-02T11:00:00Z', -20, 'Iron ore'),
+        flip(null),
+      ],
+      UTC
+    );
+
+    expect(Object.keys(flipsByDate).sort()).toEqual(['01-01-2025', '01-02-2025']);
+    expect(buildDailySummaries(flipsByDate)).toEqual([
+      { date: '01-01-2025', totalProfit: 50, flipCount: 1, uniqueItems: 1 },
+      { date: '01-02-2025', totalProfit: 80, flipCount: 2, uniqueItems: 2 },
+    ]);
+  });
+
+  describe('applyTradingDay', () => {
+    const allFlips = [flip('2025-01-02T03:00:00Z'), flip('2025-01-02T08:00:00Z')];
+    const data = {
+      allFlips,
+      flipsByDate: groupFlipsByTradingDay(allFlips, UTC),
+      timezone: 'UTC',
+      tradingDay: UTC,
+      metadata: { accounts: ['Main'] },
+    };
+
+    it('returns the same data when the setting is unchanged', () => {
+      expect(applyTradingDay(data, { timezone: 'UTC', dayStartHour: 0 })).toBe(data);
+    });
+
+    it('re-buckets days without copying flips', () => {
+      const result = applyTradingDay(data, UTC_6AM);
+
+      expect(result.dailySummaries.map(d => d.date)).toEqual(['01-01-2025', '01-02-2025']);
+      expect(result.flipsByDate['01-01-2025'].flips[0]).toBe(allFlips[0]);
+      expect(result.metadata.dateRange).toEqual({ from: '01-01-2025', to: '01-02-2025' });
+      expect(result.metadata.accounts).toEqual(['Main']);
+      expect(result.tradingDay).toEqual(UTC_6AM);
+    });
+
+    it('treats older data as bucketed at midnight in its timezone', () => {
+      const legacy = { ...data, tradingDay: undefined };
+      const result = applyTradingDay(legacy, UTC);
+
+      expect(result.flipsByDate).toBe(legacy.flipsByDate);
+      expect(result.tradingDay).toEqual(UTC);
+    });
+  });
+
+  it('describes the setting', () => {
+    expect(describeTradingDay(UTC)).toBe('UTC');
+    expect(describeTradingDay(UTC_6AM)).toBe('UTC, day starts 06:00');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Capital ledger and net worth
+ *
+ * Flip exports only record profit, so the gp each account started with and
+ * any gp moved in or out are entered by hand: a starting bankroll per account,
+ * deposits, withdrawals and bonds bought for membership. Net worth on a
+ * trading day is the ledger up to that day plus realized profit so far;
+ * today's figure can also include open positions at market value.
+ *
+ * Entries are saved in this browser, separate from the flip data, so they
+ * survive re-uploads. Dates are YYYY-MM-DD; trading day keys are MM-DD-YYYY.
+ */
+
+import { parseShorthandNumber } from './parseShorthandNumber';
+
+const LEDGER_KEY = 'osrs-flip-capital-ledger';
+
+/** Kinds of ledger entry, with whether they add or remove gp */
+export const LEDGER_ENTRY_TYPES = {
+  starting: { label: 'Starting bankroll', sign: 1 },
+  deposit: { label: 'Deposit', sign: 1 },
+  withdrawal: { label: 'Withdrawal', sign: -1 },
+  bond: { label: 'Bond purchase', sign: -1 },
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Random characters after the timestamp in entry IDs
+const ID_SUFFIX_LENGTH = 6;
+
+const newId = () =>
+  `${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 2 + ID_SUFFIX_LENGTH)}`;
+
+/**
+ * YYYY-MM-DD for a MM-DD-YYYY trading day key
+ * @param {string} dayKey
+ * @returns {string}
+ */
+const dayKeyToIso = dayKey => {
+  const [month, day, year] = dayKey.split('-');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Saved ledger entries, oldest first
+ * @returns {Array<{id: string, account: string, type: string, amount: number, date: string|null, note: string}>}
+ */
+export function loadCapitalLedger() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEDGER_KEY));
+    return Array.isArray(stored) ? stored.filter(entry => LEDGER_ENTRY_TYPES[entry?.type]) : [];
+  } catch {
+    return [];
+  }
+}
+
+const writeCapitalLedger = entries => {
+  try {
+    localStorage.setItem(LEDGER_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Failed to save capital ledger:', error);
+  }
+};
+
+/**
+ * Order entries by date; undated starting bankrolls come first
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>} New array
+ */
+const sortEntries = entries =>
+  [...entries].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+/**
+ * Validate form input and add it to the saved ledger
+ * A starting bankroll may leave the date empty to count from the first flip.
+ * @param {{account: string, type: string, amount: string|number, date?: string, note?: string}} input
+ * @returns {Array<Object>} Updated ledger
+ * @throws {Error} With a message for the form when the input is invalid
+ */
+export function addLedgerEntry(input) {
+  const current = loadCapitalLedger();
+  const account = String(input.account || '').trim();
+  const amount = parseShorthandNumber(input.amount);
+  const date = input.date || null;
+
+  if (!account) throw new Error('Choose an account');
+  if (!LEDGER_ENTRY_TYPES[input.type]) throw new Error('Choose an entry type');
+  if (amount === null || !(amount > 0)) {
+    throw new Error('Amount must be a positive number like 500k or 1.5m');
+  }
+  if (date === null && input.type !== 'starting') throw new Error('Choose a date');
+  if (date !== null && !ISO_DATE.test(date)) throw new Error('Date must be YYYY-MM-DD');
+  if (
+    input.type === 'starting' &&
+    current.some(e => e.type === 'starting' && e.account === account)
+  ) {
+    throw new Error(`${account} already has a starting bankroll - delete it or add a deposit`);
+  }
+
+  const next = sortEntries([
+    ...current,
+    {
+      id: newId(),
+      account,
+      type: input.type,
+      amount: Math.round(amount),
+      date,
+      note: String(input.note || '').trim(),
+    },
+  ]);
+  writeCapitalLedger(next);
+  return next;
+}
+
+/**
+ * Remove an entry from the saved ledger
+ * @param {string} id
+ * @returns {Array<Object>} Updated ledger
+ */
+export function deleteLedgerEntry(id) {
+  const next = loadCapitalLedger().filter(entry => entry.id !== id);
+  writeCapitalLedger(next);
+  return next;
+}
+
+/**
+ * Entries for the visible accounts
+ * Pass the accounts the flip data is filtered to, so an empty selection shows
+ * no capital just as it shows no profit.
+ * @param {Array<Object>} ledger
+ * @param {string[]} accounts
+ * @returns {Array<Object>}
+ */
+export function filterLedger(ledger, accounts = []) {
+  return ledger.filter(entry => accounts.includes(entry.account));
+}
+
+/**
+ * An entry's effect on net worth
+ * @param {Object} entry
+ * @returns {number} Positive for gp in, negative for gp out
+ */
+export function signedAmount(entry) {
+  return (LEDGER_ENTRY_TYPES[entry.type]?.sign || 0) * entry.amount;
+}
+
+/**
+ * Net worth at the end of each trading day
+ * Entries dated between trading days count from the next one. Rows have the
+ * `day`, `profit` and `net_worth` fields useETACalculator reads.
+ * @param {Array<{date: string, totalProfit: number}>} dailySummaries - Sorted MM-DD-YYYY days
+ * @param {Array<Object>} ledger - Entries for the same accounts
+ * @returns {Array<{date: string, day: number, profit: number, capital: number, cumulativeProfit: number, net_worth: number}>}
+ */
+export function buildNetWorthSeries(dailySummaries = [], ledger = []) {
+  const entries = sortEntries(ledger);
+  let next = 0;
+  let capital = 0;
+  let cumulativeProfit = 0;
+
+  return dailySummaries.map((summary, index) => {
+    const iso = dayKeyToIso(summary.date);
+    while (next < entries.length && (entries[next].date || '') <= iso) {
+      capital += signedAmount(entries[next]);
+      next++;
+    }
+    cumulativeProfit += summary.totalProfit || 0;
+    return {
+      date: summary.date,
+      day: index + 1,
+      profit: summary.totalProfit || 0,
+      capital,
+      cumulativeProfit,
+      net_worth: capital + cumulativeProfit,
+    };
+  });
+}
+
+/**
+ * Today's net worth
+ * @param {Array<Object>} ledger - Entries for the visible accounts
+ * @param {number} realizedProfit
+ * @param {number|null} [openPositionsProfit] - Unrealized P/L to include, or null to leave open positions out
+ * @returns {{capital: number, realizedProfit: number, openPositionsProfit: number, netWorth: number}}
+ */
+export function summarizeNetWorth(ledger, realizedProfit, openPositionsProfit = null) {
+  const capital = ledger.reduce((sum, entry) => sum + signedAmount(entry), 0);
+  const unrealized = openPositionsProfit || 0;
+  return {
+    capital,
+    realizedProfit,
+    openPositionsProfit: unrealized,
+    netWorth: capital + realizedProfit + unrealized,
+  };
+}
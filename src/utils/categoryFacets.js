@@ -0,0 +1,100 @@
+/**
+ * Category facets for the blocklist item selector
+ *
+ * Items are classified once by name (src/lib/classification.js). At the
+ * 'fine' level an item belongs to every category tag it has, matching the
+ * filter rules' category field; at the 'coarse' level it belongs to exactly
+ * one rolled-up category.
+ */
+
+import {
+  CATEGORY_PRIORITY,
+  COARSE_PRIORITY,
+  choosePrimaryCategory,
+  classifyItem,
+  getCoarseCategory,
+} from '../lib/classification';
+
+/** Facet granularity: every fine tag, or one coarse bucket per item */
+export const CATEGORY_LEVELS = ['fine', 'coarse'];
+
+/**
+ * Classify every item once
+ * @param {Array<{id: number, name: string}>} items
+ * @returns {Map<number, {tags: string[], primary: string, coarse: string}>}
+ */
+export function getItemCategories(items) {
+  return new Map(
+    items.map(item => {
+      const tags = classifyItem(item.name);
+      return [
+        item.id,
+        { tags, primary: choosePrimaryCategory(tags), coarse: getCoarseCategory(tags) },
+      ];
+    })
+  );
+}
+
+/**
+ * Whether a classified item is in a category
+ * @param {{tags: string[], coarse: string}|undefined} categories - Entry from getItemCategories
+ * @param {string} category
+ * @param {'fine'|'coarse'} level
+ * @returns {boolean}
+ */
+export function isInCategory(categories, category, level) {
+  if (!categories) return false;
+  return level === 'coarse' ? categories.coarse === category : categories.tags.includes(category);
+}
+
+/**
+ * The one category shown for an item at a level
+ * @param {{primary: string, coarse: string}|undefined} categories - Entry from getItemCategories
+ * @param {'fine'|'coarse'} level
+ * @returns {string}
+ */
+export function getCategoryLabel(categories, level) {
+  if (!categories) return 'Other';
+  return level === 'coarse' ? categories.coarse : categories.primary;
+}
+
+/**
+ * Categories of one item at a level
+ * @returns {string[]}
+ */
+const categoriesAt = (categories, level) =>
+  level === 'coarse' ? [categories.coarse] : categories.tags;
+
+/**
+ * Item counts per category
+ * @param {Array<{id: number}>} items
+ * @param {Map} itemCategories - From getItemCategories
+ * @param {'fine'|'coarse'} level
+ * @param {(itemId: number) => boolean} isBlocked - Whether the current selection blocks an item
+ * @returns {Array<{category: string, total: number, blocked: number}>} In priority order
+ */
+export function buildCategoryFacets(items, itemCategories, level, isBlocked) {
+  const counts = new Map();
+  items.forEach(item => {
+    const categories = itemCategories.get(item.id);
+    if (!categories) return;
+    const blocked = isBlocked(item.id);
+    categoriesAt(categories, level).forEach(category => {
+      const facet = counts.get(category) || { category, total: 0, blocked: 0 };
+      facet.total++;
+      if (blocked) facet.blocked++;
+      counts.set(category, facet);
+    });
+  });
+
+  const priority = level === 'coarse' ? COARSE_PRIORITY : CATEGORY_PRIORITY;
+  // Tags outside the priority list go before 'Other', which always comes last
+  const rank = category => {
+    if (category === 'Other') return priority.length + 1;
+    const index = priority.indexOf(category);
+    return index === -1 ? priority.length : index;
+  };
+  return [...counts.values()].sort(
+    (a, b) => rank(a.category) - rank(b.category) || a.category.localeCompare(b.category)
+  );
+}
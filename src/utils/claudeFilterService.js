@@ -1,3 +1,26 @@
+import { assertValidFilterConfig } from './filterConfigValidator';
+import { parseFilterQuery } from './localFilterParser';
+
+/**
+ * Turn a request into filter rules, offline when possible
+ * Simple requests (prices, ranges, f2p/members, volume, categories) are parsed
+ * locally; only requests the local parser finds ambiguous go to Claude. Either
+ * way the config is validated before anything evaluates it.
+ * @param {string} userQuery - Natural language description of filtering criteria
+ * @param {number} totalItems - Total items available
+ * @param {number} itemsWithPrices - Items that have price data
+ * @param {number} itemsWithVolume - Items that have volume data
+ * @returns {Promise<{config: Object, source: 'local'|'ai'}>}
+ * @throws {FilterConfigError} If the config is malformed
+ */
+export async function resolveFilterQuery(userQuery, totalItems, itemsWithPrices, itemsWithVolume) {
+  const local = parseFilterQuery(userQuery);
+  const config =
+    local.config ??
+    (await convertQueryToFilterRules(userQuery, totalItems, itemsWithPrices, itemsWithVolume));
+  return { config: assertValidFilterConfig(config), source: local.config ? 'local' : 'ai' };
+}
+
 /**
  * Convert natural language query to structured filter rules using Claude API
  * @param {string} userQuery - Natural language description of filtering criteria
@@ -21,6 +44,19 @@ AVAILABLE DATA:
 - Item properties: id, name, members (boolean), price (instant buy/sell)
 - Volume data: 1-hour trading volume (highPriceVolume + lowPriceVolume)
 
+FILTER FIELDS:
+- price: instant-buy price in gp
+- volume: 1-hour trading volume
+- f2p / members: booleans
+- limit: GE buy limit per 4 hours
+- highAlch: high alchemy value in gp
+- spread: instant-buy minus instant-sell price in gp
+- margin: spread after the 2% GE tax, in gp
+- marginPercent: margin as a percentage of the buy price (2 means 2%)
+- potentialProfit: margin multiplied by the buy limit, in gp
+- priceAge: minutes since the item last traded (older of last buy and sell)
+- category: item category such as "Runes", "Potions", "Weapons", "Ores & Bars" (use "eq" or "in")
+
 USER'S FILTERING REQUEST:
 "${userQuery}"
 
@@ -29,10 +65,17 @@ TASK: Convert this natural language request into a structured filter configurati
 RULES:
 1. The goal is to determine which items should be TRADEABLE (not blocked)
 2. Default is to BLOCK all items, then INCLUDE based on rules
-3. Support complex logic: AND, OR, EXCEPT
+3. Support complex logic: AND, OR, NOT, EXCEPT (see LOGIC below)
 4. Handle price in gp (1k = 1000, 1m = 1000000, etc.)
 5. Volume is 1-hour trading volume (approximate daily: multiply by ~24)
 
+LOGIC:
+- A rule's conditions are combined with its "combineWith" ("AND" or "OR", default "AND")
+- A condition can be a group {"combineWith": "OR", "conditions": [...]} or a negation {"not": condition}
+- A rule can carve items back out with "except": [conditions]; any matching exception stops the rule applying
+- Rules are checked top to bottom and the first matching rule wins; set "precedence": "exclude-first"
+  to make every exclude rule win over include rules regardless of order
+
 RETURN ONLY VALID JSON (no markdown, no explanation):
 
 {
@@ -42,9 +85,9 @@ RETURN ONLY VALID JSON (no markdown, no explanation):
       "type": "include",
       "conditions": [
         {
-          "field": "price" | "volume" | "f2p" | "members",
-          "operator": "gt" | "lt" | "gte" | "lte" | "eq" | "between",
-          "value": number | boolean | [min, max]
+          "field": "price" | "volume" | "f2p" | "members" | "limit" | "highAlch" | "spread" | "margin" | "marginPercent" | "potentialProfit" | "priceAge" | "category",
+          "operator": "gt" | "lt" | "gte" | "lte" | "eq" | "between" | "in",
+          "value": number | boolean | string | [min, max] | [values]
         }
       ],
       "combineWith": "AND"
@@ -119,6 +162,43 @@ Response:
   "defaultAction": "exclude"
 }
 
+Query: "Margin after tax over 2% with a buy limit of at least 100"
+Response:
+{
+  "interpretation": "Include items whose after-tax margin is above 2% and whose buy limit is 100 or more",
+  "rules": [
+    {
+      "type": "include",
+      "conditions": [
+        {"field": "marginPercent", "operator": "gt", "value": 2},
+        {"field": "limit", "operator": "gte", "value": 100}
+      ],
+      "combineWith": "AND"
+    }
+  ],
+  "defaultAction": "exclude"
+}
+
+Query: "Runes or potions under 5k, but not members items"
+Response:
+{
+  "interpretation": "Include runes and potions priced under 5,000 gp unless they are members items",
+  "rules": [
+    {
+      "type": "include",
+      "conditions": [
+        {"field": "category", "operator": "in", "value": ["Runes", "Potions"]},
+        {"field": "price", "operator": "lt", "value": 5000}
+      ],
+      "combineWith": "AND",
+      "except": [
+        {"field": "members", "operator": "eq", "value": true}
+      ]
+    }
+  ],
+  "defaultAction": "exclude"
+}
+
 NOW PROCESS THE USER'S QUERY. Return ONLY the JSON, nothing else.`;
 
   // Use local proxy to avoid CORS issues
@@ -150,9 +230,13 @@ NOW PROCESS THE USER'S QUERY. Return ONLY the JSON, nothing else.`;
     .replace(/```\n?/g, '')
     .trim();
 
+  let filterConfig;
   try {
-    return JSON.parse(cleanedText);
+    filterConfig = JSON.parse(cleanedText);
   } catch (e) {
     throw new Error(`Failed to parse Claude response: ${e.message}`);
   }
+
+  // Reject malformed rules here rather than letting them silently match nothing
+  return assertValidFilterConfig(filterConfig);
 }
@@ -0,0 +1,77 @@
+/**
+ * Saved column mappings for CSVs the generic importer reads
+ *
+ * Mappings are remembered per header signature (the set of column names), so
+ * the next upload of a file with the same headers skips the mapping wizard.
+ * Stored in localStorage; nothing leaves the browser.
+ */
+
+import { normalizeHeader } from './importers/normalize';
+import { getMissingFields } from './importers/genericCsv';
+
+const STORAGE_KEY = 'osrs-flip-column-mappings';
+
+// Oldest signatures are dropped past this many
+const MAX_SAVED_MAPPINGS = 20;
+
+/**
+ * Order-insensitive key for a header row
+ * @param {string[]} headers
+ * @returns {string}
+ */
+export function getHeaderSignature(headers = []) {
+  return headers.map(normalizeHeader).sort().join('|');
+}
+
+const readAll = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saved import options for files with these headers
+ * @param {string[]} headers
+ * @returns {{mapping: Object<string, string>, account?: string, dateFormat: string, numberFormat: string}|null}
+ *   null when nothing is saved or the saved mapping no longer fits the headers
+ */
+export function loadColumnMapping(headers) {
+  const saved = readAll()[getHeaderSignature(headers)];
+  if (!saved?.mapping) return null;
+  if (getMissingFields(saved.mapping, headers).length > 0) return null;
+
+  const { mapping, account, dateFormat, numberFormat } = saved;
+  return { mapping, account, dateFormat, numberFormat };
+}
+
+/**
+ * Remember import options for files with these headers
+ * @param {string[]} headers
+ * @param {{mapping: Object<string, string>, account?: string, dateFormat?: string, numberFormat?: string}} options
+ */
+export function saveColumnMapping(headers, options) {
+  const all = readAll();
+  all[getHeaderSignature(headers)] = { ...options, savedAt: Date.now() };
+
+  const signatures = Object.keys(all).sort((a, b) => all[b].savedAt - all[a].savedAt);
+  signatures.slice(MAX_SAVED_MAPPINGS).forEach(signature => delete all[signature]);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.warn('Failed to save column mapping:', error);
+  }
+}
+
+/**
+ * Forget the saved mapping for these headers
+ * @param {string[]} headers
+ */
+export function forgetColumnMapping(headers) {
+  const all = readAll();
+  delete all[getHeaderSignature(headers)];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
@@ -0,0 +1,106 @@
+/**
+ * Flipping Copilot .profile.json blocklists
+ *
+ * A profile is the plugin's SuggestionPreferences model:
+ * `{ blockedItemIds, timeframe, f2pOnlyMode, sellOnlyMode }`. Reading one back
+ * lets hand-tuned profiles be edited here and re-exported without losing their
+ * settings - including fields this app doesn't know about.
+ */
+
+export const DEFAULT_TIMEFRAME = 5;
+
+const PROFILE_SUFFIX = /(?:\s+Mreedon)?\.profile\.json$/i;
+
+/**
+ * Profile name from a downloaded file name ("Budget Mreedon.profile.json" -> "Budget")
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function profileNameFromFile(fileName = '') {
+  return (
+    fileName
+      .replace(PROFILE_SUFFIX, '')
+      .replace(/\.json$/i, '')
+      .trim() || 'Custom Blocklist'
+  );
+}
+
+/**
+ * Parse and check a profile file's contents
+ * @param {string} text - File contents
+ * @returns {{blockedItemIds: number[], timeframe: number, f2pOnlyMode: boolean, sellOnlyMode: boolean, extra: Object, invalidEntries: number}}
+ *   extra holds unrecognized top-level fields so they survive a re-export;
+ *   invalidEntries counts blockedItemIds entries that weren't item IDs
+ * @throws {Error} When the text isn't a profile
+ */
+export function parseProfile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON');
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('This file is not a Flipping Copilot profile');
+  }
+  if (!Array.isArray(json.blockedItemIds)) {
+    throw new Error('This profile has no blockedItemIds list');
+  }
+
+  const { blockedItemIds, timeframe, f2pOnlyMode, sellOnlyMode, ...extra } = json;
+
+  const ids = new Set();
+  let invalidEntries = 0;
+  blockedItemIds.forEach(entry => {
+    const id = Number(entry);
+    if (Number.isInteger(id) && id >= 0) {
+      ids.add(id);
+    } else {
+      invalidEntries++;
+    }
+  });
+
+  return {
+    blockedItemIds: [...ids],
+    timeframe: Number.isFinite(Number(timeframe)) ? Number(timeframe) : DEFAULT_TIMEFRAME,
+    f2pOnlyMode: f2pOnlyMode === true,
+    sellOnlyMode: sellOnlyMode === true,
+    extra,
+    invalidEntries,
+  };
+}
+
+/**
+ * Split a profile's blocked IDs into items the Wiki mapping knows and the rest
+ * IDs missing from the mapping are unknown or were removed from the GE.
+ * @param {number[]} blockedItemIds
+ * @param {Array<{id: number}>} items - fetchItemMapping() result
+ * @returns {{knownIds: number[], unknownIds: number[]}}
+ */
+export function resolveProfileItems(blockedItemIds, items) {
+  const mappedIds = new Set(items.map(item => item.id));
+  const knownIds = [];
+  const unknownIds = [];
+  blockedItemIds.forEach(id => (mappedIds.has(id) ? knownIds : unknownIds).push(id));
+  return { knownIds, unknownIds };
+}
+
+/**
+ * Build the profile object written to disk
+ * @param {number[]} blockedIds
+ * @param {Object} [options]
+ * @param {number} [options.timeframe]
+ * @param {boolean} [options.f2pOnly]
+ * @param {boolean} [options.sellOnly]
+ * @param {Object} [options.extra] - Fields carried over from an imported profile
+ * @returns {Object}
+ */
+export function buildProfile(blockedIds, options = {}) {
+  return {
+    ...(options.extra || {}),
+    blockedItemIds: blockedIds,
+    timeframe: options.timeframe || DEFAULT_TIMEFRAME,
+    f2pOnlyMode: options.f2pOnly || false,
+    sellOnlyMode: options.sellOnly || false,
+  };
+}
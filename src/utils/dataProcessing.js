@@ -6,6 +6,8 @@
  * precomputed series and statistics for use in charts and tables.
  */
 
+import { marginPercentAfterTax } from './geTax';
+
 /**
  * Normalize the flipsByDate object into a flat array of flips for a specific item.
  * @param {string} itemName
@@ -37,7 +39,8 @@ export function getItemFlips(itemName, flipsByDate) {
       const durationMin =
         start && end ? Math.max(0, (end.getTime() - start.getTime()) / 60000) : null;
       const roi = buy > 0 ? (sell - buy) / buy : null;
-      const marginPct = buy > 0 ? ((sell - buy) / buy) * 100 : null;
+      // Margin is after the GE tax charged when the flip sold
+      const marginPct = marginPercentAfterTax(buy, sell, { itemName: n, date: tsMs || undefined });
 
       rows.push({
         item: n,
@@ -0,0 +1,234 @@
+/**
+ * Execution quality: how each flip's fills compare to the market
+ *
+ * A fill is judged against the OSRS Wiki average prices for the /timeseries
+ * interval it happened in - the 5m series where it reaches back far enough,
+ * otherwise the 1h series. Buying is measured against the average low
+ * (instant-sell) price and selling against the average high, the prices a
+ * patient flipper can expect to trade at.
+ *
+ * - Buy slippage: how far above the market low we bought, as % of the low
+ * - Sell slippage: how far below the market high we sold, as % of the high
+ * - Captured spread: our margin as % of the spread between the market low
+ *   when we bought and the market high when we sold
+ *
+ * Lower slippage is better; negative slippage means we beat the average.
+ */
+
+/** Timesteps used to judge fills, finest first */
+export const EXECUTION_STEPS = ['5m', '1h'];
+
+const STEP_MS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+};
+
+// /timeseries returns the latest 365 points, so each step only reaches this far back
+const STEP_COVERAGE_MS = {
+  '5m': STEP_MS['5m'] * 365,
+  '1h': STEP_MS['1h'] * 365,
+};
+
+const toMs = value => {
+  if (!value) return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+};
+
+/**
+ * Read the fields execution analysis needs from either flip shape
+ * (raw CSV rows or getItemFlips rows)
+ * @returns {{item: string, quantity: number, buyPrice: number, sellPrice: number, buyTime: number|null, sellTime: number|null}}
+ */
+function readFlip(flip) {
+  return {
+    item: flip.item || flip.item_name || '',
+    quantity: Number(flip.quantity || flip.bought || flip.sold) || 1,
+    buyPrice: Number(flip.avgBuyPrice || flip.avg_buy_price) || 0,
+    sellPrice: Number(flip.avgSellPrice || flip.avg_sell_price) || 0,
+    buyTime: toMs(flip.startTime || flip.firstBuyTime || flip.first_buy_time),
+    sellTime: toMs(flip.endTime || flip.lastSellTime || flip.last_sell_time),
+  };
+}
+
+/**
+ * The /timeseries point whose interval contains a time
+ * @param {Array<{timestamp: number}>} series - Raw Wiki points, timestamps in seconds
+ * @param {number} tsMs
+ * @param {'5m'|'1h'} timestep
+ * @returns {Object|null}
+ */
+export function findMarketPoint(series, tsMs, timestep) {
+  if (!series || series.length === 0 || tsMs === null) return null;
+  const stepMs = STEP_MS[timestep];
+
+  // Points are sorted oldest first; find the last one starting at or before tsMs
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].timestamp * 1000 <= tsMs) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (found === -1) return null;
+  const point = series[found];
+  return tsMs < point.timestamp * 1000 + stepMs ? point : null;
+}
+
+/**
+ * Market average for a fill from the finest series that covers it
+ * @param {Object<string, Array>} seriesByStep - Raw Wiki points by timestep
+ * @param {number|null} tsMs
+ * @param {'avgLowPrice'|'avgHighPrice'} priceKey
+ * @returns {{price: number, timestep: string}|null}
+ */
+function marketPriceAt(seriesByStep, tsMs, priceKey) {
+  for (const step of EXECUTION_STEPS) {
+    const point = findMarketPoint(seriesByStep?.[step], tsMs, step);
+    if (point && point[priceKey] > 0) return { price: point[priceKey], timestep: step };
+  }
+  return null;
+}
+
+/**
+ * Execution metrics for one flip
+ * @param {Object} flip - Raw CSV flip or getItemFlips row
+ * @param {Object<string, Array>} seriesByStep - The item's raw Wiki points by timestep
+ * @returns {{buySlippagePct: number|null, sellSlippagePct: number|null, capturedSpreadPct: number|null, marketLow: number|null, marketHigh: number|null}|null}
+ *   null when neither fill has market data
+ */
+export function analyzeFlipExecution(flip, seriesByStep) {
+  const { buyPrice, sellPrice, buyTime, sellTime } = readFlip(flip);
+  const low = buyPrice > 0 ? marketPriceAt(seriesByStep, buyTime, 'avgLowPrice') : null;
+  const high = sellPrice > 0 ? marketPriceAt(seriesByStep, sellTime, 'avgHighPrice') : null;
+  if (!low && !high) return null;
+
+  const spread = low && high ? high.price - low.price : 0;
+  return {
+    buySlippagePct: low ? ((buyPrice - low.price) / low.price) * 100 : null,
+    sellSlippagePct: high ? ((high.price - sellPrice) / high.price) * 100 : null,
+    capturedSpreadPct: spread > 0 ? ((sellPrice - buyPrice) / spread) * 100 : null,
+    marketLow: low?.price ?? null,
+    marketHigh: high?.price ?? null,
+  };
+}
+
+/**
+ * Analyze every flip whose item has market data
+ * @param {Array<Object>} flips
+ * @param {Object<string, Object<string, Array>>} seriesByItem - Raw Wiki points by item name, then timestep
+ * @returns {Array<Object|null>} Metrics aligned with flips
+ */
+export function analyzeExecutions(flips, seriesByItem) {
+  return flips.map(flip => {
+    const series = seriesByItem[readFlip(flip).item];
+    return series ? analyzeFlipExecution(flip, series) : null;
+  });
+}
+
+/**
+ * Quantity-weighted averages of flip metrics
+ * Each metric averages only the flips that have it.
+ * @param {Array<Object>} flips
+ * @param {Array<Object|null>} executions - From analyzeExecutions
+ * @returns {{flipCount: number, buySlippagePct: number|null, sellSlippagePct: number|null, capturedSpreadPct: number|null}}
+ */
+export function summarizeExecutions(flips, executions) {
+  const totals = {
+    buySlippagePct: { sum: 0, weight: 0 },
+    sellSlippagePct: { sum: 0, weight: 0 },
+    capturedSpreadPct: { sum: 0, weight: 0 },
+  };
+  let flipCount = 0;
+
+  executions.forEach((execution, i) => {
+    if (!execution) return;
+    flipCount++;
+    const { quantity } = readFlip(flips[i]);
+    Object.entries(totals).forEach(([metric, total]) => {
+      if (execution[metric] === null) return;
+      total.sum += execution[metric] * quantity;
+      total.weight += quantity;
+    });
+  });
+
+  const average = ({ sum, weight }) => (weight > 0 ? sum / weight : null);
+  return {
+    flipCount,
+    buySlippagePct: average(totals.buySlippagePct),
+    sellSlippagePct: average(totals.sellSlippagePct),
+    capturedSpreadPct: average(totals.capturedSpreadPct),
+  };
+}
+
+/**
+ * summarizeExecutions per item
+ * @param {Array<Object>} flips
+ * @param {Array<Object|null>} executions
+ * @returns {Object<string, Object>} Summaries keyed by item name, only for analyzed items
+ */
+export function summarizeExecutionsByItem(flips, executions) {
+  const byItem = {};
+  flips.forEach((flip, i) => {
+    if (!executions[i]) return;
+    const { item } = readFlip(flip);
+    if (!byItem[item]) byItem[item] = { flips: [], executions: [] };
+    byItem[item].flips.push(flip);
+    byItem[item].executions.push(executions[i]);
+  });
+  return Object.fromEntries(
+    Object.entries(byItem).map(([item, group]) => [
+      item,
+      summarizeExecutions(group.flips, group.executions),
+    ])
+  );
+}
+
+/**
+ * Which items and timesteps to fetch so recent flips can be judged
+ * Only fills inside the 1h series' reach can be analyzed; items are ranked
+ * by how many such flips they have.
+ * @param {Array<Object>} flips
+ * @param {number} now - Epoch ms
+ * @param {number} maxItems - Cap on items, to keep Wiki requests polite
+ * @returns {Array<{item: string, timesteps: string[]}>}
+ */
+export function planExecutionRequests(flips, now, maxItems) {
+  const byItem = new Map();
+  flips.forEach(flip => {
+    const { item, buyTime, sellTime } = readFlip(flip);
+    if (!item) return;
+    const times = [buyTime, sellTime].filter(t => t !== null);
+    const steps = EXECUTION_STEPS.filter(step =>
+      times.some(t => now - t <= STEP_COVERAGE_MS[step])
+    );
+    if (steps.length === 0) return;
+
+    const entry = byItem.get(item) || { item, count: 0, timesteps: new Set() };
+    entry.count++;
+    steps.forEach(step => entry.timesteps.add(step));
+    byItem.set(item, entry);
+  });
+
+  return [...byItem.values()]
+    .sort((a, b) => b.count - a.count || a.item.localeCompare(b.item))
+    .slice(0, maxItems)
+    .map(({ item, timesteps }) => ({
+      item,
+      timesteps: EXECUTION_STEPS.filter(step => timesteps.has(step)),
+    }));
+}
+
+/**
+ * Format a slippage or spread percentage for tables
+ * @param {number|null} pct
+ * @returns {string}
+ */
+export function formatExecutionPct(pct) {
+  return pct === null || pct === undefined ? '—' : `${pct.toFixed(1)}%`;
+}
@@ -0,0 +1,185 @@
+/**
+ * Validation for blocklist filter configs
+ *
+ * Filter configs come from the AI service or from imported profiles, so their
+ * shape can't be trusted. validateFilterConfig reports every problem with the
+ * path to the offending value (e.g. `rules[1].conditions[0].not.operator`) so
+ * a config can be rejected before evaluateFilterRules runs.
+ */
+
+import { FILTER_FIELDS, FILTER_OPERATORS, COMBINATORS, PRECEDENCE } from './filterRuleEvaluator';
+
+const RULE_TYPES = ['include', 'exclude'];
+const CATEGORY_OPERATORS = ['eq', 'in'];
+
+// Deeper nesting than this is almost certainly a generation error
+const MAX_DEPTH = 8;
+
+/** Thrown when a filter config fails validation */
+export class FilterConfigError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(errors) {
+    super(`Invalid filter config: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    this.name = 'FilterConfigError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const list = values => values.map(v => `"${v}"`).join(', ');
+
+/**
+ * Check a comparison's value against its field and operator
+ * @returns {string|null} Problem with the value, if any
+ */
+function checkValue(fieldType, operator, value) {
+  if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber)) {
+      return 'must be [min, max] numbers';
+    }
+    return value[0] <= value[1] ? null : 'min must not be greater than max';
+  }
+  if (operator === 'in') {
+    if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+    const expected = fieldType === 'number' ? isNumber : v => typeof v === 'string';
+    return value.every(expected)
+      ? null
+      : `must only contain ${fieldType === 'number' ? 'numbers' : 'strings'}`;
+  }
+  if (fieldType === 'boolean') return typeof value === 'boolean' ? null : 'must be true or false';
+  if (fieldType === 'category') return typeof value === 'string' ? null : 'must be a category name';
+  return isNumber(value) ? null : 'must be a number';
+}
+
+function validateComparison(condition, path, errors) {
+  const { field, operator, value } = condition;
+  const fieldInfo = FILTER_FIELDS[field];
+
+  if (!fieldInfo) {
+    errors.push({
+      path: `${path}.field`,
+      message: `unknown field "${field}"; expected one of ${list(Object.keys(FILTER_FIELDS))}`,
+    });
+  }
+  if (!FILTER_OPERATORS.includes(operator)) {
+    errors.push({
+      path: `${path}.operator`,
+      message: `unknown operator "${operator}"; expected one of ${list(FILTER_OPERATORS)}`,
+    });
+  }
+  if (!fieldInfo || !FILTER_OPERATORS.includes(operator)) return;
+
+  if (fieldInfo.type === 'category' && !CATEGORY_OPERATORS.includes(operator)) {
+    errors.push({ path: `${path}.operator`, message: `${field} only supports "eq" and "in"` });
+    return;
+  }
+  if (fieldInfo.type === 'boolean' && operator !== 'eq') {
+    errors.push({ path: `${path}.operator`, message: `${field} only supports "eq"` });
+    return;
+  }
+  const problem = checkValue(fieldInfo.type, operator, value);
+  if (problem) errors.push({ path: `${path}.value`, message: problem });
+}
+
+function validateConditionList(conditions, path, errors, depth, { allowEmpty }) {
+  if (!Array.isArray(conditions)) {
+    errors.push({ path, message: 'must be an array of conditions' });
+    return;
+  }
+  if (!allowEmpty && conditions.length === 0) {
+    errors.push({ path, message: 'must contain at least one condition' });
+  }
+  conditions.forEach((condition, i) =>
+    validateCondition(condition, `${path}[${i}]`, errors, depth)
+  );
+}
+
+function validateCombinator(combineWith, path, errors) {
+  if (combineWith !== undefined && !COMBINATORS.includes(combineWith)) {
+    errors.push({ path, message: `must be one of ${list(COMBINATORS)}` });
+  }
+}
+
+function validateCondition(condition, path, errors, depth) {
+  if (!isPlainObject(condition)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push({ path, message: `nested deeper than ${MAX_DEPTH} levels` });
+    return;
+  }
+
+  if ('not' in condition) {
+    validateCondition(condition.not, `${path}.not`, errors, depth + 1);
+    return;
+  }
+  if ('conditions' in condition) {
+    validateCombinator(condition.combineWith, `${path}.combineWith`, errors);
+    validateConditionList(condition.conditions, `${path}.conditions`, errors, depth + 1, {
+      allowEmpty: false,
+    });
+    return;
+  }
+  validateComparison(condition, path, errors);
+}
+
+/**
+ * Find everything wrong with a filter config
+ * @param {Object} config - { rules, defaultAction, precedence?, interpretation? }
+ * @returns {Array<{path: string, message: string}>} Empty when the config is valid
+ */
+export function validateFilterConfig(config) {
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return [{ path: '', message: 'filter config must be an object' }];
+  }
+
+  if (!RULE_TYPES.includes(config.defaultAction)) {
+    errors.push({ path: 'defaultAction', message: `must be one of ${list(RULE_TYPES)}` });
+  }
+  if (config.precedence !== undefined && !PRECEDENCE.includes(config.precedence)) {
+    errors.push({ path: 'precedence', message: `must be one of ${list(PRECEDENCE)}` });
+  }
+  if (config.interpretation !== undefined && typeof config.interpretation !== 'string') {
+    errors.push({ path: 'interpretation', message: 'must be a string' });
+  }
+  if (!Array.isArray(config.rules)) {
+    errors.push({ path: 'rules', message: 'must be an array of rules' });
+    return errors;
+  }
+
+  config.rules.forEach((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push({ path, message: 'must be an object' });
+      return;
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push({ path: `${path}.type`, message: `must be one of ${list(RULE_TYPES)}` });
+    }
+    validateCombinator(rule.combineWith, `${path}.combineWith`, errors);
+    // A rule without conditions is a deliberate catch-all
+    validateConditionList(rule.conditions, `${path}.conditions`, errors, 1, { allowEmpty: true });
+    if (rule.except !== undefined) {
+      validateConditionList(rule.except, `${path}.except`, errors, 1, { allowEmpty: false });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Throw if a filter config is malformed
+ * @param {Object} config
+ * @returns {Object} The same config, for chaining
+ * @throws {FilterConfigError}
+ */
+export function assertValidFilterConfig(config) {
+  const errors = validateFilterConfig(config);
+  if (errors.length > 0) throw new FilterConfigError(errors);
+  return config;
+}
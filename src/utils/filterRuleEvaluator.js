@@ -1,113 +1,353 @@
+/**
+ * Filter rule engine for the blocklist generator
+ *
+ * A filter config is `{ rules, defaultAction, precedence?, interpretation }`.
+ * Each rule is `{ type: 'include' | 'exclude', conditions, combineWith?, except? }`
+ * and matches an item when its conditions combine to true (AND unless
+ * combineWith is 'OR') and none of its `except` conditions match.
+ *
+ * A condition is one of:
+ * - a comparison: `{ field, operator, value }`
+ * - a group: `{ combineWith: 'AND' | 'OR', conditions: [...] }`
+ * - a negation: `{ not: condition }`
+ *
+ * Precedence decides which matching rule wins:
+ * - 'order' (default): the first matching rule, top to bottom
+ * - 'exclude-first': any matching exclude rule, then the first matching include
+ * Items no rule matches get defaultAction.
+ *
+ * Configs should pass validateFilterConfig (filterConfigValidator.js) first;
+ * anything the evaluator doesn't understand simply never matches.
+ */
+
+import { classifyItem } from '../lib/classification';
+import { marginAfterTax, marginPercentAfterTax } from './geTax';
+
+const MINUTE_MS = 60 * 1000;
+
+/** Comparison operators a condition can use */
+export const FILTER_OPERATORS = ['gt', 'lt', 'gte', 'lte', 'eq', 'between', 'in'];
+
+/** How conditions in a rule or group combine */
+export const COMBINATORS = ['AND', 'OR'];
+
+/** Which matching rule wins when several match an item */
+export const PRECEDENCE = ['order', 'exclude-first'];
+
+/**
+ * Fields a filter condition can test, with how each value is measured
+ * Prices come from /latest (high = instant buy, low = instant sell), item
+ * properties from the Wiki mapping.
+ */
+export const FILTER_FIELDS = {
+  price: { label: 'Price', type: 'number', description: 'Instant-buy price (gp)' },
+  volume: { label: 'Volume', type: 'number', description: 'Recent trade volume' },
+  f2p: { label: 'F2P', type: 'boolean', description: 'Free-to-play item' },
+  members: { label: 'Members', type: 'boolean', description: 'Members item' },
+  limit: { label: 'Buy limit', type: 'number', description: 'GE buy limit per 4 hours' },
+  highAlch: { label: 'High alch', type: 'number', description: 'High alchemy value (gp)' },
+  spread: { label: 'Spread', type: 'number', description: 'Instant-buy minus instant-sell (gp)' },
+  margin: {
+    label: 'Margin after tax',
+    type: 'number',
+    description: 'Buy at instant-sell, sell at instant-buy, less GE tax (gp)',
+  },
+  marginPercent: {
+    label: 'Margin after tax %',
+    type: 'number',
+    description: 'Margin after tax as a % of the buy price',
+  },
+  potentialProfit: {
+    label: 'Margin × limit',
+    type: 'number',
+    description: 'Margin after tax for a full buy limit (gp)',
+  },
+  priceAge: {
+    label: 'Price age',
+    type: 'number',
+    description: 'Minutes since the older of the last instant buy and sell',
+  },
+  category: { label: 'Category', type: 'category', description: 'Item category, e.g. Runes' },
+};
+
+/**
+ * Fields a config's conditions test, in first-use order
+ * @param {Object} filterConfig
+ * @returns {string[]}
+ */
+export function getConfigFields(filterConfig) {
+  const fields = new Set();
+  const visit = condition => {
+    if (!condition || typeof condition !== 'object') return;
+    if ('not' in condition) return visit(condition.not);
+    if (Array.isArray(condition.conditions)) return condition.conditions.forEach(visit);
+    if (FILTER_FIELDS[condition.field]) fields.add(condition.field);
+  };
+  (filterConfig.rules || []).forEach(rule => {
+    (rule.conditions || []).forEach(visit);
+    (rule.except || []).forEach(visit);
+  });
+  return [...fields];
+}
+
 /**
  * Evaluate filter rules against items to determine tradeable/blocked lists
+ * Runs in one pass over the items and records why each item was kept or blocked.
  * @param {Object} filterConfig - Filter configuration from Claude
  * @param {Array} itemsData - Full item mapping from OSRS Wiki
  * @param {Object} priceData - Latest price data (already extracted .data from API)
- * @param {Object} volumeData - Optional 5m volume data (already extracted .data)
- * @returns {Object} { tradeable: Array, blocked: Array, stats: Object, interpretation: string }
+ * @param {Object} volumeData - Optional volume data: per-item totals, or 5m data (already extracted .data)
+ * @param {Object} [options]
+ * @param {number} [options.now] - Epoch ms that price ages are measured from
+ * @returns {Object} { tradeable: Array, blocked: Array, explanations: Object, stats: Object, interpretation: string }
+ *   explanations maps item ID to { name, action: 'include'|'exclude', reason: 'rule'|'default'|'no-price',
+ *   ruleIndex (index into filterConfig.rules, or null), values (price and the tested fields' values) }
  */
-export function evaluateFilterRules(filterConfig, itemsData, priceData, volumeData = null) {
-  const { rules, defaultAction, interpretation } = filterConfig;
+export function evaluateFilterRules(
+  filterConfig,
+  itemsData,
+  priceData,
+  volumeData = null,
+  options = {}
+) {
+  const { rules, defaultAction, interpretation, precedence = 'order' } = filterConfig;
+  const now = options.now ?? Date.now();
+  // Price is always recorded so explanations show what the item costs
+  const fields = [...new Set(['price', ...getConfigFields(filterConfig)])];
+
+  // Exclude-first checks every exclude rule before any include rule
+  const indexedRules = rules.map((rule, index) => ({ rule, index }));
+  const orderedRules =
+    precedence === 'exclude-first'
+      ? [
+          ...indexedRules.filter(({ rule }) => rule.type === 'exclude'),
+          ...indexedRules.filter(({ rule }) => rule.type !== 'exclude'),
+        ]
+      : indexedRules;
+
+  const tradeable = [];
+  const blocked = [];
+  const explanations = {};
+  let itemsWithoutPriceData = 0;
 
-  // Filter items to determine which are tradeable
-  const tradeable = itemsData.filter(item => {
+  itemsData.forEach(item => {
     // Get item data
     const itemPriceData = priceData[String(item.id)];
-    if (!itemPriceData) return false; // Skip items without price data
+    const price = itemPriceData?.high;
+    if (!price) itemsWithoutPriceData++;
 
-    const price = itemPriceData.high;
+    // Skip items without valid price
     if (price === null || price === undefined || price <= 0) {
-      return false; // Skip items without valid price
+      blocked.push(item.id);
+      explanations[item.id] = {
+        name: item.name,
+        action: 'exclude',
+        reason: 'no-price',
+        ruleIndex: null,
+        values: {},
+      };
+      return;
     }
 
-    // Calculate volume if available
+    // Calculate volume if available - either a plain total or 5m high/low volumes
     let volume = 0;
     if (volumeData) {
       const itemVolume = volumeData[String(item.id)];
-      if (itemVolume) {
+      if (typeof itemVolume === 'number') {
+        volume = itemVolume;
+      } else if (itemVolume) {
         volume = (itemVolume.highPriceVolume || 0) + (itemVolume.lowPriceVolume || 0);
       }
     }
 
-    // Evaluate each rule
-    for (const rule of rules) {
-      const conditionsMet = evaluateConditions(rule.conditions, item, price, volume);
+    const context = { item, prices: itemPriceData, volume, now };
 
-      // If conditions met, apply rule type
-      if (conditionsMet) {
-        return rule.type === 'include';
-      }
-    }
+    // First matching rule decides; no rules matched uses the default action
+    const matched = orderedRules.find(({ rule }) => ruleMatches(rule, context));
+    const included = matched ? matched.rule.type === 'include' : defaultAction === 'include';
 
-    // No rules matched, use default action
-    return defaultAction === 'include';
+    if (included) {
+      tradeable.push(item);
+    } else {
+      blocked.push(item.id);
+    }
+    explanations[item.id] = {
+      name: item.name,
+      action: included ? 'include' : 'exclude',
+      reason: matched ? 'rule' : 'default',
+      ruleIndex: matched ? matched.index : null,
+      values: Object.fromEntries(fields.map(field => [field, getFieldValue(field, context)])),
+    };
   });
 
-  // Create blocklist of everything NOT tradeable
-  const blocked = itemsData
-    .filter(item => !tradeable.find(t => t.id === item.id))
-    .map(item => item.id);
-
   // Calculate statistics
   const stats = {
     tradeableCount: tradeable.length,
     blockedCount: blocked.length,
     totalItems: itemsData.length,
-    itemsWithoutPriceData: itemsData.filter(i => !priceData[String(i.id)]?.high).length,
+    itemsWithoutPriceData,
   };
 
-  return { tradeable, blocked, stats, interpretation };
+  return { tradeable, blocked, explanations, stats, interpretation };
 }
 
 /**
- * Evaluate a set of conditions for an item
- * @param {Array} conditions - Array of condition objects
- * @param {Object} item - Item from mapping
- * @param {number} price - Item price
- * @param {number} volume - Item volume
- * @returns {boolean} True if all conditions met (AND logic within rule)
+ * What decided an item's result
+ * @param {Object} explanation - Entry from evaluateFilterRules' explanations
+ * @returns {string} e.g. "Blocked by rule 2 (exclude)"
  */
-function evaluateConditions(conditions, item, price, volume) {
-  return conditions.every(condition => {
-    const { field, operator, value } = condition;
-
-    // Get field value
-    let fieldValue;
-    switch (field) {
-      case 'price':
-        fieldValue = price;
-        break;
-      case 'volume':
-        fieldValue = volume;
-        break;
-      case 'f2p':
-        fieldValue = !item.members; // F2P = not members
-        break;
-      case 'members':
-        fieldValue = item.members;
-        break;
-      default:
-        return false;
-    }
+export function describeDecision(explanation) {
+  if (!explanation) return '';
+  const verb = explanation.action === 'include' ? 'Kept' : 'Blocked';
+  if (explanation.reason === 'no-price') return `${verb}: no price data`;
+  return explanation.reason === 'rule'
+    ? `${verb} by rule ${explanation.ruleIndex + 1} (${explanation.action})`
+    : `${verb} by default (no rule matched)`;
+}
 
-    // Evaluate operator
-    switch (operator) {
-      case 'gt':
-        return fieldValue > value;
-      case 'lt':
-        return fieldValue < value;
-      case 'gte':
-        return fieldValue >= value;
-      case 'lte':
-        return fieldValue <= value;
-      case 'eq':
-        return fieldValue === value;
-      case 'between':
-        return fieldValue >= value[0] && fieldValue <= value[1];
-      default:
-        return false;
-    }
+/**
+ * One-line reason for an item's result with the values tested, for tooltips
+ * @param {Object} explanation - Entry from evaluateFilterRules' explanations
+ * @returns {string} e.g. "Blocked by rule 2 (exclude) · Price: 1,500,000 · Volume: 20"
+ */
+export function describeExplanation(explanation) {
+  if (!explanation) return '';
+  const values = Object.entries(explanation.values).map(([field, value]) => {
+    const label = FILTER_FIELDS[field]?.label ?? field;
+    return `${label}: ${formatFieldValue(value)}`;
   });
+  return [describeDecision(explanation), ...values].join(' · ');
+}
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1);
+  }
+  return String(value);
+}
+
+/**
+ * Value of a field for one item
+ * @param {string} field - Key of FILTER_FIELDS
+ * @param {Object} context - { item, prices, volume, now }
+ * @returns {number|boolean|string[]|null} null when the item lacks the data
+ */
+export function getFieldValue(field, context) {
+  const { item, prices, volume, now } = context;
+  const { high, low } = prices;
+  const hasBothPrices = high > 0 && low > 0;
+  // Live prices would be traded today, under today's tax rules
+  const taxOptions = { itemName: item.name };
+
+  switch (field) {
+    case 'price':
+      return high;
+    case 'volume':
+      return volume;
+    case 'f2p':
+      return !item.members; // F2P = not members
+    case 'members':
+      return item.members;
+    case 'limit':
+      return item.limit ?? null;
+    case 'highAlch':
+      return item.highalch ?? null;
+    case 'spread':
+      return hasBothPrices ? high - low : null;
+    case 'margin':
+      return hasBothPrices ? marginAfterTax(low, high, taxOptions) : null;
+    case 'marginPercent':
+      return hasBothPrices ? marginPercentAfterTax(low, high, taxOptions) : null;
+    case 'potentialProfit':
+      return hasBothPrices && item.limit
+        ? marginAfterTax(low, high, taxOptions) * item.limit
+        : null;
+    case 'priceAge': {
+      // Wiki trade times are in seconds
+      const times = [prices.highTime, prices.lowTime].filter(Boolean);
+      if (times.length === 0) return null;
+      return (now - Math.min(...times) * 1000) / MINUTE_MS;
+    }
+    case 'category':
+      return classifyItem(item.name);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a rule applies to an item
+ * @param {Object} rule - { type, conditions, combineWith?, except? }
+ * @param {Object} context - { item, prices, volume, now }
+ * @returns {boolean}
+ */
+function ruleMatches(rule, context) {
+  if (!evaluateGroup(rule.conditions, rule.combineWith, context)) return false;
+  // Exceptions carve items back out of the rule
+  return !(rule.except || []).some(condition => evaluateCondition(condition, context));
+}
+
+/**
+ * Combine a list of conditions
+ * @param {Array} conditions
+ * @param {string} [combineWith] - 'AND' (default) or 'OR'
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function evaluateGroup(conditions = [], combineWith = 'AND', context) {
+  return combineWith === 'OR'
+    ? conditions.some(condition => evaluateCondition(condition, context))
+    : conditions.every(condition => evaluateCondition(condition, context));
+}
+
+/**
+ * Evaluate one condition node - a comparison, group or negation - for an item
+ * @param {Object} condition
+ * @param {Object} context - { item, prices, volume, now }
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, context) {
+  if (!condition || typeof condition !== 'object') return false;
+  if ('not' in condition) return !evaluateCondition(condition.not, context);
+  if (Array.isArray(condition.conditions)) {
+    return evaluateGroup(condition.conditions, condition.combineWith, context);
+  }
+
+  const { field, operator, value } = condition;
+
+  // Unknown fields and items missing the data never match
+  const fieldValue = getFieldValue(field, context);
+  if (fieldValue === null || fieldValue === undefined) return false;
+
+  // Categories are tag lists - an item matches if any of its tags does
+  if (FILTER_FIELDS[field]?.type === 'category') {
+    const wanted = Array.isArray(value) ? value : [value];
+    return operator === 'eq' || operator === 'in'
+      ? wanted.some(category => fieldValue.includes(category))
+      : false;
+  }
+
+  // Evaluate operator
+  switch (operator) {
+    case 'gt':
+      return fieldValue > value;
+    case 'lt':
+      return fieldValue < value;
+    case 'gte':
+      return fieldValue >= value;
+    case 'lte':
+      return fieldValue <= value;
+    case 'eq':
+      return fieldValue === value;
+    case 'between':
+      return fieldValue >= value[0] && fieldValue <= value[1];
+    case 'in':
+      return Array.isArray(value) && value.includes(fieldValue);
+    default:
+      return false;
+  }
 }
 
 /**
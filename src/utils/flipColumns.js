@@ -0,0 +1,246 @@
+/**
+ * Columnar flip storage
+ *
+ * The upload worker keeps flips in typed-array columns plus one interned string
+ * table (accounts, items, statuses, file names, date keys) instead of one object
+ * per CSV row. The column buffers are transferred - not copied - to the main
+ * thread, which expands them into the flip objects the dashboard reads.
+ */
+
+import { isOpenFlip } from './openPositions';
+
+/** Columns stored as Float64Array. Times are epoch milliseconds, 0 when not set. */
+export const NUMERIC_COLUMNS = [
+  'first_buy_time',
+  'last_sell_time',
+  'bought',
+  'sold',
+  'avg_buy_price',
+  'avg_sell_price',
+  'tax',
+  'profit',
+];
+
+/** Columns stored as Uint32Array indexes into the string table */
+export const STRING_COLUMNS = ['account', 'item', 'status', 'source_file', 'date_key'];
+
+const TIME_COLUMNS = ['first_buy_time', 'last_sell_time'];
+const INITIAL_CAPACITY = 4096;
+
+// String table slot 0 always means "no value"
+const EMPTY_STRING_INDEX = 0;
+
+/**
+ * Create a growable flip table, optionally seeded from a transferred payload
+ * @param {Object} [payload] - Result of toTransferable().payload
+ * @returns {Object} Table with append/write/read/toTransferable
+ */
+export function createFlipTable(payload = null) {
+  let length = payload?.length || 0;
+  // A seeded table adopts the transferred columns as-is and only copies once it grows
+  let capacity = payload ? length : INITIAL_CAPACITY;
+
+  const strings = payload ? payload.strings.slice() : [null];
+  const stringIndex = new Map();
+  strings.forEach((value, index) => {
+    if (index !== EMPTY_STRING_INDEX) stringIndex.set(value, index);
+  });
+
+  const columns = {};
+  NUMERIC_COLUMNS.forEach(name => {
+    columns[name] = payload ? payload.columns[name] : new Float64Array(capacity);
+  });
+  STRING_COLUMNS.forEach(name => {
+    columns[name] = payload ? payload.columns[name] : new Uint32Array(capacity);
+  });
+
+  const intern = value => {
+    if (value === null || value === undefined || value === '') return EMPTY_STRING_INDEX;
+    const key = String(value);
+    let index = stringIndex.get(key);
+    if (index === undefined) {
+      index = strings.length;
+      strings.push(key);
+      stringIndex.set(key, index);
+    }
+    return index;
+  };
+
+  const grow = () => {
+    capacity = Math.max(capacity * 2, INITIAL_CAPACITY);
+    Object.keys(columns).forEach(name => {
+      const next = new columns[name].constructor(capacity);
+      next.set(columns[name]);
+      columns[name] = next;
+    });
+  };
+
+  /**
+   * Overwrite a row. Missing numeric fields become 0, missing strings null.
+   * @param {number} row
+   * @param {Object} flip - snake_case flip with times in epoch ms
+   */
+  const write = (row, flip) => {
+    NUMERIC_COLUMNS.forEach(name => {
+      columns[name][row] = Number(flip[name]) || 0;
+    });
+    STRING_COLUMNS.forEach(name => {
+      columns[name][row] = intern(flip[name]);
+    });
+  };
+
+  return {
+    get length() {
+      return length;
+    },
+
+    /**
+     * Add a flip to the end of the table
+     * @param {Object} flip - snake_case flip with times in epoch ms
+     * @returns {number} Row index
+     */
+    append(flip) {
+      if (length === capacity) grow();
+      write(length, flip);
+      return length++;
+    },
+
+    write,
+
+    /** Set a single string column on an existing row */
+    setString(row, name, value) {
+      columns[name][row] = intern(value);
+    },
+
+    /**
+     * Read a row back as a plain snake_case record (times in epoch ms)
+     * @param {number} row
+     * @returns {Object}
+     */
+    read(row) {
+      const record = {};
+      NUMERIC_COLUMNS.forEach(name => {
+        record[name] = columns[name][row];
+      });
+      STRING_COLUMNS.forEach(name => {
+        record[name] = strings[columns[name][row]];
+      });
+      return record;
+    },
+
+    /**
+     * Trim the columns to length and hand back buffers for postMessage
+     * @returns {{payload: Object, transfer: ArrayBuffer[]}}
+     */
+    toTransferable() {
+      const trimmed = {};
+      Object.keys(columns).forEach(name => {
+        trimmed[name] = columns[name].slice(0, length);
+      });
+      return {
+        payload: { length, strings: strings.slice(), columns: trimmed },
+        transfer: Object.values(trimmed).map(column => column.buffer),
+      };
+    },
+  };
+}
+
+/**
+ * Columnar copy of already-expanded flips (used to hand existing data to the worker)
+ * @param {Array<Object>} flips - Flip objects as stored in guestData.allFlips
+ * @returns {{payload: Object, transfer: ArrayBuffer[]}}
+ */
+export function encodeFlips(flips = []) {
+  const table = createFlipTable();
+  flips.forEach(flip => {
+    table.append({
+      account: flip.account,
+      item: flip.item,
+      status: flip.status,
+      source_file: flip.source_file || flip.sourceFile,
+      first_buy_time: Date.parse(flip.first_buy_time || flip.firstBuyTime) || 0,
+      last_sell_time: Date.parse(flip.last_sell_time || flip.lastSellTime) || 0,
+      bought: flip.bought,
+      sold: flip.sold,
+      avg_buy_price: flip.avg_buy_price ?? flip.avgBuyPrice,
+      avg_sell_price: flip.avg_sell_price ?? flip.avgSellPrice,
+      tax: flip.tax ?? flip.sellerTax,
+      profit: flip.profit,
+    });
+  });
+  return table.toTransferable();
+}
+
+/**
+ * Build the flip object the dashboard components expect from a table record.
+ * Keeps the CSV's snake_case fields and adds the camelCase/derived fields used
+ * by the query builder and tables.
+ * @param {Object} record - Result of table.read()
+ * @returns {Object}
+ */
+export function toFlipObject(record) {
+  const flip = { ...record };
+  TIME_COLUMNS.forEach(name => {
+    // Open positions may not have sold anything yet
+    flip[name] = record[name] ? new Date(record[name]).toISOString() : null;
+  });
+  delete flip.date_key;
+
+  const quantity = flip.bought || flip.sold || 0;
+  const spent = flip.avg_buy_price * quantity;
+  const hours =
+    record.first_buy_time && record.last_sell_time
+      ? (record.last_sell_time - record.first_buy_time) / (1000 * 60 * 60)
+      : 0;
+
+  return {
+    ...flip,
+    quantity,
+    avgBuyPrice: flip.avg_buy_price,
+    avgSellPrice: flip.avg_sell_price,
+    firstBuyTime: flip.first_buy_time,
+    lastSellTime: flip.last_sell_time,
+    sellerTax: flip.tax,
+    spent,
+    revenue: flip.avg_sell_price * quantity,
+    hoursHeld: Math.round(hours * 10) / 10,
+    roi: spent > 0 ? (flip.profit / spent) * 100 : 0,
+    date: flip.last_sell_time ? flip.last_sell_time.split('T')[0] : null,
+    sourceFile: flip.source_file,
+  };
+}
+
+/**
+ * Expand a transferred table into allFlips and flipsByDate. Both share the same
+ * flip objects, so each row is materialized exactly once. Open positions are
+ * returned separately and appear in neither.
+ * @param {Object} payload - Table payload posted by the worker
+ * @returns {{allFlips: Array<Object>, flipsByDate: Object, openPositions: Array<Object>}}
+ */
+export function decodeFlipTable(payload) {
+  const table = createFlipTable(payload);
+  const allFlips = [];
+  const openPositions = [];
+  const flipsByDate = {};
+
+  for (let row = 0; row < table.length; row++) {
+    const record = table.read(row);
+    const flip = toFlipObject(record);
+    if (isOpenFlip(flip)) {
+      openPositions.push(flip);
+      continue;
+    }
+    allFlips.push(flip);
+
+    const dateKey = record.date_key;
+    if (!dateKey) continue;
+    if (!flipsByDate[dateKey]) {
+      flipsByDate[dateKey] = { date: dateKey, flips: [], totalProfit: 0, totalFlips: 0 };
+    }
+    flipsByDate[dateKey].flips.push(flip);
+    flipsByDate[dateKey].totalProfit += flip.profit;
+    flipsByDate[dateKey].totalFlips++;
+  }
+
+  return { allFlips, flipsByDate, openPositions };
+}
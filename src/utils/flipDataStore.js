@@ -0,0 +1,140 @@
+/**
+ * Local persistence for processed guest data
+ *
+ * Stores the dataset produced by the upload worker (flipsByDate, allFlips,
+ * itemStats, metadata, ...) in IndexedDB so it survives reloads. Nothing is
+ * sent anywhere - the snapshot lives only in this browser's storage.
+ */
+
+const DB_NAME = 'osrs-flip-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'guestData';
+const SNAPSHOT_KEY = 'current';
+
+/**
+ * Version of the snapshot shape written by saveGuestData.
+ * Bump this when the guestData structure changes and add a migration below.
+ */
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the schema version they upgrade FROM.
+ * Each receives the stored data and returns data for version + 1.
+ */
+const MIGRATIONS = {};
+
+/**
+ * Bring a stored snapshot up to the current schema version
+ * @param {Object} snapshot - Raw record read from IndexedDB
+ * @returns {Object|null} Migrated guestData, or null if the snapshot should be discarded
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !snapshot.data) return null;
+
+  let { version } = snapshot;
+  let data = snapshot.data;
+
+  if (!Number.isInteger(version) || version > SNAPSHOT_SCHEMA_VERSION) {
+    // Unknown or newer-than-supported snapshot: safer to drop than misread
+    return null;
+  }
+
+  while (version < SNAPSHOT_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) return null;
+    data = migrate(data);
+    if (!data) return null;
+    version++;
+  }
+
+  return data;
+}
+
+/**
+ * Check whether IndexedDB is usable in this environment
+ * @returns {boolean}
+ */
+export function isPersistenceAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function runTransaction(mode, operation) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = operation(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Persist the processed guest dataset
+ * @param {Object} guestData - Data object held by DataProvider
+ * @returns {Promise<boolean>} True if the snapshot was written
+ */
+export async function saveGuestData(guestData) {
+  if (!isPersistenceAvailable() || !guestData) return false;
+
+  const snapshot = {
+    version: SNAPSHOT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    data: guestData,
+  };
+
+  await runTransaction('readwrite', store => store.put(snapshot, SNAPSHOT_KEY));
+  return true;
+}
+
+/**
+ * Load the persisted guest dataset, migrating or discarding stale snapshots
+ * @returns {Promise<Object|null>} guestData or null if nothing usable is stored
+ */
+export async function loadGuestData() {
+  if (!isPersistenceAvailable()) return null;
+
+  const snapshot = await runTransaction('readonly', store => store.get(SNAPSHOT_KEY));
+  if (!snapshot) return null;
+
+  const data = migrateSnapshot(snapshot);
+  if (!data) {
+    console.warn(`Discarding stored flip data with unsupported schema v${snapshot.version}`);
+    await clearGuestData();
+    return null;
+  }
+
+  if (data !== snapshot.data) {
+    // Write back migrated data so the migration only runs once
+    await saveGuestData(data);
+  }
+
+  return data;
+}
+
+/**
+ * Remove the persisted guest dataset ("forget my data")
+ * @returns {Promise<void>}
+ */
+export async function clearGuestData() {
+  if (!isPersistenceAvailable()) return;
+  await runTransaction('readwrite', store => store.delete(SNAPSHOT_KEY));
+}
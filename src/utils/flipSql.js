@@ -0,0 +1,223 @@
+/**
+ * SQL over loaded flips
+ *
+ * Flips are copied into an in-memory SQLite `flips` table with the same schema
+ * the query tools have always used, so SQL written against it keeps working.
+ * `date` is the flip's trading day (see tradingDay.js) as YYYY-MM-DD. Saved
+ * queries live in localStorage; nothing leaves the browser.
+ */
+
+import { toTradingDayKey } from './tradingDay';
+
+const STORAGE_KEY = 'osrs-flip-saved-queries';
+
+const MINUTE_MS = 60 * 1000;
+
+export const FLIPS_TABLE_SCHEMA = `CREATE TABLE flips (
+  id INTEGER,
+  item TEXT NOT NULL,
+  buy_price INTEGER,
+  sell_price INTEGER,
+  profit INTEGER,
+  roi REAL,
+  quantity INTEGER,
+  buy_time TEXT,
+  sell_time TEXT,
+  account TEXT,
+  flip_duration_minutes INTEGER,
+  date TEXT -- Format: YYYY-MM-DD
+);`;
+
+const FLIP_COLUMNS = [
+  'id',
+  'item',
+  'buy_price',
+  'sell_price',
+  'profit',
+  'roi',
+  'quantity',
+  'buy_time',
+  'sell_time',
+  'account',
+  'flip_duration_minutes',
+  'date',
+];
+
+/** Built-in starting points, shown alongside the user's saved queries */
+export const EXAMPLE_QUERIES = [
+  {
+    name: 'Most profitable items',
+    sql: `SELECT item, COUNT(*) AS flips, SUM(profit) AS total_profit, ROUND(AVG(roi), 2) AS avg_roi
+FROM flips
+GROUP BY item
+ORDER BY total_profit DESC
+LIMIT 25`,
+  },
+  {
+    name: 'Best days',
+    sql: `SELECT date, COUNT(*) AS flips, SUM(profit) AS daily_profit
+FROM flips
+GROUP BY date
+ORDER BY daily_profit DESC
+LIMIT 10`,
+  },
+  {
+    name: 'Profit by account',
+    sql: `SELECT account, COUNT(*) AS flips, SUM(profit) AS total_profit
+FROM flips
+GROUP BY account
+ORDER BY total_profit DESC`,
+  },
+  {
+    name: 'Flips held over a day',
+    sql: `SELECT item, account, profit, flip_duration_minutes, date
+FROM flips
+WHERE flip_duration_minutes > 24 * 60
+ORDER BY flip_duration_minutes DESC`,
+  },
+  {
+    name: 'Weekend vs weekday',
+    sql: `SELECT CASE WHEN strftime('%w', date) IN ('0', '6') THEN 'Weekend' ELSE 'Weekday' END AS period,
+  COUNT(*) AS flips, SUM(profit) AS total_profit
+FROM flips
+GROUP BY period`,
+  },
+];
+
+const toIsoTime = time => {
+  const ms = Date.parse(time);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+};
+
+/**
+ * One `flips` table row for a flip, in FLIP_COLUMNS order
+ * @param {Object} flip - Flip as stored in guestData.allFlips
+ * @param {number} id - Row number
+ * @param {Object} [tradingDay] - Settings used to bucket flips into days
+ * @returns {Array<string|number|null>}
+ */
+export function toFlipRow(flip, id, tradingDay) {
+  const buyTime = toIsoTime(flip.first_buy_time || flip.firstBuyTime);
+  const sellTime = toIsoTime(flip.last_sell_time || flip.lastSellTime);
+  const quantity = flip.quantity ?? (flip.bought || flip.sold || 0);
+
+  let date = null;
+  if (sellTime) {
+    const [month, day, year] = toTradingDayKey(sellTime, tradingDay).split('-');
+    date = `${year}-${month}-${day}`;
+  }
+
+  return [
+    id,
+    flip.item,
+    Math.round(flip.avg_buy_price ?? flip.avgBuyPrice ?? 0),
+    Math.round(flip.avg_sell_price ?? flip.avgSellPrice ?? 0),
+    Math.round(flip.profit || 0),
+    Number(flip.roi) || 0,
+    quantity,
+    buyTime,
+    sellTime,
+    flip.account || null,
+    buyTime && sellTime
+      ? Math.round((Date.parse(sellTime) - Date.parse(buyTime)) / MINUTE_MS)
+      : null,
+    date,
+  ];
+}
+
+/**
+ * Create a database holding the flips table
+ * @param {Object} SQL - Initialized sql.js module
+ * @param {Array<Object>} flips - guestData.allFlips
+ * @param {Object} [tradingDay] - guestData.tradingDay
+ * @returns {Object} sql.js Database; call close() when done with it
+ */
+export function createFlipDatabase(SQL, flips = [], tradingDay) {
+  const db = new SQL.Database();
+  db.run(FLIPS_TABLE_SCHEMA);
+
+  const insert = db.prepare(
+    `INSERT INTO flips (${FLIP_COLUMNS.join(', ')}) VALUES (${FLIP_COLUMNS.map(() => '?').join(', ')})`
+  );
+  db.run('BEGIN');
+  flips.forEach((flip, index) => {
+    if (flip?.item) insert.run(toFlipRow(flip, index + 1, tradingDay));
+  });
+  db.run('COMMIT');
+  insert.free();
+
+  return db;
+}
+
+/**
+ * Run SQL and return the last statement's result as objects
+ * Repeated column names (e.g. two COUNT(*)s) get a numeric suffix so every
+ * value keeps its own key.
+ * @param {Object} db - Database from createFlipDatabase
+ * @param {string} sql
+ * @returns {{columns: string[], rows: Array<Object>}}
+ * @throws {Error} SQLite's message when the SQL is invalid
+ */
+export function runFlipQuery(db, sql) {
+  const results = db.exec(sql);
+  const last = results[results.length - 1];
+  if (!last) return { columns: [], rows: [] };
+
+  const seen = {};
+  const columns = last.columns.map(name => {
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+  });
+  const rows = last.values.map(values =>
+    Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+  );
+  return { columns, rows };
+}
+
+/**
+ * The user's saved queries, newest first
+ * @returns {Array<{name: string, sql: string, savedAt: number}>}
+ */
+export function loadSavedQueries() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(query => query?.name && query?.sql) : [];
+  } catch {
+    return [];
+  }
+}
+
+const writeSavedQueries = queries => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queries));
+  } catch (error) {
+    console.warn('Failed to save queries:', error);
+  }
+};
+
+/**
+ * Save a query, replacing any saved query with the same name
+ * @param {string} name
+ * @param {string} sql
+ * @returns {Array<Object>} Updated list
+ */
+export function saveQuery(name, sql) {
+  const trimmed = name.trim();
+  const queries = [
+    { name: trimmed, sql, savedAt: Date.now() },
+    ...loadSavedQueries().filter(query => query.name !== trimmed),
+  ];
+  writeSavedQueries(queries);
+  return queries;
+}
+
+/**
+ * Delete a saved query by name
+ * @param {string} name
+ * @returns {Array<Object>} Updated list
+ */
+export function deleteSavedQuery(name) {
+  const queries = loadSavedQueries().filter(query => query.name !== name);
+  writeSavedQueries(queries);
+  return queries;
+}
@@ -0,0 +1,143 @@
+/**
+ * Grand Exchange tax rules
+ *
+ * The GE takes a cut of every sale, paid by the seller, per item:
+ * - rate × price, rounded down
+ * - capped at 5m per item
+ * - nothing on items sold below the low-price threshold
+ * - nothing on the exempt items (bonds and a handful of low-level tools)
+ *
+ * The tax arrived on 9 December 2021 at 1% and rose to 2% on 29 May 2025, so
+ * recorded flips are taxed by the rules in force when they sold. Live-market
+ * margins use today's rules (the default date).
+ */
+
+/** Most tax taken on a single item, in gp */
+export const GE_TAX_CAP = 5_000_000;
+
+/**
+ * Rate history, oldest first. Each period runs until the next one starts.
+ * minTaxedPrice is where rounding down stops leaving 0 gp - listed explicitly
+ * because the Wiki documents it as an exemption.
+ */
+export const GE_TAX_PERIODS = [
+  { from: Date.parse('2021-12-09T00:00:00Z'), rate: 0.01, minTaxedPrice: 100 },
+  { from: Date.parse('2025-05-29T00:00:00Z'), rate: 0.02, minTaxedPrice: 50 },
+];
+
+/** Items sold tax-free, lowercased (OSRS Wiki, Grand Exchange#Convenience fee) */
+export const GE_TAX_EXEMPT_ITEMS = new Set([
+  'old school bond',
+  'chisel',
+  'gardening trowel',
+  'glassblowing pipe',
+  'hammer',
+  'needle',
+  'pestle and mortar',
+  'rake',
+  'saw',
+  'secateurs',
+  'seed dibber',
+  'shears',
+  'spade',
+  'watering can(0)',
+]);
+
+const NO_TAX = { rate: 0, minTaxedPrice: Infinity, cap: GE_TAX_CAP };
+
+const toMs = date => {
+  if (date === undefined || date === null || date === '') return Date.now();
+  const ms = typeof date === 'number' ? date : new Date(date).getTime();
+  return Number.isFinite(ms) ? ms : Date.now();
+};
+
+/**
+ * Tax rules in force at a time
+ * @param {number|string|Date} [date] - Epoch ms or parseable date; defaults to now
+ * @returns {{rate: number, minTaxedPrice: number, cap: number}} rate 0 before the tax existed
+ */
+export function getGeTaxRules(date) {
+  const ms = toMs(date);
+  const period = GE_TAX_PERIODS.findLast(p => p.from <= ms);
+  return period
+    ? { rate: period.rate, minTaxedPrice: period.minTaxedPrice, cap: GE_TAX_CAP }
+    : NO_TAX;
+}
+
+/**
+ * Whether an item is sold tax-free regardless of price
+ * @param {string} itemName
+ * @returns {boolean}
+ */
+export function isGeTaxExempt(itemName) {
+  return GE_TAX_EXEMPT_ITEMS.has(
+    String(itemName || '')
+      .trim()
+      .toLowerCase()
+  );
+}
+
+/**
+ * Tax on selling one item
+ * @param {number} price - Sale price per item
+ * @param {{itemName?: string, date?: number|string|Date}} [options] - date defaults to now
+ * @returns {number}
+ */
+export function geTaxPerItem(price, { itemName, date } = {}) {
+  if (!(price > 0) || isGeTaxExempt(itemName)) return 0;
+  const { rate, minTaxedPrice, cap } = getGeTaxRules(date);
+  if (price < minTaxedPrice) return 0;
+  return Math.min(Math.floor(price * rate), cap);
+}
+
+/**
+ * Tax on selling a quantity at one price
+ * @param {number} price
+ * @param {number} quantity
+ * @param {{itemName?: string, date?: number|string|Date}} [options]
+ * @returns {number}
+ */
+export function geTaxForSale(price, quantity, options) {
+  return (Number(quantity) || 0) * geTaxPerItem(price, options);
+}
+
+/**
+ * Profit per item from buying at one price and selling at another, after tax
+ * @param {number} buyPrice
+ * @param {number} sellPrice
+ * @param {{itemName?: string, date?: number|string|Date}} [options]
+ * @returns {number}
+ */
+export function marginAfterTax(buyPrice, sellPrice, options) {
+  return sellPrice - geTaxPerItem(sellPrice, options) - buyPrice;
+}
+
+/**
+ * marginAfterTax as a % of the buy price
+ * @returns {number|null} null without a positive buy price
+ */
+export function marginPercentAfterTax(buyPrice, sellPrice, options) {
+  return buyPrice > 0 ? (marginAfterTax(buyPrice, sellPrice, options) / buyPrice) * 100 : null;
+}
+
+/**
+ * Compare a flip's recorded tax with what the GE rules charge
+ * Exports only keep the average sell price, and per-fill rounding can move the
+ * true total by up to 1 gp per item, so smaller differences are accepted.
+ * @param {Object} flip - Normalized flip (item, sold, avg_sell_price, tax, last_sell_time)
+ * @returns {{recorded: number, expected: number, detail: string}|null} null if it agrees or can't be checked
+ */
+export function checkRecordedTax(flip) {
+  const sold = Number(flip?.sold) || 0;
+  const price = Number(flip?.avg_sell_price);
+  const recorded = Number(flip?.tax);
+  if (sold <= 0 || !(price > 0) || !Number.isFinite(recorded)) return null;
+
+  const date = flip.last_sell_time || flip.first_buy_time;
+  const expected = geTaxForSale(price, sold, { itemName: flip.item, date });
+  if (Math.abs(recorded - expected) <= sold) return null;
+
+  const { rate } = getGeTaxRules(date);
+  const rule = isGeTaxExempt(flip.item) ? 'exempt item' : `${rate * 100}% of ${price} × ${sold}`;
+  return { recorded, expected, detail: `tax ${recorded}, expected ${expected} (${rule})` };
+}
@@ -0,0 +1,136 @@
+/**
+ * Blocklists built from the user's own flip history
+ *
+ * Items are judged on their realized results over a lookback window: gp/hour,
+ * win rate and max drawdown (from calculateItemRisk). An item is blocked when
+ * it has enough flips to judge and misses any enabled threshold. Thresholds
+ * set to null are ignored.
+ */
+
+import { calculateItemRisk } from './dataProcessing';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_THRESHOLD_DEFAULTS = {
+  lookbackDays: 30, // null = all history
+  minFlips: 5,
+  minGpPerHour: 0,
+  minWinRate: 50, // percent
+  maxDrawdown: 1_000_000, // gp lost peak-to-trough
+};
+
+const flipTime = flip => {
+  const raw = flip.lastSellTime || flip.last_sell_time || flip.firstBuyTime || flip.first_buy_time;
+  return raw ? new Date(raw).getTime() : null;
+};
+
+const flipMinutes = flip => {
+  const start = flip.firstBuyTime || flip.first_buy_time;
+  const end = flip.lastSellTime || flip.last_sell_time;
+  if (!start || !end) return 0;
+  return Math.max(0, (new Date(end).getTime() - new Date(start).getTime()) / 60000);
+};
+
+/**
+ * Realized results per item over a lookback window
+ * @param {Record<string, any>} flipsByDate - Guest data flipsByDate
+ * @param {Object} [options]
+ * @param {number|null} [options.lookbackDays] - Only flips closed within this many days
+ * @param {number} [options.now] - Epoch ms the lookback is measured from
+ * @returns {Array<{name: string, flipCount: number, totalProfit: number, gpPerHour: number|null, winRate: number, maxDrawdown: number}>}
+ *   gpPerHour is null when no flip has both buy and sell times
+ */
+export function summarizeItemHistory(flipsByDate, { lookbackDays = null, now = Date.now() } = {}) {
+  const since = lookbackDays ? now - lookbackDays * DAY_MS : null;
+
+  // Group once so each item's risk is computed from its own flips only
+  const byItem = new Map();
+  Object.values(flipsByDate || {}).forEach(day => {
+    const flips = Array.isArray(day) ? day : day?.flips || [];
+    flips.forEach(flip => {
+      if (!flip.item) return;
+      if (since !== null) {
+        const time = flipTime(flip);
+        if (time === null || time < since) return;
+      }
+      if (!byItem.has(flip.item)) byItem.set(flip.item, []);
+      byItem.get(flip.item).push(flip);
+    });
+  });
+
+  return [...byItem.entries()].map(([name, flips]) => {
+    const totalProfit = flips.reduce((sum, flip) => sum + (Number(flip.profit) || 0), 0);
+    const minutes = flips.reduce((sum, flip) => sum + flipMinutes(flip), 0);
+    const wins = flips.filter(flip => Number(flip.profit) > 0).length;
+    const { maxDrawdown } = calculateItemRisk(name, { history: flips });
+
+    return {
+      name,
+      flipCount: flips.length,
+      totalProfit,
+      gpPerHour: minutes > 0 ? Math.round((totalProfit / minutes) * 60) : null,
+      winRate: (wins / flips.length) * 100,
+      maxDrawdown: Math.abs(maxDrawdown),
+    };
+  });
+}
+
+/**
+ * Thresholds an item's results miss
+ * @param {Object} summary - From summarizeItemHistory
+ * @param {Object} thresholds
+ * @returns {string[]} Human-readable reasons; empty when the item passes
+ */
+function failedThresholds(summary, { minGpPerHour, minWinRate, maxDrawdown }) {
+  const reasons = [];
+  if (minGpPerHour !== null && summary.gpPerHour !== null && summary.gpPerHour < minGpPerHour) {
+    reasons.push(`${summary.gpPerHour.toLocaleString()} gp/hr`);
+  }
+  if (minWinRate !== null && summary.winRate < minWinRate) {
+    reasons.push(`${Math.round(summary.winRate)}% win rate`);
+  }
+  if (maxDrawdown !== null && summary.maxDrawdown > maxDrawdown) {
+    reasons.push(`${summary.maxDrawdown.toLocaleString()} gp drawdown`);
+  }
+  return reasons;
+}
+
+/**
+ * Items to block based on the user's own results
+ * @param {Record<string, any>} flipsByDate - Guest data flipsByDate
+ * @param {Array<{id: number, name: string}>} items - Item mapping, to resolve names to IDs
+ * @param {Object} [thresholds] - See HISTORY_THRESHOLD_DEFAULTS
+ * @param {number} [now] - Epoch ms the lookback is measured from
+ * @returns {{blocked: Array<Object>, judgedCount: number, tooFewFlipsCount: number, unmatchedNames: string[]}}
+ *   blocked entries are summaries plus id and reasons, worst total profit first
+ */
+export function buildHistoryBlocklist(flipsByDate, items, thresholds = {}, now = Date.now()) {
+  const settings = { ...HISTORY_THRESHOLD_DEFAULTS, ...thresholds };
+  const idsByName = new Map(items.map(item => [item.name.toLowerCase(), item.id]));
+
+  const summaries = summarizeItemHistory(flipsByDate, { lookbackDays: settings.lookbackDays, now });
+  const judged = summaries.filter(summary => summary.flipCount >= settings.minFlips);
+
+  const blocked = [];
+  const unmatchedNames = [];
+  judged.forEach(summary => {
+    const reasons = failedThresholds(summary, settings);
+    if (reasons.length === 0) return;
+
+    const id = idsByName.get(summary.name.toLowerCase());
+    if (id === undefined) {
+      unmatchedNames.push(summary.name);
+      return;
+    }
+    blocked.push({ ...summary, id, reasons });
+  });
+
+  blocked.sort((a, b) => a.totalProfit - b.totalProfit);
+
+  return {
+    blocked,
+    judgedCount: judged.length,
+    tooFewFlipsCount: summaries.length - judged.length,
+    unmatchedNames,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Row-level import diagnostics
+ *
+ * The upload worker records every source row it drops and why, so totals can
+ * be audited against the original export. Rows are identified by file and line
+ * (the CSV line the row starts on, with the header as line 1, as an editor
+ * numbers them; record number for JSON formats).
+ *
+ * Rows that are kept but look wrong - a tax that doesn't match the GE rules -
+ * are flagged the same way in a separate report.
+ */
+
+import { checkRecordedTax } from './geTax';
+import { isOpenFlip } from './openPositions';
+
+/** Why a row was dropped, keyed by reason id */
+export const REJECTION_REASONS = {
+  missing_time: 'Missing time',
+  missing_item: 'Missing item',
+  zero_quantity: 'Zero quantity',
+  unparsable_number: 'Unparsable number',
+  negative_price: 'Negative price',
+  duplicate: 'Duplicate flip',
+  row_error: 'Unreadable row',
+};
+
+/** Why a kept row was flagged, keyed by reason id */
+export const FLAG_REASONS = {
+  tax_mismatch: 'Tax differs from GE rules',
+};
+
+const REASON_LABELS = { ...REJECTION_REASONS, ...FLAG_REASONS };
+
+/**
+ * Display label for a rejection or flag reason
+ * @param {string} reason
+ * @returns {string}
+ */
+export const reasonLabel = reason => REASON_LABELS[reason] || reason;
+
+const LINE_BREAK_RE = /\r\n|\r|\n/g;
+
+/**
+ * Physical lines a parsed CSV row takes up in the file
+ * Quoted values can contain line breaks, which push later rows further down.
+ * @param {Object|string[]} row - Papa Parse row (object with header: true, else array)
+ * @returns {number} At least 1
+ */
+export function csvRowLineCount(row) {
+  return Object.values(row).reduce(
+    (lines, value) =>
+      lines + (typeof value === 'string' ? value.match(LINE_BREAK_RE)?.length || 0 : 0),
+    1
+  );
+}
+
+/**
+ * Whether a parsed CSV row came from an empty line
+ * Papa Parse reads an empty line as a single empty field.
+ * @param {Object|string[]} row
+ * @returns {boolean}
+ */
+export function isBlankCsvRow(row) {
+  const values = Object.values(row);
+  return values.length === 1 && values[0] === '';
+}
+
+// Rejected rows kept with details; counts stay exact past this
+export const MAX_REPORTED_ROWS = 5000;
+
+const NUMBER_FIELDS = ['bought', 'sold', 'avg_buy_price', 'avg_sell_price', 'tax', 'profit'];
+const PRICE_FIELDS = ['avg_buy_price', 'avg_sell_price'];
+
+/**
+ * Check a normalized flip before it's stored
+ * Importers leave unreadable values as NaN so they can be reported here.
+ * @param {Object|null} flipData - Output of an importer
+ * @returns {{reason: string, detail: string}|null} null if the flip is usable
+ */
+export function diagnoseFlip(flipData) {
+  if (!flipData) return { reason: 'row_error', detail: 'Row could not be read' };
+
+  if (!Number.isFinite(flipData.first_buy_time)) {
+    return { reason: 'missing_time', detail: 'first_buy_time' };
+  }
+  if (!flipData.item) return { reason: 'missing_item', detail: 'item' };
+
+  const unparsable = NUMBER_FIELDS.find(field => Number.isNaN(flipData[field]));
+  if (unparsable) return { reason: 'unparsable_number', detail: unparsable };
+
+  const negative = PRICE_FIELDS.find(field => flipData[field] < 0);
+  if (negative) return { reason: 'negative_price', detail: `${negative} = ${flipData[negative]}` };
+
+  // BUYING/SELLING rows are open positions - they have no sell time yet
+  const isOpen = isOpenFlip(flipData);
+  if (!isOpen && !flipData.last_sell_time) {
+    return { reason: 'missing_time', detail: 'last_sell_time' };
+  }
+  if (!isOpen && flipData.bought === 0 && flipData.sold === 0) {
+    return { reason: 'zero_quantity', detail: 'bought and sold are 0' };
+  }
+
+  return null;
+}
+
+/**
+ * Check a flip that passed diagnoseFlip for values worth a second look
+ * @param {Object} flipData
+ * @returns {{reason: string, detail: string}|null} null if nothing looks off
+ */
+export function flagFlip(flipData) {
+  const taxIssue = checkRecordedTax(flipData);
+  return taxIssue ? { reason: 'tax_mismatch', detail: taxIssue.detail } : null;
+}
+
+/**
+ * Collector for rejected (or flagged) rows
+ * @param {number} [limit=MAX_REPORTED_ROWS] - Rows kept with details
+ */
+export function createDiagnostics(limit = MAX_REPORTED_ROWS) {
+  const byReason = {};
+  const rows = [];
+  let total = 0;
+
+  /**
+   * Record a row
+   * @param {{file: string, line: number, reason: string, detail?: string}} entry
+   */
+  const record = entry => {
+    total++;
+    byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+    if (rows.length < limit) rows.push(entry);
+  };
+
+  return {
+    /** Record a dropped row */
+    reject: record,
+
+    /** Record a kept row that looks wrong */
+    flag: record,
+
+    /** Counts only - cheap enough for progress messages */
+    counts() {
+      return { total, byReason: { ...byReason } };
+    },
+
+    /** Full report, sent with the results */
+    summary() {
+      return { total, byReason: { ...byReason }, rows, truncated: total > rows.length };
+    },
+  };
+}
+
+/** Columns for the downloadable report (csvExport column config) */
+export const DIAGNOSTIC_COLUMNS = [
+  { key: 'file', label: 'File' },
+  { key: 'line', label: 'Line' },
+  { key: 'reason', label: 'Reason', sortValue: row => reasonLabel(row.reason) },
+  { key: 'detail', label: 'Detail' },
+];
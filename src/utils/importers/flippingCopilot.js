@@ -0,0 +1,72 @@
+/**
+ * Flipping Copilot CSV importer (flips.csv exported from the RuneLite plugin)
+ */
+
+import { cleanNumeric, parseTime, buildHeaderMap } from './normalize';
+
+// Expected Flipping Copilot column names (lowercase for comparison)
+export const EXPECTED_COLUMNS = [
+  'first buy time',
+  'last sell time',
+  'account',
+  'item',
+  'bought',
+  'sold',
+  'avg. buy price',
+  'avg. sell price',
+  'tax',
+  'profit',
+];
+
+const flippingCopilotImporter = {
+  id: 'flipping-copilot',
+  label: 'Flipping Copilot CSV',
+  format: 'csv',
+  extensions: ['.csv'],
+
+  // Only an exact header match - renamed columns go through column mapping instead
+  sniff({ headers = [] }) {
+    const headerMap = buildHeaderMap(headers);
+    return EXPECTED_COLUMNS.every(col => col in headerMap) ? 1 : 0;
+  },
+
+  resolveColumns(headers) {
+    const headerMap = buildHeaderMap(headers);
+    return {
+      columns: headerMap,
+      missing: EXPECTED_COLUMNS.filter(col => !(col in headerMap)),
+    };
+  },
+
+  normalizeRow(row, headerMap, { sourceFile }) {
+    // Unreadable times and numbers stay NaN so import diagnostics can report the row
+    const firstBuyTime = parseTime(row[headerMap['first buy time']]);
+    const lastSellTime = parseTime(row[headerMap['last sell time']]);
+
+    const bought = cleanNumeric(row[headerMap['bought']]);
+    const sold = cleanNumeric(row[headerMap['sold']]);
+    const avgBuyPrice = cleanNumeric(row[headerMap['avg. buy price']]);
+    const avgSellPrice = cleanNumeric(row[headerMap['avg. sell price']]);
+    const tax = cleanNumeric(row[headerMap['tax']]);
+
+    return {
+      account: row[headerMap['account']] || 'Unknown',
+      item: row[headerMap['item']] || 'Unknown',
+      status: row[headerMap['status']] || 'UNKNOWN',
+      first_buy_time: firstBuyTime,
+      last_sell_time: Number.isNaN(lastSellTime) ? 0 : lastSellTime, // 0 = not sold yet
+      bought,
+      sold,
+      avg_buy_price: avgBuyPrice,
+      avg_sell_price: avgSellPrice,
+      tax,
+      profit:
+        'profit' in headerMap
+          ? cleanNumeric(row[headerMap['profit']])
+          : sold * avgSellPrice - bought * avgBuyPrice - tax,
+      source_file: sourceFile,
+    };
+  },
+};
+
+export default flippingCopilotImporter;
@@ -0,0 +1,162 @@
+/**
+ * Flipping Utilities JSON importer
+ *
+ * The RuneLite Flipping Utilities plugin saves one trade history file per
+ * account (e.g. ~/.runelite/flipping/<name>.json). It records individual GE
+ * offers rather than flips, so offers are replayed per item in time order and
+ * grouped into flips: a flip opens with the first buy while nothing is held and
+ * closes once everything bought has been sold. Whatever is still held at the
+ * end becomes an open position.
+ */
+
+import { geTaxPerItem } from '../geTax';
+import { parseTime } from './normalize';
+
+// A "trades" list without offer history might still be a trade file
+const PARTIAL_MATCH_CONFIDENCE = 0.6;
+
+// The plugin serializes with abbreviated keys; older/hand-made files use full names
+const pick = (obj, ...keys) => {
+  for (const key of keys) {
+    if (obj?.[key] !== undefined && obj[key] !== null) return obj[key];
+  }
+  return undefined;
+};
+
+/**
+ * Collapse offer events into one fill per offer. The plugin logs a new event
+ * every time a slot updates, so only the latest quantity for each offer counts.
+ * @param {Array<Object>} events
+ * @returns {Array<{isBuy: boolean, quantity: number, price: number, time: number}>}
+ */
+function collapseOffers(events = []) {
+  const byOffer = new Map();
+
+  events.forEach((event, index) => {
+    const quantity = Number(pick(event, 'cQIT', 'currentQuantityInTrade', 'quantity')) || 0;
+    const time = parseTime(pick(event, 't', 'time', 'timestamp'));
+    if (quantity <= 0 || Number.isNaN(time)) return;
+
+    // Cancelled offers still count for whatever filled before the cancel
+    const offer = {
+      isBuy: Boolean(pick(event, 'b', 'isBuy', 'buy')),
+      quantity,
+      price: Number(pick(event, 'p', 'price')) || 0,
+      time,
+    };
+
+    // Events without an offer id can't be grouped - treat each as its own fill
+    const offerId = pick(event, 'uuid', 'offerId') ?? `event-${index}`;
+    const key = `${offerId}-${offer.isBuy}-${pick(event, 's', 'slot') ?? ''}`;
+    const previous = byOffer.get(key);
+    if (!previous || offer.quantity >= previous.quantity) {
+      byOffer.set(key, { ...offer, time: previous ? Math.min(previous.time, time) : time });
+    }
+  });
+
+  return [...byOffer.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replay one item's fills into flips
+ * @param {string} item
+ * @param {Array<Object>} fills - Sorted by time
+ * @param {Object} base - Fields shared by every flip (account, source_file)
+ * @returns {Array<Object>}
+ */
+function replayFills(item, fills, base) {
+  const flips = [];
+  let current = null;
+
+  const close = status => {
+    const avgBuy = current.bought ? current.spent / current.bought : 0;
+    const avgSell = current.sold ? current.revenue / current.sold : 0;
+    flips.push({
+      ...base,
+      item,
+      status,
+      first_buy_time: current.firstBuyTime,
+      last_sell_time: current.lastSellTime,
+      bought: current.bought,
+      sold: current.sold,
+      avg_buy_price: Math.round(avgBuy),
+      avg_sell_price: Math.round(avgSell),
+      tax: current.tax,
+      profit: Math.round(current.revenue - current.sold * avgBuy - current.tax),
+    });
+    current = null;
+  };
+
+  fills.forEach(fill => {
+    if (fill.isBuy) {
+      if (!current) {
+        current = {
+          firstBuyTime: fill.time,
+          lastSellTime: 0,
+          bought: 0,
+          sold: 0,
+          spent: 0,
+          revenue: 0,
+          tax: 0,
+        };
+      }
+      current.bought += fill.quantity;
+      current.spent += fill.quantity * fill.price;
+      return;
+    }
+
+    // Sells of items bought before the history starts can't be matched to a cost
+    if (!current) return;
+
+    const quantity = Math.min(fill.quantity, current.bought - current.sold);
+    const taxPerItem = geTaxPerItem(fill.price, { itemName: item, date: fill.time });
+    current.sold += quantity;
+    current.revenue += quantity * fill.price;
+    current.tax += quantity * taxPerItem;
+    current.lastSellTime = fill.time;
+
+    if (current.sold >= current.bought) close('FINISHED');
+  });
+
+  if (current) close(current.sold > 0 ? 'SELLING' : 'BUYING');
+  return flips;
+}
+
+/** Account name from a "<name>.json" trade history file */
+const accountFromFileName = fileName => fileName.replace(/\.json$/i, '') || 'Unknown';
+
+const flippingUtilitiesImporter = {
+  id: 'flipping-utilities',
+  label: 'Flipping Utilities JSON',
+  format: 'json',
+  extensions: ['.json'],
+
+  sniff({ fileName = '', text = '' }) {
+    if (!fileName.toLowerCase().endsWith('.json')) return 0;
+    // Trade history files start with a "trades" array of items with offer history
+    if (/"trades"\s*:\s*\[/.test(text) && /"(sO|standardizedOffers)"\s*:/.test(text)) return 1;
+    return /"trades"\s*:/.test(text) ? PARTIAL_MATCH_CONFIDENCE : 0;
+  },
+
+  normalizeDocument(document, { sourceFile, options = {} }) {
+    const trades = Array.isArray(document) ? document : document?.trades;
+    if (!Array.isArray(trades)) {
+      throw new Error(`${sourceFile} is not a Flipping Utilities trade history (no "trades" list)`);
+    }
+
+    const base = {
+      account: options.account || accountFromFileName(sourceFile),
+      source_file: sourceFile,
+    };
+
+    return trades.flatMap(trade => {
+      const item = pick(trade, 'name', 'itemName');
+      const history = pick(trade, 'h', 'history');
+      const events = pick(history, 'sO', 'standardizedOffers') || [];
+      if (!item) return [];
+      return replayFills(item, collapseOffers(events), base);
+    });
+  },
+};
+
+export default flippingUtilitiesImporter;
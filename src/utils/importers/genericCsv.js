@@ -0,0 +1,165 @@
+/**
+ * Generic CSV importer (spreadsheet exports, other tools)
+ *
+ * The user maps their own headers to the canonical flip fields; the mapping is
+ * passed in as options.mapping ({ [fieldKey]: headerName }), along with
+ * options.dateFormat (DATE_FORMATS id) and options.numberFormat
+ * (NUMBER_FORMATS id).
+ */
+
+import { geTaxForSale } from '../geTax';
+import {
+  parseNumber,
+  parseDate,
+  normalizeHeader,
+  detectDateFormat,
+  detectNumberFormat,
+} from './normalize';
+
+// Lowest non-zero confidence so any more specific importer wins
+const FALLBACK_CONFIDENCE = 0.1;
+
+/** Canonical flip fields a CSV column can be mapped to */
+export const CANONICAL_FIELDS = [
+  { key: 'item', label: 'Item name', required: true, aliases: ['item', 'item name', 'name'] },
+  {
+    key: 'first_buy_time',
+    label: 'Buy time',
+    required: true,
+    aliases: ['first buy time', 'buy time', 'buy date', 'bought at', 'date bought', 'date'],
+  },
+  {
+    key: 'last_sell_time',
+    label: 'Sell time',
+    required: false,
+    aliases: ['last sell time', 'sell time', 'sell date', 'sold at', 'date sold'],
+  },
+  {
+    key: 'bought',
+    label: 'Quantity bought',
+    required: true,
+    aliases: ['bought', 'quantity', 'qty', 'amount', 'quantity bought'],
+  },
+  { key: 'sold', label: 'Quantity sold', required: false, aliases: ['sold', 'quantity sold'] },
+  {
+    key: 'avg_buy_price',
+    label: 'Buy price (each)',
+    required: true,
+    aliases: ['avg. buy price', 'buy price', 'avg buy price', 'price bought', 'cost'],
+  },
+  {
+    key: 'avg_sell_price',
+    label: 'Sell price (each)',
+    required: false,
+    aliases: ['avg. sell price', 'sell price', 'avg sell price', 'price sold'],
+  },
+  { key: 'tax', label: 'GE tax', required: false, aliases: ['tax', 'ge tax'] },
+  { key: 'profit', label: 'Profit', required: false, aliases: ['profit', 'net profit', 'p/l'] },
+  { key: 'account', label: 'Account', required: false, aliases: ['account', 'rsn', 'character'] },
+  { key: 'status', label: 'Status', required: false, aliases: ['status', 'state'] },
+];
+
+/**
+ * Suggest a mapping by matching headers against each field's aliases
+ * @param {string[]} headers
+ * @returns {Object<string, string>} fieldKey → header
+ */
+export function guessMapping(headers = []) {
+  const mapping = {};
+  const used = new Set();
+  CANONICAL_FIELDS.forEach(field => {
+    const match = headers.find(
+      header => !used.has(header) && field.aliases.includes(normalizeHeader(header))
+    );
+    if (match) {
+      mapping[field.key] = match;
+      used.add(match);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Required fields that a mapping leaves unassigned
+ * @param {Object<string, string>} mapping
+ * @param {string[]} headers - Headers actually present in the file
+ * @returns {string[]} Missing field labels
+ */
+export function getMissingFields(mapping = {}, headers = []) {
+  return CANONICAL_FIELDS.filter(
+    field => field.required && !(mapping[field.key] && headers.includes(mapping[field.key]))
+  ).map(field => field.label);
+}
+
+const TIME_FIELDS = ['first_buy_time', 'last_sell_time'];
+const NUMBER_FIELDS = ['bought', 'sold', 'avg_buy_price', 'avg_sell_price', 'tax', 'profit'];
+
+/**
+ * Guess the date and number formats from the mapped columns of preview rows
+ * @param {Object[]} rows - Parsed CSV rows keyed by header
+ * @param {Object<string, string>} mapping
+ * @returns {{dateFormat: string, numberFormat: string}}
+ */
+export function guessFormats(rows = [], mapping = {}) {
+  const valuesOf = keys =>
+    keys.filter(key => mapping[key]).flatMap(key => rows.map(row => row[mapping[key]]));
+  return {
+    dateFormat: detectDateFormat(valuesOf(TIME_FIELDS)),
+    numberFormat: detectNumberFormat(valuesOf(NUMBER_FIELDS)),
+  };
+}
+
+const genericCsvImporter = {
+  id: 'generic-csv',
+  label: 'Generic CSV',
+  format: 'csv',
+  extensions: ['.csv'],
+  needsMapping: true,
+
+  // Last resort for any CSV with a header row
+  sniff({ fileName = '', headers = [] }) {
+    return fileName.toLowerCase().endsWith('.csv') && headers.length > 1 ? FALLBACK_CONFIDENCE : 0;
+  },
+
+  resolveColumns(headers, { mapping = {} } = {}) {
+    return { columns: mapping, missing: getMissingFields(mapping, headers) };
+  },
+
+  normalizeRow(row, mapping, { sourceFile, options = {} }) {
+    const value = key => (mapping[key] ? row[mapping[key]] : undefined);
+    const has = key => Boolean(mapping[key]) && value(key) !== undefined && value(key) !== '';
+    const number = key => parseNumber(value(key), options.numberFormat);
+    const time = key => parseDate(value(key), options.dateFormat);
+
+    // Unreadable values stay NaN/empty so import diagnostics can report the row
+    const item = value('item');
+    const firstBuyTime = time('first_buy_time');
+    const lastSellTime = time('last_sell_time');
+    const bought = number('bought');
+    // A sheet without a "sold" column records whole flips: everything bought was sold
+    const sold = has('sold') ? number('sold') : Number.isNaN(lastSellTime) ? 0 : bought;
+    const avgBuyPrice = number('avg_buy_price');
+    const avgSellPrice = number('avg_sell_price');
+    // Without a tax column, charge what the GE would have when the flip sold
+    const tax = has('tax')
+      ? number('tax')
+      : geTaxForSale(avgSellPrice, sold, { itemName: item, date: lastSellTime });
+
+    return {
+      account: value('account') || options.account || 'Unknown',
+      item,
+      status: value('status') || (Number.isNaN(lastSellTime) ? 'BUYING' : 'FINISHED'),
+      first_buy_time: firstBuyTime,
+      last_sell_time: Number.isNaN(lastSellTime) ? 0 : lastSellTime,
+      bought,
+      sold,
+      avg_buy_price: avgBuyPrice,
+      avg_sell_price: avgSellPrice,
+      tax,
+      profit: has('profit') ? number('profit') : sold * avgSellPrice - sold * avgBuyPrice - tax,
+      source_file: sourceFile,
+    };
+  },
+};
+
+export default genericCsvImporter;
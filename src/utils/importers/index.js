@@ -0,0 +1,107 @@
+/**
+ * Importer registry
+ *
+ * Each importer turns one file format into the flip shape the upload worker
+ * stores (see normalize.js). The registry is shared by the upload page, which
+ * sniffs files to pick an importer, and the worker, which runs it.
+ *
+ * To support a new format, add a module exporting an importer and list it in
+ * IMPORTERS below (more specific formats first).
+ *
+ * @typedef {Object} Importer
+ * @property {string} id - Stable id passed to the worker
+ * @property {string} label - Shown to the user
+ * @property {'csv'|'json'} format - CSV importers are streamed row by row
+ * @property {string[]} extensions - File extensions the importer accepts
+ * @property {boolean} [needsMapping] - User must map columns before importing
+ * @property {function({fileName: string, text: string, headers: string[]}): number} sniff
+ *   Confidence from 0 to 1 that a file sample is in this format
+ * @property {function(string[], Object): {columns: Object, missing: string[]}} [resolveColumns]
+ *   CSV only - resolve the header row into whatever normalizeRow needs
+ * @property {function(Object, Object, Object): Object} [normalizeRow]
+ *   CSV only - one parsed row to one flip; unreadable values are left NaN/empty
+ *   for import diagnostics to report
+ * @property {function(*, Object): Array<Object>} [normalizeDocument]
+ *   JSON only - the parsed file to a list of flips
+ */
+
+import Papa from 'papaparse';
+import flippingCopilotImporter from './flippingCopilot';
+import flippingUtilitiesImporter from './flippingUtilities';
+import genericCsvImporter from './genericCsv';
+
+/** @type {Importer[]} */
+export const IMPORTERS = [flippingCopilotImporter, flippingUtilitiesImporter, genericCsvImporter];
+
+export const DEFAULT_IMPORTER_ID = flippingCopilotImporter.id;
+
+// A format has to look at least this likely before it's picked automatically
+const MIN_CONFIDENCE = 0.1;
+
+/**
+ * Look up an importer by id
+ * @param {string} id
+ * @returns {Importer|null}
+ */
+export function getImporter(id) {
+  return IMPORTERS.find(importer => importer.id === id) || null;
+}
+
+/** Every extension any importer accepts, e.g. ['.csv', '.json'] */
+export const SUPPORTED_EXTENSIONS = [...new Set(IMPORTERS.flatMap(i => i.extensions))];
+
+/**
+ * Header row of a CSV sample
+ * @param {string} text - Start of the file
+ * @returns {string[]}
+ */
+export function readCsvHeaders(text = '') {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const result = Papa.parse(firstLine, { header: false });
+  return (result.data[0] || []).map(header => String(header).trim()).filter(Boolean);
+}
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * First data rows of a CSV sample, keyed by header
+ * @param {string} text - Start of the file
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=false] - The sample is the whole file, so
+ *   its last line isn't cut off
+ * @param {number} [options.limit=5]
+ * @returns {Object[]}
+ */
+export function readCsvPreview(text = '', { complete = false, limit = PREVIEW_ROWS } = {}) {
+  const lines = text.split(/\r?\n/);
+  if (!complete) lines.pop(); // Drop the partial line the sample cut through
+  const result = Papa.parse(lines.join('\n'), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim(),
+    preview: limit,
+  });
+  return result.data;
+}
+
+/**
+ * Pick the importer for a file from its name and the start of its contents
+ * @param {string} fileName
+ * @param {string} text - Sample from the start of the file
+ * @returns {{importer: Importer, confidence: number, headers: string[]}|null}
+ */
+export function detectImporter(fileName, text) {
+  const headers = fileName.toLowerCase().endsWith('.csv') ? readCsvHeaders(text) : [];
+  const sample = { fileName, text, headers };
+
+  let best = null;
+  IMPORTERS.forEach(importer => {
+    if (!importer.extensions.some(ext => fileName.toLowerCase().endsWith(ext))) return;
+    const confidence = importer.sniff(sample);
+    if (confidence >= MIN_CONFIDENCE && (!best || confidence > best.confidence)) {
+      best = { importer, confidence, headers };
+    }
+  });
+
+  return best;
+}
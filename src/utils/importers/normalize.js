@@ -0,0 +1,169 @@
+/**
+ * Shared value parsing for importers
+ *
+ * Every importer turns its source rows into the flip shape the upload worker
+ * stores: snake_case fields, times as epoch milliseconds (0 = not set) and
+ * plain numbers for quantities and prices.
+ */
+
+// Epoch values below this (~2001 in ms) are far more likely to be seconds
+const EPOCH_MS_THRESHOLD = 1e12;
+
+/**
+ * Parse a timestamp into epoch ms
+ * Accepts date strings, epoch seconds and epoch milliseconds.
+ * @param {*} val
+ * @returns {number} Epoch ms, or NaN if unparseable
+ */
+export const parseTime = val => {
+  if (val === null || val === undefined || val === '') return NaN;
+  if (typeof val === 'number' || /^\d+$/.test(String(val).trim())) {
+    const n = Number(val);
+    return n < EPOCH_MS_THRESHOLD ? n * 1000 : n;
+  }
+  return Date.parse(val);
+};
+
+/**
+ * Number formats a spreadsheet may use, keyed by id
+ * (thousands separator, then decimal separator)
+ */
+export const NUMBER_FORMATS = {
+  comma: { label: '1,234.56', thousands: ',', decimal: '.' },
+  dot: { label: '1.234,56', thousands: '.', decimal: ',' },
+  space: { label: '1 234,56', thousands: ' ', decimal: ',' },
+};
+
+/**
+ * Parse a number written in one of NUMBER_FORMATS
+ * Whitespace (including the non-breaking spaces some locales use) and a trailing
+ * "gp" are ignored.
+ * @param {*} val
+ * @param {string} [formatId='comma']
+ * @returns {number} 0 if empty, NaN if unparseable (reported by import diagnostics)
+ */
+export const parseNumber = (val, formatId = 'comma') => {
+  if (typeof val === 'number') return val;
+  const format = NUMBER_FORMATS[formatId] || NUMBER_FORMATS.comma;
+  const cleaned = String(val ?? '')
+    .replace(/gp$/i, '')
+    .split(format.thousands)
+    .join('')
+    .replace(/\s/g, '')
+    .replace(format.decimal, '.');
+  return cleaned === '' ? 0 : Number(cleaned);
+};
+
+/**
+ * Clean a numeric value (removes thousands separators some exports include)
+ * e.g. "1,234" → 1234, "1,234.56" → 1234.56
+ * @param {*} val
+ * @returns {number} 0 if empty, NaN if unparseable
+ */
+export const cleanNumeric = val => parseNumber(val, 'comma');
+
+/**
+ * Guess the number format from sample values
+ * A comma followed by 1-2 trailing digits is a decimal comma.
+ * @param {string[]} values
+ * @returns {string} NUMBER_FORMATS id
+ */
+export const detectNumberFormat = (values = []) => {
+  const decimalComma = values.find(v => /\d,\d{1,2}$/.test(String(v ?? '').trim()));
+  if (!decimalComma) return 'comma';
+  return /\d\s\d{3}/.test(decimalComma) ? 'space' : 'dot';
+};
+
+/** Day/month order options for numeric dates, keyed by id */
+export const DATE_FORMATS = {
+  auto: { label: 'Automatic (ISO / browser)' },
+  DMY: { label: 'Day/Month/Year' },
+  MDY: { label: 'Month/Day/Year' },
+  YMD: { label: 'Year-Month-Day' },
+};
+
+const NUMERIC_DATE =
+  /^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+const TWO_DIGIT_YEAR_BASE = 2000;
+const HOURS_PER_HALF_DAY = 12;
+const MAX_DAY = 31;
+const MAX_MONTH = 12;
+
+/**
+ * Parse a date in one of DATE_FORMATS
+ * Numeric dates are read in the browser's local time, like Date.parse does for
+ * non-ISO strings; anything else falls back to parseTime.
+ * @param {*} val
+ * @param {string} [formatId='auto']
+ * @returns {number} Epoch ms, or NaN if unparseable
+ */
+export const parseDate = (val, formatId = 'auto') => {
+  const match =
+    formatId !== 'auto' &&
+    String(val ?? '')
+      .trim()
+      .match(NUMERIC_DATE);
+  if (!match) return parseTime(val);
+
+  const [, a, b, c, hour = '0', minute = '0', second = '0', meridiem] = match;
+  const parts = {
+    DMY: { day: a, month: b, year: c },
+    MDY: { month: a, day: b, year: c },
+    YMD: { year: a, month: b, day: c },
+  }[formatId];
+  if (!parts) return parseTime(val);
+
+  let year = Number(parts.year);
+  if (parts.year.length <= 2) year += TWO_DIGIT_YEAR_BASE;
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  if (month < 1 || month > MAX_MONTH || day < 1 || day > MAX_DAY) return NaN;
+
+  let hours = Number(hour);
+  if (meridiem) {
+    hours =
+      (hours % HOURS_PER_HALF_DAY) + (meridiem.toLowerCase() === 'pm' ? HOURS_PER_HALF_DAY : 0);
+  }
+
+  const date = new Date(year, month - 1, day, hours, Number(minute), Number(second));
+  // Reject rollovers like 31/02
+  return date.getDate() === day ? date.getTime() : NaN;
+};
+
+/**
+ * Guess the date format from sample values
+ * @param {string[]} values
+ * @returns {string} DATE_FORMATS id ('auto' when ISO or ambiguous)
+ */
+export const detectDateFormat = (values = []) => {
+  for (const value of values) {
+    const match = String(value ?? '')
+      .trim()
+      .match(NUMERIC_DATE);
+    if (!match) continue;
+    const [, a, b] = match;
+    if (a.length === 4) return 'YMD';
+    if (Number(a) > MAX_MONTH) return 'DMY';
+    if (Number(b) > MAX_MONTH) return 'MDY';
+  }
+  return 'auto';
+};
+
+/** Lowercase/trim a header for comparisons */
+export const normalizeHeader = header =>
+  String(header || '')
+    .trim()
+    .toLowerCase();
+
+/**
+ * Build a lookup from normalized header → original header
+ * @param {string[]} headers
+ * @returns {Object<string, string>}
+ */
+export const buildHeaderMap = (headers = []) => {
+  const headerMap = {};
+  headers.forEach(header => {
+    headerMap[normalizeHeader(header)] = header;
+  });
+  return headerMap;
+};
@@ -0,0 +1,243 @@
+/**
+ * Offline parser for simple blocklist requests
+ *
+ * Turns prompts like "F2P items under 1m" or "runes between 100 and 5k with
+ * volume over 10k" into the same filter config the AI service returns, with no
+ * network. It understands price thresholds and ranges (k/m/b shorthand),
+ * f2p/members, volume thresholds and category names. Anything else - words it
+ * doesn't recognize, OR/NOT logic, conflicting bounds - makes the parse
+ * ambiguous, and the caller should fall back to the AI.
+ */
+
+import { parseShorthandNumber, formatToShorthand } from './parseShorthandNumber';
+import { CATEGORY_PRIORITY } from '../lib/classification';
+
+const NUMBER = String.raw`\d+(?:\.\d+)?\s*[kmb]?`;
+
+const COMPARATORS = {
+  '<=': 'lte',
+  '>=': 'gte',
+  '<': 'lt',
+  '>': 'gt',
+  'less than': 'lt',
+  'cheaper than': 'lt',
+  under: 'lt',
+  below: 'lt',
+  'no more than': 'lte',
+  'at most': 'lte',
+  'up to': 'lte',
+  max: 'lte',
+  maximum: 'lte',
+  'more than': 'gt',
+  'greater than': 'gt',
+  over: 'gt',
+  above: 'gt',
+  'at least': 'gte',
+  min: 'gte',
+  minimum: 'gte',
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest first so "at most" wins over shorter overlaps
+const COMPARATOR_PATTERN = Object.keys(COMPARATORS)
+  .sort((a, b) => b.length - a.length)
+  .map(word => (/^\w/.test(word) ? `\\b${escapeRegex(word)}\\b` : escapeRegex(word)))
+  .join('|');
+
+const RANGE_RE = new RegExp(
+  String.raw`\b(?:between|from)\s+(${NUMBER})\s+(?:and|to)\s+(${NUMBER})\b|\b(${NUMBER})\s*(?:-|to)\s*(${NUMBER})\b`,
+  'g'
+);
+const COMPARISON_RE = new RegExp(
+  String.raw`(${COMPARATOR_PATTERN})\s*(?:of\s+)?(${NUMBER})\b`,
+  'g'
+);
+const PLUS_RE = new RegExp(String.raw`\b(${NUMBER})\s*\+`, 'g');
+
+const VOLUME_AFTER_RE = /^\s*(?:of\s+)?(?:(?:trade|trading|hourly|1h)\s+)?volume\b/;
+const VOLUME_BEFORE_RE = /\bvolume\s*(?:of|is|at|:)?\s*$/;
+
+const F2P_RE = /\b(?:f2p|free[\s-]*to[\s-]*play|non[\s-]*members?)(?:[\s-]*only)?\b/g;
+const MEMBERS_RE = /\b(?:p2p|pay[\s-]*to[\s-]*play|members?)(?:[\s-]*only)?\b/g;
+
+// Words that carry no filter meaning in these prompts
+const FILLER_WORDS = new Set(
+  `a all allow an and any are costing cost costs every everything flip flipping flips for
+  gold gp give i in include item items just list me of only please price priced prices range
+  show stuff that the things to trade trading tradable tradeable want which with worth coins is
+  hourly 1h`.split(/\s+/)
+);
+
+// Category names and the ways people write them ("ores and bars", "potion")
+const CATEGORY_ALIASES = CATEGORY_PRIORITY.filter(category => category !== 'Other')
+  .flatMap(category => {
+    const lower = category.toLowerCase();
+    const aliases = new Set([lower, lower.replace(/&/g, 'and')]);
+    [...aliases].forEach(alias => {
+      if (alias.endsWith('s')) aliases.add(alias.slice(0, -1));
+    });
+    return [...aliases].map(alias => ({ alias, category }));
+  })
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+/**
+ * Lowercase and spell out number words so one number pattern fits all
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    .replace(/(\d)\s*(?:billion|bil)\b/g, '$1b')
+    .replace(/(\d)\s*(?:million|mill|mil)\b/g, '$1m')
+    .replace(/(\d)\s*(?:thousand)\b/g, '$1k')
+    .replace(/(\d[kmb]?)\s*gp\b/g, '$1');
+}
+
+const toNumber = text => parseShorthandNumber(text.replace(/\s+/g, ''));
+
+const describeNumber = value => formatToShorthand(value);
+
+const DESCRIPTIONS = {
+  lt: 'under',
+  lte: 'at most',
+  gt: 'over',
+  gte: 'at least',
+};
+
+function describeBounds(conditions) {
+  return conditions
+    .map(({ operator, value }) =>
+      operator === 'between'
+        ? `between ${describeNumber(value[0])} and ${describeNumber(value[1])}`
+        : `${DESCRIPTIONS[operator]} ${describeNumber(value)}`
+    )
+    .join(' and ');
+}
+
+/**
+ * A target may have at most one lower and one upper bound, and they must leave a range
+ * @returns {boolean}
+ */
+function boundsAreConsistent(conditions) {
+  let lower = null;
+  let upper = null;
+  let lowerCount = 0;
+  let upperCount = 0;
+  conditions.forEach(({ operator, value }) => {
+    if (operator === 'between') {
+      [lower, upper] = value;
+      lowerCount++;
+      upperCount++;
+    } else if (operator === 'gt' || operator === 'gte') {
+      lower = value;
+      lowerCount++;
+    } else {
+      upper = value;
+      upperCount++;
+    }
+  });
+  if (lowerCount > 1 || upperCount > 1) return false;
+  return lower === null || upper === null || lower <= upper;
+}
+
+/**
+ * Parse a simple request into a filter config
+ * @param {string} query - e.g. "F2P items between 100k and 5m"
+ * @returns {{config: Object|null, ambiguous: boolean, unrecognized: string[]}}
+ *   config is set only when the whole request was understood
+ */
+export function parseFilterQuery(query) {
+  let text = normalizeQuery(query);
+  const ambiguous = (unrecognized = []) => ({ config: null, ambiguous: true, unrecognized });
+
+  // Blank out what's been understood, keeping positions so later matches still line up
+  const consume = (start, end) => {
+    text = text.slice(0, start) + ' '.repeat(end - start) + text.slice(end);
+  };
+
+  const bounds = { price: [], volume: [] };
+  const addBound = (match, condition) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    const isVolume =
+      VOLUME_AFTER_RE.test(text.slice(end)) || VOLUME_BEFORE_RE.test(text.slice(0, start));
+    bounds[isVolume ? 'volume' : 'price'].push(condition);
+    consume(start, end);
+  };
+
+  [...text.matchAll(RANGE_RE)].forEach(match => {
+    const low = toNumber(match[1] ?? match[3]);
+    const high = toNumber(match[2] ?? match[4]);
+    addBound(match, { operator: 'between', value: [low, high] });
+  });
+  [...text.matchAll(COMPARISON_RE)].forEach(match => {
+    addBound(match, { operator: COMPARATORS[match[1]], value: toNumber(match[2]) });
+  });
+  [...text.matchAll(PLUS_RE)].forEach(match => {
+    addBound(match, { operator: 'gte', value: toNumber(match[1]) });
+  });
+
+  if (!boundsAreConsistent(bounds.price) || !boundsAreConsistent(bounds.volume)) {
+    return ambiguous();
+  }
+
+  const f2p = [...text.matchAll(F2P_RE)];
+  f2p.forEach(match => consume(match.index, match.index + match[0].length));
+  const members = [...text.matchAll(MEMBERS_RE)];
+  members.forEach(match => consume(match.index, match.index + match[0].length));
+  // "F2P and members" means nothing to filter on - let the AI sort out intent
+  if (f2p.length > 0 && members.length > 0) return ambiguous();
+
+  const categories = [];
+  CATEGORY_ALIASES.forEach(({ alias, category }) => {
+    const re = new RegExp(`\\b${escapeRegex(alias)}\\b`, 'g');
+    [...text.matchAll(re)].forEach(match => {
+      if (!categories.includes(category)) categories.push(category);
+      consume(match.index, match.index + match[0].length);
+    });
+  });
+
+  // "volume" on its own (e.g. "high volume") has no threshold we can use
+  const leftover = text
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .filter(word => !FILLER_WORDS.has(word))
+    .filter(word => !(word === 'volume' && bounds.volume.length > 0));
+  if (leftover.length > 0) return ambiguous(leftover);
+
+  const conditions = [
+    ...bounds.price.map(bound => ({ field: 'price', ...bound })),
+    ...bounds.volume.map(bound => ({ field: 'volume', ...bound })),
+  ];
+  if (f2p.length > 0) conditions.push({ field: 'f2p', operator: 'eq', value: true });
+  if (members.length > 0) conditions.push({ field: 'members', operator: 'eq', value: true });
+  if (categories.length === 1) {
+    conditions.push({ field: 'category', operator: 'eq', value: categories[0] });
+  } else if (categories.length > 1) {
+    conditions.push({ field: 'category', operator: 'in', value: categories });
+  }
+
+  if (conditions.length === 0) return ambiguous();
+
+  let interpretation = 'Include';
+  if (f2p.length > 0) interpretation += ' F2P';
+  if (members.length > 0) interpretation += ' members';
+  interpretation += ' items';
+  if (categories.length > 0) interpretation += ` in ${categories.join(' or ')}`;
+  if (bounds.price.length > 0) interpretation += ` priced ${describeBounds(bounds.price)} gp`;
+  if (bounds.volume.length > 0) interpretation += ` with volume ${describeBounds(bounds.volume)}`;
+
+  return {
+    config: {
+      interpretation,
+      rules: [{ type: 'include', conditions, combineWith: 'AND' }],
+      defaultAction: 'exclude',
+    },
+    ambiguous: false,
+    unrecognized: [],
+  };
+}
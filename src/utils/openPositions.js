@@ -0,0 +1,96 @@
+/**
+ * Open position helpers
+ *
+ * Exports made with "Show Buying" enabled include flips that haven't finished
+ * yet (status BUYING/SELLING, or nothing sold so far). These are kept apart from
+ * completed flips - none of their profit is realized - and valued against the
+ * current GE price instead.
+ */
+
+import { geTaxPerItem } from './geTax';
+
+/** Flipping Copilot statuses for flips that are still in progress */
+export const OPEN_STATUSES = ['BUYING', 'SELLING'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check whether a flip is still open
+ * @param {Object} flip - Flip from the worker or guestData
+ * @returns {boolean}
+ */
+export function isOpenFlip(flip) {
+  if (!flip) return false;
+  const status = String(flip.status || '').toUpperCase();
+  if (OPEN_STATUSES.includes(status)) return true;
+  // Without a status, a flip that hasn't sold anything yet can't be finished
+  return status !== 'FINISHED' && !(flip.last_sell_time || flip.lastSellTime);
+}
+
+/**
+ * Value a single open position
+ * @param {Object} flip - Open flip
+ * @param {number|null} markPrice - Current price a held item would sell at
+ * @param {number} now - Epoch ms used for the position's age
+ * @returns {Object} The flip plus heldQuantity, capitalTiedUp, ageHours, markPrice, unrealizedProfit
+ */
+export function valueOpenPosition(flip, markPrice = null, now = Date.now()) {
+  const bought = Number(flip.bought) || 0;
+  const sold = Number(flip.sold) || 0;
+  const avgBuy = Number(flip.avg_buy_price ?? flip.avgBuyPrice) || 0;
+  const avgSell = Number(flip.avg_sell_price ?? flip.avgSellPrice) || 0;
+  const tax = Number(flip.tax ?? flip.sellerTax) || 0;
+
+  const heldQuantity = Math.max(0, bought - sold);
+  const capitalTiedUp = heldQuantity * avgBuy;
+
+  // Partial sells belong to the position until it closes
+  const soldProfit = sold * (avgSell - avgBuy) - tax;
+
+  let unrealizedProfit = null;
+  if (markPrice > 0) {
+    // Held items would sell today, under today's tax rules
+    const taxPerItem = geTaxPerItem(markPrice, { itemName: flip.item });
+    unrealizedProfit = soldProfit + heldQuantity * (markPrice - taxPerItem - avgBuy);
+  } else if (heldQuantity === 0) {
+    unrealizedProfit = soldProfit;
+  }
+
+  const openedAt = Date.parse(flip.first_buy_time || flip.firstBuyTime);
+
+  return {
+    ...flip,
+    heldQuantity,
+    capitalTiedUp,
+    ageHours: Number.isNaN(openedAt) ? null : Math.max(0, (now - openedAt) / HOUR_MS),
+    markPrice: markPrice > 0 ? markPrice : null,
+    unrealizedProfit,
+  };
+}
+
+/**
+ * Value every open position and total them up
+ * @param {Array<Object>} positions - guestData.openPositions
+ * @param {Object<string, number>} markPrices - Current sell price keyed by item name
+ * @param {number} now - Epoch ms used for ages
+ * @returns {{rows: Array<Object>, totals: Object}}
+ */
+export function summarizeOpenPositions(positions = [], markPrices = {}, now = Date.now()) {
+  const rows = positions.map(flip => valueOpenPosition(flip, markPrices[flip.item] ?? null, now));
+
+  const totals = rows.reduce(
+    (acc, row) => {
+      acc.count++;
+      acc.capitalTiedUp += row.capitalTiedUp;
+      if (row.unrealizedProfit === null) {
+        acc.unpricedCount++;
+      } else {
+        acc.unrealizedProfit += row.unrealizedProfit;
+      }
+      return acc;
+    },
+    { count: 0, capitalTiedUp: 0, unrealizedProfit: 0, unpricedCount: 0 }
+  );
+
+  return { rows, totals };
+}
@@ -0,0 +1,130 @@
+/**
+ * Opportunity scanner over live Wiki prices
+ *
+ * Every item with both an instant-buy and instant-sell price becomes a row with
+ * the same margin, potential profit and price-age values the blocklist filter
+ * engine tests (getFieldValue), plus its last hour of volume and how our own
+ * flips of it have gone.
+ */
+
+import { getFieldValue } from './filterRuleEvaluator';
+
+const WATCHLIST_KEY = 'osrs-flip-scanner-watchlist';
+
+/**
+ * Ways to rank scanner rows
+ * `ascending` fields rank smallest first (fresher prices are better).
+ */
+export const SCANNER_SORTS = {
+  margin: { label: 'Margin after tax' },
+  marginPercent: { label: 'Margin %' },
+  potentialProfit: { label: 'Margin × buy limit' },
+  volume: { label: '1h volume' },
+  priceAge: { label: 'Price freshness', ascending: true },
+};
+
+/**
+ * Our flip history per item, keyed by lowercased name
+ * @param {Array<{item: string, totalProfit: number, flipCount: number}>} itemStats
+ * @returns {Map<string, {flipCount: number, totalProfit: number, avgProfit: number}>}
+ */
+function indexItemStats(itemStats = []) {
+  return new Map(
+    itemStats.map(stat => [
+      String(stat.item).toLowerCase(),
+      {
+        flipCount: stat.flipCount,
+        totalProfit: stat.totalProfit,
+        avgProfit: stat.flipCount > 0 ? stat.totalProfit / stat.flipCount : 0,
+      },
+    ])
+  );
+}
+
+/**
+ * Build one row per item that has both prices
+ * @param {Array<Object>} items - fetchItemMapping() result
+ * @param {Object} latest - fetchLatestPrices() result, keyed by item ID
+ * @param {Object} hourly - fetch1HourVolume() result, keyed by item ID
+ * @param {{now?: number, itemStats?: Array<Object>}} [options]
+ * @returns {Array<Object>} Rows with id, name, members, limit, buyPrice, sellPrice,
+ *   margin, marginPercent, potentialProfit, volume, priceAge and history (null if never flipped)
+ */
+export function buildScannerRows(items, latest, hourly, { now = Date.now(), itemStats } = {}) {
+  const history = indexItemStats(itemStats);
+  const rows = [];
+
+  items.forEach(item => {
+    const prices = latest[item.id];
+    if (!(prices?.high > 0 && prices?.low > 0)) return;
+    const hour = hourly?.[item.id];
+    const volume = hour ? (hour.highPriceVolume || 0) + (hour.lowPriceVolume || 0) : 0;
+    const context = { item, prices, volume, now };
+
+    rows.push({
+      id: item.id,
+      name: item.name,
+      members: !!item.members,
+      limit: item.limit ?? null,
+      // We buy at the instant-sell price and sell at the instant-buy price
+      buyPrice: prices.low,
+      sellPrice: prices.high,
+      margin: getFieldValue('margin', context),
+      marginPercent: getFieldValue('marginPercent', context),
+      potentialProfit: getFieldValue('potentialProfit', context),
+      volume,
+      priceAge: getFieldValue('priceAge', context),
+      history: history.get(item.name.toLowerCase()) || null,
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Sort rows by a SCANNER_SORTS key; rows missing the value go last
+ * @param {Array<Object>} rows
+ * @param {string} sortKey
+ * @returns {Array<Object>} New array
+ */
+export function rankScannerRows(rows, sortKey) {
+  const direction = SCANNER_SORTS[sortKey]?.ascending ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const av = a[sortKey];
+    const bv = b[sortKey];
+    if (av === null || av === undefined) return bv === null || bv === undefined ? 0 : 1;
+    if (bv === null || bv === undefined) return -1;
+    return direction * (av - bv) || a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Watched item IDs
+ * @returns {number[]}
+ */
+export function loadWatchlist() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+    return Array.isArray(stored) ? stored.filter(id => Number.isInteger(id)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add an item to the watchlist, or remove it if already watched
+ * @param {number} itemId
+ * @returns {number[]} Updated watchlist
+ */
+export function toggleWatchlist(itemId) {
+  const current = loadWatchlist();
+  const next = current.includes(itemId)
+    ? current.filter(id => id !== itemId)
+    : [...current, itemId];
+  try {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.warn('Failed to save watchlist:', error);
+  }
+  return next;
+}
@@ -18,6 +18,26 @@ export async function fetchItemMapping() {
   return response.json();
 }
 
+// Shared so every caller resolving names reuses one mapping request
+let itemIdsPromise = null;
+
+/**
+ * Item IDs keyed by lowercased item name
+ * Our flips only record item names; this resolves them for per-item endpoints.
+ * @returns {Promise<Map<string, number>>}
+ */
+export function fetchItemIdsByName() {
+  if (!itemIdsPromise) {
+    itemIdsPromise = fetchItemMapping()
+      .then(mapping => new Map(mapping.map(item => [item.name.toLowerCase(), item.id])))
+      .catch(error => {
+        itemIdsPromise = null;
+        throw error;
+      });
+  }
+  return itemIdsPromise;
+}
+
 /**
  * Fetch latest prices for all items
  * @returns {Promise<Object>} Price data keyed by item ID (string)
@@ -62,3 +82,75 @@ export async function fetch5MinVolume() {
   // Extract .data property to get volume info keyed by item ID
   return json.data;
 }
+
+/** Timesteps the /timeseries endpoint supports, finest first */
+export const TIMESERIES_STEPS = ['5m', '1h', '6h', '24h'];
+
+const TIMESTEP_MS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+};
+
+// /timeseries returns at most this many points, whatever the timestep
+const TIMESERIES_MAX_POINTS = 365;
+
+// Reuse a response until the next point could have been published
+const timeseriesCache = new Map();
+
+/**
+ * Finest timestep whose 365 points still cover a time span
+ * @param {number} spanMs - Span to cover, in milliseconds
+ * @returns {'5m'|'1h'|'6h'|'24h'}
+ */
+export function chooseTimestep(spanMs) {
+  return (
+    TIMESERIES_STEPS.find(step => TIMESTEP_MS[step] * TIMESERIES_MAX_POINTS >= spanMs) || '24h'
+  );
+}
+
+/**
+ * Fetch market price history for one item
+ * Responses are cached per item and timestep for one timestep interval.
+ * @param {number|string} itemId - OSRS item ID
+ * @param {'5m'|'1h'|'6h'|'24h'} timestep - Interval between points
+ * @returns {Promise<Array<{timestamp: number, avgHighPrice: number|null, avgLowPrice: number|null, highPriceVolume: number, lowPriceVolume: number}>>}
+ *   Points oldest first; timestamps are in seconds
+ */
+export async function fetchPriceTimeseries(itemId, timestep) {
+  if (!TIMESERIES_STEPS.includes(timestep)) {
+    throw new Error(
+      `Unknown timestep "${timestep}"; expected one of ${TIMESERIES_STEPS.join(', ')}`
+    );
+  }
+
+  const key = `${itemId}:${timestep}`;
+  const cached = timeseriesCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < TIMESTEP_MS[timestep]) return cached.promise;
+
+  const promise = fetch(`${BASE_URL}/timeseries?id=${itemId}&timestep=${timestep}`, { headers })
+    .then(async response => {
+      if (!response.ok) {
+        throw new Error(`Failed to fetch price history: ${response.status} ${response.statusText}`);
+      }
+      const json = await response.json();
+      // Returns: { data: [{ timestamp, avgHighPrice, avgLowPrice, highPriceVolume, lowPriceVolume }, ...] }
+      return json.data || [];
+    })
+    .catch(error => {
+      // Don't cache failures
+      timeseriesCache.delete(key);
+      throw error;
+    });
+
+  timeseriesCache.set(key, { promise, fetchedAt: Date.now() });
+  return promise;
+}
+
+/**
+ * Forget cached price history (for tests and manual refreshes)
+ */
+export function clearTimeseriesCache() {
+  timeseriesCache.clear();
+}
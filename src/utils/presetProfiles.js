@@ -1,30 +1,145 @@
 /**
  * Predefined filter configurations for common use cases
+ *
+ * Each preset is a parameterized template: a filter config whose numbers can
+ * be `{ param: 'name' }` placeholders, the parameters' defaults, and a label
+ * like "F2P under {max}". fillTemplate turns a template and parameter values
+ * into a filter config that evaluateFilterRules runs locally. Parts of a label
+ * in [brackets] are only shown when their optional parameter is set.
+ *
+ * `query` is the same preset in words, for the natural-language input.
+ * Users can save their own templates, which live in localStorage.
  */
+
+import { parseShorthandNumber, formatToShorthand } from './parseShorthandNumber';
+import { assertValidFilterConfig } from './filterConfigValidator';
+
+const USER_TEMPLATES_KEY = 'osrs-flip-preset-templates';
+
+const param = name => ({ param: name });
+
 export const PRESET_PROFILES = {
   'F2P under 1m': {
     query: 'F2P items under 1 million gp',
     description: 'Free-to-play items only, budget flips',
+    label: 'F2P under {max}',
+    params: { max: { label: 'Max price', default: 1_000_000 } },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'f2p', operator: 'eq', value: true },
+            { field: 'price', operator: 'lt', value: param('max') },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
   'Budget flips': {
     query: 'Items between 100k and 5m',
     description: 'Mid-range items for flipping',
+    label: 'Items {min}-{max}',
+    params: {
+      min: { label: 'Min price', default: 100_000 },
+      max: { label: 'Max price', default: 5_000_000 },
+    },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'price', operator: 'between', value: [param('min'), param('max')] },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
   'High-value items': {
     query: 'Items between 5m and 50m',
     description: 'Expensive items with higher profit margins',
+    label: 'Items {min}-{max}',
+    params: {
+      min: { label: 'Min price', default: 5_000_000 },
+      max: { label: 'Max price', default: 50_000_000 },
+    },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'price', operator: 'between', value: [param('min'), param('max')] },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
   'Members 1m-10m': {
     query: 'Members-only items between 1m and 10m',
     description: 'Mid to high-value members items',
+    label: 'Members {min}-{max}[ with volume ≥ {vol}]',
+    params: {
+      min: { label: 'Min price', default: 1_000_000 },
+      max: { label: 'Max price', default: 10_000_000 },
+      vol: { label: 'Min volume', default: null, optional: true },
+    },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'members', operator: 'eq', value: true },
+            { field: 'price', operator: 'between', value: [param('min'), param('max')] },
+            { field: 'volume', operator: 'gte', value: param('vol') },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
   'Wide range': {
     query: 'Items between 100k and 20m',
     description: 'Broad selection of tradeable items',
+    label: 'Items {min}-{max}',
+    params: {
+      min: { label: 'Min price', default: 100_000 },
+      max: { label: 'Max price', default: 20_000_000 },
+    },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'price', operator: 'between', value: [param('min'), param('max')] },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
   'Low risk flips': {
     query: 'F2P items between 50k and 500k',
     description: 'Safe, consistent flips for beginners',
+    label: 'F2P {min}-{max}',
+    params: {
+      min: { label: 'Min price', default: 50_000 },
+      max: { label: 'Max price', default: 500_000 },
+    },
+    filter: {
+      rules: [
+        {
+          type: 'include',
+          conditions: [
+            { field: 'f2p', operator: 'eq', value: true },
+            { field: 'price', operator: 'between', value: [param('min'), param('max')] },
+          ],
+        },
+      ],
+      defaultAction: 'exclude',
+    },
   },
 };
 
@@ -44,3 +159,208 @@ export function getPreset(presetName) {
 export function getAllPresets() {
   return Object.keys(PRESET_PROFILES);
 }
+
+const isParam = value => !!value && typeof value === 'object' && typeof value.param === 'string';
+
+/**
+ * Default value of every template parameter
+ * @param {Object} template
+ * @returns {Object<string, number|null>}
+ */
+export function getDefaultParams(template) {
+  return Object.fromEntries(
+    Object.entries(template.params || {}).map(([name, def]) => [name, def.default ?? null])
+  );
+}
+
+/**
+ * Template label with parameter values filled in
+ * @param {Object} template
+ * @param {Object<string, number|null>} values - Parsed parameter values
+ * @returns {string} e.g. "F2P under 1m"
+ */
+export function formatTemplateLabel(template, values) {
+  const fill = text =>
+    text.replace(/\{(\w+)\}/g, (_, name) => formatToShorthand(values[name]) || `{${name}}`);
+  return (
+    template.label
+      // Optional segments only show when every parameter in them is set
+      .replace(/\[([^\]]*)\]/g, (_, segment) =>
+        [...segment.matchAll(/\{(\w+)\}/g)].every(([, name]) => values[name] != null)
+          ? fill(segment)
+          : ''
+      )
+      .replace(/\{(\w+)\}/g, match => fill(match))
+  );
+}
+
+/**
+ * Parse raw parameter inputs ("1.5m", "", 200) into numbers
+ * @param {Object} template
+ * @param {Object<string, string|number|null>} inputs
+ * @returns {Object<string, number|null>} Blank optional parameters are null
+ * @throws {Error} When a required parameter is blank or a value isn't a number
+ */
+export function parseTemplateParams(template, inputs) {
+  return Object.fromEntries(
+    Object.entries(template.params || {}).map(([name, def]) => {
+      const raw = inputs[name];
+      if (raw === undefined || raw === null || String(raw).trim() === '') {
+        if (def.optional) return [name, null];
+        throw new Error(`${def.label} is required`);
+      }
+      const value = parseShorthandNumber(raw);
+      if (value === null) throw new Error(`${def.label} must be a number like 500k or 1.5m`);
+      return [name, value];
+    })
+  );
+}
+
+/**
+ * Substitute parameters through a condition list, dropping comparisons whose
+ * optional parameter is blank
+ */
+function fillConditions(conditions, values) {
+  return conditions.map(condition => fillCondition(condition, values)).filter(Boolean);
+}
+
+function fillCondition(condition, values) {
+  if ('not' in condition) {
+    const inner = fillCondition(condition.not, values);
+    return inner ? { not: inner } : null;
+  }
+  if (Array.isArray(condition.conditions)) {
+    const conditions = fillConditions(condition.conditions, values);
+    return conditions.length > 0 ? { ...condition, conditions } : null;
+  }
+
+  const resolve = value => (isParam(value) ? values[value.param] : value);
+  const value = Array.isArray(condition.value)
+    ? condition.value.map(resolve)
+    : resolve(condition.value);
+  const hasBlank = Array.isArray(value) ? value.some(v => v == null) : value == null;
+  return hasBlank ? null : { ...condition, value };
+}
+
+/**
+ * Build the filter config for a template
+ * @param {Object} template - Built-in preset or saved user template
+ * @param {Object<string, string|number|null>} [inputs] - Raw parameter values; defaults if omitted
+ * @returns {Object} Validated filter config for evaluateFilterRules
+ * @throws {Error} When a parameter is missing or invalid
+ */
+export function fillTemplate(template, inputs = getDefaultParams(template)) {
+  const values = parseTemplateParams(template, inputs);
+  const { filter } = template;
+
+  return assertValidFilterConfig({
+    ...filter,
+    interpretation: formatTemplateLabel(template, values),
+    rules: filter.rules.map(rule => ({
+      ...rule,
+      conditions: fillConditions(rule.conditions || [], values),
+      ...(rule.except ? { except: fillConditions(rule.except, values) } : {}),
+    })),
+  });
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Turn a filter config into a template whose numbers are parameters
+ * Each numeric comparison gets a parameter named for its field and bound
+ * (maxPrice, minVolume, ...), defaulting to the config's current value.
+ * @param {string} name - Template name, also its label
+ * @param {Object} filterConfig
+ * @returns {Object} Template for saveUserTemplate
+ */
+export function templateFromConfig(name, filterConfig) {
+  const params = {};
+  const addParam = (base, label, value) => {
+    let paramName = base;
+    for (let n = 2; params[paramName]; n++) paramName = `${base}${n}`;
+    params[paramName] = { label, default: value };
+    return param(paramName);
+  };
+
+  const parameterize = condition => {
+    if ('not' in condition) return { not: parameterize(condition.not) };
+    if (Array.isArray(condition.conditions)) {
+      return { ...condition, conditions: condition.conditions.map(parameterize) };
+    }
+    const { field, operator, value } = condition;
+    const Field = capitalize(field);
+    if (operator === 'between' && Array.isArray(value)) {
+      return {
+        ...condition,
+        value: [
+          addParam(`min${Field}`, `Min ${field}`, value[0]),
+          addParam(`max${Field}`, `Max ${field}`, value[1]),
+        ],
+      };
+    }
+    if (typeof value !== 'number') return condition;
+    if (operator === 'lt' || operator === 'lte') {
+      return { ...condition, value: addParam(`max${Field}`, `Max ${field}`, value) };
+    }
+    if (operator === 'gt' || operator === 'gte') {
+      return { ...condition, value: addParam(`min${Field}`, `Min ${field}`, value) };
+    }
+    return { ...condition, value: addParam(field, capitalize(field), value) };
+  };
+
+  const { interpretation, rules, ...rest } = filterConfig;
+  return {
+    description: interpretation || 'Saved template',
+    label: name,
+    params,
+    filter: {
+      ...rest,
+      rules: rules.map(rule => ({
+        ...rule,
+        conditions: (rule.conditions || []).map(parameterize),
+        ...(rule.except ? { except: rule.except.map(parameterize) } : {}),
+      })),
+    },
+  };
+}
+
+/**
+ * The user's saved templates
+ * @returns {Object<string, Object>} Templates by name
+ */
+export function loadUserTemplates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_TEMPLATES_KEY));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+const writeUserTemplates = templates => {
+  try {
+    localStorage.setItem(USER_TEMPLATES_KEY, JSON.stringify(templates));
+  } catch (error) {
+    console.warn('Failed to save preset templates:', error);
+  }
+};
+
+/**
+ * Save a template under a name, replacing any with the same name
+ * @param {string} name
+ * @param {Object} template
+ */
+export function saveUserTemplate(name, template) {
+  writeUserTemplates({ ...loadUserTemplates(), [name.trim()]: template });
+}
+
+/**
+ * Delete a saved template
+ * @param {string} name
+ */
+export function deleteUserTemplate(name) {
+  const templates = loadUserTemplates();
+  delete templates[name];
+  writeUserTemplates(templates);
+}
@@ -0,0 +1,61 @@
+/**
+ * Compare two blocklists
+ *
+ * Regenerating a profile from the same prompt can block a different set of
+ * items once prices move. diffBlockedIds finds what changed and
+ * describeBlockChanges attaches current market data and the user's own
+ * history, so an item they profit from doesn't get blocked unnoticed.
+ */
+
+/**
+ * Items blocked by only one of two lists
+ * @param {number[]} beforeIds - Blocked IDs of the original profile
+ * @param {number[]} afterIds - Blocked IDs of the new profile or filter
+ * @returns {{newlyBlocked: number[], newlyUnblocked: number[], unchangedCount: number}}
+ */
+export function diffBlockedIds(beforeIds, afterIds) {
+  const before = new Set(beforeIds);
+  const after = new Set(afterIds);
+  const newlyBlocked = [...after].filter(id => !before.has(id));
+  const newlyUnblocked = [...before].filter(id => !after.has(id));
+  return {
+    newlyBlocked,
+    newlyUnblocked,
+    unchangedCount: after.size - newlyBlocked.length,
+  };
+}
+
+/**
+ * Describe changed items with market data and the user's history
+ * Items the user has made money on come first, since blocking them costs the most.
+ * @param {number[]} ids - Item IDs from diffBlockedIds
+ * @param {Object} data
+ * @param {Array<{id: number, name: string}>} data.items - Item mapping
+ * @param {Object} data.priceData - Latest prices keyed by item ID
+ * @param {Object} data.volumeData - 24h volume keyed by item ID
+ * @param {Object} data.userItemStats - { [itemName]: { totalProfit, flipCount } }
+ * @returns {Array<{id: number, name: string, price: number|null, volume: number|null, userProfit: number|null, flipCount: number}>}
+ */
+export function describeBlockChanges(ids, { items, priceData, volumeData, userItemStats = {} }) {
+  const itemsById = new Map(items.map(item => [item.id, item]));
+
+  return ids
+    .map(id => {
+      const name = itemsById.get(id)?.name ?? `Unknown item ${id}`;
+      const stats = userItemStats[name];
+      return {
+        id,
+        name,
+        price: priceData[id]?.high ?? null,
+        volume: volumeData[id] ?? null,
+        userProfit: stats ? stats.totalProfit : null,
+        flipCount: stats?.flipCount ?? 0,
+      };
+    })
+    .sort(
+      (a, b) =>
+        (b.userProfit ?? -Infinity) - (a.userProfit ?? -Infinity) ||
+        (b.price ?? 0) - (a.price ?? 0) ||
+        a.name.localeCompare(b.name)
+    );
+}
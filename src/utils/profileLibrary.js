@@ -0,0 +1,210 @@
+/**
+ * Saved blocklist profiles with version history
+ *
+ * Each profile keeps every saved version of its item selection: the checked
+ * items, trade/block mode, plugin settings and, when it came from a filter,
+ * the prompt and filter config so it can be re-evaluated against current
+ * prices. Restoring an old version appends it as a new version, so history is
+ * never rewritten. Stored in localStorage; nothing leaves the browser.
+ */
+
+import { DEFAULT_TIMEFRAME } from './copilotProfile';
+import { evaluateFilterRules } from './filterRuleEvaluator';
+import { assertValidFilterConfig } from './filterConfigValidator';
+
+const STORAGE_KEY = 'osrs-flip-profile-library';
+
+// Oldest versions of a profile are dropped past this many
+const MAX_VERSIONS = 50;
+
+const readAll = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeAll = profiles => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.warn('Failed to save profile library:', error);
+  }
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Normalize the saved parts of a selection
+ * @param {Object} selection
+ * @returns {Object} Version fields without version number or timestamp
+ */
+function toVersionFields({
+  mode = 'trade',
+  checkedIds = [],
+  timeframe = DEFAULT_TIMEFRAME,
+  f2pOnly = false,
+  sellOnly = false,
+  extra = {},
+  source = null,
+}) {
+  return {
+    mode,
+    checkedIds: [...new Set(checkedIds)].sort((a, b) => a - b),
+    timeframe,
+    f2pOnly,
+    sellOnly,
+    extra,
+    source,
+  };
+}
+
+const sameFields = (a, b) =>
+  JSON.stringify(toVersionFields(a)) === JSON.stringify(toVersionFields(b));
+
+/**
+ * All saved profiles, most recently updated first
+ * @returns {Array<{id: string, name: string, createdAt: number, updatedAt: number, versions: Object[]}>}
+ */
+export function loadProfileLibrary() {
+  return readAll().sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Newest version of a profile
+ * @param {Object} profile
+ * @returns {Object}
+ */
+export function getLatestVersion(profile) {
+  return profile.versions[profile.versions.length - 1];
+}
+
+/**
+ * Save a selection as a new profile, or as the next version of an existing one
+ * Saving an unchanged selection doesn't add a version.
+ * @param {string|null} profileId - Existing profile, or null to create one
+ * @param {Object} selection
+ * @param {string} [selection.name] - Required when creating a profile
+ * @param {'trade'|'block'} selection.mode
+ * @param {number[]} selection.checkedIds
+ * @param {number} [selection.timeframe]
+ * @param {boolean} [selection.f2pOnly]
+ * @param {boolean} [selection.sellOnly]
+ * @param {Object} [selection.extra] - Unrecognized fields from an imported profile
+ * @param {{prompt?: string, filterConfig?: Object}|null} [selection.source]
+ * @returns {Object} The saved profile
+ */
+export function saveProfileVersion(profileId, { name, ...selection }) {
+  const profiles = readAll();
+  const now = Date.now();
+  let profile = profiles.find(p => p.id === profileId);
+
+  if (!profile) {
+    profile = {
+      id: newId(),
+      name: name?.trim() || 'Custom Blocklist',
+      createdAt: now,
+      updatedAt: now,
+      versions: [],
+    };
+    profiles.push(profile);
+  }
+
+  const latest = profile.versions.length > 0 ? getLatestVersion(profile) : null;
+  if (latest && sameFields(latest, selection)) return profile;
+
+  profile.versions.push({
+    ...toVersionFields(selection),
+    version: latest ? latest.version + 1 : 1,
+    savedAt: now,
+  });
+  profile.versions = profile.versions.slice(-MAX_VERSIONS);
+  profile.updatedAt = now;
+  writeAll(profiles);
+  return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId
+ * @param {string} name
+ */
+export function renameProfile(profileId, name) {
+  const profiles = readAll();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile || !name?.trim()) return;
+  profile.name = name.trim();
+  profile.updatedAt = Date.now();
+  writeAll(profiles);
+}
+
+/**
+ * Copy a profile's latest version into a new profile
+ * @param {string} profileId
+ * @returns {Object|null} The copy
+ */
+export function duplicateProfile(profileId) {
+  const original = readAll().find(p => p.id === profileId);
+  if (!original) return null;
+  return saveProfileVersion(null, {
+    ...getLatestVersion(original),
+    name: `${original.name} (copy)`,
+  });
+}
+
+/**
+ * Delete a profile and its history
+ * @param {string} profileId
+ */
+export function deleteProfile(profileId) {
+  writeAll(readAll().filter(p => p.id !== profileId));
+}
+
+/**
+ * Make an old version current again by saving it as the newest version
+ * @param {string} profileId
+ * @param {number} version
+ * @returns {Object|null} The updated profile
+ */
+export function restoreProfileVersion(profileId, version) {
+  const profile = readAll().find(p => p.id === profileId);
+  const restored = profile?.versions.find(v => v.version === version);
+  if (!restored) return null;
+  return saveProfileVersion(profileId, restored);
+}
+
+/**
+ * Item IDs a version blocks
+ * @param {Object} version
+ * @param {Array<{id: number}>} items - Item mapping
+ * @returns {number[]}
+ */
+export function getBlockedIds(version, items) {
+  if (version.mode === 'block') return version.checkedIds;
+  const tradeable = new Set(version.checkedIds);
+  return items.filter(item => !tradeable.has(item.id)).map(item => item.id);
+}
+
+/**
+ * Re-run a version's filter against current prices
+ * The stored config is validated first: it may predate the current format or
+ * have been edited by hand.
+ * @param {Object} version - Must have source.filterConfig
+ * @param {Array} items - Item mapping
+ * @param {Object} priceData - Latest prices keyed by item ID
+ * @param {Object} volumeData - Volume keyed by item ID
+ * @returns {Object|null} Selection for saveProfileVersion, or null without a filter
+ * @throws {FilterConfigError} If the stored config is malformed
+ */
+export function reevaluateVersion(version, items, priceData, volumeData) {
+  if (!version.source?.filterConfig) return null;
+  const { tradeable } = evaluateFilterRules(
+    assertValidFilterConfig(version.source.filterConfig),
+    items,
+    priceData,
+    volumeData
+  );
+  return { ...version, mode: 'trade', checkedIds: tradeable.map(item => item.id) };
+}
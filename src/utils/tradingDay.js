@@ -0,0 +1,251 @@
+/**
+ * Trading day settings
+ *
+ * Flips are grouped into days by their sell time. By default a day runs from
+ * midnight to midnight in the browser's timezone; players spread across
+ * timezones can instead pick a shared timezone (e.g. UTC, when the GE resets)
+ * and a day-start hour. Day keys stay MM-DD-YYYY, named after the calendar day
+ * the trading day starts on.
+ */
+
+const STORAGE_KEY = 'osrs-flip-trading-day';
+
+// Sentinel timezone that follows whatever browser the data is viewed in
+export const LOCAL_TIMEZONE = 'local';
+
+/** @typedef {{timezone: string, dayStartHour: number}} TradingDaySettings */
+
+/** @type {TradingDaySettings} */
+export const DEFAULT_TRADING_DAY = { timezone: LOCAL_TIMEZONE, dayStartHour: 0 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const HOURS_PER_DAY = 24;
+
+/**
+ * The IANA timezone a setting refers to
+ * @param {string} timezone - IANA name or LOCAL_TIMEZONE
+ * @returns {string}
+ */
+export function resolveTimezone(timezone = LOCAL_TIMEZONE) {
+  if (timezone && timezone !== LOCAL_TIMEZONE) return timezone;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Fill in defaults and clamp a possibly stored/partial setting
+ * @param {Partial<TradingDaySettings>} [settings]
+ * @returns {TradingDaySettings}
+ */
+export function normalizeTradingDay(settings = {}) {
+  const hour = Math.trunc(Number(settings?.dayStartHour));
+  let timezone = settings?.timezone || LOCAL_TIMEZONE;
+  try {
+    // Throws on names this browser doesn't know
+    if (timezone !== LOCAL_TIMEZONE) new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    timezone = LOCAL_TIMEZONE;
+  }
+  return {
+    timezone,
+    dayStartHour: hour >= 0 && hour < HOURS_PER_DAY ? hour : 0,
+  };
+}
+
+/**
+ * Two settings bucket flips identically
+ * @param {Partial<TradingDaySettings>} a
+ * @param {Partial<TradingDaySettings>} b
+ * @returns {boolean}
+ */
+export function isSameTradingDay(a, b) {
+  const left = normalizeTradingDay(a);
+  const right = normalizeTradingDay(b);
+  return (
+    resolveTimezone(left.timezone) === resolveTimezone(right.timezone) &&
+    left.dayStartHour === right.dayStartHour
+  );
+}
+
+// Building an Intl formatter is expensive - reuse one per timezone
+const formatters = new Map();
+
+const partsIn = (time, timezone) => {
+  let fmt = formatters.get(timezone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    });
+    formatters.set(timezone, fmt);
+  }
+  const parts = {};
+  fmt.formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Day key for a sell time
+ * @param {number|string} time - Epoch ms or ISO string
+ * @param {Partial<TradingDaySettings>} [settings]
+ * @returns {string} MM-DD-YYYY
+ */
+export function toTradingDayKey(time, settings = DEFAULT_TRADING_DAY) {
+  const { timezone, dayStartHour } = normalizeTradingDay(settings);
+  // Before the start hour still belongs to the previous trading day
+  const shifted = new Date(time).getTime() - dayStartHour * HOUR_MS;
+  const { month, day, year } = partsIn(shifted, resolveTimezone(timezone));
+  return `${month}-${day}-${year}`;
+}
+
+/**
+ * Where a time falls on the trading week, for day/hour heat maps
+ * The weekday is the trading day's, the hour is the wall-clock hour in the
+ * chosen timezone.
+ * @param {number|string} time - Epoch ms or ISO string
+ * @param {Partial<TradingDaySettings>} [settings]
+ * @returns {{dayOfWeek: number, hour: number}} dayOfWeek 0 = Sunday
+ */
+export function getTradingClock(time, settings = DEFAULT_TRADING_DAY) {
+  const { timezone, dayStartHour } = normalizeTradingDay(settings);
+  const ms = new Date(time).getTime();
+  const tz = resolveTimezone(timezone);
+
+  // Heat maps call this per flip - Date methods are much cheaper than Intl when they apply
+  if (tz === resolveTimezone(LOCAL_TIMEZONE)) {
+    return {
+      dayOfWeek: new Date(ms - dayStartHour * HOUR_MS).getDay(),
+      hour: new Date(ms).getHours(),
+    };
+  }
+
+  const { hour } = partsIn(ms, tz);
+  const { weekday } = partsIn(ms - dayStartHour * HOUR_MS, tz);
+  return { dayOfWeek: WEEKDAYS.indexOf(weekday), hour: Number(hour) };
+}
+
+/**
+ * Chronological order for MM-DD-YYYY keys
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareDayKeys(a, b) {
+  const [aMonth, aDay, aYear] = a.split('-');
+  const [bMonth, bDay, bYear] = b.split('-');
+  return `${aYear}${aMonth}${aDay}`.localeCompare(`${bYear}${bMonth}${bDay}`);
+}
+
+/**
+ * Group closed flips into days
+ * @param {Array<Object>} flips - Flips with last_sell_time
+ * @param {Partial<TradingDaySettings>} [settings]
+ * @returns {Object<string, {date: string, flips: Array<Object>, totalProfit: number, totalFlips: number}>}
+ */
+export function groupFlipsByTradingDay(flips = [], settings = DEFAULT_TRADING_DAY) {
+  const flipsByDate = {};
+  flips.forEach(flip => {
+    const sellTime = flip.last_sell_time || flip.lastSellTime;
+    if (!sellTime) return;
+    const dateKey = toTradingDayKey(sellTime, settings);
+    if (!flipsByDate[dateKey]) {
+      flipsByDate[dateKey] = { date: dateKey, flips: [], totalProfit: 0, totalFlips: 0 };
+    }
+    flipsByDate[dateKey].flips.push(flip);
+    flipsByDate[dateKey].totalProfit += flip.profit || 0;
+    flipsByDate[dateKey].totalFlips++;
+  });
+  return flipsByDate;
+}
+
+/**
+ * Per-day totals from flipsByDate, oldest first
+ * @param {Object} flipsByDate
+ * @returns {Array<{date: string, totalProfit: number, flipCount: number, uniqueItems: number}>}
+ */
+export function buildDailySummaries(flipsByDate = {}) {
+  return Object.entries(flipsByDate)
+    .map(([date, dayData]) => ({
+      date,
+      totalProfit:
+        dayData.totalProfit || dayData.flips?.reduce((sum, f) => sum + (f.profit || 0), 0) || 0,
+      flipCount: dayData.totalFlips || dayData.flips?.length || 0,
+      uniqueItems: new Set(dayData.flips?.map(f => f.item) || []).size,
+    }))
+    .sort((a, b) => compareDayKeys(a.date, b.date));
+}
+
+/**
+ * Re-bucket a dataset for different trading day settings
+ * Only flipsByDate, dailySummaries and the date range change; flips themselves
+ * are shared, so switching settings never needs a re-upload.
+ * @param {Object|null} data - guestData
+ * @param {Partial<TradingDaySettings>} settings
+ * @returns {Object|null} data with tradingDay set to the settings in effect
+ */
+export function applyTradingDay(data, settings) {
+  if (!data) return data;
+  const tradingDay = normalizeTradingDay(settings);
+  // Data from before this setting existed was bucketed by midnight in its timezone
+  const bucketedWith = data.tradingDay || { timezone: data.timezone, dayStartHour: 0 };
+
+  if (isSameTradingDay(bucketedWith, tradingDay)) {
+    return data.tradingDay ? data : { ...data, tradingDay: bucketedWith };
+  }
+
+  const flipsByDate = groupFlipsByTradingDay(data.allFlips, tradingDay);
+  const dailySummaries = buildDailySummaries(flipsByDate);
+  return {
+    ...data,
+    flipsByDate,
+    dailySummaries,
+    timezone: resolveTimezone(tradingDay.timezone),
+    tradingDay: { ...tradingDay, timezone: resolveTimezone(tradingDay.timezone) },
+    metadata: {
+      ...(data.metadata || {}),
+      dateRange: {
+        from: dailySummaries[0]?.date,
+        to: dailySummaries[dailySummaries.length - 1]?.date,
+      },
+    },
+  };
+}
+
+/**
+ * Saved trading day settings for this browser
+ * @returns {TradingDaySettings}
+ */
+export function loadTradingDay() {
+  try {
+    return normalizeTradingDay(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+  } catch {
+    return DEFAULT_TRADING_DAY;
+  }
+}
+
+/**
+ * Remember trading day settings for this browser
+ * @param {TradingDaySettings} settings
+ */
+export function saveTradingDay(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeTradingDay(settings)));
+}
+
+/**
+ * Label for the active setting, e.g. "UTC, day starts 06:00"
+ * @param {Partial<TradingDaySettings>} settings
+ * @returns {string}
+ */
+export function describeTradingDay(settings) {
+  const { timezone, dayStartHour } = normalizeTradingDay(settings);
+  const tz = resolveTimezone(timezone);
+  return dayStartHour === 0 ? tz : `${tz}, day starts ${String(dayStartHour).padStart(2, '0')}:00`;
+}
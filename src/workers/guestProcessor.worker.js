@@ -1,4 +1,15 @@
 import Papa from 'papaparse';
+import { createFlipTable } from '../utils/flipColumns';
+import { isOpenFlip } from '../utils/openPositions';
+import { getImporter, DEFAULT_IMPORTER_ID } from '../utils/importers';
+import {
+  createDiagnostics,
+  csvRowLineCount,
+  diagnoseFlip,
+  flagFlip,
+  isBlankCsvRow,
+} from '../utils/importDiagnostics';
+import { toTradingDayKey } from '../utils/tradingDay';
 
 // Global error handler for worker crashes
 self.onerror = function (error) {
@@ -12,43 +23,25 @@ self.onerror = function (error) {
   });
 };
 
-// Expected Flipping Copilot column names (lowercase for comparison)
-const EXPECTED_COLUMNS = [
-  'first buy time',
-  'last sell time',
-  'account',
-  'item',
+// Dedup key shared by replace and merge uploads (times are epoch ms so formatting can't differ)
+const flipHashOf = flip =>
+  `${flip.account}-${flip.item}-${flip.first_buy_time}-${flip.last_sell_time}`;
+
+// Fields compared when the same flip appears in both the old data and the new file
+const CONFLICT_FIELDS = [
+  'status',
   'bought',
   'sold',
-  'avg. buy price',
-  'avg. sell price',
+  'avg_buy_price',
+  'avg_sell_price',
   'tax',
   'profit',
 ];
 
-// Utility to clean numeric values (removes commas that Flipping Copilot might include)
-// e.g., "1,234" → 1234, "1,234.56" → 1234.56
-const cleanNumeric = val => {
-  if (!val && val !== 0) return 0;
-  const cleaned = String(val).replace(/,/g, '');
-  return Number(cleaned) || 0; // Using Number instead of parseInt to preserve decimals
-};
+const isSameFlip = (a, b) => CONFLICT_FIELDS.every(field => a[field] === b[field]);
 
-// Format date key using browser's timezone (not Chicago)
-function toDateKey(iso, timezone) {
-  const d = new Date(iso);
-  const fmt = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  });
-  const parts = fmt.formatToParts(d);
-  const mm = parts.find(p => p.type === 'month').value;
-  const dd = parts.find(p => p.type === 'day').value;
-  const yyyy = parts.find(p => p.type === 'year').value;
-  return `${mm}-${dd}-${yyyy}`; // MM-DD-YYYY in user's timezone
-}
+// An open position keeps this key while it fills and sells, even though its sell time changes
+const positionKeyOf = flip => `${flip.account}-${flip.item}-${flip.first_buy_time}`;
 
 // Web Worker message handler
 // Security Note: Web Workers do not have access to event.origin property (only window.postMessage does).
@@ -67,62 +60,154 @@ self.onmessage = async e => {
 
     if (e.data.type !== 'START') return;
 
-    const { file, timezone = Intl.DateTimeFormat().resolvedOptions().timeZone } = e.data;
-
-    // EARLY EXIT: File size check to prevent crashes
-    if (file.size > 20 * 1024 * 1024) {
-      // 20MB limit
-      self.postMessage({
-        type: 'ERROR',
-        message: `File too large: ${(file.size / (1024 * 1024)).toFixed(1)}MB. Maximum: 20MB. Try exporting a shorter date range.`,
-      });
+    const {
+      file,
+      timezone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+      tradingDay = { timezone, dayStartHour: 0 }, // Which hours make up each day
+      mode = 'replace', // 'replace' | 'merge'
+      existingFlips = null, // flipColumns payload of the currently loaded flips
+    } = e.data;
+
+    // Several exports (e.g. one per machine/account) can be processed in one session
+    const files = e.data.files || (file ? [file] : []);
+    // Each source names the importer that understands it; bare files are Copilot CSVs
+    const sources =
+      e.data.sources || files.map(f => ({ file: f, importer: DEFAULT_IMPORTER_ID, options: {} }));
+    if (sources.length === 0) {
+      self.postMessage({ type: 'ERROR', message: 'No files provided' });
       return;
     }
 
-    let headers = null;
-    const headerMap = {};
-    let parser = null;
     let rowsProcessed = 0;
     let lastProgressUpdate = 0;
     const accounts = new Set();
+    // Every dropped row with its file, line and reason
+    const diagnostics = createDiagnostics();
+    // Kept rows that look wrong, e.g. a tax the GE rules wouldn't charge
+    const flaggedRows = createDiagnostics();
 
-    // MEMORY MANAGEMENT: Process in batches and clean up
-    const flipsByDate = {};
+    // MEMORY MANAGEMENT: Flips live in typed-array columns with interned strings
+    // rather than one object per row, and the buffers are transferred at the end
     const itemStatsMap = {};
-    const allFlips = []; // Keep flips but manage memory better
-    const seen = new Set();
-    let hasShowBuyingError = false;
+    // MERGE MODE: start from the previously loaded flips so new rows dedupe against them
+    const flipTable = createFlipTable(mode === 'merge' ? existingFlips : null);
+    const rowByHash = new Map(); // Deduplicated flip -> table row
+    const openRowByPosition = new Map(); // Open positions a newer export may update
+
+    // Merge bookkeeping - which source (existing data or file index) each kept flip came from
+    const EXISTING_SOURCE = -1;
+    const MIN_SOURCE_ROWS = 1024;
+    let sourceByRow = new Int32Array(Math.max(MIN_SOURCE_ROWS, flipTable.length));
+    const setRowSource = (row, source) => {
+      if (row >= sourceByRow.length) {
+        const next = new Int32Array(sourceByRow.length * 2);
+        next.set(sourceByRow);
+        sourceByRow = next;
+      }
+      sourceByRow[row] = source;
+    };
+    const mergeSummary = { newRows: 0, duplicateRows: 0, conflictingRows: 0 };
+
+    const trackOpenPosition = (row, flipData) => {
+      if (isOpenFlip(flipData)) {
+        openRowByPosition.set(positionKeyOf(flipData), row);
+      } else if (openRowByPosition.get(positionKeyOf(flipData)) === row) {
+        openRowByPosition.delete(positionKeyOf(flipData));
+      }
+    };
+
+    for (let row = 0; row < flipTable.length; row++) {
+      const flipData = flipTable.read(row);
+      rowByHash.set(flipHashOf(flipData), row);
+      setRowSource(row, EXISTING_SOURCE);
+      trackOpenPosition(row, flipData);
+    }
 
     // BATCH PROCESSING: Prevent memory spikes
     const BATCH_SIZE = 2000;
     let currentBatch = [];
 
-    const processBatch = batch => {
-      for (const flipData of batch) {
+    // Where the kept copy of a duplicate came from, for the diagnostics report
+    const duplicateOf = (source, fileIndex) => {
+      if (source === EXISTING_SOURCE) return 'Already loaded';
+      if (source === fileIndex) return 'Repeated earlier in this file';
+      return `Same flip as in ${sources[source].file.name}`;
+    };
+
+    const processBatch = (batch, fileIndex) => {
+      const fileName = sources[fileIndex].file.name;
+      for (const { flipData, line } of batch) {
         // Deduplication
-        const flipHash = `${flipData.account}-${flipData.item}-${flipData.first_buy_time}-${flipData.last_sell_time}`;
-        if (seen.has(flipHash)) continue;
-        seen.add(flipHash);
+        const flipHash = flipHashOf(flipData);
+        const row = rowByHash.get(flipHash);
+        const openRow = openRowByPosition.get(positionKeyOf(flipData));
+
+        if (row === undefined && openRow !== undefined && sourceByRow[openRow] !== fileIndex) {
+          // A position that was open in an earlier source has since filled or closed
+          rowByHash.delete(flipHashOf(flipTable.read(openRow)));
+          flipTable.write(openRow, flipData);
+          rowByHash.set(flipHash, openRow);
+          setRowSource(openRow, fileIndex);
+          trackOpenPosition(openRow, flipData);
+          mergeSummary.conflictingRows++;
+        } else if (row === undefined) {
+          const newRow = flipTable.append(flipData);
+          rowByHash.set(flipHash, newRow);
+          setRowSource(newRow, fileIndex);
+          trackOpenPosition(newRow, flipData);
+          mergeSummary.newRows++;
+        } else if (isSameFlip(flipTable.read(row), flipData)) {
+          mergeSummary.duplicateRows++;
+          diagnostics.reject({
+            file: fileName,
+            line,
+            reason: 'duplicate',
+            detail: duplicateOf(sourceByRow[row], fileIndex),
+          });
+        } else if (sourceByRow[row] !== fileIndex) {
+          // Same flip with different numbers in another source - the later file wins
+          flipTable.write(row, flipData);
+          setRowSource(row, fileIndex);
+          trackOpenPosition(row, flipData);
+          mergeSummary.conflictingRows++;
+        } else {
+          // Repeated row within the same file - keep the first copy
+          mergeSummary.duplicateRows++;
+          diagnostics.reject({
+            file: fileName,
+            line,
+            reason: 'duplicate',
+            detail: 'Repeated earlier in this file with different numbers',
+          });
+        }
+      }
 
-        // Add to final results
-        allFlips.push(flipData);
-        accounts.add(flipData.account);
+      // MEMORY CLEANUP: Clear batch and force GC opportunity
+      batch.length = 0;
+      // Hint for garbage collection if available
+      // eslint-disable-next-line no-undef
+      if (typeof gc !== 'undefined') gc();
+    };
 
-        // Update aggregates
-        const dateKey = toDateKey(flipData.last_sell_time, timezone);
+    // Build date and item aggregates from the deduplicated flips
+    let openPositionCount = 0;
+    const buildAggregates = () => {
+      for (let row = 0; row < flipTable.length; row++) {
+        const flipData = flipTable.read(row);
+        accounts.add(flipData.account);
+        if (flipData.source_file) {
+          if (!sourcesByAccount[flipData.account]) sourcesByAccount[flipData.account] = new Set();
+          sourcesByAccount[flipData.account].add(flipData.source_file);
+        }
 
-        // Update date aggregates
-        if (!flipsByDate[dateKey]) {
-          flipsByDate[dateKey] = {
-            date: dateKey,
-            flips: [],
-            totalProfit: 0,
-            totalFlips: 0,
-          };
+        // Open positions have no realized profit - keep them out of date and item totals
+        if (isOpenFlip(flipData)) {
+          openPositionCount++;
+          continue;
         }
-        flipsByDate[dateKey].flips.push(flipData);
-        flipsByDate[dateKey].totalProfit += flipData.profit;
-        flipsByDate[dateKey].totalFlips++;
+
+        // Date bucket - the main thread groups flips into flipsByDate by this key
+        flipTable.setString(row, 'date_key', toTradingDayKey(flipData.last_sell_time, tradingDay));
 
         // Update item stats
         if (!itemStatsMap[flipData.item]) {
@@ -137,147 +222,191 @@ self.onmessage = async e => {
         itemStatsMap[flipData.item].flipCount++;
         itemStatsMap[flipData.item].totalQuantity += flipData.bought;
       }
-
-      // MEMORY CLEANUP: Clear batch and force GC opportunity
-      batch.length = 0;
-      // Hint for garbage collection if available
-      // eslint-disable-next-line no-undef
-      if (typeof gc !== 'undefined') gc();
+      rowByHash.clear();
+      openRowByPosition.clear();
+      sourceByRow = null;
     };
 
-    await new Promise((resolve, reject) => {
-      parser = Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-
-        // MEMORY OPTIMIZATION: Much smaller chunks
-        chunkSize: 32 * 1024, // 32KB chunks (very small)
-
-        chunk: results => {
-          try {
-            // MEMORY MONITORING
-            if (performance.memory) {
-              const used = performance.memory.usedJSHeapSize;
-              const limit = performance.memory.jsHeapSizeLimit;
-              if (used / limit > 0.85) {
-                // Stop at 85% memory usage
-                if (parser) parser.abort();
-                reject(
-                  new Error(
-                    `Memory usage too high (${Math.round((used / limit) * 100)}%). File too large for processing.`
-                  )
-                );
-                return;
-              }
-            }
+    // Per-file row counts and which files each account's flips came from
+    const sourceFiles = [];
+    const sourcesByAccount = {};
+
+    // Shared by every importer: filter, batch and report progress for one normalized flip
+    const addFlip = (flipData, sourceFile, fileIndex, line) => {
+      // BUYING/SELLING rows ("Show Buying" exports) are kept as open positions;
+      // a finished flip needs a sell time and some quantity to be meaningful
+      const rejection = diagnoseFlip(flipData);
+      if (rejection) {
+        diagnostics.reject({ file: sourceFile.name, line, ...rejection });
+        return false;
+      }
+      const flag = flagFlip(flipData);
+      if (flag) flaggedRows.flag({ file: sourceFile.name, line, ...flag });
 
-            // Build headers on first chunk
-            if (!headers) {
-              headers = results.meta.fields;
-              headers.forEach(header => {
-                const normalized = header.trim().toLowerCase();
-                headerMap[normalized] = header;
-              });
-
-              const normalizedHeaders = Object.keys(headerMap);
-              const missingColumns = EXPECTED_COLUMNS.filter(
-                col => !normalizedHeaders.includes(col)
-              );
-
-              if (missingColumns.length > 0) {
-                if (parser) parser.abort();
-                reject(
-                  new Error(
-                    `Not a valid Flipping Copilot CSV. Missing columns: ${missingColumns.join(', ')}`
-                  )
-                );
-                return;
-              }
-            }
+      // Add to batch
+      currentBatch.push({ flipData, line });
 
-            // Process rows in smaller batches
-            for (const row of results.data) {
-              try {
-                const firstBuyTime = row[headerMap['first buy time']];
-                const lastSellTime = row[headerMap['last sell time']];
-
-                if (!firstBuyTime || !lastSellTime) continue;
-
-                const flipData = {
-                  account: row[headerMap['account']] || 'Unknown',
-                  item: row[headerMap['item']] || 'Unknown',
-                  status: row[headerMap['status']] || 'UNKNOWN',
-                  first_buy_time: firstBuyTime,
-                  last_sell_time: lastSellTime,
-                  bought: cleanNumeric(row[headerMap['bought']]),
-                  sold: cleanNumeric(row[headerMap['sold']]),
-                  avg_buy_price: cleanNumeric(row[headerMap['avg. buy price']]),
-                  avg_sell_price: cleanNumeric(row[headerMap['avg. sell price']]),
-                  tax: cleanNumeric(row[headerMap['tax']]),
-                  profit:
-                    'profit' in headerMap
-                      ? cleanNumeric(row[headerMap['profit']])
-                      : cleanNumeric(row[headerMap['sold']]) *
-                          cleanNumeric(row[headerMap['avg. sell price']]) -
-                        cleanNumeric(row[headerMap['bought']]) *
-                          cleanNumeric(row[headerMap['avg. buy price']]) -
-                        cleanNumeric(row[headerMap['tax']]),
-                };
-
-                if (flipData.bought === 0 && flipData.sold === 0) {
-                  hasShowBuyingError = true;
-                  continue;
-                }
+      // BATCH PROCESSING: Process when batch is full
+      if (currentBatch.length >= BATCH_SIZE) {
+        processBatch(currentBatch, fileIndex);
+        currentBatch = []; // Create new array instead of clearing
+      }
 
-                // Add to batch
-                currentBatch.push(flipData);
+      rowsProcessed++;
+
+      // Progress updates
+      if (Date.now() - lastProgressUpdate > 500) {
+        self.postMessage({
+          type: 'PROGRESS',
+          progress: {
+            current: rowsProcessed,
+            rejections: diagnostics.counts(),
+            message:
+              sources.length > 1
+                ? `Processing ${sourceFile.name} (file ${fileIndex + 1} of ${sources.length}), row ${rowsProcessed.toLocaleString()}...`
+                : `Processing row ${rowsProcessed.toLocaleString()}...`,
+          },
+        });
+        lastProgressUpdate = Date.now();
+      }
+      return true;
+    };
+
+    const finishFile = (sourceFile, importer, fileIndex, fileRows) => {
+      // Process final batch
+      if (currentBatch.length > 0) {
+        processBatch(currentBatch, fileIndex);
+        currentBatch = [];
+      }
+      sourceFiles.push({
+        name: sourceFile.name,
+        size: sourceFile.size,
+        rows: fileRows,
+        importer: importer.id,
+      });
+    };
+
+    // JSON formats are small enough to read whole, then normalized in one go
+    const parseJsonFile = async (sourceFile, importer, options, fileIndex) => {
+      let document;
+      try {
+        document = JSON.parse(await sourceFile.text());
+      } catch {
+        throw new Error(`${sourceFile.name} is not valid JSON`);
+      }
 
-                // BATCH PROCESSING: Process when batch is full
-                if (currentBatch.length >= BATCH_SIZE) {
-                  processBatch(currentBatch);
-                  currentBatch = []; // Create new array instead of clearing
+      let fileRows = 0;
+      const flips = importer.normalizeDocument(document, { sourceFile: sourceFile.name, options });
+      // JSON has no meaningful lines - rows are reported by record number
+      flips.forEach((flipData, index) => {
+        if (addFlip(flipData, sourceFile, fileIndex, index + 1)) fileRows++;
+      });
+      finishFile(sourceFile, importer, fileIndex, fileRows);
+    };
+
+    // CSV formats are streamed so large exports never sit in memory whole
+    const parseCsvFile = (sourceFile, importer, options, fileIndex) =>
+      new Promise((resolve, reject) => {
+        let columns = null;
+        let parser = null;
+        let fileRows = 0;
+        let lastLine = 1; // Last line read so far, starting with the header
+        const context = { sourceFile: sourceFile.name, options };
+
+        parser = Papa.parse(sourceFile, {
+          header: true,
+          skipEmptyLines: false, // Blank lines still count towards line numbers
+          dynamicTyping: false,
+
+          // MEMORY OPTIMIZATION: Much smaller chunks
+          chunkSize: 32 * 1024, // 32KB chunks (very small)
+
+          chunk: results => {
+            try {
+              // MEMORY MONITORING
+              if (performance.memory) {
+                const used = performance.memory.usedJSHeapSize;
+                const limit = performance.memory.jsHeapSizeLimit;
+                if (used / limit > 0.85) {
+                  // Stop at 85% memory usage
+                  if (parser) parser.abort();
+                  reject(
+                    new Error(
+                      `Memory usage too high (${Math.round((used / limit) * 100)}%). File too large for processing.`
+                    )
+                  );
+                  return;
                 }
+              }
 
-                rowsProcessed++;
+              // Resolve the header row on first chunk
+              if (!columns) {
+                const resolved = importer.resolveColumns(results.meta.fields || [], options);
+
+                if (resolved.missing.length > 0) {
+                  if (parser) parser.abort();
+                  reject(
+                    new Error(
+                      `${sourceFile.name} is not a valid ${importer.label}. Missing columns: ${resolved.missing.join(', ')}`
+                    )
+                  );
+                  return;
+                }
+                columns = resolved.columns;
+                lastLine = csvRowLineCount(results.meta.fields || []);
+              }
 
-                // Progress updates
-                if (Date.now() - lastProgressUpdate > 500) {
-                  self.postMessage({
-                    type: 'PROGRESS',
-                    progress: {
-                      current: rowsProcessed,
-                      message: `Processing row ${rowsProcessed.toLocaleString()}...`,
-                    },
+              // Process rows in smaller batches
+              for (const row of results.data) {
+                const line = lastLine + 1;
+                lastLine += csvRowLineCount(row);
+                if (isBlankCsvRow(row)) continue;
+                try {
+                  const flipData = importer.normalizeRow(row, columns, context);
+                  if (addFlip(flipData, sourceFile, fileIndex, line)) {
+                    fileRows++;
+                  }
+                } catch (rowError) {
+                  console.warn('Error processing row:', rowError);
+                  diagnostics.reject({
+                    file: sourceFile.name,
+                    line,
+                    reason: 'row_error',
+                    detail: rowError.message,
                   });
-                  lastProgressUpdate = Date.now();
+                  continue;
                 }
-              } catch (rowError) {
-                console.warn('Error processing row:', rowError);
-                continue;
               }
+            } catch (chunkError) {
+              console.error('Chunk processing error:', chunkError);
+              if (parser) parser.abort();
+              reject(chunkError);
             }
-          } catch (chunkError) {
-            console.error('Chunk processing error:', chunkError);
-            if (parser) parser.abort();
-            reject(chunkError);
-          }
-        },
+          },
+
+          complete: () => {
+            finishFile(sourceFile, importer, fileIndex, fileRows);
+            resolve();
+          },
+
+          error: error => {
+            console.error('Papa Parse error:', error);
+            reject(new Error(`CSV parsing failed: ${error.message}`));
+          },
+        });
+      });
 
-        complete: () => {
-          // Process final batch
-          if (currentBatch.length > 0) {
-            processBatch(currentBatch);
-          }
-          resolve();
-        },
+    // Files are parsed one at a time so memory stays bounded and later files win conflicts
+    for (let i = 0; i < sources.length; i++) {
+      const { file: sourceFile, importer: importerId, options = {} } = sources[i];
+      const importer = getImporter(importerId);
+      if (!importer) throw new Error(`No importer available for ${sourceFile.name}`);
 
-        error: error => {
-          console.error('Papa Parse error:', error);
-          reject(new Error(`CSV parsing failed: ${error.message}`));
-        },
-      });
-    });
+      const parse = importer.format === 'json' ? parseJsonFile : parseCsvFile;
+      // eslint-disable-next-line no-await-in-loop
+      await parse(sourceFile, importer, options, i);
+    }
+    buildAggregates();
 
     // MEMORY CHECK: Final validation before sending
     if (performance.memory) {
@@ -288,24 +417,34 @@ self.onmessage = async e => {
       );
     }
 
-    // Send results with all flips (but processed efficiently)
-    self.postMessage({
-      type: 'SUCCESS',
-      data: {
-        flipsByDate,
-        itemStats: Object.values(itemStatsMap),
-        accounts: Array.from(accounts),
-        totalRows: rowsProcessed,
-        hasShowBuyingError,
-        allFlips, // Keep this for dashboard display
-        metadata: {
-          originalFileSize: file.size,
-          processedFlips: allFlips.length,
+    // Send results - the flip columns are transferred rather than structured-cloned
+    const { payload: flipColumns, transfer } = flipTable.toTransferable();
+    self.postMessage(
+      {
+        type: 'SUCCESS',
+        data: {
+          itemStats: Object.values(itemStatsMap),
           accounts: Array.from(accounts),
-          accountCount: accounts.size,
+          totalRows: rowsProcessed,
+          flipColumns, // Expanded into allFlips/flipsByDate on the main thread
+          mergeSummary: { mode, ...mergeSummary },
+          diagnostics: diagnostics.summary(),
+          flaggedRows: flaggedRows.summary(),
+          metadata: {
+            originalFileSize: sources.reduce((sum, source) => sum + source.file.size, 0),
+            sourceFiles,
+            sourcesByAccount: Object.fromEntries(
+              Object.entries(sourcesByAccount).map(([account, names]) => [account, [...names]])
+            ),
+            processedFlips: flipColumns.length - openPositionCount,
+            openPositionCount,
+            accounts: Array.from(accounts),
+            accountCount: accounts.size,
+          },
         },
       },
-    });
+      transfer
+    );
   } catch (error) {
     console.error('Worker processing error:', error);
     self.postMessage({